@@ -25,32 +25,213 @@ axiosInstance.interceptors.request.use((config) => {
 export const loginUser = (data) => axiosInstance.post('/auth/login', data);
 export const registerUser = (data) => axiosInstance.post('/auth/register', data);
 export const getMe = () => axiosInstance.get('/auth/me');
+export const refreshSession = (refreshToken) => axiosInstance.post('/auth/refresh', { refreshToken });
+export const logoutUser = () => axiosInstance.post('/auth/logout');
+export const logoutAllSessions = () => axiosInstance.post('/auth/logout-all');
+export const getSessions = () => axiosInstance.get('/auth/sessions');
+export const revokeSession = (id) => axiosInstance.delete(`/auth/sessions/${id}`);
+export const forgotPassword = (email) => axiosInstance.post('/auth/forgot-password', { email });
+export const resetPassword = (token, password) => axiosInstance.post('/auth/reset-password', { token, password });
+export const verifyEmail = (token) => axiosInstance.post('/auth/verify-email', { token });
+export const resendVerification = () => axiosInstance.post('/auth/resend-verification');
 
 // ==================
 // Product APIs
 // ==================
-export const getProducts = () => axiosInstance.get('/products');
-export const getProductById = (id) => axiosInstance.get(`/products/${id}`);
+export const getProducts = (params = {}) => axiosInstance.get('/products', { params });
+export const getProductById = (id, params = {}) => axiosInstance.get(`/products/${id}`, { params });
+
+// Arrays and objects (variants, notes) travel as JSON strings in multipart forms
+const toFormValue = (value) =>
+  value !== null && typeof value === 'object' && !(value instanceof Blob) ? JSON.stringify(value) : value;
 
 // Create or update with FormData for image
-export const createProduct = (productData) => {
+// Gallery files (`images: [File, ...]`) are appended one by one under the same field
+const toProductForm = (productData) => {
   const formData = new FormData();
   for (const key in productData) {
-    formData.append(key, productData[key]);
+    const value = productData[key];
+    if (Array.isArray(value) && value.some(item => item instanceof Blob)) {
+      value.forEach(item => formData.append(key, item));
+    } else {
+      formData.append(key, toFormValue(value));
+    }
   }
+  return formData;
+};
+
+export const createProduct = (productData) => {
+  const formData = toProductForm(productData);
   return axiosInstance.post('/products', formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
   });
 };
 
 export const updateProduct = (id, productData) => {
-  const formData = new FormData();
-  for (const key in productData) {
-    formData.append(key, productData[key]);
-  }
+  const formData = toProductForm(productData);
   return axiosInstance.patch(`/products/${id}`, formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
   });
 };
 
 export const deleteProduct = (id) => axiosInstance.delete(`/products/${id}`);
+
+// Deleting moves a product to the trash; admins can restore or purge it
+export const getTrash = (params = {}) => axiosInstance.get('/products/trash', { params });
+export const restoreProduct = (id) => axiosInstance.post(`/products/trash/${id}/restore`);
+export const purgeProduct = (id) => axiosInstance.delete(`/products/trash/${id}`);
+
+// Recorded changes to a product (admin); reverting goes back to the version after an entry
+export const getProductHistory = (id, params = {}) => axiosInstance.get(`/products/${id}/history`, { params });
+export const revertProductVersion = (id, entryId) => axiosInstance.post(`/products/${id}/history/${entryId}/revert`);
+
+// ==================
+// Catalog import/export APIs
+// ==================
+// `file` is a .csv or .json catalog; `images` an optional .zip the rows refer to by file name
+export const importCatalog = (file, { images, dryRun = false, skipInvalid = false } = {}) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  if (images) formData.append('images', images);
+  return axiosInstance.post('/products/import', formData, {
+    params: { dryRun, skipInvalid },
+    headers: { 'Content-Type': 'multipart/form-data' },
+  });
+};
+export const exportCatalog = (format = 'csv') =>
+  axiosInstance.get('/products/export', { params: { format }, responseType: 'blob' });
+
+// ==================
+// Category and collection APIs
+// ==================
+// Storefront URLs use slugs; old slugs of renamed items redirect (301) to the current one
+export const getProductBySlug = (slug, params = {}) => axiosInstance.get(`/products/slug/${slug}`, { params });
+export const getCategoryTree = () => axiosInstance.get('/categories');
+export const getCategoryBySlug = (slug) => axiosInstance.get(`/categories/slug/${slug}`);
+export const createCategory = (category) => axiosInstance.post('/categories', category);
+export const updateCategory = (id, changes) => axiosInstance.patch(`/categories/${id}`, changes);
+export const deleteCategory = (id) => axiosInstance.delete(`/categories/${id}`);
+export const reorderCategories = (parent, order) => axiosInstance.put('/categories/order', { parent, order });
+export const getCollections = () => axiosInstance.get('/collections');
+export const getCollectionBySlug = (slug, params = {}) => axiosInstance.get(`/collections/slug/${slug}`, { params });
+export const getCollection = (id) => axiosInstance.get(`/collections/${id}`);
+export const createCollection = (collection) => axiosInstance.post('/collections', collection);
+export const updateCollection = (id, changes) => axiosInstance.patch(`/collections/${id}`, changes);
+export const deleteCollection = (id) => axiosInstance.delete(`/collections/${id}`);
+export const setCollectionProducts = (id, products) => axiosInstance.put(`/collections/${id}/products`, { products });
+export const addCollectionProduct = (id, productId, position) =>
+  axiosInstance.post(`/collections/${id}/products`, { productId, position });
+export const removeCollectionProduct = (id, productId) => axiosInstance.delete(`/collections/${id}/products/${productId}`);
+export const reorderCollections = (order) => axiosInstance.put('/collections/order', { order });
+
+// ==================
+// Product image gallery APIs
+// ==================
+export const getProductImages = (productId) => axiosInstance.get(`/products/${productId}/images`);
+export const addProductImages = (productId, files, { alt = [], isPrimary = false } = {}) => {
+  const formData = new FormData();
+  files.forEach(file => formData.append('images', file));
+  formData.append('alt', JSON.stringify(alt));
+  formData.append('isPrimary', isPrimary);
+  return axiosInstance.post(`/products/${productId}/images`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  });
+};
+export const updateProductImage = (productId, imageId, changes) =>
+  axiosInstance.patch(`/products/${productId}/images/${imageId}`, changes);
+export const removeProductImage = (productId, imageId) =>
+  axiosInstance.delete(`/products/${productId}/images/${imageId}`);
+export const reorderProductImages = (productId, order) =>
+  axiosInstance.put(`/products/${productId}/images/order`, { order });
+
+// ==================
+// Variant APIs
+// ==================
+export const addVariant = (productId, variant) => axiosInstance.post(`/products/${productId}/variants`, variant);
+export const updateVariant = (productId, variantId, changes) =>
+  axiosInstance.patch(`/products/${productId}/variants/${variantId}`, changes);
+export const removeVariant = (productId, variantId) =>
+  axiosInstance.delete(`/products/${productId}/variants/${variantId}`);
+
+// ==================
+// Review APIs
+// ==================
+// Product detail also returns the first page of reviews (reviewPage, reviewLimit, reviewSort)
+export const getProductReviews = (productId, params = {}) => axiosInstance.get(`/products/${productId}/reviews`, { params });
+export const createReview = (productId, review) => axiosInstance.post(`/products/${productId}/reviews`, review);
+export const getMyReview = (productId) => axiosInstance.get(`/products/${productId}/reviews/mine`);
+export const updateMyReview = (productId, changes) => axiosInstance.patch(`/products/${productId}/reviews/mine`, changes);
+export const deleteMyReview = (productId) => axiosInstance.delete(`/products/${productId}/reviews/mine`);
+export const getReviewQueue = (params = {}) => axiosInstance.get('/reviews', { params });
+export const moderateReview = (id, status, note) => axiosInstance.patch(`/reviews/${id}/status`, { status, note });
+export const deleteReview = (id) => axiosInstance.delete(`/reviews/${id}`);
+
+// ==================
+// Inventory APIs
+// ==================
+export const getLowStock = (threshold) => axiosInstance.get('/inventory/low-stock', { params: { threshold } });
+export const getStockMovements = (params = {}) => axiosInstance.get('/inventory/movements', { params });
+export const adjustStock = (adjustment) => axiosInstance.post('/inventory/adjustments', adjustment);
+
+// ==================
+// Cart APIs
+// ==================
+// Guests keep the `cartToken` from cart responses and send it back on every call
+const cartHeaders = (cartToken) => (cartToken ? { 'X-Cart-Token': cartToken } : {});
+
+export const getCart = (cartToken) => axiosInstance.get('/cart', { headers: cartHeaders(cartToken) });
+export const addCartItem = (item, cartToken) => axiosInstance.post('/cart/items', item, { headers: cartHeaders(cartToken) });
+export const updateCartItem = (itemId, quantity, cartToken) =>
+  axiosInstance.patch(`/cart/items/${itemId}`, { quantity }, { headers: cartHeaders(cartToken) });
+export const removeCartItem = (itemId, cartToken) =>
+  axiosInstance.delete(`/cart/items/${itemId}`, { headers: cartHeaders(cartToken) });
+export const mergeCart = (cartToken) => axiosInstance.post('/cart/merge', { cartToken });
+export const applyCoupon = (code, cartToken) => axiosInstance.post('/cart/coupon', { code }, { headers: cartHeaders(cartToken) });
+export const removeCoupon = (cartToken) => axiosInstance.delete('/cart/coupon', { headers: cartHeaders(cartToken) });
+
+// ==================
+// Order APIs
+// ==================
+export const placeOrder = (checkout, cartToken) => axiosInstance.post('/orders', checkout, { headers: cartHeaders(cartToken) });
+export const getOrders = (params = {}) => axiosInstance.get('/orders', { params });
+export const getOrder = (id) => axiosInstance.get(`/orders/${id}`);
+export const updateOrderStatus = (id, status, note) => axiosInstance.patch(`/orders/${id}/status`, { status, note });
+
+// ==================
+// Currency APIs
+// ==================
+// Prices on product, cart and order calls come back in this currency (base currency when unset)
+export const setCurrency = (code) => {
+  if (code) {
+    axiosInstance.defaults.headers.common['X-Currency'] = code;
+  } else {
+    delete axiosInstance.defaults.headers.common['X-Currency'];
+  }
+};
+export const getCurrencies = () => axiosInstance.get('/currencies');
+export const setExchangeRate = (code, rate) => axiosInstance.put(`/currencies/${code}`, { rate });
+export const deleteExchangeRate = (code) => axiosInstance.delete(`/currencies/${code}`);
+
+// ==================
+// Promotion APIs
+// ==================
+export const getActivePromotions = () => axiosInstance.get('/promotions/active');
+export const getPromotions = (params = {}) => axiosInstance.get('/promotions', { params });
+export const getPromotion = (id) => axiosInstance.get(`/promotions/${id}`);
+export const createPromotion = (promotion) => axiosInstance.post('/promotions', promotion);
+export const updatePromotion = (id, changes) => axiosInstance.patch(`/promotions/${id}`, changes);
+export const deletePromotion = (id) => axiosInstance.delete(`/promotions/${id}`);
+export const getCouponRedemptions = (id, params = {}) => axiosInstance.get(`/promotions/${id}/redemptions`, { params });
+
+// ==================
+// User APIs
+// ==================
+export const getUsers = (params = {}) => axiosInstance.get('/users', { params });
+export const updateUserRole = (id, role) => axiosInstance.patch(`/users/${id}/role`, { role });
+export const unlockUser = (id) => axiosInstance.post(`/users/${id}/unlock`);
+
+// ==================
+// Audit log APIs
+// ==================
+// params: action (comma list), entity, entityId, actor, ip, from, to, page, limit
+export const getAuditLog = (params = {}) => axiosInstance.get('/audit', { params });
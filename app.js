@@ -1,9 +1,9 @@
 const express = require('express');
-const path = require('path');
+const { serveUploads } = require('./middleware/imageMiddleware');
 
 const app = express();
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve stored images from the configured storage driver
+app.use('/uploads', serveUploads());
 
 module.exports = app;
@@ -0,0 +1,14 @@
+const { listAuditLog } = require('../utils/audit');
+
+// =======================
+// Query the audit log, newest first
+// (?action=&entity=&entityId=&actor=&ip=&from=&to=&page=&limit=)
+// =======================
+exports.getAuditLog = async (req, res, next) => {
+  try {
+    const result = await listAuditLog(req.query);
+    return res.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+};
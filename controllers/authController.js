@@ -1,100 +1,348 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { mergeGuestCart } = require('../utils/cart');
+const tokens = require('../utils/tokens');
+const { createAuthToken, consumeAuthToken } = require('../utils/authTokens');
+const { sendMail } = require('../utils/mail');
+const { verificationEmail, passwordResetEmail } = require('../utils/mail/templates');
+const { recordAudit } = require('../utils/audit');
+const { isLocked, lockedError, recordFailedLogin, clearFailedLogins } = require('../utils/accountLockout');
+const { AuthError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
 
-// Register a new admin (only if no admin exists)
-exports.register = async (req, res) => {
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// =======================
+// Helpers
+// =======================
+const publicUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  isAdmin: user.isAdmin,
+  emailVerified: user.emailVerified
+});
+
+// Mail failures are logged but never fail the request that triggered them
+const sendVerificationEmail = async (user) => {
   try {
-    const { email, password } = req.body;
+    const token = await createAuthToken(user._id, 'email-verification');
+    await sendMail(verificationEmail(user, token));
+  } catch (error) {
+    logger.error('Verification email failed', { userId: user._id, error });
+  }
+};
 
-    // Check if an admin already exists
-    const existingAdmin = await User.findOne();
-    if (existingAdmin) {
-      return res.status(400).json({ message: 'Admin already exists. Only one admin account is allowed.' });
-    }
+// Sign-in events go to the audit log; `user` is left out when the email matched no account
+const auditAuth = (req, action, { user, email, metadata } = {}) => recordAudit(req, {
+  action,
+  entity: 'auth',
+  entityId: user ? user._id : undefined,
+  label: user ? user.email : String(email || '').trim().toLowerCase(),
+  actor: user,
+  actorEmail: user ? user.email : String(email || '').trim().toLowerCase(),
+  metadata
+});
+
+// Register a customer account. The very first account becomes the owner.
+exports.register = async (req, res, next) => {
+  try {
+    const { email, password, name } = req.body;
 
     // Validate input
     if (!email || !password) {
-      return res.status(400).json({ message: 'Please provide email and password' });
+      throw new ValidationError('Please provide email and password');
+    }
+    if (!EMAIL_PATTERN.test(String(email).trim())) {
+      throw new ValidationError('Please provide a valid email address');
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
     }
 
-    // Create new admin user
-    const user = new User({ email, password });
+    const existingUser = await User.findOne({ email: String(email).trim().toLowerCase() });
+    if (existingUser) {
+      throw new ConflictError('An account with this email already exists', undefined, 'EMAIL_IN_USE');
+    }
+
+    // Bootstrap: the first account on a fresh install runs the shop
+    const isFirstUser = (await User.estimatedDocumentCount()) === 0;
+
+    const user = new User({
+      email,
+      password,
+      name,
+      role: isFirstUser ? 'owner' : 'customer'
+    });
     await user.save();
+    await auditAuth(req, 'auth.register', { user, metadata: { role: user.role } });
+
+    await sendVerificationEmail(user);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, isAdmin: user.isAdmin },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
+    // Start a session: short-lived access token plus refresh token
+    const session = await tokens.issueSession(user, req);
 
     res.status(201).json({
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        isAdmin: user.isAdmin
-      }
+      ...session,
+      user: publicUser(user)
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ message: 'Server error' });
+    if (error.code === 11000) {
+      return next(new ConflictError('An account with this email already exists', undefined, 'EMAIL_IN_USE'));
+    }
+    return next(error);
   }
 };
 
-// Login admin
-exports.login = async (req, res) => {
+// Login any user
+exports.login = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, cartToken } = req.body;
 
     // Validate input
     if (!email || !password) {
-      return res.status(400).json({ message: 'Please provide email and password' });
+      throw new ValidationError('Please provide email and password');
     }
 
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+      await auditAuth(req, 'auth.login_failed', { email, metadata: { reason: 'unknown-email' } });
+      throw new AuthError('Invalid credentials', undefined, 'INVALID_CREDENTIALS');
     }
 
-    // Check password
+    // A locked account is refused before its password is checked
+    if (isLocked(user)) {
+      await auditAuth(req, 'auth.login_failed', { user, metadata: { reason: 'locked' } });
+      throw lockedError(user);
+    }
+
+    // Check password; repeated failures lock the account
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+      const { user: updated, locked } = await recordFailedLogin(user);
+      await auditAuth(req, 'auth.login_failed', { user, metadata: { reason: 'wrong-password' } });
+      if (locked) {
+        await auditAuth(req, 'auth.account_locked', { user, metadata: { lockedUntil: updated.lockedUntil, lockCount: updated.lockCount } });
+        throw lockedError(updated);
+      }
+      throw new AuthError('Invalid credentials', undefined, 'INVALID_CREDENTIALS');
     }
+    await clearFailedLogins(user);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, isAdmin: user.isAdmin },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
+    // Start a session: short-lived access token plus refresh token
+    const session = await tokens.issueSession(user, req);
+    await auditAuth(req, 'auth.login', { user });
 
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        isAdmin: user.isAdmin
+    // Carry over anything the user added to a cart before logging in
+    if (cartToken) {
+      try {
+        await mergeGuestCart(user._id, cartToken);
+      } catch (mergeError) {
+        logger.error('Guest cart merge failed', { userId: user._id, error: mergeError });
       }
+    }
+
+    res.json({
+      ...session,
+      user: publicUser(user)
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error' });
+    return next(error);
   }
 };
 
-// Get current user
-exports.getCurrentUser = async (req, res) => {
+// Get current user with the permissions their role grants
+exports.getCurrentUser = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      throw new NotFoundError('User not found');
+    }
+    res.json({
+      ...user.toObject(),
+      permissions: user.getPermissions()
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Exchange a refresh token for a new access/refresh pair
+exports.refresh = async (req, res, next) => {
+  try {
+    const session = await tokens.rotateRefreshToken(req.body.refreshToken, (id) => User.findById(id));
+    res.json(session);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// End the current session
+exports.logout = async (req, res, next) => {
+  try {
+    await tokens.revokeSession(req.user.sid, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// End every session for the current user
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const count = await tokens.revokeAllSessions(req.user.id, 'logout-all');
+    res.json({ message: 'Logged out of all sessions', sessions: count });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// List the current user's active sessions
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: String(session._id) === String(req.user.sid)
+    })));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Revoke one of the current user's sessions (e.g. a lost laptop)
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const session = mongoose.Types.ObjectId.isValid(id)
+      ? await Session.findOne({ _id: id, user: req.user.id })
+      : null;
+    if (!session) {
+      throw new NotFoundError('Session not found');
+    }
+
+    await tokens.revokeSession(session._id, 'revoked-by-user');
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Send a password reset link. The response is the same whether or not the email exists.
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      throw new ValidationError('Please provide an email address');
+    }
+
+    const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+    if (user) {
+      const token = await createAuthToken(user._id, 'password-reset');
+      try {
+        await sendMail(passwordResetEmail(user, token));
+      } catch (mailError) {
+        logger.error('Password reset email failed', { userId: user._id, error: mailError });
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Set a new password with a reset token, then sign out everywhere
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      throw new ValidationError('Please provide the reset token and a new password');
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const authToken = await consumeAuthToken(token, 'password-reset');
+    if (!authToken) {
+      throw new ValidationError('Reset link is invalid or has expired');
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      throw new ValidationError('Reset link is invalid or has expired');
     }
-    res.json(user);
+
+    user.password = password;
+    // Receiving the reset email proves the address works
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    // Resetting proves the owner holds the email, so any lockout is lifted
+    await clearFailedLogins(user);
+    await tokens.revokeAllSessions(user._id, 'password-reset');
+    await auditAuth(req, 'auth.password_reset', { user });
+
+    res.json({ message: 'Password has been reset. Please log in again.' });
   } catch (error) {
-    console.error('Get current user error:', error);
-    res.status(500).json({ message: 'Server error' });
+    return next(error);
   }
-};
\ No newline at end of file
+};
+
+// Confirm an email address with the token from the verification email
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'email-verification');
+    if (!authToken) {
+      throw new ValidationError('Verification link is invalid or has expired');
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      throw new ValidationError('Verification link is invalid or has expired');
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email address verified', user: publicUser(user) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Send a fresh verification email to the current user
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (user.emailVerified) {
+      throw new ValidationError('Email address is already verified');
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,80 @@
+const backups = require('../utils/backups');
+const { recordAudit } = require('../utils/audit');
+const { ValidationError } = require('../utils/errors');
+
+// =======================
+// List snapshots, newest first
+// =======================
+exports.getSnapshots = async (req, res, next) => {
+  try {
+    const snapshots = await backups.listSnapshots();
+    return res.status(200).json({ retention: backups.RETENTION, snapshots });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Take a snapshot now, verify it, then apply retention
+// =======================
+exports.createSnapshot = async (req, res, next) => {
+  try {
+    const manifest = await backups.createSnapshot({ reason: `manual by ${req.user.id}` });
+    const verification = await backups.verifySnapshot(manifest.id);
+    const pruned = await backups.pruneSnapshots();
+    await recordAudit(req, {
+      action: 'backup.create',
+      entity: 'backup',
+      label: manifest.id,
+      changes: [],
+      metadata: { totals: manifest.totals, verified: verification.ok, pruned: pruned.removed }
+    });
+    return res.status(201).json({
+      id: manifest.id,
+      createdAt: manifest.createdAt,
+      totals: manifest.totals,
+      verification,
+      pruned: pruned.removed
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Check a snapshot's files against its manifest checksums
+// =======================
+exports.verifySnapshot = async (req, res, next) => {
+  try {
+    const verification = await backups.verifySnapshot(req.params.id);
+    return res.status(200).json(verification);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Restore a snapshot. The body must repeat the id: { confirm: "<id>" }
+// =======================
+exports.restoreSnapshot = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { confirm, force } = req.body || {};
+    if (confirm !== id) {
+      throw new ValidationError('Restoring replaces all images, products and users; send { "confirm": "<snapshot id>" }');
+    }
+
+    const result = await backups.restoreSnapshot(id, { force: force === true });
+    // Written after the restore, which replaces the audit log with the snapshot's
+    await recordAudit(req, {
+      action: 'backup.restore',
+      entity: 'backup',
+      label: id,
+      changes: [],
+      metadata: { force: force === true, images: result.images, collections: result.collections, safetySnapshot: result.safetySnapshot }
+    });
+    return res.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+};
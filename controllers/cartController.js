@@ -0,0 +1,206 @@
+const Product = require('../models/Product');
+const cartService = require('../utils/cart');
+const { normalizeCode } = require('../utils/promotions');
+const { BASE_CURRENCY, currencyInfo } = require('../utils/currency');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+// =======================
+// Utility function to identify the caller's cart
+// =======================
+const cartOwner = (req) => ({
+  userId: req.user && req.user.id,
+  token: req.header('X-Cart-Token')
+});
+
+// =======================
+// Utility function to shape a cart for API responses
+// =======================
+const formatCart = async (cart, req) => {
+  const priced = await cartService.priceCart(cart, { currency: req.currency });
+  return {
+    cartToken: cart.user ? null : cart.token,
+    currency: currencyInfo(priced.currency),
+    items: priced.lines,
+    unavailable: priced.unavailable,
+    itemCount: priced.lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: priced.subtotal,
+    discountTotal: priced.discountTotal,
+    coupon: priced.coupon,
+    couponDiscount: priced.couponDiscount,
+    total: priced.total
+  };
+};
+
+const emptyCart = (req) => ({
+  cartToken: null,
+  currency: currencyInfo(req.currency || BASE_CURRENCY),
+  items: [],
+  unavailable: [],
+  itemCount: 0,
+  subtotal: 0,
+  discountTotal: 0,
+  coupon: null,
+  couponDiscount: 0,
+  total: 0
+});
+
+
+// =======================
+// Get current cart
+// =======================
+exports.getCart = async (req, res, next) => {
+  try {
+    const cart = await cartService.findCart(cartOwner(req));
+    if (!cart) {
+      return res.status(200).json(emptyCart(req));
+    }
+    return res.status(200).json(await formatCart(cart, req));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Add an item (quantities add up for an existing line)
+// =======================
+exports.addItem = async (req, res, next) => {
+  try {
+    const { productId, sku, quantity } = req.body;
+
+    const product = await Product.findById(productId);
+    const cleanSku = sku ? String(sku).trim().toUpperCase() : '';
+    if (!cartService.resolveLine(product, cleanSku)) {
+      throw new NotFoundError(product ? 'Select an available size for this product' : 'Product not found');
+    }
+
+    const cart = await cartService.getOrCreateCart(cartOwner(req));
+    cartService.setLineQuantity(cart, product._id, cleanSku, quantity, { increment: true });
+    await cart.save();
+
+    return res.status(200).json(await formatCart(cart, req));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Change a line's quantity (0 removes it)
+// =======================
+exports.updateItem = async (req, res, next) => {
+  try {
+    const { quantity } = req.body;
+    const cart = await cartService.findCart(cartOwner(req));
+    const line = cart && cart.items.id(req.params.itemId);
+    if (!line) {
+      throw new NotFoundError('Cart item not found');
+    }
+
+    cartService.setLineQuantity(cart, line.product, line.sku, quantity);
+    await cart.save();
+
+    return res.status(200).json(await formatCart(cart, req));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Remove a line
+// =======================
+exports.removeItem = async (req, res, next) => {
+  try {
+    const cart = await cartService.findCart(cartOwner(req));
+    const line = cart && cart.items.id(req.params.itemId);
+    if (!line) {
+      throw new NotFoundError('Cart item not found');
+    }
+
+    line.deleteOne();
+    await cart.save();
+
+    return res.status(200).json(await formatCart(cart, req));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Empty the cart
+// =======================
+exports.clearCart = async (req, res, next) => {
+  try {
+    const cart = await cartService.findCart(cartOwner(req));
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+      return res.status(200).json(await formatCart(cart, req));
+    }
+    return res.status(200).json(emptyCart(req));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Apply a coupon code; it is rejected unless it discounts the cart right now
+// =======================
+exports.applyCoupon = async (req, res, next) => {
+  try {
+    const code = normalizeCode(req.body.code);
+
+    const cart = await cartService.findCart(cartOwner(req));
+    if (!cart || cart.items.length === 0) {
+      throw new ValidationError('Add items to the cart before applying a coupon');
+    }
+
+    cart.couponCode = code;
+    const priced = await cartService.priceCart(cart, { currency: req.currency });
+    if (!priced.coupon || !priced.coupon.valid) {
+      throw new ValidationError(priced.coupon ? priced.coupon.reason : 'Coupon not found', { coupon: priced.coupon }, 'COUPON_INVALID');
+    }
+
+    await cart.save();
+    return res.status(200).json(await formatCart(cart, req));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Remove the coupon from the cart
+// =======================
+exports.removeCoupon = async (req, res, next) => {
+  try {
+    const cart = await cartService.findCart(cartOwner(req));
+    if (!cart) {
+      return res.status(200).json(emptyCart(req));
+    }
+
+    cart.couponCode = undefined;
+    await cart.save();
+    return res.status(200).json(await formatCart(cart, req));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Merge a guest cart into the logged-in user's cart
+// =======================
+exports.mergeCart = async (req, res, next) => {
+  try {
+    const token = req.body.cartToken || req.header('X-Cart-Token');
+    if (!token) {
+      throw new ValidationError('cartToken is required');
+    }
+
+    const cart = await cartService.mergeGuestCart(req.user.id, token);
+    if (!cart) {
+      throw new NotFoundError('Guest cart not found');
+    }
+
+    return res.status(200).json(await formatCart(cart, req));
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,67 @@
+const Product = require('../models/Product');
+const { detectFormat, writeCatalog } = require('../utils/catalog');
+const { importCatalog } = require('../utils/catalogImport');
+const { publicImageUrl } = require('../utils/imageProcessing');
+const { ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+// =======================
+// Import products from CSV/JSON (multipart `file`, optional `images` zip).
+// ?dryRun=true returns the per-row report without writing anything.
+// =======================
+exports.importCatalog = async (req, res, next) => {
+  try {
+    const file = req.files && req.files.file && req.files.file[0];
+    const zip = req.files && req.files.images && req.files.images[0];
+    if (!file) {
+      throw new ValidationError('Send the catalog as a CSV or JSON file in the `file` field');
+    }
+
+    const options = { ...req.query, ...req.body };
+    const report = await importCatalog({
+      file: file.buffer,
+      format: detectFormat({ format: options.format, filename: file.originalname, mimetype: file.mimetype }),
+      zip: zip ? zip.buffer : null,
+      dryRun: options.dryRun === true,
+      skipInvalid: options.skipInvalid === true,
+      user: req.user.id,
+      req
+    });
+
+    return res.status(report.dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Stream the whole catalog as CSV or JSON (?format=csv|json, default json)
+// =======================
+exports.exportCatalog = async (req, res, next) => {
+  try {
+    const format = detectFormat({ format: req.query.format || 'json' });
+    const toFullUrl = (url) => {
+      const publicUrl = publicImageUrl(url);
+      return publicUrl && publicUrl.startsWith('/') ? `${req.protocol}://${req.get('host')}${publicUrl}` : publicUrl;
+    };
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="catalog-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+    const cursor = Product.find({}).sort({ title: 1, _id: 1 }).cursor();
+    await writeCatalog(cursor, res, { format, toFullUrl });
+    return res.end();
+  } catch (error) {
+    // Once streaming has started the status can't change; cut the response short
+    if (res.headersSent) {
+      logger.error('Catalog export failed mid-stream', { error });
+      return res.destroy(error);
+    }
+    return next(error);
+  }
+};
@@ -0,0 +1,92 @@
+const Category = require('../models/Category');
+const categories = require('../utils/categories');
+const { recordAudit, loadBefore } = require('../utils/audit');
+const { sendSlugRedirect } = require('../utils/slugs');
+
+// =======================
+// The category tree for menus, siblings in manual order
+// =======================
+exports.getCategoryTree = async (req, res, next) => {
+  try {
+    const tree = await categories.getCategoryTree();
+    return res.status(200).json(tree);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// A category page: the category, its breadcrumb and subcategories.
+// Its products come from GET /api/products?category=<slug>.
+// =======================
+exports.getCategoryBySlug = async (req, res, next) => {
+  try {
+    const result = await categories.getCategoryBySlug(req.params.slug);
+    if (result.redirectTo) {
+      return sendSlugRedirect(req, res, result.redirectTo);
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Create, update and delete
+// =======================
+exports.createCategory = async (req, res, next) => {
+  try {
+    const category = await categories.createCategory(req.body);
+    await recordAudit(req, { action: 'category.create', entity: 'category', entityId: category._id, label: category.name, after: category });
+    return res.status(201).json(category);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.updateCategory = async (req, res, next) => {
+  try {
+    const before = await loadBefore(Category, req.params.id);
+    const category = await categories.updateCategory(req.params.id, req.body);
+    await recordAudit(req, { action: 'category.update', entity: 'category', entityId: category._id, label: category.name, before, after: category });
+    return res.status(200).json(category);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    const { category, productsUpdated } = await categories.deleteCategory(req.params.id);
+    await recordAudit(req, {
+      action: 'category.delete',
+      entity: 'category',
+      entityId: category._id,
+      label: category.name,
+      before: category,
+      metadata: { productsUpdated }
+    });
+    return res.status(200).json({ message: 'Category deleted', productsUpdated });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Reorder the children of one parent ({ parent, order })
+// =======================
+exports.reorderCategories = async (req, res, next) => {
+  try {
+    const siblings = await categories.reorderCategories(req.body);
+    await recordAudit(req, {
+      action: 'category.reorder',
+      entity: 'category',
+      entityId: req.body.parent || undefined,
+      changes: [],
+      metadata: { order: req.body.order }
+    });
+    return res.status(200).json(siblings);
+  } catch (error) {
+    return next(error);
+  }
+};
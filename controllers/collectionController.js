@@ -0,0 +1,147 @@
+const Collection = require('../models/Collection');
+const collections = require('../utils/collections');
+const { recordAudit, loadBefore } = require('../utils/audit');
+const { sendSlugRedirect } = require('../utils/slugs');
+const { formatProduct } = require('../utils/productFormat');
+const { hasPermission } = require('../utils/permissions');
+const { BASE_CURRENCY, currencyInfo } = require('../utils/currency');
+
+const auditCollection = (req, action, { before, after }) => {
+  const collection = after || before;
+  return recordAudit(req, { action, entity: 'collection', entityId: collection._id, label: collection.name, before, after });
+};
+
+// Editors also see unpublished collections
+const canSeeDrafts = (req) => Boolean(req.user) && hasPermission(req.user, 'products:write');
+
+// =======================
+// Collections in manual order
+// =======================
+exports.getCollections = async (req, res, next) => {
+  try {
+    const result = await collections.listCollections({ includeUnpublished: canSeeDrafts(req) });
+    return res.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// A collection page: the collection and a page of its products in manual order
+// =======================
+exports.getCollectionBySlug = async (req, res, next) => {
+  try {
+    const result = await collections.getCollectionBySlug(req.params.slug, {
+      includeUnpublished: canSeeDrafts(req),
+      query: req.query
+    });
+    if (result.redirectTo) {
+      return sendSlugRedirect(req, res, result.redirectTo);
+    }
+
+    const products = await Promise.all(result.products.map(product => formatProduct(product, req)));
+    return res.status(200).json({
+      ...result,
+      products,
+      currency: currencyInfo(req.currency || BASE_CURRENCY)
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// A collection with its product ids, for the editor
+// =======================
+exports.getCollection = async (req, res, next) => {
+  try {
+    const collection = await collections.findCollection(req.params.id);
+    return res.status(200).json(collection);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Create, update and delete
+// =======================
+exports.createCollection = async (req, res, next) => {
+  try {
+    const collection = await collections.createCollection(req.body);
+    await auditCollection(req, 'collection.create', { after: collection });
+    return res.status(201).json(collection);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.updateCollection = async (req, res, next) => {
+  try {
+    const before = await loadBefore(Collection, req.params.id);
+    const collection = await collections.updateCollection(req.params.id, req.body);
+    await auditCollection(req, 'collection.update', { before, after: collection });
+    return res.status(200).json(collection);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.deleteCollection = async (req, res, next) => {
+  try {
+    const collection = await collections.deleteCollection(req.params.id);
+    await auditCollection(req, 'collection.delete', { before: collection });
+    return res.status(200).json({ message: 'Collection deleted' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Products of a collection: replace the ordered list, insert one, remove one
+// =======================
+exports.setProducts = async (req, res, next) => {
+  try {
+    const before = await loadBefore(Collection, req.params.id);
+    const collection = await collections.setCollectionProducts(req.params.id, req.body.products);
+    await auditCollection(req, 'collection.update', { before, after: collection });
+    return res.status(200).json(collection);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.addProduct = async (req, res, next) => {
+  try {
+    const { productId, position } = req.body;
+    const before = await loadBefore(Collection, req.params.id);
+    const collection = await collections.addCollectionProduct(req.params.id, { productId, position });
+    await auditCollection(req, 'collection.update', { before, after: collection });
+    return res.status(200).json(collection);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.removeProduct = async (req, res, next) => {
+  try {
+    const before = await loadBefore(Collection, req.params.id);
+    const collection = await collections.removeCollectionProduct(req.params.id, req.params.productId);
+    await auditCollection(req, 'collection.update', { before, after: collection });
+    return res.status(200).json(collection);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Reorder collections ({ order })
+// =======================
+exports.reorderCollections = async (req, res, next) => {
+  try {
+    const result = await collections.reorderCollections(req.body.order);
+    await recordAudit(req, { action: 'collection.reorder', entity: 'collection', changes: [], metadata: { order: req.body.order } });
+    return res.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,98 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const Product = require('../models/Product');
+const {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  isCurrencyCode,
+  currencyInfo,
+  invalidateRates,
+  repriceProducts
+} = require('../utils/currency');
+const { recordAudit } = require('../utils/audit');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// =======================
+// Base currency and every currency prices can be shown in (public)
+// =======================
+exports.getCurrencies = async (req, res, next) => {
+  try {
+    const rates = await ExchangeRate.find({}).sort({ currency: 1 });
+    return res.status(200).json({
+      base: currencyInfo(BASE_CURRENCY),
+      currencies: [
+        { ...currencyInfo(BASE_CURRENCY), rate: 1, updatedAt: null },
+        ...rates
+          .filter(row => row.currency !== BASE_CURRENCY)
+          .map(row => ({ ...currencyInfo(row.currency), rate: row.rate, updatedAt: row.updatedAt }))
+      ]
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Set the rate for a currency: units of it per one unit of the base currency
+// =======================
+exports.setRate = async (req, res, next) => {
+  try {
+    const currency = normalizeCurrency(req.params.code);
+    const rate = Number(req.body.rate);
+
+    if (!isCurrencyCode(currency)) {
+      throw new ValidationError(`Unknown currency: ${req.params.code}`);
+    }
+    if (currency === BASE_CURRENCY) {
+      throw new ValidationError(`${BASE_CURRENCY} is the base currency; its rate is always 1`);
+    }
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw new ValidationError('rate must be a number greater than 0');
+    }
+
+    const previous = await ExchangeRate.findOne({ currency }).lean();
+    const row = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { $set: { rate, updatedBy: req.user.id, updatedAt: new Date() } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    invalidateRates();
+    await repriceProducts(Product, { currency });
+    await recordAudit(req, {
+      action: previous ? 'currency.update' : 'currency.create',
+      entity: 'currency',
+      entityId: row._id,
+      label: currency,
+      before: previous ? { rate: previous.rate } : null,
+      after: { rate: row.rate }
+    });
+
+    return res.status(200).json({ ...currencyInfo(currency), rate: row.rate, updatedAt: row.updatedAt });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Stop selling in a currency; products priced in it must move first
+// =======================
+exports.deleteRate = async (req, res, next) => {
+  try {
+    const currency = normalizeCurrency(req.params.code);
+
+    // Trashed products count; they could be restored
+    if (await Product.exists({ currency }).setOptions({ withDeleted: true })) {
+      throw new ConflictError(`Some products are priced in ${currency}; change their currency first`);
+    }
+
+    const row = await ExchangeRate.findOneAndDelete({ currency });
+    if (!row) {
+      throw new NotFoundError('Exchange rate not found');
+    }
+    invalidateRates();
+    await recordAudit(req, { action: 'currency.delete', entity: 'currency', entityId: row._id, label: currency, before: { rate: row.rate } });
+
+    return res.status(200).json({ message: `${currency} removed` });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const QuarantinedImage = require('../models/QuarantinedImage');
+const { QUARANTINE_STATUSES } = require('../models/QuarantinedImage');
+const { getStorage } = require('../utils/storage');
+const { recordAudit } = require('../utils/audit');
+const {
+  runOrphanCleanup,
+  purgeQuarantined,
+  purgeExpiredQuarantine,
+  restoreQuarantined,
+  isQuarantineKey
+} = require('../utils/imageCleanup');
+const path = require('path');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const findRecord = (id) => (mongoose.Types.ObjectId.isValid(id) ? QuarantinedImage.findById(id) : null);
+
+const auditRecord = (req, action, record, from) => recordAudit(req, {
+  action,
+  entity: 'image',
+  entityId: record._id,
+  label: record.key,
+  changes: [{ field: 'status', from, to: record.status }]
+});
+
+// =======================
+// Report orphaned images; with dryRun=false, move them to quarantine
+// =======================
+exports.runCleanup = async (req, res, next) => {
+  try {
+    const { dryRun, force, graceHours } = req.body || {};
+    const report = await runOrphanCleanup({
+      // Only an explicit `false` moves files
+      dryRun: dryRun !== false && dryRun !== 'false',
+      force: force === true || force === 'true',
+      graceHours
+    });
+    if (report.quarantined > 0) {
+      await recordAudit(req, {
+        action: 'image.quarantine',
+        entity: 'image',
+        label: `${report.quarantined} orphaned images`,
+        changes: [],
+        metadata: { quarantined: report.quarantined, candidates: report.candidates.map(object => object.key), force: force === true || force === 'true' }
+      });
+    }
+    return res.status(200).json(report);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// What the storage holds; quarantined files are listed under /quarantine
+// =======================
+exports.getStorageStatus = async (req, res, next) => {
+  try {
+    const storage = getStorage();
+    const objects = (await storage.list()).filter(object => !isQuarantineKey(object.key));
+
+    return res.status(200).json({
+      driver: storage.name,
+      uploadsDir: storage.root || storage.bucket,
+      fileCount: objects.length,
+      totalSize: objects.reduce((sum, object) => sum + object.size, 0),
+      files: objects.map(object => ({ name: object.key, size: object.size, modified: object.lastModified }))
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// List quarantined images, newest first
+// =======================
+exports.getQuarantine = async (req, res, next) => {
+  try {
+    const status = req.query.status || 'quarantined';
+    if (!QUARANTINE_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of: ${QUARANTINE_STATUSES.join(', ')}`);
+    }
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const records = await QuarantinedImage.find({ status }).sort({ quarantinedAt: -1 }).limit(limit);
+    return res.status(200).json(records);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Stream a quarantined file so it can be reviewed before restoring
+// =======================
+exports.getQuarantinedFile = async (req, res, next) => {
+  try {
+    const record = await findRecord(req.params.id);
+    if (!record) {
+      throw new NotFoundError('Quarantined image not found');
+    }
+
+    const data = record.status === 'quarantined' ? await getStorage().get(record.quarantineKey) : null;
+    if (!data) {
+      throw new NotFoundError('Quarantined file is not available');
+    }
+
+    res.type(path.extname(record.key));
+    return res.send(data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Move a quarantined file back to its original key
+// =======================
+exports.restoreImage = async (req, res, next) => {
+  try {
+    const record = await findRecord(req.params.id);
+    if (!record) {
+      throw new NotFoundError('Quarantined image not found');
+    }
+
+    const restored = await restoreQuarantined(record, { user: req.user.id });
+    await auditRecord(req, 'image.restore', restored, 'quarantined');
+    return res.status(200).json(restored);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Purge one quarantined file now
+// =======================
+exports.purgeImage = async (req, res, next) => {
+  try {
+    const record = await findRecord(req.params.id);
+    if (!record) {
+      throw new NotFoundError('Quarantined image not found');
+    }
+    if (record.status !== 'quarantined') {
+      throw new ConflictError(`Image is already ${record.status}`);
+    }
+
+    const purged = await purgeQuarantined(record);
+    await auditRecord(req, 'image.purge', purged, 'quarantined');
+    return res.status(200).json(purged);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Purge every quarantined file past its retention
+// =======================
+exports.purgeExpired = async (req, res, next) => {
+  try {
+    const purged = await purgeExpiredQuarantine();
+    if (purged > 0) {
+      await recordAudit(req, { action: 'image.purge', entity: 'image', label: `${purged} expired images`, changes: [], metadata: { purged } });
+    }
+    return res.status(200).json({ purged });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,128 @@
+const StockMovement = require('../models/StockMovement');
+const StockReservation = require('../models/StockReservation');
+const inventory = require('../utils/inventory');
+const { recordAudit } = require('../utils/audit');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const auditReservation = (req, action, reservation, previousStatus) => recordAudit(req, {
+  action,
+  entity: 'stock',
+  entityId: reservation._id,
+  label: reservation.reference,
+  changes: [{ field: 'status', from: previousStatus, to: reservation.status }],
+  metadata: { items: reservation.items.map(({ sku, quantity }) => ({ sku, quantity })) }
+});
+
+// =======================
+// Record a stock adjustment (restock, sale, damage, correction, return)
+// =======================
+exports.createAdjustment = async (req, res, next) => {
+  try {
+    const { sku, type, quantity, reason, reference } = req.body;
+    const movement = await inventory.adjustStock({
+      sku,
+      type,
+      quantity,
+      reason,
+      reference,
+      user: req.user.id
+    });
+    await recordAudit(req, {
+      action: 'stock.adjust',
+      entity: 'stock',
+      entityId: movement.product,
+      label: movement.sku,
+      changes: [{ field: `${movement.sku}.onHand`, from: movement.balanceAfter - movement.quantity, to: movement.balanceAfter }],
+      metadata: { movement: movement._id, type, reason, reference }
+    });
+    return res.status(201).json(movement);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// List ledger entries, newest first
+// =======================
+exports.getMovements = async (req, res, next) => {
+  try {
+    const { sku, product, type } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const filter = {};
+    if (sku) filter.sku = String(sku).trim().toUpperCase();
+    if (product) filter.product = product;
+    if (type) filter.type = type;
+
+    const movements = await StockMovement.find(filter).sort({ createdAt: -1 }).limit(limit);
+    return res.status(200).json(movements);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Variants at or below the low-stock threshold
+// =======================
+exports.getLowStock = async (req, res, next) => {
+  try {
+    let threshold = inventory.LOW_STOCK_THRESHOLD;
+    if (req.query.threshold !== undefined) {
+      threshold = Number(req.query.threshold);
+      if (!Number.isInteger(threshold) || threshold < 0) {
+        throw new ValidationError('threshold must be a whole number of at least 0');
+      }
+    }
+
+    const items = await inventory.findLowStock(threshold);
+    return res.status(200).json({ threshold, count: items.length, items });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Hold stock during checkout
+// =======================
+exports.createReservation = async (req, res, next) => {
+  try {
+    const { items, reference, ttlMinutes } = req.body;
+    const reservation = await inventory.reserveStock({ items, reference, ttlMinutes });
+    await auditReservation(req, 'stock.reserve', reservation, null);
+    return res.status(201).json(reservation);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getReservation = async (req, res, next) => {
+  try {
+    const reservation = await StockReservation.findById(req.params.id);
+    if (!reservation) {
+      throw new NotFoundError('Reservation not found');
+    }
+    return res.status(200).json(reservation);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.commitReservation = async (req, res, next) => {
+  try {
+    const reservation = await inventory.commitReservation(req.params.id, { user: req.user.id });
+    await auditReservation(req, 'stock.commit', reservation, 'active');
+    return res.status(200).json(reservation);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.releaseReservation = async (req, res, next) => {
+  try {
+    const reservation = await inventory.releaseReservation(req.params.id);
+    await auditReservation(req, 'stock.release', reservation, 'active');
+    return res.status(200).json(reservation);
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const cartService = require('../utils/cart');
+const inventory = require('../utils/inventory');
+const { getProvider } = require('../utils/payments');
+const { redeemCoupon, releaseCoupon } = require('../utils/promotions');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { AppError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// =======================
+// Helpers
+// =======================
+const generateOrderNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `ORD-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+const canView = (req, order) => hasPermission(req.user, 'orders:manage') || (order.user && String(order.user) === String(req.user.id));
+
+// Put stock back for lines that never left the warehouse
+const restockOrder = async (order, userId) => {
+  for (const item of order.items) {
+    if (!item.sku) continue;
+    try {
+      await inventory.adjustStock({
+        sku: item.sku,
+        type: 'return',
+        quantity: item.quantity,
+        reason: `Order ${order.orderNumber} ${order.status}`,
+        reference: order.orderNumber,
+        user: userId
+      });
+    } catch (error) {
+      logger.error('Restocking order line failed', { sku: item.sku, orderNumber: order.orderNumber, error });
+    }
+  }
+};
+
+// Give back the stock and coupon a checkout held. A reservation that expired
+// meanwhile has already returned its stock, so that isn't an error.
+const releaseHolds = async (order) => {
+  if (order.reservation) {
+    try {
+      await inventory.releaseReservation(order.reservation);
+    } catch (error) {
+      if (error.status !== 409) {
+        logger.error('Releasing held stock failed', { orderNumber: order.orderNumber, error });
+      }
+    }
+  }
+  try {
+    await releaseCoupon(order);
+  } catch (error) {
+    logger.error('Releasing coupon failed', { orderNumber: order.orderNumber, error });
+  }
+};
+
+// Undo a checkout that failed after the charge: refund, return the stock and
+// coupon, and keep the order as cancelled. Each step is best effort; anything
+// that fails is logged for a person to settle. Returns whether it was refunded.
+const abandonCheckout = async (order, provider, { committed, userId, reason }) => {
+  let refunded = false;
+  try {
+    const refund = await provider.refund({ reference: order.payment.reference, amount: order.total, currency: order.currency });
+    order.payment.status = refund.status;
+    order.payment.refundReference = refund.reference;
+    refunded = true;
+  } catch (error) {
+    logger.error('Refunding a failed checkout failed; refund it by hand', {
+      orderNumber: order.orderNumber,
+      paymentReference: order.payment.reference,
+      error
+    });
+  }
+
+  order.transitionTo('cancelled', `Checkout failed after payment: ${reason}`);
+  if (committed) {
+    await restockOrder(order, userId);
+  }
+  await releaseHolds(order);
+
+  try {
+    await order.save();
+  } catch (error) {
+    logger.error('Saving a failed checkout failed', { orderNumber: order.orderNumber, refunded, error });
+  }
+  return refunded;
+};
+
+// =======================
+// Place an order from the current cart
+// =======================
+exports.createOrder = async (req, res, next) => {
+  try {
+    const userId = req.user && req.user.id;
+    const cart = await cartService.findCart({ userId, token: req.header('X-Cart-Token') });
+    if (!cart || cart.items.length === 0) {
+      throw new ValidationError('Cart is empty');
+    }
+
+    let email = req.body.email;
+    if (userId) {
+      const user = await User.findById(userId);
+      email = user ? user.email : email;
+    }
+    if (!email) {
+      throw new ValidationError('Email is required for guest checkout');
+    }
+
+    if (req.body.paymentProvider !== undefined) {
+      throw new ValidationError('The payment provider cannot be chosen at checkout', undefined, 'PAYMENT_PROVIDER_NOT_ALLOWED');
+    }
+    let provider;
+    try {
+      provider = getProvider();
+    } catch (providerError) {
+      throw new AppError('Payments are not available right now', { status: 503, code: 'PAYMENT_UNAVAILABLE', cause: providerError });
+    }
+
+    const priced = await cartService.priceCart(cart, { user: userId, email, currency: req.currency });
+    if (priced.unavailable.length > 0) {
+      throw new ConflictError('Some items are no longer available', { items: priced.unavailable }, 'ITEMS_UNAVAILABLE');
+    }
+    // Don't silently drop a coupon the customer expects; let them remove it
+    if (priced.coupon && !priced.coupon.valid) {
+      throw new ConflictError(priced.coupon.reason, { coupon: priced.coupon }, 'COUPON_INVALID');
+    }
+
+    const orderNumber = generateOrderNumber();
+    const order = new Order({
+      orderNumber,
+      user: userId,
+      email,
+      currency: priced.currency,
+      items: priced.lines.map(line => ({
+        product: line.product,
+        sku: line.sku,
+        title: line.title,
+        brand: line.brand,
+        volumeMl: line.volumeMl,
+        imageUrl: line.imageUrl,
+        unitPrice: line.unitPrice,
+        discount: line.discount,
+        finalUnitPrice: line.finalUnitPrice,
+        quantity: line.quantity,
+        lineTotal: line.lineTotal,
+        promotion: line.promotion ? line.promotion._id : undefined,
+        promotionName: line.promotion ? line.promotion.name : undefined
+      })),
+      subtotal: priced.subtotal,
+      discountTotal: priced.discountTotal,
+      couponDiscount: priced.couponDiscount,
+      total: priced.total,
+      coupon: priced.coupon ? { promotion: priced.coupon.promotion, code: priced.coupon.code, name: priced.coupon.name } : undefined,
+      shippingAddress: req.body.shippingAddress,
+      statusHistory: [{ status: 'pending', note: 'Order placed' }]
+    });
+
+    try {
+      await order.validate();
+    } catch (validationError) {
+      const errors = Object.values(validationError.errors || {}).map(err => err.message);
+      throw new ValidationError('Invalid order', { errors });
+    }
+
+    // Count the coupon use before anything is held or charged
+    if (priced.coupon) {
+      await redeemCoupon({
+        promotion: priced.coupon.promotion,
+        code: priced.coupon.code,
+        order,
+        user: userId,
+        email,
+        discount: priced.couponDiscount
+      });
+    }
+
+    // Hold stock for variant lines while the payment runs
+    const stockItems = order.items.filter(item => item.sku).map(item => ({ sku: item.sku, quantity: item.quantity }));
+    if (stockItems.length > 0) {
+      try {
+        const reservation = await inventory.reserveStock({ items: stockItems, reference: orderNumber });
+        order.reservation = reservation._id;
+      } catch (stockError) {
+        await releaseHolds(order);
+        throw stockError;
+      }
+    }
+
+    let payment;
+    try {
+      payment = await provider.charge({
+        amount: order.total,
+        currency: order.currency,
+        orderNumber,
+        details: req.body.payment || {}
+      });
+    } catch (paymentError) {
+      await releaseHolds(order);
+      throw paymentError;
+    }
+    order.payment = { provider: provider.name, reference: payment.reference, status: payment.status };
+
+    if (payment.status === 'failed') {
+      order.transitionTo('cancelled', payment.message || 'Payment failed');
+      await releaseHolds(order);
+      await order.save();
+      throw new AppError(payment.message || 'Payment failed', { status: 402, code: 'PAYMENT_FAILED', details: { order } });
+    }
+
+    // The customer may have paid from here on, so a hold that lapsed during the
+    // charge, a variant removed meanwhile or a failed save ends in a refund
+    let committed = false;
+    try {
+      if (payment.status === 'succeeded') {
+        if (order.reservation) {
+          await inventory.commitReservation(order.reservation, { user: userId });
+          committed = true;
+        }
+        order.transitionTo('paid', 'Payment received');
+      }
+      await order.save();
+    } catch (fulfilmentError) {
+      const refunded = await abandonCheckout(order, provider, { committed, userId, reason: fulfilmentError.message });
+      const stockProblem = fulfilmentError.status === 404 || fulfilmentError.status === 409;
+      throw new AppError(`Your order could not be completed; the payment ${refunded ? 'has been' : 'will be'} refunded`, {
+        status: stockProblem ? 409 : 500,
+        code: 'ORDER_NOT_COMPLETED',
+        details: stockProblem ? { order } : undefined,
+        cause: fulfilmentError,
+        expose: true
+      });
+    }
+
+    cart.items = [];
+    await cart.save();
+
+    return res.status(201).json(order);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// List orders (own orders; admins see all)
+// =======================
+exports.getOrders = async (req, res, next) => {
+  try {
+    const filter = hasPermission(req.user, 'orders:manage') ? {} : { user: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Order.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({ orders, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Get single order
+// =======================
+exports.getOrderById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new NotFoundError('Order not found');
+    }
+
+    const order = await Order.findById(id);
+    if (!order || !canView(req, order)) {
+      throw new NotFoundError('Order not found');
+    }
+
+    return res.status(200).json(order);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Change order status (admin only)
+// =======================
+exports.updateOrderStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    if (!Order.ORDER_STATUSES.includes(status)) {
+      throw new ValidationError(`Status must be one of: ${Order.ORDER_STATUSES.join(', ')}`);
+    }
+
+    const order = mongoose.Types.ObjectId.isValid(id) ? await Order.findById(id) : null;
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    const before = order.toObject();
+    const previousStatus = order.status;
+    if (!order.transitionTo(status, note)) {
+      throw new ConflictError(`Cannot change order from ${previousStatus} to ${status}`,
+        { allowed: Order.STATUS_TRANSITIONS[previousStatus] }, 'INVALID_TRANSITION');
+    }
+
+    // Money back for cancelled or refunded paid orders
+    let refunded = false;
+    if ((status === 'cancelled' || status === 'refunded') && order.payment && order.payment.status === 'succeeded') {
+      const refund = await getProvider(order.payment.provider).refund({
+        reference: order.payment.reference,
+        amount: order.total,
+        currency: order.currency
+      });
+      order.payment.status = refund.status;
+      order.payment.refundReference = refund.reference;
+      refunded = true;
+    }
+
+    // Marking a pending order paid sells the stock its checkout held; once the hold
+    // has lapsed those units may be sold to someone else, so refuse
+    if (status === 'paid' && order.reservation) {
+      try {
+        await inventory.commitReservation(order.reservation, { user: req.user.id });
+      } catch (commitError) {
+        if (commitError.status !== 409) throw commitError;
+        throw new ConflictError('The stock held for this order has been released; it cannot be marked paid',
+          undefined, 'RESERVATION_EXPIRED', { cause: commitError });
+      }
+    }
+
+    if (status === 'cancelled' && previousStatus === 'pending' && order.reservation) {
+      try {
+        await inventory.releaseReservation(order.reservation);
+      } catch (releaseError) {
+        // Already expired or released
+      }
+    } else if ((status === 'cancelled' || status === 'refunded') && previousStatus === 'paid') {
+      await restockOrder(order, req.user.id);
+    }
+
+    // A cancelled order doesn't use up the customer's coupon
+    if (status === 'cancelled') {
+      await releaseCoupon(order);
+    }
+
+    await order.save();
+    await recordAudit(req, {
+      action: 'order.status',
+      entity: 'order',
+      entityId: order._id,
+      label: order.orderNumber,
+      before,
+      after: order,
+      metadata: refunded ? { refunded: order.total, currency: order.currency } : undefined
+    });
+    return res.status(200).json(order);
+  } catch (error) {
+    return next(error);
+  }
+};
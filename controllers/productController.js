@@ -1,384 +1,502 @@
 const Product = require('../models/Product');
-const fs = require('fs');
-const path = require('path');
+const Category = require('../models/Category');
+const { parseProductQuery, findProducts } = require('../utils/productQuery');
+const { fragranceUpdate } = require('../utils/fragranceAttributes');
+const { carryStock, heldSkus } = require('../utils/variants');
+const { syncBasePrice, validateProductInput } = require('../utils/productInput');
+const { recordStockChanges } = require('../utils/inventory');
+const { releaseImage } = require('../utils/imageAssets');
+const { trashProduct, trashSummary } = require('../utils/trash');
+const { recordProductAudit, productHistory, findProductEntry } = require('../utils/audit');
+const { parseReviewPaging, listProductReviews } = require('../utils/reviews');
+const { BASE_CURRENCY, requireRate, getRates, currencyInfo, priceInBase } = require('../utils/currency');
+const { validateImageFile, getFullImageUrl, formatProduct } = require('../utils/productFormat');
+const { productSlugSource, slugUpdate, findBySlug, sendSlugRedirect, isDuplicateSlugError } = require('../utils/slugs');
+const { subtreeIds, parseProductCategories } = require('../utils/categories');
+const { invalidRequest } = require('../utils/validation');
+const {
+  MAX_IMAGES,
+  processRequestImages,
+  discardProcessed,
+  parseAltTexts,
+  toImageEntry,
+  galleryOf,
+  withPrimary
+} = require('../utils/productImages');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const isDuplicateSkuError = (error) =>
+  error && error.code === 11000 && JSON.stringify(error.keyPattern || {}).includes('variants.sku');
 
 // =======================
-// Utility function to validate image file exists
+// Get all products (paginated, filterable, sortable)
 // =======================
-const validateImageFile = (imageUrl) => {
-  if (!imageUrl) return false;
-  
-  // Remove leading slash if present
-  const cleanImageUrl = imageUrl.startsWith('/') ? imageUrl.slice(1) : imageUrl;
-  const imagePath = path.join(__dirname, '..', cleanImageUrl);
-  
-  return fs.existsSync(imagePath);
+exports.getAllProducts = async (req, res, next) => {
+  try {
+    const parsed = parseProductQuery(req.query, { currency: req.currency, rates: await getRates() });
+    // ?category= takes a slug or id and includes its subcategories
+    if (req.query.category) {
+      parsed.filter.categories = { $in: await subtreeIds(req.query.category) };
+    }
+    const result = await findProducts(Product, parsed);
+    
+    const enhancedProducts = await Promise.all(result.items.map(product => formatProduct(product, req)));
+    
+    return res.status(200).json({
+      products: enhancedProducts,
+      currency: currencyInfo(req.currency || BASE_CURRENCY),
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    return next(error);
+  }
 };
 
 // =======================
-// Utility function to get full image URL
+// Utility function to answer with a product and one page of its approved
+// reviews (?reviewPage, reviewLimit, reviewSort)
 // =======================
-const getFullImageUrl = (imageUrl, req) => {
-  if (!imageUrl) return null;
-  
-  // If it's already a full URL, return as is
-  if (imageUrl.startsWith('http')) {
-    return imageUrl;
-  }
-  
-  // If it's a relative path, make it absolute
-  if (imageUrl.startsWith('/uploads/')) {
-    const protocol = req.protocol;
-    const host = req.get('host');
-    return `${protocol}://${host}${imageUrl}`;
-  }
-  
-  return imageUrl;
+const sendProduct = async (product, req, res) => {
+  const reviews = await listProductReviews(product._id, parseReviewPaging(req.query, 'review'));
+  return res.status(200).json({ ...await formatProduct(product, req), reviews });
 };
 
 // =======================
-// Get all products
+// Get single product
 // =======================
-exports.getAllProducts = async (req, res) => {
+exports.getProductById = async (req, res, next) => {
   try {
-    const products = await Product.find().sort({ createdAt: -1 });
-    
-    // Validate and enhance image URLs
-    const enhancedProducts = products.map(product => {
-      const productObj = product.toObject();
-      
-      // Check if image file exists
-      if (productObj.imageUrl) {
-        const imageExists = validateImageFile(productObj.imageUrl);
-        productObj.imageExists = imageExists;
-        
-        // Add full URL for frontend
-        productObj.fullImageUrl = getFullImageUrl(productObj.imageUrl, req);
-      }
-      
-      return productObj;
-    });
-    
-    return res.status(200).json(enhancedProducts);
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    return await sendProduct(product, req, res);
   } catch (error) {
-    console.error('Get products error:', error);
-    return res.status(500).json({ message: 'Server error', error: error.message });
+    return next(error);
   }
 };
 
 // =======================
-// Get single product
+// Get single product by slug; a renamed product's old slugs answer 301
 // =======================
-exports.getProductById = async (req, res) => {
+exports.getProductBySlug = async (req, res, next) => {
   try {
-    const { id } = req.params;
-
-    if (!id) {
-      return res.status(400).json({ message: 'Product ID is required' });
+    const { doc: product, redirectTo } = await findBySlug(Product, req.params.slug);
+    if (redirectTo) {
+      return sendSlugRedirect(req, res, redirectTo);
     }
-
-    const product = await Product.findById(id);
     if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
-    }
-
-    const productObj = product.toObject();
-    
-    // Validate and enhance image URL
-    if (productObj.imageUrl) {
-      const imageExists = validateImageFile(productObj.imageUrl);
-      productObj.imageExists = imageExists;
-      productObj.fullImageUrl = getFullImageUrl(productObj.imageUrl, req);
+      throw new NotFoundError('Product not found');
     }
 
-    return res.status(200).json(productObj);
+    return await sendProduct(product, req, res);
   } catch (error) {
-    console.error('Get product error:', error);
-    return res.status(500).json({ message: 'Server error', error: error.message });
+    return next(error);
   }
 };
 
 // =======================
 // Create product (handles both file uploads and base64)
 // =======================
-exports.createProduct = async (req, res) => {
+exports.createProduct = async (req, res, next) => {
+  const processed = [];
   try {
-    console.log('Incoming request body:', req.body);
-    console.log('Incoming file:', req.file);
-
-    const { title, description, rating, price, discount, imageUrl: imageUrlFromBody } = req.body;
-
-    let imageUrl = '';
-
-    // Handle file upload via multer
-    if (req.file) {
-      imageUrl = `/uploads/${req.file.filename}`;
-      console.log('File uploaded, imageUrl set to:', imageUrl);
-      
-      // Verify file was created
-      const filePath = path.join(__dirname, '..', 'uploads', req.file.filename);
-      if (fs.existsSync(filePath)) {
-        const stats = fs.statSync(filePath);
-        console.log('Multer file created successfully. Size:', stats.size, 'bytes');
-      } else {
-        console.error('Multer file was not created!');
-        return res.status(500).json({ message: 'Failed to save uploaded image' });
-      }
+    // Same rules as the catalog import
+    const { fields, errors } = validateProductInput(req.body);
+    if (!fields) {
+      throw invalidRequest(errors);
     }
-    // Handle base64 image from frontend
-    else if (imageUrlFromBody && imageUrlFromBody.startsWith('data:image')) {
-      try {
-        // Create uploads directory if it doesn't exist
-        const uploadsDir = path.join(__dirname, '..', 'uploads');
-        if (!fs.existsSync(uploadsDir)) {
-          fs.mkdirSync(uploadsDir, { recursive: true });
-        }
-
-        // Extract base64 data and file extension
-        const matches = imageUrlFromBody.match(/^data:image\/([a-zA-Z]+);base64,(.+)$/);
-        if (!matches) {
-          throw new Error('Invalid base64 image format');
-        }
-
-        const fileExtension = matches[1];
-        const base64Data = matches[2];
-        const buffer = Buffer.from(base64Data, 'base64');
-
-        // Generate unique filename with timestamp
-        const timestamp = Date.now();
-        const randomString = Math.random().toString(36).substring(7);
-        const filename = `base64-${timestamp}-${randomString}.${fileExtension}`;
-        const filePath = path.join(uploadsDir, filename);
-
-        // Save file
-        fs.writeFileSync(filePath, buffer);
-        imageUrl = `/uploads/${filename}`;
-
-        console.log('Base64 image saved as:', filePath);
-        console.log('Base64 imageUrl set to:', imageUrl);
-        
-        // Verify file was created
-        if (fs.existsSync(filePath)) {
-          const stats = fs.statSync(filePath);
-          console.log('File created successfully. Size:', stats.size, 'bytes');
-        } else {
-          console.error('File was not created!');
-          return res.status(500).json({ message: 'Failed to save base64 image' });
-        }
-      } catch (base64Error) {
-        console.error('Error processing base64 image:', base64Error);
-        return res.status(400).json({ message: 'Invalid image format' });
-      }
+    if (fields.currency) {
+      await requireRate(fields.currency);
     }
-
-    if (!title || !rating || !price || !discount) {
-      console.error('Missing required fields:', { title, description, rating, price, discount });
-      return res.status(400).json({ message: 'Please provide all required fields' });
+    const categories = await parseProductCategories(req.body.categories);
+    if (categories) {
+      fields.categories = categories;
     }
+    Object.assign(fields, await slugUpdate(Product, null, { source: productSlugSource(fields), slug: req.body.slug, fallback: 'product' }));
+
+    // Resize, strip metadata and write the responsive variants.
+    // `imageUrl` is the primary image; `images` adds more to the gallery.
+    processed.push(...await processRequestImages(req, 'imageUrl'));
+    processed.push(...await processRequestImages(req, 'images'));
 
     // Ensure we have an image URL
-    if (!imageUrl) {
-      console.error('No image URL generated from upload or base64 data');
-      return res.status(400).json({ message: 'Image is required' });
+    if (processed.length === 0) {
+      throw new ValidationError('Image is required');
     }
-
-    // Validate that the image file exists before saving to database
-    if (!validateImageFile(imageUrl)) {
-      console.error('Image file does not exist after upload:', imageUrl);
-      return res.status(500).json({ message: 'Failed to validate uploaded image' });
+    if (processed.length > MAX_IMAGES) {
+      await discardProcessed(processed);
+      throw new ValidationError(`A product can have at most ${MAX_IMAGES} images`);
     }
 
-    const newProduct = new Product({
-      title,
-      description,
-      rating,
-      price,
-      discount,
-      imageUrl
-    });
+    const alts = parseAltTexts(req.body.alt);
+    const gallery = withPrimary(processed.map((image, index) => toImageEntry(image, alts[index] || (index === 0 ? fields.title : ''))));
+
+    const newProduct = new Product({ ...fields, ...gallery });
 
     const savedProduct = await newProduct.save();
-    console.log('Product saved successfully:', savedProduct);
-    console.log('Final imageUrl value:', savedProduct.imageUrl);
-    console.log('Full product object:', JSON.stringify(savedProduct, null, 2));
+    processed.length = 0; // saved; no longer ours to clean up
+    await recordStockChanges([], savedProduct, req.user && req.user.id);
+    await recordProductAudit(req, 'product.create', { after: savedProduct });
+    logger.debug('Product created', { productId: savedProduct._id, imageUrl: savedProduct.imageUrl });
 
     // Return enhanced product with full image URL
-    const productObj = savedProduct.toObject();
-    productObj.fullImageUrl = getFullImageUrl(productObj.imageUrl, req);
-    productObj.imageExists = true;
-
-    return res.status(201).json(productObj);
+    return res.status(201).json(await formatProduct(savedProduct, req));
   } catch (error) {
-    console.error('Create product error:', error);
-    return res.status(500).json({ message: 'Server error', error: error.message });
+    // Remove the processed files if the product never made it to the database
+    await discardProcessed(processed);
+    if (isDuplicateSkuError(error)) {
+      return next(new ConflictError('A variant with this SKU already exists'));
+    }
+    if (isDuplicateSlugError(error)) {
+      return next(new ConflictError('A product with this slug already exists'));
+    }
+    return next(error);
   }
 };
 
 // =======================
 // Update product
 // =======================
-exports.updateProduct = async (req, res) => {
+exports.updateProduct = async (req, res, next) => {
+  let processed = [];
   try {
     const { id } = req.params;
-    const { title, description, rating, price, discount, imageUrl: imageUrlFromBody } = req.body;
-
-    if (!id) {
-      return res.status(400).json({ message: 'Product ID is required' });
-    }
 
     let product = await Product.findById(id);
     if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
+      throw new NotFoundError('Product not found');
     }
+    const before = product.toObject();
 
-    let imageUrl = product.imageUrl;
-    let oldImagePath = null;
+    const { fields: fragranceFields, unset } = fragranceUpdate(req.body, { partial: true });
+    const { variants } = req.body;
+    if (req.body.currency) {
+      await requireRate(req.body.currency);
+    }
+    const categories = await parseProductCategories(req.body.categories);
+
+    // A new `imageUrl` replaces the primary image; the rest of the gallery stays
+    processed = await processRequestImages(req, 'imageUrl');
+    if (processed.length > 1) {
+      await discardProcessed(processed);
+      processed = [];
+      throw new ValidationError('Send one replacement primary image; use /images to add more');
+    }
 
-    // Store old image path for cleanup
-    if (product.imageUrl) {
-      oldImagePath = path.join(__dirname, '..', product.imageUrl.startsWith('/') ? product.imageUrl.slice(1) : product.imageUrl);
+    // Only the fields that were sent change; "" clears the description (null or "" clears
+    // concentration and family) and 0 is a real discount
+    const productFields = { ...fragranceFields };
+    for (const field of ['title', 'description', 'price', 'discount', 'currency', 'prices']) {
+      if (req.body[field] !== undefined) productFields[field] = req.body[field];
+    }
+    if (categories) {
+      productFields.categories = categories;
     }
 
-    // Handle file upload via multer
-    if (req.file) {
-      imageUrl = `/uploads/${req.file.filename}`;
-      
-      // Verify new file was created
-      const newFilePath = path.join(__dirname, '..', 'uploads', req.file.filename);
-      if (!fs.existsSync(newFilePath)) {
-        return res.status(500).json({ message: 'Failed to save uploaded image' });
-      }
+    // A rename moves the slug; the old one keeps redirecting
+    Object.assign(productFields, await slugUpdate(Product, product, {
+      source: productSlugSource({ brand: product.brand, title: product.title, ...productFields }),
+      slug: req.body.slug,
+      fallback: 'product'
+    }));
+
+    let replacedImage = null;
+    if (processed.length === 1) {
+      const gallery = galleryOf(product);
+      const primaryIndex = Math.max(gallery.findIndex(image => image.isPrimary), 0);
+      replacedImage = gallery[primaryIndex] || null;
+      gallery[primaryIndex] = {
+        ...(replacedImage || { alt: product.title }),
+        ...toImageEntry(processed[0], replacedImage ? replacedImage.alt : product.title, true)
+      };
+      Object.assign(productFields, withPrimary(gallery));
     }
-    // Handle base64 image update
-    else if (imageUrlFromBody && imageUrlFromBody.startsWith('data:image')) {
-      try {
-        // Create uploads directory if it doesn't exist
-        const uploadsDir = path.join(__dirname, '..', 'uploads');
-        if (!fs.existsSync(uploadsDir)) {
-          fs.mkdirSync(uploadsDir, { recursive: true });
-        }
-
-        // Extract base64 data and file extension
-        const matches = imageUrlFromBody.match(/^data:image\/([a-zA-Z]+);base64,(.+)$/);
-        if (!matches) {
-          throw new Error('Invalid base64 image format');
-        }
-
-        const fileExtension = matches[1];
-        const base64Data = matches[2];
-        const buffer = Buffer.from(base64Data, 'base64');
-
-        // Generate unique filename
-        const filename = `base64-${Date.now()}-${Math.random().toString(36).substring(7)}.${fileExtension}`;
-        const filePath = path.join(uploadsDir, filename);
-
-        // Save file
-        fs.writeFileSync(filePath, buffer);
-        imageUrl = `/uploads/${filename}`;
-
-        console.log('Base64 image updated and saved as:', filePath);
-        
-        // Verify file was created
-        if (!fs.existsSync(filePath)) {
-          return res.status(500).json({ message: 'Failed to save updated image' });
-        }
-      } catch (base64Error) {
-        console.error('Error processing base64 image update:', base64Error);
-        return res.status(400).json({ message: 'Invalid image format' });
+
+    // A supplied variants list replaces the existing one; stock and units held
+    // by checkouts stay with the variant that has the same SKU
+    const previousVariants = product.variants.map(variant => variant.toObject());
+    if (variants) {
+      const held = heldSkus(previousVariants, variants);
+      if (held.length > 0) {
+        throw new ConflictError(`Checkouts are holding units of ${held.join(', ')}, which the new variants do not include`,
+          undefined, 'STOCK_RESERVED');
       }
+      productFields.variants = carryStock(previousVariants, variants);
     }
+    syncBasePrice(productFields, variants || product.variants);
+    // findByIdAndUpdate skips the save hooks that keep it current
+    productFields.priceInBase = priceInBase({ ...product.toObject(), ...productFields }, await getRates());
 
-    const productFields = {
-      title: title || product.title,
-      description: description || product.description,
-      rating: rating || product.rating,
-      price: price || product.price,
-      discount: discount || product.discount,
-      imageUrl: imageUrl
-    };
-
-    product = await Product.findByIdAndUpdate(id, { $set: productFields }, { new: true });
+    const update = { $set: productFields };
+    if (unset.length > 0) {
+      update.$unset = Object.fromEntries(unset.map(field => [field, '']));
+    }
+    product = await Product.findByIdAndUpdate(id, update, { new: true, runValidators: true });
+    processed = []; // saved; no longer ours to clean up
+    await recordStockChanges(previousVariants, product, req.user && req.user.id);
+    await recordProductAudit(req, 'product.update', { before, after: product });
     
-    // Clean up old image file if it exists and is different from new image
-    if (oldImagePath && oldImagePath !== path.join(__dirname, '..', imageUrl.startsWith('/') ? imageUrl.slice(1) : imageUrl)) {
-      try {
-        if (fs.existsSync(oldImagePath)) {
-          fs.unlinkSync(oldImagePath);
-          console.log('Old image file deleted:', oldImagePath);
-        }
-      } catch (cleanupError) {
-        console.error('Error deleting old image file:', cleanupError);
-        // Don't fail the update if cleanup fails
-      }
+    // Drop the old image now that the new one is saved; its files go once no product uses it
+    if (replacedImage) {
+      await releaseImage(replacedImage);
     }
 
     // Return enhanced product
-    const productObj = product.toObject();
-    productObj.fullImageUrl = getFullImageUrl(productObj.imageUrl, req);
-    productObj.imageExists = validateImageFile(productObj.imageUrl);
-
-    return res.status(200).json(productObj);
+    return res.status(200).json(await formatProduct(product, req));
   } catch (error) {
-    console.error('Update product error:', error);
-    return res.status(500).json({ message: 'Server error', error: error.message });
+    await discardProcessed(processed);
+    if (isDuplicateSkuError(error)) {
+      return next(new ConflictError('A variant with this SKU already exists'));
+    }
+    if (isDuplicateSlugError(error)) {
+      return next(new ConflictError('A product with this slug already exists'));
+    }
+    return next(error);
   }
 };
 
 // =======================
-// Delete product
+// Add a variant to a product
 // =======================
-exports.deleteProduct = async (req, res) => {
+exports.addVariant = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    if (!id) {
-      return res.status(400).json({ message: 'Product ID is required' });
+    const variant = req.body;
+
+    const product = await Product.findById(id);
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    if (product.variants.some(existing => existing.sku === variant.sku)) {
+      throw new ConflictError('A variant with this SKU already exists');
+    }
+
+    const before = product.toObject();
+    const previousVariants = product.variants.map(existing => existing.toObject());
+    product.variants.push(variant);
+    syncBasePrice(product, product.variants);
+    await product.save();
+    await recordStockChanges(previousVariants, product, req.user && req.user.id);
+    await recordProductAudit(req, 'product.update', { before, after: product });
+
+    return res.status(201).json(await formatProduct(product, req));
+  } catch (error) {
+    if (isDuplicateSkuError(error)) {
+      return next(new ConflictError('A variant with this SKU already exists'));
+    }
+    return next(error);
+  }
+};
+
+// =======================
+// Update a single variant
+// =======================
+exports.updateVariant = async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+
+    const changes = req.body;
+
+    const product = await Product.findById(id);
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+      throw new NotFoundError('Variant not found');
+    }
+
+    if (changes.sku && product.variants.some(existing => existing.sku === changes.sku && !existing._id.equals(variant._id))) {
+      throw new ConflictError('A variant with this SKU already exists');
+    }
+
+    const before = product.toObject();
+    const previousVariants = product.variants.map(existing => existing.toObject());
+    variant.set(changes);
+    syncBasePrice(product, product.variants);
+    await product.save();
+    await recordStockChanges(previousVariants, product, req.user && req.user.id);
+    await recordProductAudit(req, 'product.update', { before, after: product });
+
+    return res.status(200).json(await formatProduct(product, req));
+  } catch (error) {
+    if (isDuplicateSkuError(error)) {
+      return next(new ConflictError('A variant with this SKU already exists'));
     }
+    return next(error);
+  }
+};
+
+// =======================
+// Remove a variant
+// =======================
+exports.removeVariant = async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
 
     const product = await Product.findById(id);
     if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
-    }
-
-    // Delete associated image file
-    if (product.imageUrl) {
-      try {
-        const imagePath = path.join(__dirname, '..', product.imageUrl.startsWith('/') ? product.imageUrl.slice(1) : product.imageUrl);
-        if (fs.existsSync(imagePath)) {
-          fs.unlinkSync(imagePath);
-          console.log('Product image file deleted:', imagePath);
-        }
-      } catch (imageDeleteError) {
-        console.error('Error deleting product image file:', imageDeleteError);
-        // Continue with product deletion even if image deletion fails
-      }
+      throw new NotFoundError('Product not found');
+    }
+
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+      throw new NotFoundError('Variant not found');
+    }
+
+    if ((variant.reserved || 0) > 0) {
+      throw new ConflictError(`Checkouts are holding units of ${variant.sku}; remove it once they are paid or released`,
+        undefined, 'STOCK_RESERVED');
     }
 
-    await Product.findByIdAndDelete(id);
-    return res.status(200).json({ message: 'Product removed successfully' });
+    const before = product.toObject();
+    const previousVariants = product.variants.map(existing => existing.toObject());
+    variant.deleteOne();
+    syncBasePrice(product, product.variants);
+    await product.save();
+    await recordStockChanges(previousVariants, product, req.user && req.user.id);
+    await recordProductAudit(req, 'product.update', { before, after: product });
+
+    return res.status(200).json(await formatProduct(product, req));
   } catch (error) {
-    console.error('Delete product error:', error);
-    return res.status(500).json({ message: 'Server error', error: error.message });
+    return next(error);
+  }
+};
+
+// =======================
+// Delete product: it goes to the trash, where an admin can restore it
+// until the scheduled purge removes it for good
+// =======================
+exports.deleteProduct = async (req, res, next) => {
+  try {
+    const product = await trashProduct(req.params.id, req.user && req.user.id);
+    await recordProductAudit(req, 'product.delete', {
+      after: product,
+      changes: [{ field: 'deletedAt', from: null, to: product.deletedAt }]
+    });
+    return res.status(200).json({ message: 'Product moved to the trash', ...trashSummary(product) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// A product's change history (?page=&limit=), newest first
+// =======================
+exports.getProductHistory = async (req, res, next) => {
+  try {
+    const history = await productHistory(req.params.id, req.query);
+    return res.status(200).json(history);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Revert a product to the version saved with a history entry. Content,
+// prices and variant definitions go back; stock levels stay as they are
+// (the inventory ledger owns them) and so does the image gallery, whose
+// old files may be gone. The revert is itself recorded and can be undone.
+// =======================
+exports.revertProduct = async (req, res, next) => {
+  try {
+    const { id, entryId } = req.params;
+
+    const entry = await findProductEntry(id, entryId);
+    const product = await Product.findById(id);
+    if (!product) {
+      throw new NotFoundError('Product not found; restore it from the trash first');
+    }
+
+    const version = entry.snapshot;
+    const before = product.toObject();
+    const previousVariants = product.variants.map(variant => variant.toObject());
+    const currentBySku = new Map(previousVariants.map(variant => [variant.sku, variant]));
+
+    // Variants keep their id and stock by SKU; ones that no longer exist come back empty
+    const variants = (version.variants || []).map(({ _id, stock, reserved, ...variant }) => {
+      const current = currentBySku.get(variant.sku);
+      return current
+        ? { ...variant, _id: current._id, stock: current.stock, reserved: current.reserved || 0 }
+        : { ...variant, stock: 0, reserved: 0 };
+    });
+    const held = heldSkus(previousVariants, variants);
+    if (held.length > 0) {
+      throw new ConflictError(`Checkouts are holding units of ${held.join(', ')}, which that version does not have`,
+        undefined, 'STOCK_RESERVED');
+    }
+
+    const currency = version.currency || BASE_CURRENCY;
+    await requireRate(currency);
+    const categories = version.categories && version.categories.length
+      ? (await Category.find({ _id: { $in: version.categories } }, '_id')).map(category => category._id)
+      : [];
+
+    const fields = {
+      title: version.title,
+      description: version.description || '',
+      price: version.price,
+      discount: version.discount,
+      currency,
+      prices: version.prices || [],
+      brand: version.brand || '',
+      concentration: version.concentration,
+      gender: version.gender,
+      family: version.family,
+      notes: version.notes || {},
+      categories,
+      variants
+    };
+    syncBasePrice(fields, variants);
+    Object.assign(fields, await slugUpdate(Product, product, { source: productSlugSource(fields), fallback: 'product' }));
+
+    product.set(fields);
+    await product.save();
+    await recordStockChanges(previousVariants, product, req.user && req.user.id);
+    await recordProductAudit(req, 'product.revert', { before, after: product, metadata: { revertedTo: entry._id } });
+
+    return res.status(200).json(await formatProduct(product, req));
+  } catch (error) {
+    if (isDuplicateSkuError(error)) {
+      return next(new ConflictError('A variant SKU of that version is now used by another product'));
+    }
+    return next(error);
   }
 };
 
 // =======================
 // Get image status for all products
 // =======================
-exports.getImageStatus = async (req, res) => {
+exports.getImageStatus = async (req, res, next) => {
   try {
-    const products = await Product.find({}, 'title imageUrl');
-    const imageStatus = products.map(product => ({
+    const products = await Product.find({}, 'title imageUrl imageVariants images');
+    const imageStatus = await Promise.all(products.map(async product => ({
       id: product._id,
       title: product.title,
       imageUrl: product.imageUrl,
-      exists: validateImageFile(product.imageUrl),
-      fullUrl: getFullImageUrl(product.imageUrl, req)
-    }));
+      exists: await validateImageFile(product.imageUrl),
+      fullUrl: getFullImageUrl(product.imageUrl, req),
+      images: await Promise.all(galleryOf(product).map(async image => ({
+        id: image._id,
+        url: image.url,
+        isPrimary: image.isPrimary,
+        exists: await validateImageFile(image.url),
+        fullUrl: getFullImageUrl(image.url, req)
+      })))
+    })));
     
     return res.status(200).json(imageStatus);
   } catch (error) {
-    console.error('Get image status error:', error);
-    return res.status(500).json({ message: 'Server error', error: error.message });
+    return next(error);
   }
 };
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { publicImageUrl, buildSrcset } = require('../utils/imageProcessing');
+const { releaseImage } = require('../utils/imageAssets');
+const { recordProductAudit } = require('../utils/audit');
+const {
+  MAX_IMAGES,
+  processRequestImages,
+  discardProcessed,
+  parseAltTexts,
+  toImageEntry,
+  galleryOf,
+  withPrimary
+} = require('../utils/productImages');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// =======================
+// Helpers
+// =======================
+// Storage URLs are absolute (bucket) or relative to this API
+const fullUrl = (url, req) => {
+  const publicUrl = publicImageUrl(url);
+  return publicUrl && publicUrl.startsWith('/') ? `${req.protocol}://${req.get('host')}${publicUrl}` : publicUrl;
+};
+
+const formatGallery = (product, req) => ({
+  productId: product._id,
+  imageUrl: product.imageUrl,
+  images: galleryOf(product).map(image => ({
+    ...image,
+    fullUrl: fullUrl(image.url, req),
+    srcset: buildSrcset(image.variants, url => fullUrl(url, req))
+  }))
+});
+
+const findProduct = (id) => (mongoose.Types.ObjectId.isValid(id) ? Product.findById(id) : null);
+
+
+// =======================
+// List a product's images
+// =======================
+exports.getImages = async (req, res, next) => {
+  try {
+    const product = await findProduct(req.params.id);
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+    return res.status(200).json(formatGallery(product, req));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Add images to the end of the gallery
+// =======================
+exports.addImages = async (req, res, next) => {
+  let processed = [];
+  try {
+    const product = await findProduct(req.params.id);
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const before = product.toObject();
+    processed = await processRequestImages(req, 'images');
+    if (processed.length === 0) {
+      throw new ValidationError('At least one image is required');
+    }
+
+    const gallery = galleryOf(product);
+    if (gallery.length + processed.length > MAX_IMAGES) {
+      await discardProcessed(processed);
+      processed = [];
+      throw new ValidationError(`A product can have at most ${MAX_IMAGES} images`);
+    }
+
+    const alts = parseAltTexts(req.body.alt);
+    const added = processed.map((image, index) => toImageEntry(image, alts[index] || ''));
+
+    // isPrimary=true makes the first new image the primary one
+    if (req.body.isPrimary === true) {
+      gallery.forEach(image => { image.isPrimary = false; });
+      added[0].isPrimary = true;
+    }
+
+    product.set(withPrimary([...gallery, ...added]));
+    await product.save();
+    await recordProductAudit(req, 'product.update', { before, after: product });
+    processed = [];
+
+    return res.status(201).json(formatGallery(product, req));
+  } catch (error) {
+    await discardProcessed(processed);
+    return next(error);
+  }
+};
+
+// =======================
+// Change alt text or make an image the primary one
+// =======================
+exports.updateImage = async (req, res, next) => {
+  try {
+    const product = await findProduct(req.params.id);
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const before = product.toObject();
+    const gallery = galleryOf(product);
+    const image = gallery.find(candidate => String(candidate._id) === req.params.imageId);
+    if (!image) {
+      throw new NotFoundError('Image not found');
+    }
+
+    if (req.body.alt !== undefined) {
+      image.alt = String(req.body.alt).trim().slice(0, 300);
+    }
+
+    const primaryId = req.body.isPrimary === true ? image._id : undefined;
+    product.set(withPrimary(gallery, primaryId));
+    await product.save();
+    await recordProductAudit(req, 'product.update', { before, after: product });
+
+    return res.status(200).json(formatGallery(product, req));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Remove an image; its files go once no product uses them
+// =======================
+exports.removeImage = async (req, res, next) => {
+  try {
+    const product = await findProduct(req.params.id);
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const before = product.toObject();
+    const gallery = galleryOf(product);
+    const image = gallery.find(candidate => String(candidate._id) === req.params.imageId);
+    if (!image) {
+      throw new NotFoundError('Image not found');
+    }
+    if (gallery.length === 1) {
+      throw new ConflictError('A product needs at least one image');
+    }
+
+    // If the primary goes, the next image in order takes over
+    product.set(withPrimary(gallery.filter(candidate => candidate !== image)));
+    await product.save();
+    await recordProductAudit(req, 'product.update', { before, after: product });
+    await releaseImage(image);
+
+    return res.status(200).json(formatGallery(product, req));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Reorder the gallery: { order: [imageId, ...] } listing every image once
+// =======================
+exports.reorderImages = async (req, res, next) => {
+  try {
+    const product = await findProduct(req.params.id);
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const before = product.toObject();
+    const { order } = req.body;
+    const gallery = galleryOf(product);
+    const byId = new Map(gallery.map(image => [String(image._id), image]));
+
+    if (!Array.isArray(order) || order.length !== gallery.length || new Set(order.map(String)).size !== order.length
+      || !order.every(id => byId.has(String(id)))) {
+      throw new ValidationError('order must list every image id of this product exactly once');
+    }
+
+    product.set(withPrimary(order.map(id => byId.get(String(id)))));
+    await product.save();
+    await recordProductAudit(req, 'product.update', { before, after: product });
+
+    return res.status(200).json(formatGallery(product, req));
+  } catch (error) {
+    return next(error);
+  }
+};
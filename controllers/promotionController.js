@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const CouponRedemption = require('../models/CouponRedemption');
+const {
+  PROMOTION_STATES,
+  stateOf,
+  stateFilter,
+  promotionSummary,
+  parsePromotionInput,
+  invalidateSales
+} = require('../utils/promotions');
+const { recordAudit } = require('../utils/audit');
+const { invalidRequest } = require('../utils/validation');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// =======================
+// Helpers
+// =======================
+const findPromotion = (id) => (mongoose.Types.ObjectId.isValid(id) ? Promotion.findById(id) : null);
+
+const formatPromotion = (promotion) => ({ ...promotion.toObject(), state: stateOf(promotion) });
+
+const auditPromotion = (req, action, { before, after }) => {
+  const promotion = after || before;
+  return recordAudit(req, {
+    action,
+    entity: 'promotion',
+    entityId: promotion._id,
+    label: promotion.code || promotion.name,
+    before,
+    after
+  });
+};
+
+const isDuplicateCodeError = (error) => error && error.code === 11000 && JSON.stringify(error.keyPattern || {}).includes('code');
+
+// =======================
+// Live sales for storefront banners (public)
+// =======================
+exports.getActivePromotions = async (req, res, next) => {
+  try {
+    const sales = await Promotion.find({ type: 'sale', ...stateFilter('live') }).sort({ endsAt: 1 });
+    return res.status(200).json(sales.map(sale => ({
+      ...promotionSummary(sale),
+      description: sale.description,
+      scope: sale.scope,
+      products: sale.products,
+      brands: sale.brands,
+      collections: sale.collections,
+      startsAt: sale.startsAt
+    })));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// List promotions (?type=sale|coupon&state=live|scheduled|expired|inactive&page=&limit=)
+// =======================
+exports.getPromotions = async (req, res, next) => {
+  try {
+    const { type, state } = req.query;
+    const filter = {};
+    if (type) {
+      if (!Promotion.PROMOTION_TYPES.includes(type)) {
+        throw new ValidationError(`type must be one of: ${Promotion.PROMOTION_TYPES.join(', ')}`);
+      }
+      filter.type = type;
+    }
+    if (state) {
+      if (!PROMOTION_STATES.includes(state)) {
+        throw new ValidationError(`state must be one of: ${PROMOTION_STATES.join(', ')}`);
+      }
+      Object.assign(filter, stateFilter(state));
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+
+    const [promotions, total] = await Promise.all([
+      Promotion.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Promotion.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({
+      promotions: promotions.map(formatPromotion),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Get single promotion
+// =======================
+exports.getPromotion = async (req, res, next) => {
+  try {
+    const promotion = await findPromotion(req.params.id);
+    if (!promotion) {
+      throw new NotFoundError('Promotion not found');
+    }
+    return res.status(200).json(formatPromotion(promotion));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Create a sale or coupon
+// =======================
+exports.createPromotion = async (req, res, next) => {
+  try {
+    const { fields, errors } = parsePromotionInput(req.body);
+    if (errors.length > 0) {
+      throw invalidRequest(errors);
+    }
+
+    const promotion = await Promotion.create({ ...fields, createdBy: req.user.id });
+    invalidateSales();
+    await auditPromotion(req, 'promotion.create', { after: promotion });
+    return res.status(201).json(formatPromotion(promotion));
+  } catch (error) {
+    if (isDuplicateCodeError(error)) {
+      return next(new ConflictError('A coupon with this code already exists'));
+    }
+    return next(error);
+  }
+};
+
+// =======================
+// Update a promotion; send only the fields that change
+// =======================
+exports.updatePromotion = async (req, res, next) => {
+  try {
+    const promotion = await findPromotion(req.params.id);
+    if (!promotion) {
+      throw new NotFoundError('Promotion not found');
+    }
+
+    const { fields, errors } = parsePromotionInput(req.body, promotion);
+    if (errors.length > 0) {
+      throw invalidRequest(errors);
+    }
+
+    const before = promotion.toObject();
+    promotion.set({ ...fields, updatedAt: new Date() });
+    await promotion.save();
+    invalidateSales();
+    await auditPromotion(req, 'promotion.update', { before, after: promotion });
+    return res.status(200).json(formatPromotion(promotion));
+  } catch (error) {
+    if (isDuplicateCodeError(error)) {
+      return next(new ConflictError('A coupon with this code already exists'));
+    }
+    return next(error);
+  }
+};
+
+// =======================
+// Delete a promotion; used coupons stay for the order history
+// =======================
+exports.deletePromotion = async (req, res, next) => {
+  try {
+    const promotion = await findPromotion(req.params.id);
+    if (!promotion) {
+      throw new NotFoundError('Promotion not found');
+    }
+    if (promotion.usageCount > 0) {
+      throw new ConflictError('This coupon has been used; set active to false instead');
+    }
+
+    await promotion.deleteOne();
+    invalidateSales();
+    await auditPromotion(req, 'promotion.delete', { before: promotion });
+    return res.status(200).json({ message: 'Promotion deleted' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Orders that used a coupon, newest first
+// =======================
+exports.getRedemptions = async (req, res, next) => {
+  try {
+    const promotion = await findPromotion(req.params.id);
+    if (!promotion) {
+      throw new NotFoundError('Promotion not found');
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const filter = { promotion: promotion._id };
+
+    const [redemptions, total] = await Promise.all([
+      CouponRedemption.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      CouponRedemption.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({ redemptions, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,122 @@
+const Review = require('../models/Review');
+const reviews = require('../utils/reviews');
+const { recordAudit, loadBefore } = require('../utils/audit');
+
+const auditReview = (req, action, { before, after }) => {
+  const review = after || before;
+  return recordAudit(req, {
+    action,
+    entity: 'review',
+    entityId: review._id,
+    label: review.title || '',
+    before,
+    after,
+    metadata: { product: review.product }
+  });
+};
+
+// =======================
+// Approved reviews of a product, paginated, with the rating summary
+// =======================
+exports.getProductReviews = async (req, res, next) => {
+  try {
+    const paging = reviews.parseReviewPaging(req.query);
+    await reviews.findProduct(req.params.id);
+    const result = await reviews.listProductReviews(req.params.id, paging);
+    return res.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// The signed-in customer's own review of a product, whatever its status
+// =======================
+exports.getMyReview = async (req, res, next) => {
+  try {
+    const review = await reviews.findOwnReview(req.params.id, req.user.id);
+    return res.status(200).json(review);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Post a review; it is shown once a moderator approves it
+// =======================
+exports.createReview = async (req, res, next) => {
+  try {
+    const review = await reviews.createReview({ productId: req.params.id, user: req.user.id, input: req.body });
+    await auditReview(req, 'review.create', { after: review });
+    return res.status(201).json(review);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Edit or delete the signed-in customer's own review
+// =======================
+exports.updateMyReview = async (req, res, next) => {
+  try {
+    const before = (await reviews.findOwnReview(req.params.id, req.user.id)).toObject();
+    const review = await reviews.updateOwnReview({ productId: req.params.id, user: req.user.id, input: req.body });
+    await auditReview(req, 'review.update', { before, after: review });
+    return res.status(200).json(review);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.deleteMyReview = async (req, res, next) => {
+  try {
+    const review = await reviews.deleteOwnReview({ productId: req.params.id, user: req.user.id });
+    await auditReview(req, 'review.delete', { before: review });
+    return res.status(200).json({ message: 'Review deleted' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Moderation queue (?status=pending|approved|rejected&product=&page=&limit=)
+// =======================
+exports.getReviews = async (req, res, next) => {
+  try {
+    const { page, limit } = reviews.parseReviewPaging(req.query);
+    const result = await reviews.listReviewsForModeration({
+      status: req.query.status,
+      product: req.query.product,
+      page,
+      limit
+    });
+    return res.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Approve or reject a review; the product rating follows
+// =======================
+exports.moderateReview = async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+    const before = await loadBefore(Review, req.params.id);
+    const review = await reviews.moderateReview({ id: req.params.id, status, note, user: req.user.id });
+    await auditReview(req, 'review.moderate', { before, after: review });
+    return res.status(200).json(review);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.deleteReview = async (req, res, next) => {
+  try {
+    const review = await reviews.deleteReview(req.params.id);
+    await auditReview(req, 'review.delete', { before: review });
+    return res.status(200).json({ message: 'Review deleted' });
+  } catch (error) {
+    return next(error);
+  }
+};
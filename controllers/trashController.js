@@ -0,0 +1,41 @@
+const trash = require('../utils/trash');
+const { formatProduct } = require('../utils/productFormat');
+const { recordProductAudit } = require('../utils/audit');
+
+// =======================
+// Trashed products with the date each one will be purged (?page=&limit=)
+// =======================
+exports.getTrash = async (req, res, next) => {
+  try {
+    const result = await trash.listTrash(req.query);
+    return res.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Restore a trashed product
+// =======================
+exports.restoreProduct = async (req, res, next) => {
+  try {
+    const { product, deletedAt } = await trash.restoreProduct(req.params.id);
+    await recordProductAudit(req, 'product.restore', { after: product, changes: [{ field: 'deletedAt', from: deletedAt, to: null }] });
+    return res.status(200).json(await formatProduct(product, req));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Permanently delete a trashed product and release its images
+// =======================
+exports.purgeProduct = async (req, res, next) => {
+  try {
+    const product = await trash.purgeProduct(req.params.id);
+    await recordProductAudit(req, 'product.purge', { before: product, changes: [] });
+    return res.status(200).json({ message: 'Product permanently deleted' });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../utils/permissions');
+const { revokeAllSessions } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+const { unlockAccount } = require('../utils/accountLockout');
+const { resetAccountLimits } = require('../middleware/rateLimit');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// =======================
+// List users (admin)
+// =======================
+exports.getUsers = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select('-password').sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({ users, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Change a user's role (owner)
+// =======================
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const user = mongoose.Types.ObjectId.isValid(id) ? await User.findById(id) : null;
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    // Never leave the shop without an owner
+    if (user.role === 'owner' && role !== 'owner') {
+      const owners = await User.countDocuments({ role: 'owner' });
+      if (owners <= 1) {
+        throw new ConflictError('Cannot demote the last owner');
+      }
+    }
+
+    const changed = user.role !== role;
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    // Tokens carry the role, so make the user sign in again to pick up the change
+    if (changed) {
+      await revokeAllSessions(user._id, 'role-changed');
+      await recordAudit(req, {
+        action: 'user.update',
+        entity: 'user',
+        entityId: user._id,
+        label: user.email,
+        changes: [{ field: 'role', from: previousRole, to: role }]
+      });
+    }
+
+    const result = user.toObject();
+    delete result.password;
+    return res.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// =======================
+// Unlock an account locked by failed sign-ins (admin)
+// =======================
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const { user, previous, wasLocked } = await unlockAccount(req.params.id);
+    await resetAccountLimits(user.email);
+    await recordAudit(req, {
+      action: 'user.unlock',
+      entity: 'user',
+      entityId: user._id,
+      label: user.email,
+      changes: [{ field: 'lockedUntil', from: previous.lockedUntil, to: null }],
+      metadata: { wasLocked, lockCount: previous.lockCount, failedLoginAttempts: previous.failedLoginAttempts }
+    });
+    return res.status(200).json({ message: wasLocked ? 'Account unlocked' : 'Account was not locked', user });
+  } catch (error) {
+    return next(error);
+  }
+};
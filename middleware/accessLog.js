@@ -0,0 +1,36 @@
+const morgan = require('morgan');
+const { logger, redactUrl } = require('../utils/logger');
+
+// Stored images are requested constantly; log them only at debug level
+const isImageRequest = (req) => req.originalUrl.startsWith('/uploads/');
+
+// =======================
+// One access log entry per response: method, URL (secret query parameters
+// masked), status, latency and who asked. Server errors are logged as errors,
+// client errors and aborted requests as warnings.
+// =======================
+const accessLog = morgan((tokens, req, res) => {
+  // No status means the client went away before a response was sent
+  const status = res.headersSent ? res.statusCode : undefined;
+  let level = 'info';
+  if (status >= 500) level = 'error';
+  else if (!status || status >= 400) level = 'warn';
+  else if (isImageRequest(req)) level = 'debug';
+
+  const responseTime = tokens['response-time'](req, res);
+  logger[level](status ? 'request completed' : 'request aborted', {
+    requestId: req.id,
+    method: req.method,
+    url: redactUrl(req.originalUrl),
+    status,
+    durationMs: responseTime === undefined ? undefined : Number(responseTime),
+    contentLength: Number(res.getHeader('content-length')) || undefined,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    userId: req.user ? req.user.id : undefined
+  });
+  // Written above; nothing for morgan to print
+  return null;
+});
+
+module.exports = accessLog;
@@ -1,26 +1,36 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/tokens');
+const { AuthError } = require('../utils/errors');
 
-const auth = (req, res, next) => {
+// Revoked sessions come back as 401s with their own message; anything else
+// is an invalid token. Expired ones get their own code so clients know to refresh.
+const tokenError = (err) => {
+  if (err.status === 401) return err;
+  const code = err.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN';
+  return new AuthError('Token is not valid', undefined, code, { cause: err });
+};
+
+const auth = async (req, res, next) => {
   // Get token from Authorization header
   const authHeader = req.header('Authorization');
   if (!authHeader) {
-    return res.status(401).json({ message: 'No token, authorization denied' });
+    return next(new AuthError('No token, authorization denied', undefined, 'NO_TOKEN'));
   }
 
   // Extract token after "Bearer "
   const token = authHeader.split(' ')[1]; 
   if (!token) {
-    return res.status(401).json({ message: 'No token, authorization denied' });
+    return next(new AuthError('No token, authorization denied', undefined, 'NO_TOKEN'));
   }
 
-  // Verify token
+  // Verify token and make sure its session hasn't been revoked
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // attach decoded user info to request
-    next();
+    req.user = await verifyAccessToken(token); // attach decoded user info to request
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    return next(tokenError(err));
   }
+  next();
 };
 
+auth.tokenError = tokenError;
+
 module.exports = auth;
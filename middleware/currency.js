@@ -0,0 +1,13 @@
+const { resolveCurrency } = require('../utils/currency');
+
+// Sets `req.currency` from ?currency= or the X-Currency header (base currency when absent)
+const currency = async (req, res, next) => {
+  try {
+    req.currency = await resolveCurrency(req);
+  } catch (error) {
+    return next(error);
+  }
+  next();
+};
+
+module.exports = currency;
@@ -0,0 +1,58 @@
+const { NotFoundError, toAppError } = require('../utils/errors');
+const { logger, redactUrl } = require('../utils/logger');
+
+const isDevelopment = () => process.env.NODE_ENV === 'development';
+
+// The original error and its causes, for development responses only
+const debugInfo = (error) => {
+  const chain = [];
+  for (let current = error; current && chain.length < 5; current = current.cause) {
+    chain.push({ name: current.name, message: current.message, stack: current.stack });
+  }
+  return chain;
+};
+
+// =======================
+// Unknown routes under /api answer in the same envelope
+// =======================
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`No route for ${req.method} ${req.originalUrl.split('?')[0]}`, undefined, 'ROUTE_NOT_FOUND'));
+};
+
+// =======================
+// Every error response has one shape:
+//   { message, code, requestId, ...details }
+// `code` is stable for clients to branch on; `details` holds client-facing
+// extras such as field errors. Server errors say only "Server error"; the
+// original error and stack are added as `debug` in development.
+// =======================
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toAppError(err);
+  if (error.status >= 500) {
+    logger.error('Request failed', { requestId: req.id, method: req.method, url: redactUrl(req.originalUrl), error: err });
+  }
+
+  const body = {
+    message: error.expose ? error.message : 'Server error',
+    code: error.code,
+    requestId: req.id,
+    ...(error.expose ? error.details : undefined)
+  };
+  if (isDevelopment()) {
+    body.debug = debugInfo(err);
+  }
+  // Rate limits and lockouts say when to try again
+  if (error.details && error.details.retryAfter) {
+    res.set('Retry-After', String(error.details.retryAfter));
+  }
+  return res.status(error.status).json(body);
+};
+
+module.exports = {
+  notFound,
+  errorHandler
+};
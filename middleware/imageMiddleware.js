@@ -1,19 +1,23 @@
 const fs = require('fs');
 const path = require('path');
+const express = require('express');
+const { getStorage, keyFromUrl } = require('../utils/storage');
+const { isQuarantineKey } = require('../utils/imageCleanup');
+const { NotFoundError, StorageError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
 
 // =======================
-// Ensure uploads directory exists
+// Ensure uploads directory exists (local storage only)
 // =======================
 const ensureUploadsDirectory = (req, res, next) => {
-  const uploadsDir = path.join(__dirname, '..', 'uploads');
+  const uploadsDir = getStorage().root;
   
-  if (!fs.existsSync(uploadsDir)) {
+  if (uploadsDir && !fs.existsSync(uploadsDir)) {
     try {
       fs.mkdirSync(uploadsDir, { recursive: true });
-      console.log('✅ Created uploads directory:', uploadsDir);
+      logger.info('Created uploads directory', { path: uploadsDir });
     } catch (error) {
-      console.error('❌ Failed to create uploads directory:', error);
-      return res.status(500).json({ message: 'Failed to create uploads directory' });
+      return next(new StorageError('Failed to create uploads directory', undefined, 'STORAGE_UNAVAILABLE', { cause: error }));
     }
   }
   
@@ -21,103 +25,59 @@ const ensureUploadsDirectory = (req, res, next) => {
 };
 
 // =======================
-// Validate image file exists
-// =======================
-const validateImageFile = (imageUrl) => {
-  if (!imageUrl) return false;
-  
-  const cleanImageUrl = imageUrl.startsWith('/') ? imageUrl.slice(1) : imageUrl;
-  const imagePath = path.join(__dirname, '..', cleanImageUrl);
-  
-  return fs.existsSync(imagePath);
-};
-
-// =======================
-// Clean up orphaned images
+// Serve stored images under /uploads. Local files are served statically;
+// other drivers are proxied so private buckets work too.
 // =======================
-const cleanupOrphanedImages = async (req, res, next) => {
-  try {
-    const uploadsDir = path.join(__dirname, '..', 'uploads');
-    const Product = require('../models/Product');
-    
-    if (!fs.existsSync(uploadsDir)) {
-      return next();
-    }
-    
-    const files = fs.readdirSync(uploadsDir);
-    const products = await Product.find({}, 'imageUrl');
-    const usedImages = products.map(p => {
-      const url = p.imageUrl;
-      return url.startsWith('/') ? url.slice(1) : url;
-    });
-    
-    let cleanedCount = 0;
-    for (const file of files) {
-      const filePath = path.join(uploadsDir, file);
-      const relativePath = `uploads/${file}`;
-      
-      if (!usedImages.includes(relativePath)) {
-        try {
-          fs.unlinkSync(filePath);
-          console.log('🧹 Cleaned up orphaned image:', file);
-          cleanedCount++;
-        } catch (error) {
-          console.error('Failed to delete orphaned image:', file, error);
-        }
-      }
+const serveUploads = () => {
+  const storage = getStorage();
+  // The key as storage resolves it, so "./quarantine/x" or "a/../quarantine/x" can't slip past
+  const keyOf = (req) => {
+    try {
+      return path.posix.normalize(decodeURIComponent(req.path)).replace(/^(\.?\/)+/, '');
+    } catch (error) {
+      return '';
     }
-    
-    if (cleanedCount > 0) {
-      console.log(`🧹 Cleaned up ${cleanedCount} orphaned images`);
+  };
+
+  // Quarantined files are only reachable through the admin endpoints
+  const hideQuarantine = (req, res, next) => {
+    if (isQuarantineKey(keyOf(req))) {
+      return next(new NotFoundError('Image not found'));
     }
-    
     next();
-  } catch (error) {
-    console.error('Error in cleanupOrphanedImages:', error);
-    next(); // Continue even if cleanup fails
+  };
+
+  if (storage.root) {
+    return [hideQuarantine, express.static(storage.root)];
   }
+
+  return [hideQuarantine, async (req, res, next) => {
+    try {
+      const key = keyOf(req);
+      const data = key ? await storage.get(key) : null;
+      if (!data) {
+        throw new NotFoundError('Image not found');
+      }
+      res.type(path.extname(key));
+      return res.send(data);
+    } catch (error) {
+      next(error);
+    }
+  }];
 };
 
 // =======================
-// Backup images (optional)
+// Validate image file exists
 // =======================
-const backupImages = async () => {
-  try {
-    const uploadsDir = path.join(__dirname, '..', 'uploads');
-    const backupDir = path.join(__dirname, '..', 'backups', 'images', new Date().toISOString().split('T')[0]);
-    
-    if (!fs.existsSync(uploadsDir)) {
-      return;
-    }
-    
-    if (!fs.existsSync(backupDir)) {
-      fs.mkdirSync(backupDir, { recursive: true });
-    }
-    
-    const files = fs.readdirSync(uploadsDir);
-    let backedUpCount = 0;
-    
-    for (const file of files) {
-      const sourcePath = path.join(uploadsDir, file);
-      const destPath = path.join(backupDir, file);
-      
-      if (!fs.existsSync(destPath)) {
-        fs.copyFileSync(sourcePath, destPath);
-        backedUpCount++;
-      }
-    }
-    
-    if (backedUpCount > 0) {
-      console.log(`💾 Backed up ${backedUpCount} images to ${backupDir}`);
-    }
-  } catch (error) {
-    console.error('Error backing up images:', error);
-  }
+const validateImageFile = async (imageUrl) => {
+  const key = keyFromUrl(imageUrl);
+  if (!key) return false;
+  
+  return getStorage().exists(key);
 };
 
 module.exports = {
   ensureUploadsDirectory,
-  validateImageFile,
-  cleanupOrphanedImages,
-  backupImages
+  serveUploads,
+  validateImageFile
 };
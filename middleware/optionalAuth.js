@@ -0,0 +1,25 @@
+const { verifyAccessToken } = require('../utils/tokens');
+const { AuthError } = require('../utils/errors');
+const { tokenError } = require('./auth');
+
+// Like `auth`, but lets anonymous requests through without `req.user`
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.header('Authorization');
+  if (!authHeader) {
+    return next();
+  }
+
+  const token = authHeader.split(' ')[1];
+  if (!token) {
+    return next(new AuthError('Token is not valid', undefined, 'INVALID_TOKEN'));
+  }
+
+  try {
+    req.user = await verifyAccessToken(token);
+  } catch (err) {
+    return next(tokenError(err));
+  }
+  next();
+};
+
+module.exports = optionalAuth;
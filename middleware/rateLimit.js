@@ -0,0 +1,77 @@
+const { rateLimit } = require('express-rate-limit');
+const { TooManyRequestsError } = require('../utils/errors');
+const { createLimiterStore } = require('../utils/rateLimitStores');
+const { logger } = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+
+// =======================
+// A limiter that answers in the error envelope: 429 with `code` and
+// `retryAfter` (seconds), plus the standard RateLimit headers.
+// `name` picks its store (see utils/rateLimitStores); the rest are
+// express-rate-limit options.
+// =======================
+const createLimiter = (name, { message, code = 'RATE_LIMITED', ...options }) => rateLimit({
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  store: createLimiterStore(name),
+  handler: (req, res, next, { windowMs }) => {
+    const { resetTime } = req.rateLimit;
+    const retryAfter = Math.max(Math.ceil(((resetTime ? resetTime.getTime() : Date.now() + windowMs) - Date.now()) / 1000), 1);
+    logger.warn('Rate limit reached', { limiter: name, ip: req.ip, retryAfter });
+    next(new TooManyRequestsError(message, { retryAfter }, code));
+  },
+  ...options
+});
+
+// Counts per account rather than per address, so spreading guesses over many IPs doesn't help
+const accountKey = (req) => `account:${String(req.body.email || '').trim().toLowerCase()}`;
+
+// =======================
+// Auth limiters
+// =======================
+
+// Public auth endpoints (register, refresh, reset, verify), per IP
+const authLimiter = createLimiter('auth', {
+  windowMs: 15 * MINUTE,
+  limit: 100,
+  message: 'Too many requests; please try again later'
+});
+
+// Failed sign-ins per IP; successful ones don't count
+const loginIpLimiter = createLimiter('login-ip', {
+  windowMs: 15 * MINUTE,
+  limit: 20,
+  skipSuccessfulRequests: true,
+  message: 'Too many failed sign-ins from this address; please try again later'
+});
+
+// Failed sign-ins per account, whichever IP they come from. Also covers
+// emails with no account, which the lockout on the user can't.
+const loginAccountLimiter = createLimiter('login-account', {
+  windowMs: 15 * MINUTE,
+  limit: 10,
+  skipSuccessfulRequests: true,
+  keyGenerator: accountKey,
+  message: 'Too many failed sign-ins for this account; please try again later'
+});
+
+// Reset emails per address, so nobody's inbox can be flooded
+const passwordResetLimiter = createLimiter('password-reset', {
+  windowMs: 60 * MINUTE,
+  limit: 5,
+  keyGenerator: accountKey,
+  message: 'Too many reset requests for this email; please try again later'
+});
+
+// Forget an account's failed sign-ins, e.g. when an admin unlocks it
+const resetAccountLimits = (email) => loginAccountLimiter.resetKey(accountKey({ body: { email } }));
+
+module.exports = {
+  createLimiter,
+  authLimiter,
+  loginIpLimiter,
+  loginAccountLimiter,
+  passwordResetLimiter,
+  resetAccountLimits
+};
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+const { withLogContext } = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Ids from a proxy or the client are kept when they look like ids
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// =======================
+// Give every request an id (`req.id`), echoed in the X-Request-Id response
+// header and in error responses so a report can be matched to the logs.
+// Everything logged while the request runs carries it as `requestId`.
+// =======================
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader(REQUEST_ID_HEADER, req.id);
+  withLogContext({ requestId: req.id }, next);
+};
+
+module.exports = requestId;
+module.exports.REQUEST_ID_HEADER = REQUEST_ID_HEADER;
@@ -0,0 +1,39 @@
+const { ROLES, hasRole, hasPermission } = require('../utils/permissions');
+const { AuthError, ForbiddenError } = require('../utils/errors');
+
+// =======================
+// Allow the request only for users at or above `minimumRole`. Use after `auth`.
+// =======================
+const requireRole = (minimumRole) => {
+  if (!ROLES.includes(minimumRole)) {
+    throw new Error(`Unknown role: ${minimumRole}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new AuthError('No token, authorization denied', undefined, 'NO_TOKEN'));
+    }
+    if (!hasRole(req.user, minimumRole)) {
+      return next(new ForbiddenError(`Requires ${minimumRole} role or higher`, { requiredRole: minimumRole }));
+    }
+    next();
+  };
+};
+
+// =======================
+// Allow the request only for users whose role grants `permission`. Use after `auth`.
+// =======================
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return next(new AuthError('No token, authorization denied', undefined, 'NO_TOKEN'));
+  }
+  if (!hasPermission(req.user, permission)) {
+    return next(new ForbiddenError(`Missing permission: ${permission}`, { requiredPermission: permission }));
+  }
+  next();
+};
+
+module.exports = {
+  requireRole,
+  requirePermission
+};
@@ -0,0 +1,17 @@
+const { AsyncResource } = require('async_hooks');
+const multer = require('multer');
+const { fromMulterError } = require('../utils/errors');
+
+// =======================
+// Run a multer handler and report its errors with the limit that applies
+// to this route ("the limit is 20MB") instead of a generic message.
+// Multer calls back from stream events, which would lose the request's log
+// context (its id), so the callback is bound to it.
+// =======================
+const withUploadLimit = (handler, maxBytes) => (req, res, next) => {
+  handler(req, res, AsyncResource.bind((error) => {
+    next(error instanceof multer.MulterError ? fromMulterError(error, { maxBytes }) : error);
+  }));
+};
+
+module.exports = withUploadLimit;
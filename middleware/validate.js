@@ -0,0 +1,46 @@
+const { validateSchema, checkSchema, invalidRequest } = require('../utils/validation');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// =======================
+// Validate and coerce `req.params`, `req.query` and `req.body` against
+// schemas (see utils/validation). Fails with a ValidationError listing every
+// problem at once: { message, code, errors: [{ field, location, message }] }. Handlers then see
+// coerced values, and fields that were missing are gone rather than "".
+// Put it after multer on multipart routes so the form fields are parsed.
+// =======================
+const validate = (schemas) => {
+  for (const location of Object.keys(schemas)) {
+    if (!LOCATIONS.includes(location)) {
+      throw new Error(`Cannot validate req.${location}`);
+    }
+    checkSchema(schemas[location]);
+  }
+
+  return (req, res, next) => {
+    const errors = [];
+    const results = {};
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+      results[location] = validateSchema(schemas[location], req[location], { location });
+      errors.push(...results[location].errors);
+    }
+
+    if (errors.length > 0) {
+      return next(invalidRequest(errors));
+    }
+
+    for (const [location, { values }] of Object.entries(results)) {
+      const target = { ...req[location] };
+      for (const name of Object.keys(schemas[location])) {
+        if (values[name] === undefined) delete target[name];
+        else target[name] = values[name];
+      }
+      // req.query is a getter in Express 5, so shadow it on the request
+      Object.defineProperty(req, location, { value: target, writable: true, configurable: true, enumerable: true });
+    }
+    next();
+  };
+};
+
+module.exports = validate;
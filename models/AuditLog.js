@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// What was touched: the entity types with audited writes, plus auth events
+const AUDIT_ENTITIES = ['product', 'category', 'collection', 'promotion', 'currency', 'review', 'user', 'order', 'stock', 'image', 'backup', 'auth'];
+
+// One field that changed: dotted path, value before and after
+const auditChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only record of a write or an auth event, e.g. "product.update" or "auth.login_failed"
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entity: {
+    type: String,
+    enum: AUDIT_ENTITIES,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Title, email or code of the entity when the entry was written, for lists
+  label: {
+    type: String,
+    default: ''
+  },
+  // Anonymous for failed logins and registrations; the email tried is kept in `actorEmail`
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorEmail: {
+    type: String,
+    default: ''
+  },
+  actorRole: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  changes: {
+    type: [auditChangeSchema],
+    default: []
+  },
+  // Products only: the whole document after the change, so it can be reverted to
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Anything else worth keeping (failure reason, import file, ...)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.AUDIT_ENTITIES = AUDIT_ENTITIES;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const TOKEN_PURPOSES = ['password-reset', 'email-verification'];
+
+// Single-use token sent by email. Only the SHA-256 hash is stored.
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: TOKEN_PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+authTokenSchema.index({ user: 1, purpose: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
+module.exports.TOKEN_PURPOSES = TOKEN_PURPOSES;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const GUEST_CART_TTL_DAYS = 30;
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set for products sold in variants; empty for single-price products
+  sku: {
+    type: String,
+    default: ''
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A cart belongs to a logged-in user or to a guest holding the cart token
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  token: {
+    type: String
+  },
+  items: {
+    type: [cartItemSchema],
+    default: []
+  },
+  // Entered by the customer; checked again every time the cart is priced
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Only guest carts expire
+  expiresAt: {
+    type: Date
+  }
+});
+
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ token: 1 }, { unique: true, partialFilterExpression: { token: { $exists: true } } });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.pre('save', function (next) {
+  this.updatedAt = new Date();
+  if (!this.user) {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A node in the category tree ("Women > Floral > White florals").
+// `ancestors` holds the path from the root so a subtree is one query away.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Earlier slugs, which redirect to the current one
+  previousSlugs: {
+    type: [String],
+    default: []
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // null for top-level categories
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Manual order among siblings, lowest first
+  position: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.index({ slug: 1 }, { unique: true });
+categorySchema.index({ previousSlugs: 1 });
+categorySchema.index({ parent: 1, position: 1 });
+categorySchema.index({ ancestors: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
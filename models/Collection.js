@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A curated, hand-ordered list of products ("Summer fresh", "Best sellers")
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Earlier slugs, which redirect to the current one
+  previousSlugs: {
+    type: [String],
+    default: []
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // In display order
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // Manual order of collections, lowest first
+  position: {
+    type: Number,
+    default: 0
+  },
+  // Unpublished collections are only visible to editors
+  published: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+collectionSchema.index({ slug: 1 }, { unique: true });
+collectionSchema.index({ previousSlugs: 1 });
+collectionSchema.index({ published: 1, position: 1 });
+collectionSchema.index({ products: 1 });
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon by an order; backs the per-customer limit
+const couponRedemptionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Guests are counted by the email they check out with
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Who used it (account id, or a guest's email) and which of their
+  // perCustomerLimit uses this is; the pair is unique, so two checkouts
+  // can't both take a customer's last use
+  customer: String,
+  use: Number,
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponRedemptionSchema.index({ order: 1 }, { unique: true });
+couponRedemptionSchema.index({ promotion: 1, user: 1 });
+couponRedemptionSchema.index({ promotion: 1, email: 1 });
+couponRedemptionSchema.index(
+  { promotion: 1, customer: 1, use: 1 },
+  { unique: true, partialFilterExpression: { use: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
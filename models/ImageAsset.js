@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { imageVariantsSchema } = require('./Product');
+
+// One stored image, keyed by a hash of the uploaded bytes. Every product
+// image pointing at it holds one reference; the files go when the last one does.
+const imageAssetSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  imageUrl: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  variants: imageVariantsSchema,
+  width: Number,
+  height: Number,
+  // Size of the upload as received, before processing
+  size: Number,
+  refCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ImageAsset', imageAssetSchema);
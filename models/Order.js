@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY } = require('../utils/currency');
+
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+// Allowed status changes; anything else is rejected
+const STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// Product details copied at purchase time so later edits don't rewrite history
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  brand: {
+    type: String,
+    default: ''
+  },
+  volumeMl: {
+    type: Number
+  },
+  imageUrl: {
+    type: String,
+    default: ''
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  finalUnitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  lineTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // The sale that set finalUnitPrice, if any
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  promotionName: {
+    type: String
+  }
+}, { _id: false });
+
+const addressSchema = new mongoose.Schema({
+  name: { type: String, trim: true, required: [true, 'Recipient name is required'] },
+  line1: { type: String, trim: true, required: [true, 'Address line 1 is required'] },
+  line2: { type: String, trim: true, default: '' },
+  city: { type: String, trim: true, required: [true, 'City is required'] },
+  postalCode: { type: String, trim: true, required: [true, 'Postal code is required'] },
+  country: { type: String, trim: true, required: [true, 'Country is required'] },
+  phone: { type: String, trim: true, default: '' }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'An order needs at least one item']
+  },
+  // Every amount on the order is in this currency
+  currency: { type: String, uppercase: true, default: BASE_CURRENCY },
+  subtotal: { type: Number, required: true, min: 0 },
+  discountTotal: { type: Number, default: 0, min: 0 },
+  couponDiscount: { type: Number, default: 0, min: 0 },
+  total: { type: Number, required: true, min: 0 },
+  coupon: {
+    promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    code: { type: String },
+    name: { type: String }
+  },
+  shippingAddress: {
+    type: addressSchema,
+    required: [true, 'Shipping address is required']
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: { type: String, enum: ORDER_STATUSES },
+    note: { type: String, default: '' },
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+  payment: {
+    provider: { type: String },
+    reference: { type: String },
+    status: { type: String },
+    refundReference: { type: String }
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockReservation'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+
+// Move to a new status, recording it in the history
+orderSchema.methods.transitionTo = function (status, note = '') {
+  const allowed = STATUS_TRANSITIONS[this.status] || [];
+  if (!allowed.includes(status)) {
+    return false;
+  }
+  this.status = status;
+  this.statusHistory.push({ status, note });
+  return true;
+};
+
+module.exports = mongoose.model('Order', orderSchema);
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
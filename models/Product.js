@@ -1,4 +1,119 @@
 const mongoose = require('mongoose');
+const { CONCENTRATIONS, GENDERS, FAMILIES } = require('../utils/fragranceAttributes');
+const { VARIANT_TYPES } = require('../utils/variants');
+const { BASE_CURRENCY, getRates, priceInBase } = require('../utils/currency');
+
+// A fixed price in another currency, used instead of converting
+const priceOverrideSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Olfactory pyramid: each tier is a list of lowercase note names
+const notesSchema = new mongoose.Schema({
+  top: { type: [String], default: [] },
+  heart: { type: [String], default: [] },
+  base: { type: [String], default: [] }
+}, { _id: false });
+
+// A sellable size of the fragrance (30ml bottle, tester, 5ml decant, ...)
+const variantSchema = new mongoose.Schema({
+  volumeMl: {
+    type: Number,
+    required: [true, 'Variant volume is required'],
+    min: 0
+  },
+  type: {
+    type: String,
+    enum: VARIANT_TYPES,
+    default: 'bottle'
+  },
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  prices: {
+    type: [priceOverrideSchema],
+    default: []
+  },
+  barcode: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Units available to sell; units held for checkouts are counted in `reserved`
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Overrides LOW_STOCK_THRESHOLD for this variant
+  lowStockThreshold: {
+    type: Number,
+    min: 0
+  }
+});
+
+// URLs of one responsive size of the product image, in each output format
+const imageSizeSchema = new mongoose.Schema({
+  width: Number,
+  height: Number,
+  avif: String,
+  webp: String,
+  jpeg: String
+}, { _id: false });
+
+const imageVariantsSchema = new mongoose.Schema({
+  thumbnail: imageSizeSchema,
+  card: imageSizeSchema,
+  detail: imageSizeSchema,
+  zoom: imageSizeSchema
+}, { _id: false });
+
+// One picture in the product gallery (bottle, box, lifestyle shot, notes chart)
+const productImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  variants: imageVariantsSchema,
+  alt: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+});
 
 const productSchema = new mongoose.Schema({
   title: {
@@ -6,17 +121,34 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Title is required'],
     trim: true
   },
+  // URL name built from brand + title; see utils/slugs.js
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Earlier slugs, which redirect to the current one
+  previousSlugs: {
+    type: [String],
+    default: []
+  },
   description: {
     type: String,
     required: false,
     default: ''
   },
+  // Average of approved reviews, kept up to date by utils/reviews.js
   rating: {
     type: Number,
-    required: [true, 'Rating is required'],
+    default: 0,
     min: 0,
     max: 5
   },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   price: {
     type: Number,
     required: [true, 'Price is required'],
@@ -28,14 +160,123 @@ const productSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // Currency `price` and variant prices are in; converted for other currencies
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: BASE_CURRENCY
+  },
+  // Mirrors the cheapest variant's overrides, like `price`
+  prices: {
+    type: [priceOverrideSchema],
+    default: []
+  },
+  // `price` in the base currency, so products in different currencies can be
+  // compared; set on save and when an exchange rate changes
+  priceInBase: {
+    type: Number,
+    min: 0
+  },
+  brand: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  concentration: {
+    type: String,
+    enum: CONCENTRATIONS
+  },
+  gender: {
+    type: String,
+    enum: GENDERS,
+    default: 'unisex'
+  },
+  family: {
+    type: String,
+    enum: FAMILIES
+  },
+  notes: {
+    type: notesSchema,
+    default: () => ({})
+  },
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  variants: {
+    type: [variantSchema],
+    default: []
+  },
   imageUrl: {
     type: String,
     required: [true, 'Image URL or uploaded file is required']
   },
+  // Generated on upload; see utils/imageProcessing.js
+  imageVariants: imageVariantsSchema,
+  // Ordered gallery; imageUrl/imageVariants mirror the primary image
+  images: {
+    type: [productImageSchema],
+    default: []
+  },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  // Set while the product is in the trash; see utils/trash.js
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// =======================
+// Trashed products are left out of reads unless the query filters on
+// `deletedAt` itself or sets the `withDeleted` option. Writes are not
+// filtered, so stock movements and cleanups still reach trashed products.
+// =======================
+function excludeTrashed() {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+}
+
+productSchema.pre(['find', 'findOne', 'countDocuments'], excludeTrashed);
+
+// Before validation, so every save (and validate()) keeps `priceInBase` current
+productSchema.pre('validate', async function () {
+  if (this.isNew || this.isModified('price') || this.isModified('prices') || this.isModified('currency')) {
+    this.priceInBase = priceInBase(this, await getRates());
   }
 });
+productSchema.pre('aggregate', function () {
+  if (this.options.withDeleted) return;
+  const [first] = this.pipeline();
+  if (first && first.$match && first.$match.deletedAt !== undefined) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+// Indexes backing the list endpoint's filters and sort options
+productSchema.index({ createdAt: -1, _id: -1 });
+productSchema.index({ priceInBase: 1, _id: 1 });
+productSchema.index({ rating: 1, _id: 1 });
+productSchema.index({ discount: 1, _id: 1 });
+productSchema.index({ brand: 1 });
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+productSchema.index({ family: 1, concentration: 1, gender: 1 });
+productSchema.index({ 'notes.top': 1 });
+productSchema.index({ 'notes.heart': 1 });
+productSchema.index({ 'notes.base': 1 });
+productSchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $exists: true } } });
+productSchema.index({ previousSlugs: 1 });
+productSchema.index({ categories: 1 });
+productSchema.index({ deletedAt: 1 });
 
 module.exports = mongoose.model('Product', productSchema);
+module.exports.imageVariantsSchema = imageVariantsSchema;
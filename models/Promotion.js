@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// sale: applied automatically to matching products while it runs
+// coupon: applied to a cart when the customer enters its code
+const PROMOTION_TYPES = ['sale', 'coupon'];
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+// Which products a promotion covers
+const PROMOTION_SCOPES = ['all', 'products', 'brands', 'collections'];
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: [true, 'Promotion type is required']
+  },
+  // Coupons only; stored upper case
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    default: 'percent'
+  },
+  // Percentage off (0-100) or an amount off per unit (sales) / per order (coupons),
+  // in the base currency
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: 0
+  },
+  scope: {
+    type: String,
+    enum: PROMOTION_SCOPES,
+    default: 'all'
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // Matched case-insensitively against Product.brand
+  brands: [{
+    type: String,
+    trim: true
+  }],
+  // Covers whatever products are in these collections at the time
+  collections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  }],
+  // Open-ended when not set
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  // Switch a promotion off without deleting it
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Coupon rules; the minimum order is in the base currency
+  minOrderTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  usageLimit: {
+    type: Number,
+    min: 0
+  },
+  perCustomerLimit: {
+    type: Number,
+    min: 0
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // When false the coupon only discounts items that are not on sale
+  combinesWithSales: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+promotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $exists: true } } });
+promotionSchema.index({ type: 1, active: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
+module.exports.PROMOTION_TYPES = PROMOTION_TYPES;
+module.exports.DISCOUNT_TYPES = DISCOUNT_TYPES;
+module.exports.PROMOTION_SCOPES = PROMOTION_SCOPES;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const QUARANTINE_STATUSES = ['quarantined', 'restored', 'purged'];
+
+// A stored file the orphan cleanup set aside instead of deleting.
+// It sits under `quarantineKey` until restored to `key` or purged.
+const quarantinedImageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  quarantineKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  size: Number,
+  lastModified: Date,
+  status: {
+    type: String,
+    enum: QUARANTINE_STATUSES,
+    default: 'quarantined'
+  },
+  quarantinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  purgeAfter: {
+    type: Date,
+    required: true
+  },
+  restoredAt: Date,
+  restoredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  purgedAt: Date
+});
+
+quarantinedImageSchema.index({ status: 1, purgeAfter: 1 });
+quarantinedImageSchema.index({ key: 1 });
+
+module.exports = mongoose.model('QuarantinedImage', quarantinedImageSchema);
+module.exports.QUARANTINE_STATUSES = QUARANTINE_STATUSES;
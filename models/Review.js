@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// New reviews wait for a moderator; only approved ones are shown and counted
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+const score = (label, required) => ({
+  type: Number,
+  min: [1, `${label} must be between 1 and 5`],
+  max: [5, `${label} must be between 1 and 5`],
+  validate: {
+    validator: value => value === undefined || value === null || Number.isInteger(value),
+    message: `${label} must be a whole number`
+  },
+  ...(required ? { required: [true, `${label} is required`] } : {})
+});
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: score('Rating', true),
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: ''
+  },
+  text: {
+    type: String,
+    trim: true,
+    required: [true, 'Review text is required'],
+    maxlength: 5000
+  },
+  // Optional fragrance-specific scores: how long it lasts and how far it projects
+  longevity: score('Longevity', false),
+  sillage: score('Sillage', false),
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  moderationNote: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One review per customer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
+module.exports.REVIEW_STATUSES = REVIEW_STATUSES;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['restock', 'sale', 'damage', 'correction', 'return'];
+
+// Append-only ledger of stock changes for a product variant
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  sku: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: [true, 'Movement type is required']
+  },
+  // Signed change in on-hand stock (negative for sales and damage)
+  quantity: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  reference: {
+    type: String,
+    default: ''
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ sku: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
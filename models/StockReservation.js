@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const RESERVATION_STATUSES = ['active', 'committed', 'released', 'expired'];
+
+// Stock held for a checkout until it is committed, released or expires
+const stockReservationSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    sku: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    _id: false
+  }],
+  status: {
+    type: String,
+    enum: RESERVATION_STATUSES,
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ reference: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
+module.exports.RESERVATION_STATUSES = RESERVATION_STATUSES;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ROLES, permissionsFor } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -13,9 +14,40 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'customer'
+  },
+  // Kept in sync with `role` for clients that still read it
   isAdmin: {
     type: Boolean,
-    default: true // Since we only have admin users
+    default: false
+  },
+  // Brute-force protection (see utils/accountLockout): failures since the
+  // last lock or success, the lock itself, and how many locks in a row
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lockCount: {
+    type: Number,
+    default: 0
   },
   createdAt: {
     type: Date,
@@ -23,6 +55,12 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+// Keep the legacy admin flag in step with the role
+userSchema.pre('save', function (next) {
+  this.isAdmin = this.role === 'admin' || this.role === 'owner';
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
@@ -41,4 +79,21 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.getPermissions = function () {
+  return permissionsFor(this.role);
+};
+
+// Accounts created before roles existed were all admins; they become owners
+userSchema.statics.migrateLegacyRoles = async function () {
+  const owners = await this.updateMany(
+    { role: { $exists: false }, isAdmin: true },
+    { $set: { role: 'owner' } }
+  );
+  const customers = await this.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: 'customer', isAdmin: false } }
+  );
+  return owners.modifiedCount + customers.modifiedCount;
+};
+
 module.exports = mongoose.model('User', userSchema);
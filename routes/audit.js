@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { paging } = require('../utils/validation');
+const { AUDIT_ENTITIES } = require('../models/AuditLog');
+
+// Every create/update/delete and sign-in event, with who, from where and what changed.
+// A product's own history (and revert) lives under /api/products/:id/history.
+
+// @route   GET /api/audit
+// @desc    Query the audit log (?action= comma list, entity, entityId, actor, ip, from, to, page, limit)
+// @access  Private (admin)
+router.get('/', auth, requirePermission('audit:read'), validate({
+  query: {
+    ...paging,
+    action: { type: 'string' },
+    entity: { type: 'enum', values: AUDIT_ENTITIES },
+    entityId: { type: 'objectId' },
+    actor: { type: 'objectId' },
+    ip: { type: 'string' },
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }
+}), auditController.getAuditLog);
+
+module.exports = router;
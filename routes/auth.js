@@ -2,20 +2,78 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { authLimiter, loginIpLimiter, loginAccountLimiter, passwordResetLimiter } = require('../middleware/rateLimit');
+const { idParams } = require('../utils/validation');
+
+// Format and length rules (email pattern, password length) stay in the controller
+const credentials = {
+  email: { type: 'string', required: true, maxLength: 254 },
+  password: { type: 'string', required: true, trim: false, maxLength: 1024 }
+};
+
+// Public endpoints are throttled per IP; sign-ins also per account (see middleware/rateLimit)
 
 // @route   POST /api/auth/register
-// @desc    Register a new admin (only if no admin exists)
+// @desc    Register a customer account (the first account becomes the owner)
 // @access  Public
-router.post('/register', authController.register);
+router.post('/register', authLimiter, validate({ body: { ...credentials, name: { type: 'string', maxLength: 100 } } }), authController.register);
 
 // @route   POST /api/auth/login
-// @desc    Login admin
+// @desc    Login (customers and staff). Repeated failures lock the account for a while.
 // @access  Public
-router.post('/login', authController.login);
+router.post('/login', loginIpLimiter, validate({ body: { ...credentials, cartToken: { type: 'string' } } }), loginAccountLimiter, authController.login);
 
 // @route   GET /api/auth/me
-// @desc    Get current user
+// @desc    Get current user and their permissions
 // @access  Private
 router.get('/me', auth, authController.getCurrentUser);
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post('/refresh', authLimiter, validate({ body: { refreshToken: { type: 'string', required: true } } }), authController.refresh);
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, authController.logout);
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session for the current user
+// @access  Private
+router.post('/logout-all', auth, authController.logoutAll);
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions
+// @access  Private
+router.get('/sessions', auth, authController.getSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one session
+// @access  Private
+router.delete('/sessions/:id', auth, validate({ params: idParams('id') }), authController.revokeSession);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', authLimiter, validate({ body: { email: credentials.email } }), passwordResetLimiter, authController.forgotPassword);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', authLimiter, validate({
+  body: { token: { type: 'string', required: true }, password: credentials.password }
+}), authController.resetPassword);
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with a verification token
+// @access  Public
+router.post('/verify-email', authLimiter, validate({ body: { token: { type: 'string', required: true } } }), authController.verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', auth, authController.resendVerification);
+
 module.exports = router;
\ No newline at end of file
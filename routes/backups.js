@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const backupController = require('../controllers/backupController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { SNAPSHOT_ID_PATTERN } = require('../utils/backups');
+
+const snapshotParams = {
+  id: { type: 'string', required: true, pattern: SNAPSHOT_ID_PATTERN, patternMessage: 'is not a snapshot id' }
+};
+
+// @route   GET /api/backups
+// @desc    List snapshots and the retention policy
+// @access  Private (owner)
+router.get('/', auth, requirePermission('backups:manage'), backupController.getSnapshots);
+
+// @route   POST /api/backups
+// @desc    Snapshot images, products and users now
+// @access  Private (owner)
+router.post('/', auth, requirePermission('backups:manage'), backupController.createSnapshot);
+
+// @route   GET /api/backups/:id/verify
+// @desc    Verify a snapshot against its manifest checksums
+// @access  Private (owner)
+router.get('/:id/verify', auth, requirePermission('backups:manage'), validate({ params: snapshotParams }), backupController.verifySnapshot);
+
+// @route   POST /api/backups/:id/restore
+// @desc    Replace uploads and the database collections with a snapshot ({ confirm: id, force })
+// @access  Private (owner)
+router.post('/:id/restore', auth, requirePermission('backups:manage'), validate({
+  params: snapshotParams,
+  body: { confirm: { type: 'string' }, force: { type: 'boolean' } }
+}), backupController.restoreSnapshot);
+
+module.exports = router;
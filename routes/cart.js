@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const cartController = require('../controllers/cartController');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const currency = require('../middleware/currency');
+const validate = require('../middleware/validate');
+const { idParams } = require('../utils/validation');
+const { MAX_LINE_QUANTITY } = require('../utils/cart');
+
+// Guests identify their cart with the X-Cart-Token header returned as `cartToken`;
+// logged-in users get their own cart from the token in Authorization.
+// Prices come in ?currency= or the X-Currency header (base currency by default).
+router.use(currency);
+
+// @route   GET /api/cart
+// @desc    Get current cart with live prices, sales and coupon
+// @access  Public
+router.get('/', optionalAuth, cartController.getCart);
+
+// @route   POST /api/cart/items
+// @desc    Add a product (and variant SKU) to the cart
+// @access  Public
+router.post('/items', optionalAuth, validate({
+  body: {
+    productId: { type: 'objectId', required: true },
+    sku: { type: 'string', uppercase: true },
+    quantity: { type: 'integer', min: 1, max: MAX_LINE_QUANTITY, default: 1 }
+  }
+}), cartController.addItem);
+
+// @route   PATCH /api/cart/items/:itemId
+// @desc    Change a line's quantity (0 removes it)
+// @access  Public
+router.patch('/items/:itemId', optionalAuth, validate({
+  params: idParams('itemId'),
+  body: { quantity: { type: 'integer', required: true, min: 0, max: MAX_LINE_QUANTITY } }
+}), cartController.updateItem);
+
+// @route   DELETE /api/cart/items/:itemId
+// @desc    Remove a line
+// @access  Public
+router.delete('/items/:itemId', optionalAuth, validate({ params: idParams('itemId') }), cartController.removeItem);
+
+// @route   DELETE /api/cart
+// @desc    Empty the cart
+// @access  Public
+router.delete('/', optionalAuth, cartController.clearCart);
+
+// @route   POST /api/cart/coupon
+// @desc    Apply a coupon code ({ code }); replaces any coupon already applied
+// @access  Public
+router.post('/coupon', optionalAuth, validate({ body: { code: { type: 'string', required: true } } }), cartController.applyCoupon);
+
+// @route   DELETE /api/cart/coupon
+// @desc    Remove the applied coupon
+// @access  Public
+router.delete('/coupon', optionalAuth, cartController.removeCoupon);
+
+// @route   POST /api/cart/merge
+// @desc    Merge a guest cart into the user's cart
+// @access  Private
+router.post('/merge', auth, validate({ body: { cartToken: { type: 'string' } } }), cartController.mergeCart);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { idParams } = require('../utils/validation');
+
+const categoryFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  slug: { type: 'string', lowercase: true },
+  description: { type: 'string' },
+  parent: { type: 'objectId', nullable: true }
+};
+
+// Products are assigned with `categories` on product create/update and listed
+// with GET /api/products?category=<slug or id>, which includes subcategories
+
+// @route   GET /api/categories
+// @desc    The category tree, siblings in manual order, with product counts
+// @access  Public
+router.get('/', categoryController.getCategoryTree);
+
+// @route   GET /api/categories/slug/:slug
+// @desc    A category with its breadcrumb and subcategories; old slugs answer 301
+// @access  Public
+router.get('/slug/:slug', categoryController.getCategoryBySlug);
+
+// @route   PUT /api/categories/order
+// @desc    Reorder the children of a parent ({ parent: id or null, order: [ids] })
+// @access  Private (editor)
+router.put('/order', auth, requirePermission('products:write'), validate({
+  body: {
+    parent: { type: 'objectId', nullable: true },
+    order: { type: 'array', required: true, items: { type: 'objectId' } }
+  }
+}), categoryController.reorderCategories);
+
+// @route   POST /api/categories
+// @desc    Create a category ({ name, slug, description, parent }); it goes last among its siblings
+// @access  Private (editor)
+router.post('/', auth, requirePermission('products:write'), validate({
+  body: { ...categoryFields, name: { type: 'string', required: true, maxLength: 100 } }
+}), categoryController.createCategory);
+
+// @route   PATCH /api/categories/:id
+// @desc    Rename, re-slug or move a category; its subcategories move with it
+// @access  Private (editor)
+router.patch('/:id', auth, requirePermission('products:write'), validate({ params: idParams('id'), body: categoryFields }), categoryController.updateCategory);
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category without subcategories; its products are kept
+// @access  Private (editor)
+router.delete('/:id', auth, requirePermission('products:write'), validate({ params: idParams('id') }), categoryController.deleteCategory);
+
+module.exports = router;
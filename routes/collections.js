@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const collectionController = require('../controllers/collectionController');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const currency = require('../middleware/currency');
+const { requirePermission } = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { paging, idParams } = require('../utils/validation');
+
+const collectionFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  slug: { type: 'string', lowercase: true },
+  description: { type: 'string' },
+  published: { type: 'boolean' }
+};
+
+const idList = { type: 'array', items: { type: 'objectId' } };
+const collectionId = validate({ params: idParams('id') });
+
+// @route   GET /api/collections
+// @desc    Published collections in manual order (editors also see unpublished ones)
+// @access  Public
+router.get('/', optionalAuth, collectionController.getCollections);
+
+// @route   GET /api/collections/slug/:slug
+// @desc    A collection with a page of its products in manual order (?page=&limit=&currency=);
+//          old slugs answer 301
+// @access  Public
+router.get('/slug/:slug', optionalAuth, validate({ query: paging }), currency, collectionController.getCollectionBySlug);
+
+// @route   PUT /api/collections/order
+// @desc    Reorder collections ({ order: [ids] })
+// @access  Private (editor)
+router.put('/order', auth, requirePermission('products:write'), validate({
+  body: { order: { ...idList, required: true } }
+}), collectionController.reorderCollections);
+
+// @route   POST /api/collections
+// @desc    Create a collection ({ name, slug, description, published, products })
+// @access  Private (editor)
+router.post('/', auth, requirePermission('products:write'), validate({
+  body: { ...collectionFields, name: { type: 'string', required: true, maxLength: 100 }, products: idList }
+}), collectionController.createCollection);
+
+// @route   GET /api/collections/:id
+// @desc    A collection with its product ids
+// @access  Private (editor)
+router.get('/:id', auth, requirePermission('products:write'), collectionId, collectionController.getCollection);
+
+// @route   PATCH /api/collections/:id
+// @desc    Update name, slug, description or published
+// @access  Private (editor)
+router.patch('/:id', auth, requirePermission('products:write'), validate({ params: idParams('id'), body: collectionFields }), collectionController.updateCollection);
+
+// @route   DELETE /api/collections/:id
+// @desc    Delete a collection; its products are kept
+// @access  Private (editor)
+router.delete('/:id', auth, requirePermission('products:write'), collectionId, collectionController.deleteCollection);
+
+// @route   PUT /api/collections/:id/products
+// @desc    Replace the products, in display order ({ products: [ids] })
+// @access  Private (editor)
+router.put('/:id/products', auth, requirePermission('products:write'), validate({
+  params: idParams('id'),
+  body: { products: { ...idList, required: true } }
+}), collectionController.setProducts);
+
+// @route   POST /api/collections/:id/products
+// @desc    Insert or move one product ({ productId, position }; the end when position is left out)
+// @access  Private (editor)
+router.post('/:id/products', auth, requirePermission('products:write'), validate({
+  params: idParams('id'),
+  body: { productId: { type: 'objectId', required: true }, position: { type: 'integer', min: 0 } }
+}), collectionController.addProduct);
+
+// @route   DELETE /api/collections/:id/products/:productId
+// @desc    Take a product out of a collection
+// @access  Private (editor)
+router.delete('/:id/products/:productId', auth, requirePermission('products:write'), validate({ params: idParams('id', 'productId') }), collectionController.removeProduct);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const currencyController = require('../controllers/currencyController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+
+// Whether a code is a known currency is checked by the controller
+const currencyParams = {
+  code: { type: 'string', required: true, uppercase: true, pattern: /^[A-Z]{3}$/, patternMessage: 'must be a 3-letter currency code' }
+};
+
+// Clients pick a currency with ?currency= or the X-Currency header on product, cart and order requests
+
+// @route   GET /api/currencies
+// @desc    Base currency and the currencies prices can be shown in, with their rates
+// @access  Public
+router.get('/', currencyController.getCurrencies);
+
+// @route   PUT /api/currencies/:code
+// @desc    Add or change an exchange rate ({ rate }: units per one unit of the base currency)
+// @access  Private (admin)
+router.put('/:code', auth, requirePermission('pricing:manage'), validate({
+  params: currencyParams,
+  body: { rate: { type: 'number', required: true } }
+}), currencyController.setRate);
+
+// @route   DELETE /api/currencies/:code
+// @desc    Remove a currency
+// @access  Private (admin)
+router.delete('/:code', auth, requirePermission('pricing:manage'), validate({ params: currencyParams }), currencyController.deleteRate);
+
+module.exports = router;
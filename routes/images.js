@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const imageMaintenanceController = require('../controllers/imageMaintenanceController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { idParams } = require('../utils/validation');
+const { QUARANTINE_STATUSES } = require('../models/QuarantinedImage');
+
+const quarantineId = validate({ params: idParams('id') });
+
+// @route   GET /api/images/status
+// @desc    Storage driver, file count and size, and every stored image
+// @access  Private (admin)
+router.get('/status', auth, requirePermission('images:manage'), imageMaintenanceController.getStorageStatus);
+
+// @route   POST /api/images/cleanup
+// @desc    Report orphaned images (dry run by default); { dryRun: false } quarantines them
+//          Body: dryRun, force (override the suspicious-run guard), graceHours
+// @access  Private (admin)
+router.post('/cleanup', auth, requirePermission('images:manage'), validate({
+  body: { dryRun: { type: 'boolean' }, force: { type: 'boolean' }, graceHours: { type: 'number', min: 0 } }
+}), imageMaintenanceController.runCleanup);
+
+// @route   GET /api/images/quarantine
+// @desc    List quarantined images (?status=quarantined|restored|purged&limit=)
+// @access  Private (admin)
+router.get('/quarantine', auth, requirePermission('images:manage'), validate({
+  query: { status: { type: 'enum', values: QUARANTINE_STATUSES }, limit: { type: 'integer', min: 1 } }
+}), imageMaintenanceController.getQuarantine);
+
+// @route   POST /api/images/quarantine/purge
+// @desc    Purge quarantined images past their retention
+// @access  Private (admin)
+router.post('/quarantine/purge', auth, requirePermission('images:manage'), imageMaintenanceController.purgeExpired);
+
+// @route   GET /api/images/quarantine/:id/file
+// @desc    View a quarantined file
+// @access  Private (admin)
+router.get('/quarantine/:id/file', auth, requirePermission('images:manage'), quarantineId, imageMaintenanceController.getQuarantinedFile);
+
+// @route   POST /api/images/quarantine/:id/restore
+// @desc    Move a quarantined file back to its original location
+// @access  Private (admin)
+router.post('/quarantine/:id/restore', auth, requirePermission('images:manage'), quarantineId, imageMaintenanceController.restoreImage);
+
+// @route   DELETE /api/images/quarantine/:id
+// @desc    Purge a quarantined file now
+// @access  Private (admin)
+router.delete('/quarantine/:id', auth, requirePermission('images:manage'), quarantineId, imageMaintenanceController.purgeImage);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const inventoryController = require('../controllers/inventoryController');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { idParams } = require('../utils/validation');
+const { MOVEMENT_TYPES } = require('../models/StockMovement');
+
+const reservationId = validate({ params: idParams('id') });
+
+// @route   GET /api/inventory/low-stock
+// @desc    List variants at or below the low-stock threshold (?threshold=)
+// @access  Private (editor)
+router.get('/low-stock', auth, requireRole('editor'), validate({ query: { threshold: { type: 'integer', min: 0 } } }), inventoryController.getLowStock);
+
+// @route   GET /api/inventory/movements
+// @desc    Stock ledger, filterable by sku, product and type
+// @access  Private (editor)
+router.get('/movements', auth, requireRole('editor'), validate({
+  query: {
+    sku: { type: 'string', uppercase: true },
+    product: { type: 'objectId' },
+    type: { type: 'enum', values: MOVEMENT_TYPES },
+    limit: { type: 'integer', min: 1 }
+  }
+}), inventoryController.getMovements);
+
+// @route   POST /api/inventory/adjustments
+// @desc    Record a restock, sale, damage, correction or return
+// @access  Private (admin)
+router.post('/adjustments', auth, requireRole('admin'), validate({
+  body: {
+    sku: { type: 'string', required: true, uppercase: true },
+    type: { type: 'enum', required: true, values: MOVEMENT_TYPES },
+    quantity: { type: 'integer', required: true },
+    reason: { type: 'string', maxLength: 500 },
+    reference: { type: 'string', maxLength: 200 }
+  }
+}), inventoryController.createAdjustment);
+
+// @route   POST /api/inventory/reservations
+// @desc    Hold stock for a checkout until it is committed, released or expires
+// @access  Private (admin)
+router.post('/reservations', auth, requireRole('admin'), validate({
+  body: {
+    items: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          sku: { type: 'string', required: true, uppercase: true },
+          quantity: { type: 'integer', required: true, min: 1 }
+        }
+      }
+    },
+    reference: { type: 'string', maxLength: 200 },
+    ttlMinutes: { type: 'number', min: 0, max: 24 * 60 }
+  }
+}), inventoryController.createReservation);
+
+// @route   GET /api/inventory/reservations/:id
+// @desc    Get a reservation
+// @access  Private (admin)
+router.get('/reservations/:id', auth, requireRole('admin'), reservationId, inventoryController.getReservation);
+
+// @route   POST /api/inventory/reservations/:id/commit
+// @desc    Convert held stock into sales
+// @access  Private (admin)
+router.post('/reservations/:id/commit', auth, requireRole('admin'), reservationId, inventoryController.commitReservation);
+
+// @route   POST /api/inventory/reservations/:id/release
+// @desc    Return held stock
+// @access  Private (admin)
+router.post('/reservations/:id/release', auth, requireRole('admin'), reservationId, inventoryController.releaseReservation);
+
+module.exports = router;
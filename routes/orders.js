@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/orderController');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const currency = require('../middleware/currency');
+const { requireRole } = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { paging, idParams } = require('../utils/validation');
+const { ORDER_STATUSES } = require('../models/Order');
+
+// @route   POST /api/orders
+// @desc    Place an order from the current cart and take payment, in ?currency= or X-Currency
+// @access  Public (guests pass X-Cart-Token and an email)
+router.post('/', optionalAuth, validate({
+  body: {
+    email: { type: 'string', maxLength: 254 },
+    shippingAddress: { type: 'object' },
+    payment: { type: 'object' }
+  }
+}), currency, orderController.createOrder);
+
+// @route   GET /api/orders
+// @desc    List own orders (admins see all)
+// @access  Private
+router.get('/', auth, validate({
+  query: { ...paging, status: { type: 'enum', values: ORDER_STATUSES } }
+}), orderController.getOrders);
+
+// @route   GET /api/orders/:id
+// @desc    Get an order
+// @access  Private
+router.get('/:id', auth, validate({ params: idParams('id') }), orderController.getOrderById);
+
+// @route   PATCH /api/orders/:id/status
+// @desc    Move an order through pending, paid, shipped, delivered, cancelled, refunded
+// @access  Private (admin)
+router.patch('/:id/status', auth, requireRole('admin'), validate({
+  params: idParams('id'),
+  body: { status: { type: 'enum', required: true, values: ORDER_STATUSES }, note: { type: 'string', maxLength: 500 } }
+}), orderController.updateOrderStatus);
+
+module.exports = router;
@@ -1,83 +1,179 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
+const productImageController = require('../controllers/productImageController');
+const catalogController = require('../controllers/catalogController');
+const reviewController = require('../controllers/reviewController');
+const trashController = require('../controllers/trashController');
+const { MAX_IMAGES } = require('../utils/productImages');
 const auth = require('../middleware/auth');
+const { requireRole, requirePermission } = require('../middleware/requireRole');
+const currency = require('../middleware/currency');
+const validate = require('../middleware/validate');
+const withUploadLimit = require('../middleware/upload');
+const { paging, idParams, optional } = require('../utils/validation');
+const { productFields } = require('../utils/productInput');
+const { variantFields } = require('../utils/variants');
+const { productListQuery } = require('../utils/productQuery');
+const { reviewFields } = require('../utils/reviews');
 const multer = require('multer');
-const fs = require('fs');
-const path = require('path');
+const { getStorage } = require('../utils/storage');
+const { isQuarantineKey } = require('../utils/imageCleanup');
+const { ValidationError } = require('../utils/errors');
 
 // =======================
-// Multer storage setup
+// Multer setup: keep uploads in memory so they can be resized and
+// stripped of metadata before anything is written to disk
 // =======================
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/'); // folder where images will be stored, ensure it exists
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + file.originalname;
-    cb(null, uniqueSuffix);
-  }
-});
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
 
 // Make image upload optional
 const upload = multer({ 
-  storage,
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES },
   fileFilter: (req, file, cb) => {
     // Accept image files only
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'), false);
+      cb(new ValidationError('Only image files are allowed', { field: file.fieldname }, 'UNSUPPORTED_FILE_TYPE'), false);
     }
   }
 });
 
+// Primary image under `imageUrl`, extra gallery images under `images`
+const productImages = withUploadLimit(upload.fields([
+  { name: 'imageUrl', maxCount: 1 },
+  { name: 'images', maxCount: MAX_IMAGES }
+]), MAX_UPLOAD_BYTES);
+
+const galleryImages = withUploadLimit(upload.array('images', MAX_IMAGES), MAX_UPLOAD_BYTES);
+
+// Catalog import: the CSV/JSON file plus an optional zip of images
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 100 * 1024 * 1024;
+const catalogUpload = withUploadLimit(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES }
+}).fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'images', maxCount: 1 }
+]), IMPORT_MAX_BYTES);
+
+// =======================
+// Validation schemas. Rules that need the database or several fields at
+// once stay in the handlers. Product, variant, list and review rules live
+// with their code in utils/, shared with the catalog import.
+// =======================
+const reviewPaging = {
+  reviewPage: { type: 'integer', min: 1 },
+  reviewLimit: { type: 'integer', min: 1 }
+};
+
+const catalogFormat = { type: 'enum', values: ['csv', 'json'] };
+
+const importOptions = {
+  dryRun: { type: 'boolean' },
+  skipInvalid: { type: 'boolean' },
+  format: catalogFormat
+};
+
+const productId = validate({ params: idParams('id') });
+
 // =======================
 // Routes
 // =======================
 
 // Get all products (public)
-router.get('/', productController.getAllProducts);
+// Query: page, limit, cursor, sort (price|rating|discount|title|createdAt, prefix "-" for desc),
+//        q, minPrice, maxPrice, minRating, minDiscount, maxDiscount, createdAfter, createdBefore,
+//        brand, concentration, gender, family (comma lists), note, topNote, heartNote, baseNote,
+//        category (slug or id, includes subcategories),
+//        currency (or the X-Currency header) for converted prices; minPrice/maxPrice are in it too
+router.get('/', validate({ query: productListQuery }), currency, productController.getAllProducts);
+
+// Bulk import from CSV/JSON, upserting by SKU or title (editor or above)
+// Multipart: file (.csv/.json), images (optional .zip); query/body: dryRun, skipInvalid, format
+router.post('/import', auth, requireRole('editor'), catalogUpload, validate({ query: importOptions, body: importOptions }), catalogController.importCatalog);
+
+// Stream the whole catalog (?format=csv|json) (editor or above)
+router.get('/export', auth, requireRole('editor'), validate({ query: { format: catalogFormat } }), catalogController.exportCatalog);
+
+// Trash: deleted products with their purge date; restore or purge one for good (admin)
+router.get('/trash', auth, requirePermission('trash:manage'), validate({ query: paging }), trashController.getTrash);
+router.post('/trash/:id/restore', auth, requirePermission('trash:manage'), productId, trashController.restoreProduct);
+router.delete('/trash/:id', auth, requirePermission('trash:manage'), productId, trashController.purgeProduct);
 
 // Get image status for all products (admin only)
-router.get('/image-status', auth, productController.getImageStatus);
-
-// Test endpoint to verify image serving
-router.get('/test-image/:filename', (req, res) => {
-  const { filename } = req.params;
-  const imagePath = path.join(__dirname, '..', 'uploads', filename);
-  
-  if (fs.existsSync(imagePath)) {
-    res.sendFile(imagePath);
-  } else {
-    res.status(404).json({ message: 'Image not found', filename, imagePath });
-  }
-});
+router.get('/image-status', auth, requireRole('admin'), productController.getImageStatus);
+
+// Check uploads storage status (admin); see also /api/images/status
+router.get('/uploads-status', auth, requirePermission('images:manage'), async (req, res) => {
+  const storage = getStorage();
 
-// Check uploads directory status
-router.get('/uploads-status', (req, res) => {
-  const uploadsDir = path.join(__dirname, '..', 'uploads');
-  const exists = fs.existsSync(uploadsDir);
-  const files = exists ? fs.readdirSync(uploadsDir) : [];
-  
+  const objects = (await storage.list()).filter(object => !isQuarantineKey(object.key));
   res.json({
-    uploadsDir,
-    exists,
-    fileCount: files.length,
-    files: files.slice(0, 10) // Show first 10 files
+    driver: storage.name,
+    uploadsDir: storage.root || storage.bucket,
+    exists: true,
+    fileCount: objects.length,
+    files: objects.slice(0, 10).map(object => object.key) // Show first 10 files
   });
 });
 
-// Get single product by ID (public)
-router.get('/:id', productController.getProductById);
+// Get single product by slug (public), like GET /:id; a renamed product's old slugs answer 301
+router.get('/slug/:slug', validate({ query: reviewPaging }), currency, productController.getProductBySlug);
+
+// Get single product by ID (public), with a page of approved reviews
+// Query: reviewPage, reviewLimit, reviewSort (newest|oldest|highest|lowest), currency
+router.get('/:id', validate({ params: idParams('id'), query: reviewPaging }), currency, productController.getProductById);
+
+// Create product (editor or above) - image upload is optional now
+router.post('/', auth, requireRole('editor'), productImages, validate({
+  body: { ...productFields, title: { type: 'string', required: true } }
+}), productController.createProduct);
+
+// Update product (editor or above) - image upload is optional now
+router.patch('/:id', auth, requireRole('editor'), productId, productImages, validate({ body: productFields }), productController.updateProduct);
+
+// Variants: add, update, remove a single size (editor or above)
+router.post('/:id/variants', auth, requireRole('editor'), validate({ params: idParams('id'), body: variantFields }), productController.addVariant);
+router.patch('/:id/variants/:variantId', auth, requireRole('editor'), validate({
+  params: idParams('id', 'variantId'),
+  body: optional(variantFields)
+}), productController.updateVariant);
+router.delete('/:id/variants/:variantId', auth, requireRole('editor'), validate({ params: idParams('id', 'variantId') }), productController.removeVariant);
+
+// Gallery: list, add, edit alt text/primary, remove and reorder images
+router.get('/:id/images', productId, productImageController.getImages);
+router.post('/:id/images', auth, requireRole('editor'), productId, galleryImages, validate({
+  body: { isPrimary: { type: 'boolean' } }
+}), productImageController.addImages);
+router.put('/:id/images/order', auth, requireRole('editor'), validate({
+  params: idParams('id'),
+  body: { order: { type: 'array', required: true, items: { type: 'objectId' } } }
+}), productImageController.reorderImages);
+router.patch('/:id/images/:imageId', auth, requireRole('editor'), validate({
+  params: idParams('id', 'imageId'),
+  body: { alt: { type: 'string', maxLength: 300 }, isPrimary: { type: 'boolean' } }
+}), productImageController.updateImage);
+router.delete('/:id/images/:imageId', auth, requireRole('editor'), validate({ params: idParams('id', 'imageId') }), productImageController.removeImage);
 
-// Create product (admin only) - image upload is optional now
-router.post('/', auth, upload.single('imageUrl'), productController.createProduct);
+// Reviews: approved ones are public (?page, limit, sort); customers post one per product
+// and can edit or delete it under /mine. Moderation lives in /api/reviews.
+router.get('/:id/reviews', validate({ params: idParams('id'), query: paging }), reviewController.getProductReviews);
+router.post('/:id/reviews', auth, requirePermission('reviews:write'), validate({
+  params: idParams('id'),
+  body: reviewFields
+}), reviewController.createReview);
+router.get('/:id/reviews/mine', auth, requirePermission('reviews:write'), productId, reviewController.getMyReview);
+router.patch('/:id/reviews/mine', auth, requirePermission('reviews:write'), validate({ params: idParams('id'), body: optional(reviewFields) }), reviewController.updateMyReview);
+router.delete('/:id/reviews/mine', auth, requirePermission('reviews:write'), productId, reviewController.deleteMyReview);
 
-// Update product (admin only) - image upload is optional now
-router.patch('/:id', auth, upload.single('imageUrl'), productController.updateProduct);
+// History: every recorded change to a product; revert it to the version after an entry (admin)
+router.get('/:id/history', auth, requirePermission('audit:read'), validate({ params: idParams('id'), query: paging }), productController.getProductHistory);
+router.post('/:id/history/:entryId/revert', auth, requirePermission('audit:revert'), validate({ params: idParams('id', 'entryId') }), productController.revertProduct);
 
-// Delete product (admin only)
-router.delete('/:id', auth, productController.deleteProduct);
+// Delete product (editor or above): moves it to the trash
+router.delete('/:id', auth, requireRole('editor'), productId, productController.deleteProduct);
 
 module.exports = router;
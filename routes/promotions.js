@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { paging, idParams } = require('../utils/validation');
+const { PROMOTION_TYPES } = require('../models/Promotion');
+const { PROMOTION_STATES, promotionFields } = require('../utils/promotions');
+
+const promotionId = validate({ params: idParams('id') });
+
+// Customers apply coupons through /api/cart/coupon; stacking rules are in utils/promotions.js
+
+// @route   GET /api/promotions/active
+// @desc    Sales running right now
+// @access  Public
+router.get('/active', promotionController.getActivePromotions);
+
+// @route   GET /api/promotions
+// @desc    List sales and coupons (?type=sale|coupon&state=live|scheduled|expired|inactive&page=&limit=)
+// @access  Private (admin)
+router.get('/', auth, requirePermission('promotions:manage'), validate({
+  query: { ...paging, type: { type: 'enum', values: PROMOTION_TYPES }, state: { type: 'enum', values: PROMOTION_STATES } }
+}), promotionController.getPromotions);
+
+// @route   POST /api/promotions
+// @desc    Create a sale or coupon
+//          Body: name, type, code (coupons), discountType (percent|fixed), value, scope (all|products|brands|collections),
+//          products, brands, collections, startsAt, endsAt, active, minOrderTotal, usageLimit, perCustomerLimit, combinesWithSales
+// @access  Private (admin)
+router.post('/', auth, requirePermission('promotions:manage'), validate({
+  body: {
+    ...promotionFields,
+    name: { ...promotionFields.name, required: true },
+    type: { ...promotionFields.type, required: true },
+    value: { ...promotionFields.value, required: true }
+  }
+}), promotionController.createPromotion);
+
+// @route   GET /api/promotions/:id
+// @desc    Get a promotion
+// @access  Private (admin)
+router.get('/:id', auth, requirePermission('promotions:manage'), promotionId, promotionController.getPromotion);
+
+// @route   PATCH /api/promotions/:id
+// @desc    Update a promotion
+// @access  Private (admin)
+router.patch('/:id', auth, requirePermission('promotions:manage'), validate({ params: idParams('id'), body: promotionFields }), promotionController.updatePromotion);
+
+// @route   DELETE /api/promotions/:id
+// @desc    Delete a promotion that was never redeemed
+// @access  Private (admin)
+router.delete('/:id', auth, requirePermission('promotions:manage'), promotionId, promotionController.deletePromotion);
+
+// @route   GET /api/promotions/:id/redemptions
+// @desc    Orders that used a coupon
+// @access  Private (admin)
+router.get('/:id/redemptions', auth, requirePermission('promotions:manage'), validate({ params: idParams('id'), query: paging }), promotionController.getRedemptions);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { paging, idParams } = require('../utils/validation');
+const { REVIEW_STATUSES } = require('../models/Review');
+
+// Customers post and edit their reviews under /api/products/:id/reviews
+
+// @route   GET /api/reviews
+// @desc    Moderation queue (?status=pending|approved|rejected&product=&page=&limit=)
+// @access  Private (admin)
+router.get('/', auth, requirePermission('reviews:moderate'), validate({
+  query: { ...paging, status: { type: 'enum', values: REVIEW_STATUSES }, product: { type: 'objectId' } }
+}), reviewController.getReviews);
+
+// @route   PATCH /api/reviews/:id/status
+// @desc    Approve or reject a review ({ status, note }); recomputes the product rating
+// @access  Private (admin)
+router.patch('/:id/status', auth, requirePermission('reviews:moderate'), validate({
+  params: idParams('id'),
+  body: { status: { type: 'enum', required: true, values: REVIEW_STATUSES }, note: { type: 'string', maxLength: 500 } }
+}), reviewController.moderateReview);
+
+// @route   DELETE /api/reviews/:id
+// @desc    Remove a review
+// @access  Private (admin)
+router.delete('/:id', auth, requirePermission('reviews:moderate'), validate({ params: idParams('id') }), reviewController.deleteReview);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { paging, idParams } = require('../utils/validation');
+const { ROLES } = require('../utils/permissions');
+
+// @route   GET /api/users
+// @desc    List user accounts
+// @access  Private (admin)
+router.get('/', auth, requireRole('admin'), validate({ query: { ...paging, role: { type: 'enum', values: ROLES } } }), userController.getUsers);
+
+// @route   PATCH /api/users/:id/role
+// @desc    Change a user's role
+// @access  Private (owner)
+router.patch('/:id/role', auth, requireRole('owner'), validate({
+  params: idParams('id'),
+  body: { role: { type: 'enum', required: true, values: ROLES } }
+}), userController.updateUserRole);
+
+// @route   POST /api/users/:id/unlock
+// @desc    Lift a sign-in lockout and forget the account's failed attempts
+// @access  Private (admin)
+router.post('/:id/unlock', auth, requireRole('admin'), validate({ params: idParams('id') }), userController.unlockUser);
+
+module.exports = router;
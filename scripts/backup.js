@@ -0,0 +1,94 @@
+// Manage backup snapshots.
+// Usage: node scripts/backup.js create
+//        node scripts/backup.js list
+//        node scripts/backup.js verify <id>
+//        node scripts/backup.js prune
+//        node scripts/backup.js restore <id> --yes [--force] [--no-safety-snapshot]
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const backups = require('../utils/backups');
+
+const commands = {
+  create: async () => {
+    const manifest = await backups.createSnapshot({ reason: 'cli' });
+    const verification = await backups.verifySnapshot(manifest.id);
+    console.log(`✅ Created ${manifest.id}: ${manifest.totals.images} images, verification ${verification.ok ? 'passed' : 'FAILED'}`);
+    await backups.pruneSnapshots();
+  },
+
+  list: async () => {
+    const snapshots = await backups.listSnapshots();
+    if (snapshots.length === 0) {
+      console.log(`No snapshots in ${backups.BACKUP_DIR}`);
+    }
+    for (const snapshot of snapshots) {
+      const counts = Object.entries(snapshot.collections).map(([name, count]) => `${count} ${name}`).join(', ');
+      console.log(`${snapshot.id}  ${snapshot.totals.images} images, ${counts}  (${snapshot.reason})`);
+    }
+  },
+
+  verify: async (id) => {
+    const verification = await backups.verifySnapshot(id);
+    console.log(JSON.stringify(verification, null, 2));
+    if (!verification.ok) process.exitCode = 1;
+  },
+
+  prune: async () => {
+    const { removed } = await backups.pruneSnapshots();
+    console.log(`Removed ${removed.length} snapshots${removed.length ? `: ${removed.join(', ')}` : ''}`);
+  },
+
+  restore: async (id) => {
+    if (!process.argv.includes('--yes')) {
+      console.error('❌ Restoring replaces all images, products and users. Re-run with --yes to confirm.');
+      process.exitCode = 1;
+      return;
+    }
+    const result = await backups.restoreSnapshot(id, {
+      force: process.argv.includes('--force'),
+      safetySnapshot: !process.argv.includes('--no-safety-snapshot')
+    });
+    console.log(`✅ Restored ${id}:`, JSON.stringify(result.collections), `${result.images} images`);
+    if (result.safetySnapshot) {
+      console.log(`Previous state saved as ${result.safetySnapshot}`);
+    }
+  }
+};
+
+const run = async () => {
+  const [command, id] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(`Usage: node scripts/backup.js <${Object.keys(commands).join('|')}> [id]`);
+    process.exit(1);
+  }
+  if ((command === 'verify' || command === 'restore') && !id) {
+    console.error(`❌ ${command} needs a snapshot id (see "list")`);
+    process.exit(1);
+  }
+
+  if (command !== 'list' && command !== 'verify' && command !== 'prune') {
+    if (!process.env.MONGODB_URI) {
+      console.error('❌ ERROR: MONGODB_URI is not set in .env file');
+      process.exit(1);
+    }
+    await mongoose.connect(process.env.MONGODB_URI, { dbName: 'perfumedatabase' });
+  }
+
+  try {
+    await commands[command](id);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (error.details) console.error(JSON.stringify(error.details, null, 2));
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+// Import or export the product catalog.
+// Usage: node scripts/catalog.js import <file.csv|file.json> [--images photos.zip] [--dry-run] [--skip-invalid]
+//        node scripts/catalog.js export [--format csv|json] [--out catalog.csv] [--base-url https://api.example.com]
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const Product = require('../models/Product');
+const { detectFormat, writeCatalog } = require('../utils/catalog');
+const { importCatalog } = require('../utils/catalogImport');
+const { publicImageUrl } = require('../utils/imageProcessing');
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+};
+
+const runImport = async (file) => {
+  if (!file) {
+    throw new Error('import needs a CSV or JSON file');
+  }
+  const zipPath = argValue('--images');
+
+  try {
+    const report = await importCatalog({
+      file: await fs.promises.readFile(file),
+      format: detectFormat({ format: argValue('--format'), filename: file }),
+      zip: zipPath ? await fs.promises.readFile(zipPath) : null,
+      dryRun: process.argv.includes('--dry-run'),
+      skipInvalid: process.argv.includes('--skip-invalid')
+    });
+    printReport(report);
+  } catch (error) {
+    if (error.details && error.details.report) {
+      printReport(error.details.report);
+    }
+    throw error;
+  }
+};
+
+const printReport = (report) => {
+  for (const result of report.results) {
+    const where = `line${result.lines.length > 1 ? 's' : ''} ${result.lines.join(', ')}`;
+    if (result.errors.length > 0) {
+      console.log(`❌ ${where} "${result.title || ''}": ${result.errors.join('; ')}`);
+    } else {
+      console.log(`${report.dryRun ? '✔️ would' : '✅'} ${result.action} "${result.title}" (${where})`);
+    }
+  }
+  console.log(`${report.total} products: ${report.valid} valid, ${report.invalid} invalid` +
+    (report.dryRun ? ' (dry run)' : `, ${report.created} created, ${report.updated} updated, ${report.failed} failed`));
+};
+
+const runExport = async () => {
+  const format = detectFormat({ format: argValue('--format') || 'json' });
+  const baseUrl = (argValue('--base-url') || process.env.PUBLIC_API_URL || '').replace(/\/+$/, '');
+  const outPath = argValue('--out');
+  const stream = outPath ? fs.createWriteStream(outPath) : process.stdout;
+
+  const toFullUrl = (url) => {
+    const publicUrl = publicImageUrl(url);
+    return publicUrl && publicUrl.startsWith('/') ? `${baseUrl}${publicUrl}` : publicUrl;
+  };
+
+  const count = await writeCatalog(Product.find({}).sort({ title: 1, _id: 1 }).cursor(), stream, { format, toFullUrl });
+  if (outPath) {
+    await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+    console.log(`✅ Exported ${count} products to ${outPath}`);
+  }
+};
+
+const run = async () => {
+  const [command, file] = process.argv.slice(2);
+  if (command !== 'import' && command !== 'export') {
+    console.error('Usage: node scripts/catalog.js <import|export> [file] [options]');
+    process.exit(1);
+  }
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ ERROR: MONGODB_URI is not set in .env file');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGODB_URI, { dbName: 'perfumedatabase' });
+
+  try {
+    await (command === 'import' ? runImport(file) : runExport());
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+// Report orphaned images, or move them to quarantine with --apply.
+// Usage: node scripts/cleanupImages.js [--apply] [--force] [--grace-hours 24] [--purge]
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const { runOrphanCleanup, purgeExpiredQuarantine } = require('../utils/imageCleanup');
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+};
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ ERROR: MONGODB_URI is not set in .env file');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGODB_URI, { dbName: 'perfumedatabase' });
+
+  try {
+    const report = await runOrphanCleanup({
+      dryRun: !process.argv.includes('--apply'),
+      force: process.argv.includes('--force'),
+      graceHours: argValue('--grace-hours')
+    });
+
+    report.candidates.forEach(({ key, size }) => console.log(`${report.dryRun ? 'Would quarantine' : 'Quarantined'} ${key} (${size} bytes)`));
+    report.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+    console.log(`Scanned ${report.scanned}: ${report.referenced} in use, ${report.skippedRecent} within the grace period, ${report.candidates.length} orphaned`);
+
+    if (process.argv.includes('--purge')) {
+      console.log(`Purged ${await purgeExpiredQuarantine()} expired quarantined images`);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+// Copy stored images from one storage driver to another, e.g. local disk to S3.
+// Usage: node scripts/migrateStorage.js --to s3 [--from local] [--dry-run]
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const { getStorage, contentTypeFor } = require('../utils/storage');
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const from = getStorage(argValue('--from') || 'local');
+  const to = getStorage(argValue('--to') || process.env.STORAGE_DRIVER);
+
+  if (from.name === to.name) {
+    console.error('❌ ERROR: source and target storage are the same; pass --to <driver>');
+    process.exit(1);
+  }
+
+  const objects = await from.list();
+  console.log(`Found ${objects.length} objects in ${from.name} storage`);
+
+  let copied = 0;
+  let skipped = 0;
+  for (const { key } of objects) {
+    if (await to.exists(key)) {
+      skipped++;
+      continue;
+    }
+    if (dryRun) {
+      console.log(`Would copy ${key}`);
+      continue;
+    }
+
+    try {
+      const data = await from.get(key);
+      await to.put(key, data, { contentType: contentTypeFor(key) });
+      copied++;
+    } catch (error) {
+      console.error(`❌ Failed to copy ${key}:`, error.message);
+    }
+  }
+
+  console.log(`Done: ${copied} copied, ${skipped} already in ${to.name} storage`);
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
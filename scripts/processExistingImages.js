@@ -0,0 +1,64 @@
+// Generate responsive variants for products uploaded before image processing existed.
+// Usage: node scripts/processExistingImages.js [--dry-run]
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const Product = require('../models/Product');
+const { storeImage, releaseImage } = require('../utils/imageAssets');
+const { getStorage, keyFromUrl } = require('../utils/storage');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ ERROR: MONGODB_URI is not set in .env file');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGODB_URI, { dbName: 'perfumedatabase' });
+
+  const products = await Product.find({ 'imageVariants.card': { $exists: false } });
+  console.log(`Found ${products.length} products without image variants`);
+
+  const storage = getStorage();
+  let processed = 0;
+  for (const product of products) {
+    const sourceKey = keyFromUrl(product.imageUrl);
+    if (!sourceKey || !(await storage.exists(sourceKey))) {
+      console.warn(`⚠️ Skipping "${product.title}": image file missing (${product.imageUrl})`);
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`Would process "${product.title}" (${product.imageUrl})`);
+      continue;
+    }
+
+    try {
+      const image = await storeImage(await storage.get(sourceKey), { storage });
+      product.imageUrl = image.imageUrl;
+      product.imageVariants = image.variants;
+      try {
+        await product.save();
+      } catch (error) {
+        await releaseImage({ url: image.imageUrl, variants: image.variants });
+        throw error;
+      }
+      // The unprocessed original still carries its metadata; drop it
+      await storage.delete(sourceKey);
+      processed++;
+      console.log(`✅ Processed "${product.title}"`);
+    } catch (error) {
+      console.error(`❌ Failed to process "${product.title}":`, error.message);
+    }
+  }
+
+  console.log(`Done: ${processed} processed`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
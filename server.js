@@ -1,22 +1,62 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const path = require('path');
-const fs = require('fs');
+const helmet = require('helmet');
 require('dotenv').config();
 
 // Import Routes
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
+const inventoryRoutes = require('./routes/inventory');
+const cartRoutes = require('./routes/cart');
+const orderRoutes = require('./routes/orders');
+const userRoutes = require('./routes/users');
+const imageRoutes = require('./routes/images');
+const backupRoutes = require('./routes/backups');
+const reviewRoutes = require('./routes/reviews');
+const promotionRoutes = require('./routes/promotions');
+const currencyRoutes = require('./routes/currencies');
+const categoryRoutes = require('./routes/categories');
+const collectionRoutes = require('./routes/collections');
+const auditRoutes = require('./routes/audit');
+
+// Import Request and Error Middleware
+const requestId = require('./middleware/requestId');
+const accessLog = require('./middleware/accessLog');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
 
 // Import Image Middleware
-const { ensureUploadsDirectory, cleanupOrphanedImages, backupImages } = require('./middleware/imageMiddleware');
+const { ensureUploadsDirectory, serveUploads } = require('./middleware/imageMiddleware');
+const { startImageMaintenance } = require('./utils/imageCleanup');
+const { startBackupSchedule, runScheduledBackup } = require('./utils/backups');
+const { getStorage } = require('./utils/storage');
+const { startReservationSweeper } = require('./utils/inventory');
+const { startTrashPurge } = require('./utils/trash');
+const { backfillRatings } = require('./utils/reviews');
+const { backfillSlugs, productSlugSource } = require('./utils/slugs');
+const { repriceProducts } = require('./utils/currency');
+const { logger } = require('./utils/logger');
+const User = require('./models/User');
+const Product = require('./models/Product');
 
 const app = express();
 
+// Behind a proxy (Render, nginx) req.ip must come from X-Forwarded-For for
+// the per-IP rate limits; TRUST_PROXY is the number of proxy hops
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // ==================
 // Middleware
 // ==================
+// Tag every request with an id for error responses and logs, and log each response
+app.use(requestId);
+app.use(accessLog);
+
+// Security headers; images are loaded by the frontend from another origin
+app.use(helmet({ crossOriginResourcePolicy: { policy: 'cross-origin' } }));
+
 app.use(cors({
   origin: [
     'http://localhost:3000',
@@ -25,7 +65,8 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Token', 'X-Currency', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit', 'RateLimit-Policy']
 }));
 
 // Increase payload size limit for base64 images (up to 50MB)
@@ -35,19 +76,20 @@ app.use(express.urlencoded({ limit: '50mb', extended: true }));
 // Ensure uploads directory exists on every request
 app.use(ensureUploadsDirectory);
 
-// Serve uploaded images statically with proper headers
+// Serve uploaded images from the storage driver with proper headers
 app.use('/uploads', (req, res, next) => {
   // Add cache headers for images
-  res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
+  // Stored files are named after a hash of their content, so they never change
+  res.setHeader('Cache-Control', 'public, max-age=31536000, immutable'); // Cache for 1 year
   res.setHeader('Expires', new Date(Date.now() + 31536000000).toUTCString());
   next();
-}, express.static(path.join(__dirname, 'uploads')));
+}, serveUploads());
 
 // ==================
 // Check Environment Variables
 // ==================
 if (!process.env.MONGODB_URI) {
-  console.error("❌ ERROR: MONGODB_URI is not set in .env file");
+  logger.error('MONGODB_URI is not set in .env file');
   process.exit(1);
 }
 
@@ -57,9 +99,28 @@ if (!process.env.MONGODB_URI) {
 mongoose.connect(process.env.MONGODB_URI, {
   dbName: 'perfumedatabase', // Explicitly set DB name
 })
-  .then(() => console.log('✅ Connected to MongoDB'))
+  .then(() => {
+    logger.info('Connected to MongoDB');
+    startReservationSweeper();
+    // Orphan cleanup only runs once the product list can be trusted
+    startImageMaintenance();
+    startBackupSchedule();
+    startTrashPurge();
+    User.migrateLegacyRoles()
+      .then(count => count > 0 && logger.info('Assigned roles to existing users', { count }))
+      .catch(error => logger.error('Migrating user roles failed', { error }));
+    backfillRatings()
+      .then(count => count > 0 && logger.info('Recomputed ratings for existing products', { count }))
+      .catch(error => logger.error('Recomputing product ratings failed', { error }));
+    backfillSlugs(Product, 'title brand', productSlugSource, 'product')
+      .then(count => count > 0 && logger.info('Gave existing products a slug', { count }))
+      .catch(error => logger.error('Generating product slugs failed', { error }));
+    repriceProducts(Product, { priceInBase: { $exists: false } })
+      .then(count => count > 0 && logger.info('Stored base-currency prices for existing products', { count }))
+      .catch(error => logger.error('Storing base-currency prices failed', { error }));
+  })
   .catch((err) => {
-    console.error('❌ MongoDB connection error:', err.message);
+    logger.error('MongoDB connection failed', { error: err });
     process.exit(1); // Stop server if DB connection fails
   });
 
@@ -68,123 +129,81 @@ mongoose.connect(process.env.MONGODB_URI, {
 // ==================
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/images', imageRoutes);
+app.use('/api/backups', backupRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/audit', auditRoutes);
 
 // ==================
 // Health Check Endpoint
 // ==================
-app.get('/health', (req, res) => {
-  const uploadsDir = path.join(__dirname, 'uploads');
-  const uploadsExists = fs.existsSync(uploadsDir);
-  const uploadsFileCount = uploadsExists ? fs.readdirSync(uploadsDir).length : 0;
+app.get('/health', async (req, res) => {
+  const storage = getStorage();
+  let uploads;
+  try {
+    const objects = await storage.list();
+    uploads = { driver: storage.name, reachable: true, fileCount: objects.length, path: storage.root || storage.bucket };
+  } catch (error) {
+    uploads = { driver: storage.name, reachable: false, ...(process.env.NODE_ENV === 'development' && { error: error.message }) };
+  }
   
   res.json({
-    status: 'OK',
+    status: uploads.reachable ? 'OK' : 'DEGRADED',
     timestamp: new Date().toISOString(),
-    uploads: {
-      exists: uploadsExists,
-      fileCount: uploadsFileCount,
-      path: uploadsDir
-    },
+    uploads,
     mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
   });
 });
 
-// ==================
-// Image Management Endpoints
-// ==================
-app.get('/api/images/status', async (req, res) => {
-  try {
-    const uploadsDir = path.join(__dirname, 'uploads');
-    const exists = fs.existsSync(uploadsDir);
-    const files = exists ? fs.readdirSync(uploadsDir) : [];
-    
-    // Get file sizes
-    const fileDetails = files.map(file => {
-      const filePath = path.join(uploadsDir, file);
-      const stats = fs.statSync(filePath);
-      return {
-        name: file,
-        size: stats.size,
-        created: stats.birthtime,
-        modified: stats.mtime
-      };
-    });
-    
-    res.json({
-      uploadsDir,
-      exists,
-      fileCount: files.length,
-      totalSize: fileDetails.reduce((sum, file) => sum + file.size, 0),
-      files: fileDetails
-    });
-  } catch (error) {
-    console.error('Error getting image status:', error);
-    res.status(500).json({ message: 'Error getting image status', error: error.message });
-  }
-});
-
 // ==================
 // Error Handler
 // ==================
-app.use((err, req, res, next) => {
-  console.error('🔥 Error:', err.stack);
-  
-  // Handle payload too large error specifically
-  if (err.type === 'entity.too.large') {
-    return res.status(413).json({ 
-      message: 'Image file is too large. Please use an image smaller than 10MB.',
-      error: 'PAYLOAD_TOO_LARGE'
-    });
-  }
-  
-  // Handle other errors
-  res.status(500).json({ message: 'Something went wrong!' });
-});
+// Unmatched API routes answer 404 in the error envelope; every error,
+// including body parser (50MB limit) and upload errors, ends up here
+app.use('/api', notFound);
+app.use(errorHandler);
 
 // ==================
 // Start Server
 // ==================
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📁 Uploads directory: ${path.join(__dirname, 'uploads')}`);
-  
-  // Run initial cleanup and backup
-  setTimeout(async () => {
-    try {
-      await cleanupOrphanedImages({}, {}, () => {});
-      await backupImages();
-      console.log('✅ Initial image cleanup and backup completed');
-    } catch (error) {
-      console.error('❌ Error during initial cleanup:', error);
-    }
-  }, 5000); // Wait 5 seconds after server starts
+  const storage = getStorage();
+  logger.info('Server running', { port: PORT, storage: storage.name, storagePath: storage.root || storage.bucket });
 });
 
 // ==================
 // Graceful Shutdown
 // ==================
 process.on('SIGTERM', async () => {
-  console.log('🛑 SIGTERM received, shutting down gracefully');
+  logger.info('SIGTERM received, shutting down gracefully');
   
   try {
-    await backupImages();
-    console.log('✅ Images backed up before shutdown');
+    // Only snapshots when the last one is older than the backup interval
+    await runScheduledBackup();
   } catch (error) {
-    console.error('❌ Error backing up images during shutdown:', error);
+    logger.error('Backing up during shutdown failed', { error });
   }
   
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
-  console.log('🛑 SIGINT received, shutting down gracefully');
+  logger.info('SIGINT received, shutting down gracefully');
   
   try {
-    await backupImages();
-    console.log('✅ Images backed up before shutdown');
+    // Only snapshots when the last one is older than the backup interval
+    await runScheduledBackup();
   } catch (error) {
-    console.error('❌ Error backing up images during shutdown:', error);
+    logger.error('Backing up during shutdown failed', { error });
   }
   
   process.exit(0);
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const memoryModel = require('./helpers/memoryModel');
+const { bearer } = require('./helpers/auth');
+const { registerDriver } = require('../utils/storage');
+const createLocalDriver = require('../utils/storage/localDriver');
+const backups = require('../utils/backups');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const ExchangeRate = require('../models/ExchangeRate');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const StockMovement = require('../models/StockMovement');
+const QuarantinedImage = require('../models/QuarantinedImage');
+
+const app = buildApp({
+  '/api/products': require('../routes/products'),
+  '/api/inventory': require('../routes/inventory'),
+  '/api/images': require('../routes/images'),
+  '/api/backups': require('../routes/backups')
+});
+
+let products;
+let audit;
+
+beforeEach(() => {
+  products = memoryModel(Product);
+  audit = memoryModel(AuditLog);
+  [Promotion, ExchangeRate, Session, RefreshToken].forEach(memoryModel);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const entries = (action) => audit.records.filter(entry => entry.action === action);
+
+describe('product history', () => {
+  let admin;
+
+  beforeEach(async () => {
+    admin = await bearer('admin');
+  });
+
+  it('records edits, and reverts to an earlier version', async () => {
+    const product = products.insert({ title: 'Oud Wood', brand: 'Maison', slug: 'maison-oud-wood', price: 100, currency: 'USD', discount: 0, imageUrl: '/uploads/oud.webp' });
+    const original = recordVersion(product, 100);
+
+    const edit = await request(app).patch(`/api/products/${product._id}`).set('Authorization', admin).send({ price: 120 });
+
+    expect(edit.status).toBe(200);
+    expect(entries('product.update')).toEqual([expect.objectContaining({ changes: [{ field: 'price', from: 100, to: 120 }] })]);
+
+    const revert = await request(app).post(`/api/products/${product._id}/history/${original._id}/revert`).set('Authorization', admin);
+
+    expect(revert.status).toBe(200);
+    expect(products.get(product._id).price).toBe(100);
+    expect(entries('product.revert')).toEqual([expect.objectContaining({ metadata: { revertedTo: original._id } })]);
+  });
+
+  // A history entry as product.create would have written it, holding `price`
+  const recordVersion = (product, price) => audit.insert({
+    action: 'product.create',
+    entity: 'product',
+    entityId: product._id,
+    label: product.title,
+    changes: [],
+    snapshot: { title: product.title, brand: product.brand, price, discount: 0, currency: 'USD', variants: [] }
+  });
+});
+
+describe('stock adjustments', () => {
+  it('are recorded with the on-hand count before and after', async () => {
+    const admin = await bearer('admin');
+    const productId = new mongoose.Types.ObjectId();
+    const variant = { _id: new mongoose.Types.ObjectId(), sku: 'OUD-50', stock: 7, reserved: 0 };
+    jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue({ _id: productId, variants: [variant] });
+    const movements = memoryModel(StockMovement);
+
+    const res = await request(app).post('/api/inventory/adjustments').set('Authorization', admin)
+      .send({ sku: 'oud-50', type: 'restock', quantity: 2, reference: 'PO-12' });
+
+    expect(res.status).toBe(201);
+    expect(entries('stock.adjust')).toEqual([expect.objectContaining({
+      entity: 'stock',
+      entityId: productId,
+      label: 'OUD-50',
+      changes: [{ field: 'OUD-50.onHand', from: 5, to: 7 }],
+      metadata: expect.objectContaining({ movement: movements.records[0]._id, type: 'restock', reference: 'PO-12' })
+    })]);
+  });
+});
+
+describe('quarantined images', () => {
+  let root;
+  let admin;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+    registerDriver({ ...createLocalDriver({ root }), name: 'audit-test' });
+    process.env.STORAGE_DRIVER = 'audit-test';
+    admin = await bearer('admin');
+  });
+
+  afterEach(async () => {
+    delete process.env.STORAGE_DRIVER;
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  it('records a restore', async () => {
+    const quarantine = memoryModel(QuarantinedImage);
+    const record = quarantine.insert({ key: 'products/oud.webp', quarantineKey: 'quarantine/products/oud.webp', status: 'quarantined', purgeAfter: new Date() });
+    await fs.promises.mkdir(path.join(root, 'quarantine', 'products'), { recursive: true });
+    await fs.promises.writeFile(path.join(root, 'quarantine', 'products', 'oud.webp'), 'webp');
+
+    const res = await request(app).post(`/api/images/quarantine/${record._id}/restore`).set('Authorization', admin);
+
+    expect(res.status).toBe(200);
+    expect(entries('image.restore')).toEqual([expect.objectContaining({
+      entity: 'image',
+      entityId: record._id,
+      label: 'products/oud.webp',
+      changes: [{ field: 'status', from: 'quarantined', to: 'restored' }]
+    })]);
+  });
+});
+
+describe('backup restores', () => {
+  const id = '2026-10-01T03-00-00-000Z';
+
+  it('are recorded after the restore replaced the log', async () => {
+    const owner = await bearer('owner');
+    jest.spyOn(backups, 'restoreSnapshot').mockImplementation(async () => {
+      audit.clear();
+      return { id, images: 3, collections: { products: 2 }, safetySnapshot: '2026-10-19T09-00-00-000Z' };
+    });
+
+    const res = await request(app).post(`/api/backups/${id}/restore`).set('Authorization', owner).send({ confirm: id });
+
+    expect(res.status).toBe(200);
+    expect(audit.records).toEqual([expect.objectContaining({
+      action: 'backup.restore',
+      entity: 'backup',
+      label: id,
+      metadata: expect.objectContaining({ force: false, safetySnapshot: '2026-10-19T09-00-00-000Z' })
+    })]);
+  });
+});
@@ -0,0 +1,345 @@
+const bcrypt = require('bcrypt');
+const express = require('express');
+const { MemoryStore } = require('express-rate-limit');
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const memoryModel = require('./helpers/memoryModel');
+const tokens = require('../utils/tokens');
+const { registerTransport } = require('../utils/mail');
+const { createLimiter, resetAccountLimits } = require('../middleware/rateLimit');
+const { registerLimiterStore } = require('../utils/rateLimitStores');
+const { LOCKOUT_THRESHOLD } = require('../utils/accountLockout');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const AuditLog = require('../models/AuditLog');
+const AuthToken = require('../models/AuthToken');
+
+const app = buildApp({
+  '/api/auth': require('../routes/auth'),
+  '/api/users': require('../routes/users')
+});
+
+const PASSWORD = 'correct horse battery';
+
+// Mail is kept in memory rather than written to the outbox folder
+const inbox = [];
+registerTransport({ name: 'inbox', send: async (message) => inbox.push(message) });
+process.env.MAIL_TRANSPORT = 'inbox';
+
+let users;
+let sessions;
+let audit;
+let customerData;
+let customer;
+
+const login = (password = PASSWORD) => request(app).post('/api/auth/login').send({ email: customer.email, password });
+
+beforeAll(async () => {
+  // Stored already hashed; a low cost keeps the suite quick
+  customerData = { email: 'ada@example.com', password: await bcrypt.hash(PASSWORD, 4), role: 'customer' };
+});
+
+beforeEach(async () => {
+  // The per-account sign-in limiter outlives each test; the IP one (20 failures) covers the whole file
+  await resetAccountLimits(customerData.email);
+  users = memoryModel(User);
+  sessions = memoryModel(Session);
+  memoryModel(RefreshToken);
+  memoryModel(AuthToken);
+  audit = memoryModel(AuditLog);
+  customer = users.insert(customerData);
+  inbox.length = 0;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('roles', () => {
+  const register = (email) => request(app).post('/api/auth/register').send({ email, password: PASSWORD });
+  const signIn = async (role) => (await tokens.issueSession(users.insert({ ...customerData, email: `${role}@example.com`, role }))).token;
+
+  it('makes the first account the owner and every later one a customer', async () => {
+    jest.spyOn(User, 'estimatedDocumentCount').mockImplementation(async () => users.records.length);
+    users.clear();
+
+    const first = await register('owner@example.com');
+    const second = await register('grace@example.com');
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${second.body.token}`);
+
+    expect(first.body.user.role).toBe('owner');
+    expect(second.body.user.role).toBe('customer');
+    expect(me.body.permissions).toEqual(expect.arrayContaining(['cart:manage', 'orders:create']));
+    expect(me.body.permissions).not.toContain('products:write');
+  });
+
+  it('lets the owner change a role, which signs the user out', async () => {
+    const owner = await signIn('owner');
+    const { token } = await tokens.issueSession(customer);
+
+    const res = await request(app).patch(`/api/users/${customer._id}/role`).set('Authorization', `Bearer ${owner}`).send({ role: 'editor' });
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(users.get(customer._id).role).toBe('editor');
+    expect(me.status).toBe(401);
+    expect(audit.records).toEqual([expect.objectContaining({ action: 'user.update', changes: [{ field: 'role', from: 'customer', to: 'editor' }] })]);
+  });
+
+  it('never leaves the shop without an owner', async () => {
+    const owner = await signIn('owner');
+    const [{ _id: ownerId }] = users.records.filter(user => user.role === 'owner');
+
+    const res = await request(app).patch(`/api/users/${ownerId}/role`).set('Authorization', `Bearer ${owner}`).send({ role: 'admin' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Cannot demote the last owner');
+  });
+
+  it('keeps staff routes from lower roles', async () => {
+    const list = await request(app).get('/api/users').set('Authorization', `Bearer ${await signIn('customer')}`);
+    const promote = await request(app).patch(`/api/users/${customer._id}/role`).set('Authorization', `Bearer ${await signIn('admin')}`).send({ role: 'admin' });
+
+    expect(list.status).toBe(403);
+    expect(promote.status).toBe(403);
+    expect(users.get(customer._id).role).toBe('customer');
+  });
+});
+
+describe('refresh tokens', () => {
+  it('trades a refresh token for a new pair once', async () => {
+    const { body: first } = await login();
+
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: first.refreshToken });
+
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refreshToken).not.toBe(first.refreshToken);
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${refreshed.body.token}`);
+    expect(me.status).toBe(200);
+  });
+
+  it('ends the session when a used refresh token comes back', async () => {
+    const { body: first } = await login();
+    const { body: second } = await request(app).post('/api/auth/refresh').send({ refreshToken: first.refreshToken });
+
+    const replay = await request(app).post('/api/auth/refresh').send({ refreshToken: first.refreshToken });
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Refresh token has already been used');
+    expect(sessions.records[0]).toMatchObject({ revokedReason: 'refresh-token-reuse', revokedAt: expect.any(Date) });
+
+    // Whoever holds the newer pair is signed out too
+    const newer = await request(app).post('/api/auth/refresh').send({ refreshToken: second.refreshToken });
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${second.token}`);
+    expect(newer.status).toBe(401);
+    expect(me.status).toBe(401);
+    expect(me.body.message).toBe('Token has been revoked');
+  });
+
+  it('rejects refresh tokens it never issued', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'made-up' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Refresh token is not valid');
+  });
+});
+
+describe('signing out', () => {
+  const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+  it('ends the current session and its refresh token', async () => {
+    const { body: current } = await login();
+    const { body: other } = await login();
+
+    const res = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${current.token}`);
+    const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: current.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect((await me(current.token)).status).toBe(401);
+    expect(refresh.status).toBe(401);
+    expect((await me(other.token)).status).toBe(200);
+  });
+
+  it('ends every session at once', async () => {
+    const { body: phone } = await login();
+    const { body: laptop } = await login();
+
+    const res = await request(app).post('/api/auth/logout-all').set('Authorization', `Bearer ${laptop.token}`);
+
+    expect(res.body).toEqual({ message: 'Logged out of all sessions', sessions: 2 });
+    expect((await me(phone.token)).status).toBe(401);
+    expect((await me(laptop.token)).status).toBe(401);
+  });
+
+  it('lists sessions and revokes one of them, but only the user\'s own', async () => {
+    const { body: phone } = await login();
+    const { body: laptop } = await login();
+    const { token: stranger } = await tokens.issueSession(users.insert({ ...customerData, email: 'grace@example.com' }));
+
+    const listed = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${laptop.token}`);
+    const phoneSession = listed.body.find(session => !session.current);
+    const foreign = await request(app).delete(`/api/auth/sessions/${phoneSession.id}`).set('Authorization', `Bearer ${stranger}`);
+    const revoked = await request(app).delete(`/api/auth/sessions/${phoneSession.id}`).set('Authorization', `Bearer ${laptop.token}`);
+
+    expect(listed.body).toHaveLength(2);
+    expect(foreign.status).toBe(404);
+    expect(revoked.status).toBe(200);
+    expect((await me(phone.token)).status).toBe(401);
+    expect((await me(laptop.token)).status).toBe(200);
+  });
+});
+
+describe('password reset and email verification', () => {
+  // The token from the link in the last email
+  const linkToken = () => decodeURIComponent(/token=([^\s"&]+)/.exec(inbox[inbox.length - 1].text)[1]);
+  const forgot = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+  const reset = (token, password = 'a new passphrase') => request(app).post('/api/auth/reset-password').send({ token, password });
+
+  it('answers the same whether or not the email has an account', async () => {
+    const known = await forgot(customer.email);
+    const unknown = await forgot('nobody@example.com');
+
+    expect(unknown.status).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+    expect(inbox.map(message => message.to)).toEqual([customer.email]);
+  });
+
+  it('sets the new password once, signing out everywhere', async () => {
+    const { body: session } = await login();
+    await forgot(customer.email);
+    const token = linkToken();
+
+    const res = await reset(token);
+    const reused = await reset(token, 'another passphrase');
+
+    expect(res.status).toBe(200);
+    // Saved through the in-memory model, which skips the hashing hook
+    expect(users.get(customer._id).password).not.toBe(customerData.password);
+    expect(users.get(customer._id).emailVerified).toBe(true);
+    expect(sessions.records[0].revokedAt).toEqual(expect.any(Date));
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${session.token}`)).status).toBe(401);
+    expect(reused.status).toBe(400);
+    expect(reused.body.message).toBe('Reset link is invalid or has expired');
+  });
+
+  it('only honours the latest reset link', async () => {
+    await forgot(customer.email);
+    const first = linkToken();
+    await forgot(customer.email);
+
+    expect((await reset(first)).status).toBe(400);
+    expect((await reset(linkToken())).status).toBe(200);
+  });
+
+  it('verifies the address from the link a new account is sent', async () => {
+    const { token } = await tokens.issueSession(customer);
+    await request(app).post('/api/auth/resend-verification').set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app).post('/api/auth/verify-email').send({ token: linkToken() });
+    const again = await request(app).post('/api/auth/resend-verification').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.emailVerified).toBe(true);
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe('Email address is already verified');
+  });
+});
+
+describe('account lockout', () => {
+  const failUntilLocked = async () => {
+    const responses = [];
+    for (let attempt = 0; attempt < LOCKOUT_THRESHOLD; attempt++) {
+      responses.push(await login('wrong password'));
+    }
+    return responses;
+  };
+
+  it('locks the account after repeated wrong passwords', async () => {
+    const responses = await failUntilLocked();
+    const locking = responses.pop();
+
+    expect(responses.map(res => res.status)).toEqual(Array(LOCKOUT_THRESHOLD - 1).fill(401));
+    expect(locking.status).toBe(429);
+    expect(locking.body.code).toBe('ACCOUNT_LOCKED');
+    expect(Number(locking.headers['retry-after'])).toBeGreaterThan(0);
+    expect(users.get(customer._id)).toMatchObject({ failedLoginAttempts: 0, lockCount: 1, lockedUntil: expect.any(Date) });
+    expect(audit.records.map(entry => entry.action)).toContain('auth.account_locked');
+  });
+
+  it('refuses even the right password while locked', async () => {
+    await failUntilLocked();
+
+    const res = await login();
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('ACCOUNT_LOCKED');
+    expect(sessions.records).toEqual([]);
+  });
+
+  it('lets an admin unlock the account', async () => {
+    await failUntilLocked();
+    const admin = users.insert({ ...customerData, email: 'admin@example.com', role: 'admin' });
+    const { token } = await tokens.issueSession(admin);
+
+    const unlocked = await request(app).post(`/api/users/${customer._id}/unlock`).set('Authorization', `Bearer ${token}`);
+    const signedIn = await login();
+
+    expect(unlocked.status).toBe(200);
+    expect(unlocked.body.message).toBe('Account unlocked');
+    expect(users.get(customer._id).lockedUntil).toBeUndefined();
+    expect(signedIn.status).toBe(200);
+    expect(signedIn.body.token).toEqual(expect.any(String));
+  });
+
+  it('does not let customers unlock accounts', async () => {
+    const { token } = await tokens.issueSession(customer);
+
+    const res = await request(app).post(`/api/users/${customer._id}/unlock`).set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('rate limits', () => {
+  it('answer in the error envelope and say when to try again', async () => {
+    const limited = express.Router().get('/', createLimiter('test', { windowMs: 60 * 1000, limit: 1, message: 'Slow down' }), (req, res) => res.json({ ok: true }));
+    const limitedApp = buildApp({ '/api/limited': limited });
+
+    const first = await request(limitedApp).get('/api/limited');
+    const second = await request(limitedApp).get('/api/limited');
+
+    expect(first.status).toBe(200);
+    expect(first.headers.ratelimit).toEqual(expect.any(String));
+    expect(second.status).toBe(429);
+    expect(second.body).toMatchObject({ message: 'Slow down', code: 'RATE_LIMITED', retryAfter: expect.any(Number) });
+    expect(Number(second.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('count in the store RATE_LIMIT_STORE names', async () => {
+    const factory = jest.fn(() => new MemoryStore());
+    registerLimiterStore('shared', factory);
+    process.env.RATE_LIMIT_STORE = 'shared';
+    try {
+      createLimiter('test', { limit: 1 });
+    } finally {
+      delete process.env.RATE_LIMIT_STORE;
+    }
+
+    expect(factory).toHaveBeenCalledWith('test');
+  });
+
+  it('cap reset emails per address, whoever asks', async () => {
+    // An address no other test asks about, as the limiter's counts outlive each test
+    const ask = () => request(app).post('/api/auth/forgot-password').send({ email: 'Flood@Example.com' });
+    const responses = [];
+    for (let attempt = 0; attempt < 6; attempt++) {
+      responses.push(await ask());
+    }
+    const other = await request(app).post('/api/auth/forgot-password').send({ email: customer.email });
+
+    expect(responses.map(res => res.status)).toEqual([200, 200, 200, 200, 200, 429]);
+    expect(responses[5].body.message).toBe('Too many reset requests for this email; please try again later');
+    expect(other.status).toBe(200);
+  });
+});
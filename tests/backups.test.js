@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Snapshots go to BACKUP_DIR, read when utils/backups is loaded
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+process.env.BACKUP_DIR = root;
+const { createSnapshot, verifySnapshot, selectRetained } = require('../utils/backups');
+const Product = require('../models/Product');
+
+const storage = { name: 'memory', list: async () => [] };
+
+// A cursor that hands out documents one at a time and cannot be read whole
+const cursorOf = (docs) => ({
+  async* [Symbol.asyncIterator]() {
+    yield* docs;
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await fs.promises.rm(root, { recursive: true, force: true });
+});
+
+describe('snapshots', () => {
+  it('stream each collection to its file, one document at a time', async () => {
+    const products = [
+      { _id: new mongoose.Types.ObjectId(), title: 'Oud Wood', price: 100 },
+      { _id: new mongoose.Types.ObjectId(), title: 'Vetiver', createdAt: new Date('2026-10-01') }
+    ];
+    for (const Model of mongoose.modelNames().map(name => mongoose.model(name))) {
+      jest.spyOn(Model.collection, 'find').mockImplementation(() => cursorOf(Model === Product ? products : []));
+    }
+
+    const manifest = await createSnapshot({ storage });
+    const file = path.join(root, 'snapshots', manifest.id, manifest.collections.products.file);
+
+    expect(manifest.collections.products).toMatchObject({ count: 2, size: fs.statSync(file).size });
+    expect(manifest.collections.users).toMatchObject({ count: 0 });
+    expect(EJSON.parse(fs.readFileSync(file, 'utf8'))).toEqual(products);
+    expect(await verifySnapshot(manifest.id)).toMatchObject({ ok: true, missing: [], corrupted: [] });
+  });
+});
+
+describe('retention', () => {
+  const snapshot = (createdAt) => ({ id: createdAt, createdAt });
+
+  it('keeps the newest snapshot of each recent day, week and month', () => {
+    const snapshots = [
+      '2026-10-19T03:00:00Z', '2026-10-19T01:00:00Z', '2026-10-18T03:00:00Z',
+      '2026-10-12T03:00:00Z', '2026-10-01T03:00:00Z', '2026-09-30T03:00:00Z', '2026-08-15T03:00:00Z'
+    ].map(snapshot);
+
+    const kept = selectRetained(snapshots, { daily: 2, weekly: 2, monthly: 2 });
+
+    // Weeks start on Monday: the 18th is the newest of the week of the 12th
+    expect([...kept].sort()).toEqual(['2026-09-30T03:00:00Z', '2026-10-18T03:00:00Z', '2026-10-19T03:00:00Z']);
+  });
+
+  it('always keeps the newest one', () => {
+    expect([...selectRetained([snapshot('2026-10-19T03:00:00Z')], { daily: 0, weekly: 0, monthly: 0 })]).toEqual(['2026-10-19T03:00:00Z']);
+  });
+});
@@ -0,0 +1,116 @@
+const AdmZip = require('adm-zip');
+const memoryModel = require('./helpers/memoryModel');
+const Product = require('../models/Product');
+const ExchangeRate = require('../models/ExchangeRate');
+const { importCatalog } = require('../utils/catalogImport');
+
+// A fresh copy reads the zip limits from `env`. Its models are separate
+// ones, so use it only for checks that fail before the database.
+const loadImporter = (env = {}) => {
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  Object.assign(process.env, env);
+  try {
+    let importer;
+    jest.isolateModules(() => {
+      importer = require('../utils/catalogImport');
+    });
+    return importer;
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+};
+
+const catalog = (products) => Buffer.from(JSON.stringify(products));
+
+const zipOf = (files) => {
+  const zip = new AdmZip();
+  for (const [name, data] of Object.entries(files)) {
+    zip.addFile(name, data);
+  }
+  return zip.toBuffer();
+};
+
+const dryRun = (products, options = {}) => importCatalog({ file: catalog(products), format: 'json', dryRun: true, ...options });
+
+let products;
+
+beforeEach(() => {
+  products = memoryModel(Product);
+  memoryModel(ExchangeRate);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('catalog import dry run', () => {
+  it('plans creates and updates without writing anything', async () => {
+    products.insert({ title: 'Oud Wood', price: 100, currency: 'USD', imageUrl: '/uploads/oud.webp' });
+
+    const report = await dryRun([
+      { title: 'Oud Wood', price: 110, discount: 0 },
+      { title: 'Vetiver', price: '80', discount: '10', images: ['https://cdn.example.com/vetiver.jpg'] }
+    ]);
+
+    expect(report).toMatchObject({ dryRun: true, total: 2, valid: 2, invalid: 0, created: 0, updated: 0 });
+    expect(report.results.map(result => result.action)).toEqual(['update', 'create']);
+    expect(products.records).toHaveLength(1);
+  });
+
+  it('holds items to the product route\'s field checks', async () => {
+    const report = await dryRun([
+      { title: 'Vetiver', price: 'cheap', discount: 150, images: ['https://cdn.example.com/vetiver.jpg'] },
+      { title: 'Iris', price: 50, discount: 0, currency: 'JPY', images: ['https://cdn.example.com/iris.jpg'] }
+    ]);
+
+    expect(report.invalid).toBe(2);
+    expect(report.results[0].errors).toEqual(['price must be a number', 'discount must be at most 100']);
+    expect(report.results[1].errors).toEqual(['No exchange rate for JPY']);
+  });
+
+  it('refuses SKUs that appear twice in one file', async () => {
+    const variant = { sku: 'OUD-50', volumeMl: 50, price: 100 };
+
+    const report = await dryRun([
+      { title: 'Oud Wood', variants: [variant], images: ['https://cdn.example.com/a.jpg'] },
+      { title: 'Oud Wood Intense', variants: [variant], images: ['https://cdn.example.com/b.jpg'] }
+    ]);
+
+    expect(report.results[1].errors).toEqual(['SKU OUD-50 appears in more than one product in this file']);
+  });
+});
+
+describe('images from a zip file', () => {
+  const withImage = (image) => [{ title: 'Vetiver', price: 80, discount: 0, images: [image] }];
+
+  it('finds images by path or file name', async () => {
+    const zip = zipOf({ 'photos/vetiver.jpg': Buffer.from('jpeg') });
+
+    const byName = await dryRun(withImage('vetiver.jpg'), { zip });
+    const missing = await dryRun(withImage('iris.jpg'), { zip });
+
+    expect(byName.valid).toBe(1);
+    expect(missing.results[0].errors).toEqual(['Image iris.jpg is not in the zip file']);
+  });
+
+  it('refuses an image that unpacks to more than 20MB, before unpacking it', async () => {
+    const zip = zipOf({ 'huge.jpg': Buffer.alloc(21 * 1024 * 1024) });
+
+    const report = await dryRun(withImage('huge.jpg'), { zip });
+
+    expect(report.results[0].errors).toEqual(['Image huge.jpg in the zip file is larger than 20MB']);
+  });
+
+  it('caps the number of files and their unpacked size', async () => {
+    const limited = loadImporter({ IMPORT_MAX_ZIP_ENTRIES: '2', IMPORT_MAX_ZIP_BYTES: '1000' });
+    const file = catalog(withImage('a.jpg'));
+
+    await expect(limited.importCatalog({ file, format: 'json', dryRun: true, zip: zipOf({ 'a.jpg': Buffer.alloc(1), 'b.jpg': Buffer.alloc(1), 'c.jpg': Buffer.alloc(1) }) }))
+      .rejects.toMatchObject({ status: 400, message: 'The zip file has 3 files; at most 2 are allowed' });
+    await expect(limited.importCatalog({ file, format: 'json', dryRun: true, zip: zipOf({ 'a.jpg': Buffer.alloc(2000) }) }))
+      .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/^The zip file unpacks to more than/) });
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const memoryModel = require('./helpers/memoryModel');
+const { bearer } = require('./helpers/auth');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Promotion = require('../models/Promotion');
+const Review = require('../models/Review');
+const ExchangeRate = require('../models/ExchangeRate');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+const app = buildApp({
+  '/api/products': require('../routes/products'),
+  '/api/categories': require('../routes/categories')
+});
+
+let products;
+let categories;
+let editor;
+
+beforeEach(async () => {
+  products = memoryModel(Product);
+  categories = memoryModel(Category);
+  [Promotion, Review, ExchangeRate, AuditLog, Session, RefreshToken].forEach(memoryModel);
+  // The product page's rating summary; no reviews here
+  jest.spyOn(Review, 'aggregate').mockResolvedValue([]);
+  editor = await bearer('editor');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const createCategory = async (body) => {
+  const res = await request(app).post('/api/categories').set('Authorization', editor).send(body);
+  expect(res.status).toBe(201);
+  return res.body;
+};
+
+describe('categories', () => {
+  it('nest, with a breadcrumb of their ancestors', async () => {
+    const women = await createCategory({ name: 'Women' });
+    await createCategory({ name: 'Floral Scents', parent: women._id });
+
+    const res = await request(app).get('/api/categories/slug/floral-scents');
+
+    expect(res.status).toBe(200);
+    expect(res.body.breadcrumb.map(ancestor => ancestor.slug)).toEqual(['women']);
+  });
+
+  it('list the products of their subcategories too', async () => {
+    const women = await createCategory({ name: 'Women' });
+    const floral = await createCategory({ name: 'Floral', parent: women._id });
+    products.insert({ title: 'Iris Silk', price: 95, categories: [floral._id] });
+    products.insert({ title: 'Vetiver', price: 80, categories: [] });
+
+    const res = await request(app).get('/api/products?category=women');
+
+    expect(res.body.products.map(product => product.title)).toEqual(['Iris Silk']);
+  });
+
+  it('send their old slug to the new one after a rename', async () => {
+    const women = await createCategory({ name: 'Women' });
+    await request(app).patch(`/api/categories/${women._id}`).set('Authorization', editor).send({ name: 'For Her' });
+
+    const res = await request(app).get('/api/categories/slug/women');
+
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/categories/slug/for-her');
+  });
+});
+
+describe('product URLs', () => {
+  it('move with a renamed product, keeping the query string', async () => {
+    const product = products.insert({ title: 'Oud Wood', brand: 'Maison', slug: 'maison-oud-wood', price: 120, discount: 0 });
+
+    const rename = await request(app).patch(`/api/products/${product._id}`).set('Authorization', editor).send({ title: 'Oud Wood Intense' });
+    const moved = await request(app).get('/api/products/slug/maison-oud-wood?reviewPage=2');
+    const current = await request(app).get('/api/products/slug/maison-oud-wood-intense');
+
+    expect(rename.status).toBe(200);
+    expect(products.get(product._id)).toMatchObject({ slug: 'maison-oud-wood-intense', previousSlugs: ['maison-oud-wood'] });
+    expect(moved.status).toBe(301);
+    expect(moved.headers.location).toBe('/api/products/slug/maison-oud-wood-intense?reviewPage=2');
+    expect(current.status).toBe(200);
+  });
+
+  it('are refused when another product has the slug', async () => {
+    products.insert({ title: 'Vetiver', slug: 'vetiver', price: 80, discount: 0 });
+    const product = products.insert({ title: 'Oud Wood', slug: 'oud-wood', price: 120, discount: 0 });
+
+    const res = await request(app).patch(`/api/products/${product._id}`).set('Authorization', editor).send({ slug: 'vetiver' });
+
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,75 @@
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const memoryModel = require('./helpers/memoryModel');
+const { bearer } = require('./helpers/auth');
+const { roundCurrency, listPrice, invalidateRates, getRates } = require('../utils/currency');
+const { parseProductQuery } = require('../utils/productQuery');
+const Product = require('../models/Product');
+const ExchangeRate = require('../models/ExchangeRate');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+const app = buildApp({ '/api/currencies': require('../routes/currencies') });
+
+let products;
+let rates;
+
+beforeEach(() => {
+  invalidateRates();
+  products = memoryModel(Product);
+  rates = memoryModel(ExchangeRate);
+  [AuditLog, Session, RefreshToken].forEach(memoryModel);
+  rates.insert({ currency: 'EUR', rate: 0.5 });
+  rates.insert({ currency: 'JPY', rate: 150 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rounding', () => {
+  it('rounds to the minor unit of each currency', () => {
+    expect(roundCurrency(10.005, 'USD')).toBe(10.01);
+    expect(roundCurrency(1234.5, 'JPY')).toBe(1235);
+    expect(roundCurrency(1.2345, 'KWD')).toBe(1.235);
+  });
+
+  it('converts through the base currency unless there is an override', async () => {
+    const loaded = await getRates();
+    const product = { price: 33.333, currency: 'EUR', prices: [{ currency: 'JPY', price: 9999.4 }] };
+
+    expect(listPrice(product, product, 'USD', loaded)).toBe(66.67);
+    expect(listPrice(product, product, 'JPY', loaded)).toBe(9999);
+  });
+});
+
+describe('prices in the base currency', () => {
+  it('are stored whenever a product is saved', async () => {
+    const product = new Product({ title: 'Oud Wood', price: 40, discount: 0, currency: 'EUR', imageUrl: '/uploads/oud.webp' });
+
+    await product.save();
+
+    expect(product.priceInBase).toBe(80);
+  });
+
+  it('follow a new exchange rate', async () => {
+    const admin = await bearer('admin');
+    const eur = products.insert({ title: 'Oud Wood', price: 40, priceInBase: 80, currency: 'EUR' });
+    const usd = products.insert({ title: 'Vetiver', price: 70, priceInBase: 70, currency: 'USD' });
+
+    const res = await request(app).put('/api/currencies/EUR').set('Authorization', admin).send({ rate: 0.8 });
+
+    expect(res.status).toBe(200);
+    expect(products.get(eur._id).priceInBase).toBe(50);
+    expect(products.get(usd._id).priceInBase).toBe(70);
+  });
+
+  it('are what the list filters and sorts on, with bounds in the shown currency', async () => {
+    const parsed = parseProductQuery({ minPrice: 20, maxPrice: 50, sort: '-price' }, { currency: 'EUR', rates: await getRates() });
+
+    expect(parsed.filter).toEqual({ priceInBase: { $gte: 40, $lte: 100 } });
+    expect(parsed.sort).toEqual({ priceInBase: -1, _id: -1 });
+    expect(parseProductQuery({ minPrice: 20 }).filter).toEqual({ priceInBase: { $gte: 20 } });
+  });
+});
@@ -0,0 +1,21 @@
+const express = require('express');
+const requestId = require('../../middleware/requestId');
+const { notFound, errorHandler } = require('../../middleware/errorHandler');
+
+// =======================
+// The API as server.js assembles it, without the database connection,
+// background jobs or static files. `routes` maps mount paths to routers.
+// =======================
+const buildApp = (routes = {}) => {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(path, router);
+  }
+  app.use('/api', notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+module.exports = buildApp;
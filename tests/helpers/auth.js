@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+const tokens = require('../../utils/tokens');
+
+// An Authorization header for a signed-in user with `role`. The Session and
+// RefreshToken models must be in-memory ones (see memoryModel).
+const bearer = async (role, userId = new mongoose.Types.ObjectId()) => {
+  const { token } = await tokens.issueSession({ _id: userId, role });
+  return `Bearer ${token}`;
+};
+
+module.exports = { bearer };
@@ -0,0 +1,241 @@
+// =======================
+// In-memory stand-in for a Mongoose model, so controllers and utils can be
+// exercised without MongoDB. The model's query statics and `save` are
+// replaced with jest spies working on a plain array of records. Filters
+// support equality, regular expressions, paths through arrays
+// ("variants.sku") and $exists, $gt, $gte, $lt, $lte, $in, $all, $ne, $nin; updates
+// support $set, $inc and $unset, also as bulkWrite updateOne operations. Lists
+// from find honour sort, skip and limit. Anything else (aggregations,
+// positional updates) is mocked by the test that needs it.
+// =======================
+const OPERATORS = {
+  $exists: (value, expected) => (value !== undefined) === Boolean(expected),
+  $gt: (value, limit) => value !== undefined && value !== null && value > limit,
+  $gte: (value, limit) => value !== undefined && value !== null && value >= limit,
+  $lt: (value, limit) => value !== undefined && value !== null && value < limit,
+  $lte: (value, limit) => value !== undefined && value !== null && value <= limit,
+  $in: (value, list) => list.some(item => (item instanceof RegExp ? typeof value === 'string' && item.test(value) : same(value, item))),
+  $all: (value, list) => Array.isArray(value) && list.every(item => value.some(element => same(element, item))),
+  $ne: (value, other) => ![].concat(value).some(item => same(item, other)),
+  $nin: (value, list) => ![].concat(value).some(item => list.some(other => same(item, other)))
+};
+
+// Negations hold only when no element of an array matches
+const NEGATIONS = new Set(['$ne', '$nin']);
+
+// Plain copies that keep ObjectIds and Dates intact
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+  }
+  return value;
+};
+
+const same = (a, b) => (a instanceof Date || b instanceof Date ? +a === +b : String(a) === String(b));
+
+// Like MongoDB, a path through an array collects the values from every element
+const getPath = (record, path) => path.split('.').reduce((value, key) => {
+  if (value === undefined || value === null) return undefined;
+  if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map(item => (item === null || item === undefined ? undefined : item[key]));
+  return value[key];
+}, record);
+
+const setPath = (record, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    return target[key];
+  }, record);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+};
+
+// Missing values first, then by value; ObjectIds by their hex string, which follows creation order
+const compare = (a, b) => {
+  if (a === undefined || a === null) return b === undefined || b === null ? 0 : -1;
+  if (b === undefined || b === null) return 1;
+  const [x, y] = typeof a === 'object' && !(a instanceof Date) ? [String(a), String(b)] : [a, b];
+  if (x < y) return -1;
+  return x > y ? 1 : 0;
+};
+
+const sortBy = (sort) => (a, b) => {
+  for (const [path, direction] of Object.entries(sort)) {
+    const order = compare(getPath(a, path), getPath(b, path)) * (direction === -1 || direction === 'desc' ? -1 : 1);
+    if (order !== 0) return order;
+  }
+  return 0;
+};
+
+const isOperatorObject = (condition) => Boolean(condition) && typeof condition === 'object' && !Array.isArray(condition)
+  && !(condition instanceof Date) && Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+
+const matchesCondition = (value, condition) => {
+  // An array matches when any of its elements does
+  const negated = isOperatorObject(condition) && Object.keys(condition).some(operator => NEGATIONS.has(operator));
+  if (Array.isArray(value) && !Array.isArray(condition) && !negated && value.some(item => matchesCondition(item, condition))) return true;
+  if (condition instanceof RegExp) return typeof value === 'string' && condition.test(value);
+  // As in MongoDB, null also matches a missing field
+  if (condition === null) return value === null || value === undefined;
+  if (!isOperatorObject(condition)) return same(value, condition);
+  return Object.entries(condition).every(([operator, argument]) => {
+    if (!OPERATORS[operator]) throw new Error(`memoryModel does not support ${operator}`);
+    return OPERATORS[operator](value, argument);
+  });
+};
+
+const matches = (record, filter = {}) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$or') return condition.some(branch => matches(record, branch));
+  if (path === '$and') return condition.every(branch => matches(record, branch));
+  return matchesCondition(getPath(record, path), condition);
+});
+
+const applyUpdate = (record, update) => {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+  for (const [path, value] of Object.entries(operators.$set || {})) setPath(record, path, clone(value));
+  for (const [path, amount] of Object.entries(operators.$inc || {})) setPath(record, path, (getPath(record, path) || 0) + amount);
+  for (const path of Object.keys(operators.$unset || {})) setPath(record, path, undefined);
+  return record;
+};
+
+const memoryModel = (Model) => {
+  const records = [];
+
+  const output = (record, lean) => {
+    if (!record) return null;
+    return lean ? clone(record) : Model.hydrate(clone(record));
+  };
+
+  // A thenable with the chainable query methods the code under test calls
+  const query = (run) => {
+    let lean = false;
+    const window = { skip: 0 };
+    const set = (option) => (value) => {
+      window[option] = value;
+      return chain;
+    };
+    const chain = {
+      select: () => chain,
+      sort: set('sort'),
+      skip: set('skip'),
+      limit: set('limit'),
+      collation: () => chain,
+      populate: () => chain,
+      setOptions: () => chain,
+      lean: () => {
+        lean = true;
+        return chain;
+      },
+      exec: () => Promise.resolve().then(() => {
+        const result = run(lean);
+        if (!Array.isArray(result)) return result;
+        const sorted = window.sort ? [...result].sort(sortBy(window.sort)) : result;
+        return sorted.slice(window.skip, window.limit ? window.skip + window.limit : undefined);
+      }),
+      cursor: () => ({
+        async* [Symbol.asyncIterator]() {
+          yield* await chain.exec();
+        }
+      }),
+      then: (resolve, reject) => chain.exec().then(resolve, reject),
+      catch: (reject) => chain.exec().catch(reject)
+    };
+    return chain;
+  };
+
+  const build = async (data) => {
+    const doc = new Model(data);
+    await doc.validate();
+    records.push(clone(doc.toObject()));
+    return doc;
+  };
+
+  const findOne = (filter) => records.find(record => matches(record, filter));
+
+  const findOneAndUpdate = (filter, update, options = {}) => query((lean) => {
+    const record = findOne(filter);
+    if (!record) return null;
+    const before = clone(record);
+    applyUpdate(record, update);
+    return output(options.new ? record : before, lean);
+  });
+
+  const spy = (name, implementation) => jest.spyOn(Model, name).mockImplementation(implementation);
+
+  spy('create', async (data) => (Array.isArray(data) ? Promise.all(data.map(build)) : build(data)));
+  spy('insertMany', async (list) => Promise.all(list.map(build)));
+  spy('find', (filter) => query(lean => records.filter(record => matches(record, filter)).map(record => output(record, lean))));
+  spy('findOne', (filter) => query(lean => output(findOne(filter), lean)));
+  spy('findById', (id) => query(lean => output(findOne({ _id: id }), lean)));
+  spy('findOneAndUpdate', findOneAndUpdate);
+  spy('findByIdAndUpdate', (id, update, options) => findOneAndUpdate({ _id: id }, update, options));
+  spy('findOneAndDelete', (filter) => query((lean) => {
+    const record = findOne(filter);
+    if (record) records.splice(records.indexOf(record), 1);
+    return output(record, lean);
+  }));
+  spy('updateOne', async (filter, update) => {
+    const record = findOne(filter);
+    if (record) applyUpdate(record, update);
+    return { matchedCount: record ? 1 : 0, modifiedCount: record ? 1 : 0 };
+  });
+  spy('updateMany', async (filter, update) => {
+    const matched = records.filter(record => matches(record, filter));
+    matched.forEach(record => applyUpdate(record, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  });
+  spy('deleteOne', async (filter) => {
+    const record = findOne(filter);
+    if (record) records.splice(records.indexOf(record), 1);
+    return { deletedCount: record ? 1 : 0 };
+  });
+  spy('deleteMany', async (filter) => {
+    const matched = records.filter(record => matches(record, filter));
+    matched.forEach(record => records.splice(records.indexOf(record), 1));
+    return { deletedCount: matched.length };
+  });
+  spy('bulkWrite', async (operations) => {
+    let modifiedCount = 0;
+    for (const { updateOne } of operations) {
+      const record = updateOne && findOne(updateOne.filter);
+      if (!record) continue;
+      applyUpdate(record, updateOne.update);
+      modifiedCount++;
+    }
+    return { modifiedCount };
+  });
+  spy('countDocuments', (filter) => query(() => records.filter(record => matches(record, filter)).length));
+  spy('exists', (filter) => query(() => {
+    const record = findOne(filter);
+    return record ? { _id: record._id } : null;
+  }));
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function save() {
+    await this.validate();
+    const record = clone(this.toObject());
+    const existing = records.findIndex(stored => same(stored._id, record._id));
+    if (existing >= 0) records[existing] = record;
+    else records.push(record);
+    this.isNew = false;
+    return this;
+  });
+
+  return {
+    records,
+    // Store a record as is: no validation and no save hooks (e.g. password hashing)
+    insert: (data) => {
+      const doc = new Model(data);
+      records.push(clone(doc.toObject()));
+      return doc;
+    },
+    get: (id) => findOne({ _id: id }) || null,
+    clear: () => {
+      records.length = 0;
+    }
+  };
+};
+
+module.exports = memoryModel;
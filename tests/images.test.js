@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const memoryModel = require('./helpers/memoryModel');
+const { bearer } = require('./helpers/auth');
+const createLocalDriver = require('../utils/storage/localDriver');
+const { registerDriver } = require('../utils/storage');
+const { processImage } = require('../utils/imageProcessing');
+const { storeImage, releaseImage } = require('../utils/imageAssets');
+const { runOrphanCleanup, purgeExpiredQuarantine } = require('../utils/imageCleanup');
+const Product = require('../models/Product');
+const ImageAsset = require('../models/ImageAsset');
+const QuarantinedImage = require('../models/QuarantinedImage');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+let root;
+let storage;
+
+beforeEach(async () => {
+  root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'images-'));
+  storage = createLocalDriver({ root });
+  registerDriver({ ...storage, name: 'images-test' });
+  process.env.STORAGE_DRIVER = 'images-test';
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  delete process.env.STORAGE_DRIVER;
+  await fs.promises.rm(root, { recursive: true, force: true });
+});
+
+// A small photo carrying EXIF, or a transparent PNG
+const photo = (width = 600, height = 400) => sharp({ create: { width, height, channels: 3, background: '#a0522d' } })
+  .jpeg()
+  .withMetadata({ exif: { IFD0: { Copyright: 'GPS and camera details' } } })
+  .toBuffer();
+const transparent = () => sharp({ create: { width: 300, height: 300, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).png().toBuffer();
+
+const stored = (url) => storage.get(url.replace(/^\/uploads\//, ''));
+
+describe('image processing', () => {
+  it('stores a cleaned original and every size in every format', async () => {
+    const result = await processImage(await photo(), { baseName: 'oud', storage });
+
+    expect(result).toMatchObject({ imageUrl: '/uploads/oud.jpg', width: 600, height: 400 });
+    expect(result.files).toHaveLength(1 + 4 * 3);
+    expect(result.variants.card).toEqual({ width: 400, height: 267, avif: '/uploads/oud-card.avif', webp: '/uploads/oud-card.webp', jpeg: '/uploads/oud-card.jpg' });
+    expect((await sharp(await stored(result.imageUrl)).metadata()).exif).toBeUndefined();
+  });
+
+  it('never enlarges past the source size', async () => {
+    const result = await processImage(await photo(300, 200), { baseName: 'small', storage });
+
+    expect(result.variants.thumbnail.width).toBe(150);
+    expect(result.variants.detail).toMatchObject({ width: 300, height: 200 });
+    expect(result.variants.zoom.width).toBe(300);
+  });
+
+  it('keeps transparency in the original and flattens it for JPEG', async () => {
+    const result = await processImage(await transparent(), { baseName: 'bottle', storage });
+
+    expect(result.imageUrl).toBe('/uploads/bottle.png');
+    expect((await sharp(await stored(result.imageUrl)).metadata()).hasAlpha).toBe(true);
+    expect((await sharp(await stored(result.variants.card.jpeg)).metadata()).hasAlpha).toBe(false);
+  });
+
+  it('refuses files that are not images and leaves nothing behind', async () => {
+    await expect(processImage(Buffer.from('not an image'), { baseName: 'bad', storage }))
+      .rejects.toMatchObject({ status: 400, message: 'Invalid image format' });
+    expect(await storage.list()).toEqual([]);
+  });
+});
+
+describe('product gallery', () => {
+  const app = buildApp({ '/api/products': require('../routes/products') });
+  let products;
+  let product;
+  let editor;
+
+  const image = (name, isPrimary = false) => ({ url: `/uploads/${name}.jpg`, alt: name, isPrimary });
+
+  beforeEach(async () => {
+    products = memoryModel(Product);
+    [ImageAsset, AuditLog, Session, RefreshToken].forEach(memoryModel);
+    editor = await bearer('editor');
+    product = products.insert({
+      title: 'Oud Wood',
+      price: 120,
+      discount: 0,
+      imageUrl: '/uploads/front.jpg',
+      images: [image('front', true), image('side'), image('box')]
+    });
+  });
+
+  const gallery = () => products.get(product._id).images;
+  const imageId = (index) => String(product.images[index]._id);
+
+  it('adds uploads to the end with their alt text', async () => {
+    const res = await request(app).post(`/api/products/${product._id}/images`).set('Authorization', editor)
+      .attach('images', await photo(), 'cap.jpg')
+      .field('alt', 'The gold cap');
+
+    expect(res.status).toBe(201);
+    expect(gallery().map(entry => entry.alt)).toEqual(['front', 'side', 'box', 'The gold cap']);
+    expect(gallery()[3]).toMatchObject({ isPrimary: false, variants: { card: expect.any(Object) } });
+  });
+
+  it('moves the primary image and the product\'s main image with it', async () => {
+    const res = await request(app).patch(`/api/products/${product._id}/images/${imageId(2)}`).set('Authorization', editor)
+      .send({ isPrimary: true, alt: 'Gift box' });
+
+    expect(res.status).toBe(200);
+    expect(gallery().map(entry => entry.isPrimary)).toEqual([false, false, true]);
+    expect(products.get(product._id)).toMatchObject({ imageUrl: '/uploads/box.jpg' });
+    expect(gallery()[2].alt).toBe('Gift box');
+  });
+
+  it('reorders only with every image listed once', async () => {
+    const order = (ids) => request(app).put(`/api/products/${product._id}/images/order`).set('Authorization', editor).send({ order: ids });
+
+    expect((await order([imageId(2), imageId(0)])).status).toBe(400);
+    expect((await order([imageId(2), imageId(0), imageId(1)])).status).toBe(200);
+    expect(gallery().map(entry => entry.alt)).toEqual(['box', 'front', 'side']);
+    expect(gallery()[1].isPrimary).toBe(true);
+  });
+
+  it('hands the primary role on when the primary image is removed, but keeps the last one', async () => {
+    const remove = (id) => request(app).delete(`/api/products/${product._id}/images/${id}`).set('Authorization', editor);
+
+    expect((await remove(imageId(0))).status).toBe(200);
+    expect(products.get(product._id)).toMatchObject({ imageUrl: '/uploads/side.jpg' });
+    await remove(imageId(1));
+    expect((await remove(imageId(2))).status).toBe(409);
+    expect(gallery().map(entry => entry.alt)).toEqual(['box']);
+  });
+});
+
+describe('content-addressed images', () => {
+  let assets;
+
+  beforeEach(() => {
+    assets = memoryModel(ImageAsset);
+  });
+
+  const keys = async () => (await storage.list()).map(object => object.key);
+
+  it('processes identical uploads once and shares their files', async () => {
+    const data = await photo();
+
+    const first = await storeImage(data);
+    const second = await storeImage(Buffer.from(data));
+
+    expect(second).toEqual(first);
+    expect(first.imageUrl).toBe(`/uploads/img-${first.hash.slice(0, 32)}.jpg`);
+    expect(ImageAsset.create).toHaveBeenCalledTimes(1);
+    expect(assets.records).toEqual([expect.objectContaining({ hash: first.hash, refCount: 2 })]);
+  });
+
+  it('deletes the files with the last reference', async () => {
+    const data = await photo();
+    const stored = await storeImage(data);
+    await storeImage(data);
+
+    await releaseImage({ url: stored.imageUrl });
+    expect(await keys()).toHaveLength(13);
+
+    await releaseImage({ url: stored.imageUrl });
+    expect(await keys()).toEqual([]);
+    expect(assets.records).toEqual([]);
+  });
+
+  it('deletes images from before content addressing straight away', async () => {
+    await storage.put('legacy.jpg', Buffer.from('jpeg'));
+
+    await releaseImage({ url: '/uploads/legacy.jpg' });
+
+    expect(await keys()).toEqual([]);
+  });
+});
+
+describe('orphan cleanup', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  let products;
+  let quarantine;
+
+  beforeEach(async () => {
+    products = memoryModel(Product);
+    quarantine = memoryModel(QuarantinedImage);
+    [ImageAsset, AuditLog].forEach(memoryModel);
+    products.insert({ title: 'Oud Wood', price: 120, imageUrl: '/uploads/oud.jpg' });
+    await file('oud.jpg', 3);
+    await file('gone.jpg', 3);
+    await file('uploading.jpg', 0);
+  });
+
+  // A stored file last modified `days` ago
+  const file = async (key, days) => {
+    await storage.put(key, Buffer.from(key));
+    const time = new Date(Date.now() - days * DAY_MS);
+    await fs.promises.utimes(path.join(root, key), time, time);
+  };
+  const keys = async () => (await storage.list()).map(object => object.key).sort();
+
+  it('reports old unreferenced files on a dry run and moves nothing', async () => {
+    const report = await runOrphanCleanup({ storage, graceHours: 24 });
+
+    expect(report).toMatchObject({ dryRun: true, scanned: 3, referenced: 1, skippedRecent: 1, quarantined: 0, warnings: [] });
+    expect(report.candidates.map(candidate => candidate.key)).toEqual(['gone.jpg']);
+    expect(await keys()).toEqual(['gone.jpg', 'oud.jpg', 'uploading.jpg']);
+  });
+
+  it('quarantines them on a real run, to be purged after the retention', async () => {
+    const report = await runOrphanCleanup({ storage, dryRun: false, graceHours: 24, retentionDays: 7 });
+
+    expect(report.quarantined).toBe(1);
+    expect(await keys()).toEqual([quarantine.records[0].quarantineKey, 'oud.jpg', 'uploading.jpg'].sort());
+    expect(quarantine.records[0]).toMatchObject({ key: 'gone.jpg', status: 'quarantined' });
+
+    expect(await purgeExpiredQuarantine({ storage, now: new Date(Date.now() + 8 * DAY_MS) })).toBe(1);
+    expect(await keys()).toEqual(['oud.jpg', 'uploading.jpg']);
+  });
+
+  it('refuses a run that would empty a store the products don\'t account for, unless forced', async () => {
+    products.clear();
+
+    await expect(runOrphanCleanup({ storage, dryRun: false, graceHours: 24 }))
+      .rejects.toMatchObject({ status: 409, message: expect.stringContaining('No products found but 3 stored files') });
+    expect(await keys()).toEqual(['gone.jpg', 'oud.jpg', 'uploading.jpg']);
+
+    expect((await runOrphanCleanup({ storage, dryRun: false, force: true, graceHours: 24 })).quarantined).toBe(2);
+  });
+});
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const memoryModel = require('./helpers/memoryModel');
+const { bearer } = require('./helpers/auth');
+const inventory = require('../utils/inventory');
+const AuditLog = require('../models/AuditLog');
+const Product = require('../models/Product');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const StockMovement = require('../models/StockMovement');
+const StockReservation = require('../models/StockReservation');
+
+const app = buildApp({ '/api/inventory': require('../routes/inventory') });
+
+const productId = new mongoose.Types.ObjectId();
+
+// Variant stock by SKU, behind the $elemMatch / positional $inc update
+// that inventory.incrementVariant sends
+let shelf;
+const stockFor = (sku) => shelf.get(sku);
+
+let reservations;
+let movements;
+
+beforeEach(() => {
+  shelf = new Map([
+    ['OUD-50', { _id: new mongoose.Types.ObjectId(), sku: 'OUD-50', stock: 5, reserved: 0 }],
+    ['OUD-100', { _id: new mongoose.Types.ObjectId(), sku: 'OUD-100', stock: 2, reserved: 0 }]
+  ]);
+
+  jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(async ({ variants: { $elemMatch: match } }, { $inc }) => {
+    const variant = shelf.get(match.sku);
+    if (!variant) return null;
+    if (match.stock && variant.stock < match.stock.$gte) return null;
+    if (match.reserved && variant.reserved < match.reserved.$gte) return null;
+    variant.stock += $inc['variants.$.stock'];
+    variant.reserved += $inc['variants.$.reserved'];
+    return { _id: productId, variants: [...shelf.values()].map(item => ({ ...item })) };
+  });
+  jest.spyOn(Product, 'exists').mockImplementation(async ({ 'variants.sku': sku }) => (shelf.has(sku) ? { _id: productId } : null));
+
+  reservations = memoryModel(StockReservation);
+  movements = memoryModel(StockMovement);
+  [AuditLog, Session, RefreshToken].forEach(memoryModel);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('stock reservations', () => {
+  const reserveBoth = () => inventory.reserveStock({
+    items: [{ sku: 'oud-50', quantity: 2 }, { sku: 'OUD-100', quantity: 1 }],
+    reference: 'ORD-TEST'
+  });
+
+  it('moves held units from stock to reserved', async () => {
+    const reservation = await reserveBoth();
+
+    expect(reservation.items.map(item => item.sku)).toEqual(['OUD-50', 'OUD-100']);
+    expect(stockFor('OUD-50')).toMatchObject({ stock: 3, reserved: 2 });
+    expect(stockFor('OUD-100')).toMatchObject({ stock: 1, reserved: 1 });
+  });
+
+  it('undoes a partly committed reservation and leaves it active', async () => {
+    const reservation = await reserveBoth();
+    stockFor('OUD-100').reserved = 0;
+
+    await expect(inventory.commitReservation(reservation._id)).rejects.toMatchObject({ status: 409 });
+
+    expect(stockFor('OUD-50')).toMatchObject({ stock: 3, reserved: 2 });
+    expect(reservations.get(reservation._id).status).toBe('active');
+    expect(movements.records).toEqual([]);
+  });
+
+  it('commits a reservation only once', async () => {
+    const reservation = await reserveBoth();
+
+    await inventory.commitReservation(reservation._id);
+    await expect(inventory.commitReservation(reservation._id)).rejects.toMatchObject({ status: 409 });
+    await expect(inventory.releaseReservation(reservation._id)).rejects.toMatchObject({ status: 409 });
+
+    expect(stockFor('OUD-50')).toMatchObject({ stock: 3, reserved: 0 });
+  });
+
+  it('gives expired holds back to the shelf', async () => {
+    const reservation = await reserveBoth();
+    reservations.get(reservation._id).expiresAt = new Date(Date.now() - 1000);
+
+    expect(await inventory.expireReservations()).toBe(1);
+
+    expect(reservations.get(reservation._id).status).toBe('expired');
+    expect(stockFor('OUD-50')).toMatchObject({ stock: 5, reserved: 0 });
+    expect(stockFor('OUD-100')).toMatchObject({ stock: 2, reserved: 0 });
+  });
+  it('expires a hold placed through the API once its time has passed', async () => {
+    const admin = await bearer('admin');
+    const placed = await request(app).post('/api/inventory/reservations').set('Authorization', admin)
+      .send({ items: [{ sku: 'oud-100', quantity: 2 }], reference: 'PHONE-ORDER', ttlMinutes: 1 });
+
+    expect(placed.status).toBe(201);
+    expect(stockFor('OUD-100')).toMatchObject({ stock: 0, reserved: 2 });
+
+    reservations.get(placed.body._id).expiresAt = new Date(Date.now() - 1000);
+    await inventory.expireReservations();
+    const shown = await request(app).get(`/api/inventory/reservations/${placed.body._id}`).set('Authorization', admin);
+
+    expect(shown.body.status).toBe('expired');
+    expect(stockFor('OUD-100')).toMatchObject({ stock: 2, reserved: 0 });
+  });
+});
+
+describe('low-stock report', () => {
+  const row = { productId, title: 'Oud Wood', brand: 'Maison', sku: 'OUD-100', stock: 2, reserved: 0, threshold: 3 };
+
+  it('lists variants at or below their own threshold, or the one asked for', async () => {
+    const editor = await bearer('editor');
+    const aggregate = jest.spyOn(Product, 'aggregate').mockResolvedValue([row]);
+
+    const res = await request(app).get('/api/inventory/low-stock?threshold=3').set('Authorization', editor);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ threshold: 3, count: 1, items: [{ ...row, productId: String(productId) }] });
+    expect(aggregate.mock.calls[0][0]).toContainEqual({ $addFields: { threshold: { $ifNull: ['$variants.lowStockThreshold', 3] } } });
+  });
+
+  it('uses the configured threshold by default and is for staff only', async () => {
+    const aggregate = jest.spyOn(Product, 'aggregate').mockResolvedValue([]);
+
+    const staff = await request(app).get('/api/inventory/low-stock').set('Authorization', await bearer('editor'));
+    const customer = await request(app).get('/api/inventory/low-stock').set('Authorization', await bearer('customer'));
+
+    expect(staff.body.threshold).toBe(inventory.LOW_STOCK_THRESHOLD);
+    expect(customer.status).toBe(403);
+    expect(aggregate).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,99 @@
+const express = require('express');
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const accessLog = require('../middleware/accessLog');
+const { logger, redactUrl } = require('../utils/logger');
+
+const router = express.Router();
+router.post('/login', async (req, res) => {
+  await new Promise(setImmediate);
+  logger.info('signing in', { email: req.body.email, password: req.body.password });
+  res.json({ ok: true });
+});
+router.get('/broken', () => {
+  throw new Error('secret connection string');
+});
+
+// The access log wraps the test app, as it wraps every route in server.js
+const app = express();
+app.use(accessLog);
+app.use(buildApp({ '/api/test': router }));
+
+// Every JSON line written while the test runs, with the stream it went to
+let lines;
+
+beforeEach(() => {
+  process.env.LOG_LEVEL = 'debug';
+  lines = [];
+  for (const stream of ['stdout', 'stderr']) {
+    jest.spyOn(process[stream], 'write').mockImplementation((chunk) => {
+      lines.push({ stream, ...JSON.parse(chunk) });
+      return true;
+    });
+  }
+});
+
+afterEach(() => {
+  process.env.LOG_LEVEL = 'silent';
+  jest.restoreAllMocks();
+});
+
+// The access log is written once the response has gone out
+const settled = () => new Promise(resolve => setTimeout(resolve, 10));
+const entry = (message) => lines.find(line => line.message === message);
+
+describe('request logging', () => {
+  it('tags what a request logs, even after an await, with its id', async () => {
+    const res = await request(app).post('/api/test/login').set('X-Request-Id', 'client-42').send({ email: 'ada@example.com', password: 'hunter2' });
+    await settled();
+
+    expect(res.headers['x-request-id']).toBe('client-42');
+    expect(entry('signing in')).toMatchObject({ stream: 'stdout', level: 'info', requestId: 'client-42', email: 'ada@example.com', password: '[REDACTED]' });
+    expect(entry('request completed')).toMatchObject({ requestId: 'client-42', method: 'POST', url: '/api/test/login', status: 200, durationMs: expect.any(Number) });
+  });
+
+  it('logs server errors with their stack, and the response as an error', async () => {
+    const res = await request(app).get('/api/test/broken?token=abc');
+    await settled();
+
+    expect(entry('Request failed')).toMatchObject({
+      stream: 'stderr',
+      level: 'error',
+      requestId: res.body.requestId,
+      url: '/api/test/broken?token=[REDACTED]',
+      error: { message: 'secret connection string', stack: expect.any(String) }
+    });
+    expect(entry('request completed')).toMatchObject({ level: 'error', status: 500 });
+  });
+
+  it('writes only the levels LOG_LEVEL lets through', () => {
+    process.env.LOG_LEVEL = 'warn';
+
+    logger.info('routine');
+    logger.warn('unusual');
+
+    expect(lines.map(line => line.message)).toEqual(['unusual']);
+  });
+});
+
+describe('redaction', () => {
+  it('masks secrets and shortens data URLs and long strings', () => {
+    logger.child({ job: 'import' }).info('item', {
+      user: { refreshToken: 'abc', name: 'Ada' },
+      image: `data:image/png;base64,${'A'.repeat(50)}`,
+      note: 'x'.repeat(1500)
+    });
+
+    expect(lines[0]).toMatchObject({
+      job: 'import',
+      user: { refreshToken: '[REDACTED]', name: 'Ada' },
+      image: '[data URL image/png, 72 chars]',
+      note: `${'x'.repeat(1000)}... [500 more chars]`
+    });
+  });
+
+  it('masks secret query parameters and keeps the rest', () => {
+    expect(redactUrl('/api/auth/reset?token=abc&next=%2Fcart')).toBe('/api/auth/reset?token=[REDACTED]&next=%2Fcart');
+    expect(redactUrl('/api/products')).toBe('/api/products');
+  });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createOutboxTransport = require('../utils/mail/outboxTransport');
+const { registerTransport, getTransport, sendMail } = require('../utils/mail');
+const { passwordResetEmail } = require('../utils/mail/templates');
+
+let outboxDir;
+
+const readOutbox = async () => {
+  const files = await fs.promises.readdir(outboxDir);
+  return Promise.all(files.map(async file => JSON.parse(await fs.promises.readFile(path.join(outboxDir, file), 'utf8'))));
+};
+
+beforeEach(async () => {
+  outboxDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+});
+
+afterEach(async () => {
+  await fs.promises.rm(outboxDir, { recursive: true, force: true });
+});
+
+describe('outbox mail transport', () => {
+  it('writes each message to a JSON file', async () => {
+    const transport = createOutboxTransport(outboxDir);
+
+    const sent = await transport.send({ to: 'ada@example.com', subject: 'Hello', text: 'Hi Ada' });
+
+    expect(path.dirname(sent.path)).toBe(outboxDir);
+    expect(await readOutbox()).toEqual([
+      { id: sent.id, date: expect.any(String), to: 'ada@example.com', subject: 'Hello', text: 'Hi Ada' }
+    ]);
+  });
+
+  it('creates the outbox folder when it is missing', async () => {
+    const transport = createOutboxTransport(path.join(outboxDir, 'nested'));
+
+    const sent = await transport.send({ to: 'ada@example.com', subject: 'Hello' });
+
+    expect(fs.existsSync(sent.path)).toBe(true);
+  });
+});
+
+describe('sending mail', () => {
+  it('fills in the sender and goes through MAIL_TRANSPORT', async () => {
+    registerTransport(createOutboxTransport(outboxDir));
+
+    await sendMail(passwordResetEmail({ email: 'ada@example.com' }, 'reset token'));
+
+    const [message] = await readOutbox();
+    expect(message).toMatchObject({ from: 'no-reply@perfume.local', to: 'ada@example.com', subject: 'Reset your password' });
+    expect(message.text).toContain('/reset-password?token=reset%20token');
+  });
+
+  it('refuses transports it cannot send with', () => {
+    expect(() => registerTransport({ name: 'broken' })).toThrow('Mail transports need a name and send()');
+    expect(() => getTransport('smtp')).toThrow('Unknown mail transport: smtp');
+  });
+});
@@ -0,0 +1,267 @@
+jest.mock('../utils/cart');
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const memoryModel = require('./helpers/memoryModel');
+const cartService = require('../utils/cart');
+const fakeProvider = require('../utils/payments/fakeProvider');
+const inventory = require('../utils/inventory');
+const tokens = require('../utils/tokens');
+const AuditLog = require('../models/AuditLog');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const StockMovement = require('../models/StockMovement');
+const StockReservation = require('../models/StockReservation');
+
+const app = buildApp({ '/api/orders': require('../routes/orders') });
+
+const productId = new mongoose.Types.ObjectId();
+const address = { name: 'Ada Guest', line1: '1 High St', city: 'Leeds', postalCode: 'LS1 1AA', country: 'GB' };
+
+// Variant stock by SKU. Product.findOneAndUpdate is replaced with the
+// $elemMatch / positional $inc update that inventory.incrementVariant sends.
+let shelf;
+const stockFor = (sku) => shelf.get(sku);
+
+let orders;
+let reservations;
+let movements;
+let audit;
+let cart;
+
+const line = (sku, quantity, unitPrice = 50) => ({
+  product: productId,
+  sku,
+  title: 'Oud Wood',
+  brand: 'Maison',
+  unitPrice,
+  discount: 0,
+  finalUnitPrice: unitPrice,
+  quantity,
+  lineTotal: unitPrice * quantity
+});
+
+const priceLines = (lines) => {
+  const total = lines.reduce((sum, item) => sum + item.lineTotal, 0);
+  return { currency: 'USD', lines, unavailable: [], subtotal: total, discountTotal: 0, coupon: null, couponDiscount: 0, total };
+};
+
+const checkout = (body = {}) => request(app).post('/api/orders').set('X-Cart-Token', 'guest-cart').send({
+  email: 'ada@example.com',
+  shippingAddress: address,
+  ...body
+});
+
+beforeEach(() => {
+  shelf = new Map([
+    ['OUD-50', { _id: new mongoose.Types.ObjectId(), sku: 'OUD-50', stock: 5, reserved: 0 }],
+    ['OUD-100', { _id: new mongoose.Types.ObjectId(), sku: 'OUD-100', stock: 2, reserved: 0 }]
+  ]);
+
+  jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(async ({ variants: { $elemMatch: match } }, { $inc }) => {
+    const variant = shelf.get(match.sku);
+    if (!variant) return null;
+    if (match.stock && variant.stock < match.stock.$gte) return null;
+    if (match.reserved && variant.reserved < match.reserved.$gte) return null;
+    variant.stock += $inc['variants.$.stock'];
+    variant.reserved += $inc['variants.$.reserved'];
+    return { _id: productId, variants: [...shelf.values()].map(item => ({ ...item })) };
+  });
+  jest.spyOn(Product, 'exists').mockImplementation(async ({ 'variants.sku': sku }) => (shelf.has(sku) ? { _id: productId } : null));
+
+  orders = memoryModel(Order);
+  reservations = memoryModel(StockReservation);
+  movements = memoryModel(StockMovement);
+  audit = memoryModel(AuditLog);
+  memoryModel(Session);
+  memoryModel(RefreshToken);
+
+  cart = { items: [{ product: productId, sku: 'OUD-50', quantity: 2 }], save: jest.fn().mockResolvedValue() };
+  cartService.findCart.mockResolvedValue(cart);
+  cartService.priceCart.mockResolvedValue(priceLines([line('OUD-50', 2)]));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkout', () => {
+  it('charges, sells the held stock and empties the cart', async () => {
+    const res = await checkout();
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ status: 'paid', total: 100, payment: { provider: 'fake', status: 'succeeded' } });
+    expect(stockFor('OUD-50')).toMatchObject({ stock: 3, reserved: 0 });
+    expect(reservations.records).toEqual([expect.objectContaining({ reference: res.body.orderNumber, status: 'committed' })]);
+    expect(movements.records).toEqual([expect.objectContaining({ sku: 'OUD-50', type: 'sale', quantity: -2, balanceAfter: 3 })]);
+    expect(cart.items).toEqual([]);
+    expect(cart.save).toHaveBeenCalled();
+  });
+
+  it('puts the stock back and keeps the cart when the card is declined', async () => {
+    const res = await checkout({ payment: { simulate: 'decline' } });
+
+    expect(res.status).toBe(402);
+    expect(res.body).toMatchObject({ code: 'PAYMENT_FAILED', order: { status: 'cancelled' } });
+    expect(stockFor('OUD-50')).toMatchObject({ stock: 5, reserved: 0 });
+    expect(reservations.records[0].status).toBe('released');
+    expect(cart.save).not.toHaveBeenCalled();
+  });
+
+  it('leaves a pending payment holding its stock', async () => {
+    const res = await checkout({ payment: { simulate: 'pending' } });
+
+    expect(res.status).toBe(201);
+    expect(res.body.status).toBe('pending');
+    expect(stockFor('OUD-50')).toMatchObject({ stock: 3, reserved: 2 });
+    expect(reservations.records[0].status).toBe('active');
+  });
+
+  it('refuses to hold more than is in stock, and holds nothing', async () => {
+    cartService.priceCart.mockResolvedValue(priceLines([line('OUD-50', 1), line('OUD-100', 3)]));
+
+    const res = await checkout();
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Insufficient stock for SKU OUD-100');
+    expect(stockFor('OUD-50')).toMatchObject({ stock: 5, reserved: 0 });
+    expect(orders.records).toEqual([]);
+  });
+
+  it('does not let the customer pick the payment provider', async () => {
+    const res = await checkout({ paymentProvider: 'fake' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PAYMENT_PROVIDER_NOT_ALLOWED');
+    expect(reservations.records).toEqual([]);
+  });
+
+  it('needs an email from guests and a non-empty cart', async () => {
+    const noEmail = await request(app).post('/api/orders').send({ shippingAddress: address });
+    cart.items = [];
+    const emptyCart = await checkout();
+
+    expect(noEmail.status).toBe(400);
+    expect(noEmail.body.message).toBe('Email is required for guest checkout');
+    expect(emptyCart.status).toBe(400);
+    expect(emptyCart.body.message).toBe('Cart is empty');
+  });
+});
+
+describe('checkout failing after the charge', () => {
+  // Runs `during` while the card is being charged
+  const chargeAnd = (during) => {
+    const charge = fakeProvider.charge;
+    jest.spyOn(fakeProvider, 'charge').mockImplementation(async (args) => {
+      const payment = await charge(args);
+      await during();
+      return payment;
+    });
+  };
+  const refundSpy = () => jest.spyOn(fakeProvider, 'refund');
+
+  it('refunds and keeps a cancelled order when the hold lapsed during the charge', async () => {
+    chargeAnd(async () => {
+      reservations.records[0].expiresAt = new Date(Date.now() - 1000);
+      await inventory.expireReservations();
+    });
+    const refund = refundSpy();
+
+    const res = await checkout();
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({
+      code: 'ORDER_NOT_COMPLETED',
+      message: 'Your order could not be completed; the payment has been refunded',
+      order: { status: 'cancelled', payment: { status: 'refunded' } }
+    });
+    expect(refund).toHaveBeenCalledWith(expect.objectContaining({ amount: 100, currency: 'USD' }));
+    expect(orders.records).toEqual([expect.objectContaining({ status: 'cancelled' })]);
+    expect(stockFor('OUD-50')).toMatchObject({ stock: 5, reserved: 0 });
+    expect(cart.save).not.toHaveBeenCalled();
+  });
+
+  it('refunds when a held variant was removed during the charge', async () => {
+    chargeAnd(async () => {
+      shelf.delete('OUD-50');
+    });
+    refundSpy();
+
+    const res = await checkout();
+
+    expect(res.status).toBe(409);
+    expect(res.body.order.payment.status).toBe('refunded');
+    expect(reservations.records[0].status).toBe('released');
+  });
+
+  it('puts sold stock back when the paid order cannot be saved', async () => {
+    jest.spyOn(Order.prototype, 'save').mockRejectedValueOnce(new Error('write concern timeout'));
+
+    const res = await checkout();
+
+    expect(res.status).toBe(500);
+    expect(res.body.code).toBe('ORDER_NOT_COMPLETED');
+    expect(orders.records).toEqual([expect.objectContaining({ status: 'cancelled', payment: expect.objectContaining({ status: 'refunded' }) })]);
+    expect(stockFor('OUD-50')).toMatchObject({ stock: 5, reserved: 0 });
+    expect(movements.records.map(movement => movement.type)).toEqual(['sale', 'return']);
+  });
+
+  it('reports a failed charge even when the hold has already lapsed', async () => {
+    jest.spyOn(fakeProvider, 'charge').mockImplementation(async () => {
+      reservations.records[0].status = 'expired';
+      throw new Error('Gateway timeout');
+    });
+
+    const res = await checkout();
+
+    // The gateway's failure, not the lapsed hold's 409
+    expect(res.status).toBe(500);
+    expect(res.body.code).toBe('INTERNAL_ERROR');
+    expect(orders.records).toEqual([]);
+  });
+});
+
+describe('marking an order paid', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    ({ token: adminToken } = await tokens.issueSession({ _id: new mongoose.Types.ObjectId(), role: 'admin' }));
+  });
+
+  const markPaid = (order) => request(app)
+    .patch(`/api/orders/${order._id}/status`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ status: 'paid' });
+
+  it('sells the stock its checkout held', async () => {
+    const placed = await checkout({ payment: { simulate: 'pending' } });
+
+    const res = await markPaid(placed.body);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('paid');
+    expect(stockFor('OUD-50')).toMatchObject({ stock: 3, reserved: 0 });
+    expect(reservations.records[0].status).toBe('committed');
+    expect(movements.records).toEqual([expect.objectContaining({ type: 'sale', quantity: -2 })]);
+    expect(audit.records).toEqual([expect.objectContaining({
+      action: 'order.status',
+      entity: 'order',
+      label: placed.body.orderNumber,
+      changes: expect.arrayContaining([{ field: 'status', from: 'pending', to: 'paid' }])
+    })]);
+  });
+
+  it('refuses once the hold has lapsed', async () => {
+    const placed = await checkout({ payment: { simulate: 'pending' } });
+    await inventory.releaseReservation(placed.body.reservation, 'expired');
+
+    const res = await markPaid(placed.body);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('RESERVATION_EXPIRED');
+    expect(orders.get(placed.body._id).status).toBe('pending');
+  });
+});
@@ -0,0 +1,66 @@
+const fakeProvider = require('../utils/payments/fakeProvider');
+
+// The registry decides at load time whether the fake provider is available
+const loadPayments = (env) => {
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  Object.assign(process.env, env);
+  try {
+    let payments;
+    jest.isolateModules(() => {
+      payments = require('../utils/payments');
+    });
+    return payments;
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+};
+
+describe('fake payment provider', () => {
+  it('approves charges by default', async () => {
+    const payment = await fakeProvider.charge({ amount: 120, currency: 'USD', orderNumber: 'ORD-1' });
+
+    expect(payment).toMatchObject({ status: 'succeeded', amount: 120, currency: 'USD' });
+    expect(payment.reference).toMatch(/^fake_/);
+  });
+
+  it('simulates declined and pending payments', async () => {
+    const declined = await fakeProvider.charge({ amount: 120, currency: 'USD', details: { simulate: 'decline' } });
+    const pending = await fakeProvider.charge({ amount: 120, currency: 'USD', details: { simulate: 'pending' } });
+
+    expect(declined).toMatchObject({ status: 'failed', message: 'Card declined (simulated)' });
+    expect(pending.status).toBe('pending');
+  });
+
+  it('refunds against the original reference', async () => {
+    const refund = await fakeProvider.refund({ reference: 'fake_abc', amount: 50 });
+
+    expect(refund).toMatchObject({ status: 'refunded', original: 'fake_abc', amount: 50 });
+  });
+});
+
+describe('payment provider registry', () => {
+  it('charges through PAYMENT_PROVIDER, the fake one outside production', () => {
+    const payments = loadPayments({ NODE_ENV: 'test', PAYMENT_PROVIDER: '' });
+
+    expect(payments.getProvider().name).toBe('fake');
+  });
+
+  it('leaves the fake provider out of production unless enabled', () => {
+    const production = loadPayments({ NODE_ENV: 'production', ENABLE_FAKE_PAYMENTS: '' });
+    const enabled = loadPayments({ NODE_ENV: 'production', ENABLE_FAKE_PAYMENTS: 'true' });
+
+    expect(() => production.getProvider('fake')).toThrow('Unknown payment provider: fake');
+    expect(enabled.getProvider('fake').name).toBe('fake');
+  });
+
+  it('only registers complete providers', () => {
+    const payments = loadPayments({ NODE_ENV: 'test' });
+
+    expect(() => payments.registerProvider({ name: 'half', charge: async () => ({}) })).toThrow('Payment providers need a name, charge() and refund()');
+    payments.registerProvider({ name: 'card', charge: async () => ({}), refund: async () => ({}) });
+    expect(payments.getProvider('card').name).toBe('card');
+  });
+});
@@ -0,0 +1,119 @@
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const memoryModel = require('./helpers/memoryModel');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Promotion = require('../models/Promotion');
+const ExchangeRate = require('../models/ExchangeRate');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { bearer } = require('./helpers/auth');
+const { invalidateRates } = require('../utils/currency');
+const { validateProductInput } = require('../utils/productInput');
+
+const app = buildApp({ '/api/products': require('../routes/products') });
+
+let products;
+
+beforeEach(() => {
+  invalidateRates();
+  products = memoryModel(Product);
+  [Category, Promotion, ExchangeRate, AuditLog, Session, RefreshToken].forEach(memoryModel);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const list = (query) => request(app).get('/api/products').query(query);
+const titles = (res) => res.body.products.map(product => product.title);
+
+describe('product list', () => {
+  beforeEach(() => {
+    products.insert({ title: 'Oud Wood', brand: 'Maison', price: 120, priceInBase: 120, discount: 0, concentration: 'edp', gender: 'unisex', notes: { base: ['oud', 'vetiver'] } });
+    products.insert({ title: 'Vetiver', brand: 'Atelier', price: 80, priceInBase: 80, discount: 20, concentration: 'edt', gender: 'men', notes: { heart: ['vetiver'] } });
+    products.insert({ title: 'Iris Silk', brand: 'Maison', price: 95, priceInBase: 95, discount: 10, concentration: 'edp', gender: 'women', notes: { top: ['iris'] } });
+  });
+
+  it('pages through the catalogue with a cursor', async () => {
+    const first = await list({ sort: 'price', limit: 2 });
+    const second = await list({ sort: 'price', limit: 2, cursor: first.body.nextCursor });
+
+    expect(first.status).toBe(200);
+    expect(titles(first)).toEqual(['Vetiver', 'Iris Silk']);
+    expect(first.body).toMatchObject({ total: 3, totalPages: 2, page: 1 });
+    expect(titles(second)).toEqual(['Oud Wood']);
+    expect(second.body).toMatchObject({ page: null, nextCursor: null });
+  });
+
+  it('filters on fragrance attributes, notes and price', async () => {
+    expect(titles(await list({ concentration: 'eau de parfum', sort: 'title' }))).toEqual(['Iris Silk', 'Oud Wood']);
+    expect(titles(await list({ note: 'vetiver', sort: 'title' }))).toEqual(['Oud Wood', 'Vetiver']);
+    expect(titles(await list({ baseNote: 'vetiver' }))).toEqual(['Oud Wood']);
+    expect(titles(await list({ brand: 'maison', maxPrice: 100 }))).toEqual(['Iris Silk']);
+    expect(titles(await list({ minDiscount: 15 }))).toEqual(['Vetiver']);
+  });
+
+  it('searches titles, descriptions and brands', async () => {
+    expect(titles(await list({ q: 'atel' }))).toEqual(['Vetiver']);
+  });
+
+  it('refuses unknown sort fields and forged cursors', async () => {
+    const sort = await list({ sort: 'stock' });
+    const cursor = await list({ cursor: 'not-a-cursor' });
+
+    expect(sort.status).toBe(400);
+    expect(sort.body.errors[0]).toMatchObject({ field: 'sort', location: 'query' });
+    expect(cursor.status).toBe(400);
+    expect(cursor.body.errors).toEqual([{ field: 'cursor', location: 'query', message: 'cursor is not a valid cursor' }]);
+  });
+});
+
+describe('fragrance attributes', () => {
+  let editor;
+
+  beforeEach(async () => {
+    editor = await bearer('editor');
+  });
+
+  it('are normalized for a new product', () => {
+    const { fields } = validateProductInput({
+      title: 'Oud Wood',
+      brand: ' Maison ',
+      price: 120,
+      discount: 0,
+      concentration: 'Eau de Parfum',
+      gender: 'male',
+      family: 'woody',
+      notes: { top: ['Cardamom', 'cardamom'], base: 'oud' }
+    });
+
+    expect(fields).toMatchObject({
+      brand: 'Maison',
+      concentration: 'edp',
+      gender: 'men',
+      family: 'woody',
+      notes: { top: ['cardamom'], base: ['oud'] }
+    });
+  });
+
+  it('refuse values outside their lists, naming the field', async () => {
+    const res = await request(app).post('/api/products').set('Authorization', editor).send({
+      title: 'Oud Wood', price: 120, discount: 0, concentration: 'perfume oil', notes: { top: 'oud', middle: ['rose'] }
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['concentration']);
+  });
+
+  it('are cleared on update with null', async () => {
+    const product = products.insert({ title: 'Oud Wood', slug: 'oud-wood', price: 120, discount: 0, concentration: 'edp', family: 'woody' });
+
+    const res = await request(app).patch(`/api/products/${product._id}`).set('Authorization', editor).send({ concentration: null, heartNotes: 'rose,iris' });
+
+    expect(res.status).toBe(200);
+    expect(products.get(product._id).concentration).toBeUndefined();
+    expect(products.get(product._id)).toMatchObject({ family: 'woody', notes: { heart: ['rose', 'iris'] } });
+  });
+});
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const memoryModel = require('./helpers/memoryModel');
+const { redeemCoupon, releaseCoupon, effectivePrice, applyCoupon } = require('../utils/promotions');
+const Promotion = require('../models/Promotion');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const id = () => new mongoose.Types.ObjectId();
+
+let promotions;
+let redemptions;
+
+beforeEach(() => {
+  promotions = memoryModel(Promotion);
+  redemptions = memoryModel(CouponRedemption);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('redeeming a coupon once per customer', () => {
+  const user = id();
+  let coupon;
+  let count = 0;
+
+  beforeEach(() => {
+    coupon = promotions.insert({ name: 'Welcome', type: 'coupon', code: 'WELCOME', value: 10, perCustomerLimit: 1, usageCount: 0 });
+  });
+
+  const redeem = (customer = { user }) => {
+    count++;
+    const order = { _id: id(), orderNumber: `ORD-${count}` };
+    return redeemCoupon({ promotion: coupon._id, code: 'WELCOME', order, discount: 5, ...customer });
+  };
+
+  it('numbers the use and refuses the next one', async () => {
+    await redeem();
+
+    await expect(redeem()).rejects.toMatchObject({ status: 409, message: 'You have already used this coupon' });
+    expect(redemptions.records).toEqual([expect.objectContaining({ customer: String(user), use: 1 })]);
+    expect(promotions.get(coupon._id).usageCount).toBe(1);
+  });
+
+  it('counts a guest by their email', async () => {
+    await redeem({ email: 'Ana@Example.com ' });
+
+    await expect(redeem({ email: 'ana@example.com' })).rejects.toMatchObject({ status: 409 });
+    expect(redemptions.records[0]).toMatchObject({ customer: 'ana@example.com', use: 1 });
+  });
+
+  it('fails cleanly when a concurrent checkout took the same use', async () => {
+    jest.spyOn(CouponRedemption, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    await expect(redeem()).rejects.toMatchObject({ status: 409, message: 'You have already used this coupon' });
+    expect(promotions.get(coupon._id).usageCount).toBe(0);
+  });
+
+  it('frees the use again when the order is cancelled', async () => {
+    const first = await redeem();
+    await releaseCoupon({ _id: first.order, coupon: { promotion: coupon._id } });
+
+    await redeem();
+
+    expect(redemptions.records).toEqual([expect.objectContaining({ use: 1 })]);
+  });
+});
+
+describe('stacking', () => {
+  const product = { _id: id(), brand: 'Maison', price: 100, discount: 10 };
+  const sale = (fields) => ({ _id: id(), name: 'Sale', type: 'sale', discountType: 'percent', scope: 'all', active: true, ...fields });
+
+  it('gives a product the best of its own discount and the live sales, never both', () => {
+    const price = effectivePrice(product, product, [
+      sale({ value: 15, scope: 'brands', brands: ['maison'] }),
+      sale({ value: 40, scope: 'brands', brands: ['Atelier'] }),
+      sale({ value: 5 })
+    ]);
+
+    expect(price).toMatchObject({ price: 100, finalPrice: 85, discount: 15, promotion: expect.objectContaining({ name: 'Sale' }) });
+    expect(effectivePrice(product, product, [sale({ value: 5 })])).toMatchObject({ finalPrice: 90, discount: 10, promotion: null });
+  });
+
+  const line = (fields) => ({ product: id(), brand: 'Maison', lineTotal: 50, promotion: null, ...fields });
+
+  it('puts a coupon on top of sales unless it excludes sale items', async () => {
+    const lines = [line({ promotion: { _id: id() } }), line({})];
+    promotions.insert({ name: 'Ten', type: 'coupon', code: 'TEN', value: 10, combinesWithSales: true });
+    promotions.insert({ name: 'Full price', type: 'coupon', code: 'FULL', value: 10, combinesWithSales: false });
+
+    expect(await applyCoupon('ten', lines)).toMatchObject({ valid: true, discount: 10 });
+    expect(await applyCoupon('full', lines)).toMatchObject({ valid: true, discount: 5 });
+    expect(await applyCoupon('full', [lines[0]])).toMatchObject({ valid: false, reason: 'This coupon does not apply to items on sale', discount: 0 });
+  });
+
+  it('caps a fixed coupon at what it applies to, and keeps to its schedule', async () => {
+    promotions.insert({ name: 'Eighty off', type: 'coupon', code: 'EIGHTY', discountType: 'fixed', value: 80 });
+    promotions.insert({ name: 'Later', type: 'coupon', code: 'LATER', value: 10, startsAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+    expect(await applyCoupon('eighty', [line({})])).toMatchObject({ valid: true, discount: 50 });
+    expect(await applyCoupon('later', [line({})])).toMatchObject({ valid: false, reason: 'This coupon is not valid yet' });
+  });
+});
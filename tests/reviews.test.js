@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const memoryModel = require('./helpers/memoryModel');
+const { bearer } = require('./helpers/auth');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+const app = buildApp({
+  '/api/products': require('../routes/products'),
+  '/api/reviews': require('../routes/reviews')
+});
+
+let products;
+let reviews;
+let product;
+let customerId;
+let customer;
+let admin;
+
+beforeEach(async () => {
+  products = memoryModel(Product);
+  reviews = memoryModel(Review);
+  [AuditLog, Session, RefreshToken].forEach(memoryModel);
+  // The rating pipeline, over the approved reviews in memory
+  jest.spyOn(Review, 'aggregate').mockImplementation(async () => {
+    const approved = reviews.records.filter(review => review.status === 'approved');
+    if (approved.length === 0) return [];
+    return [{ average: approved.reduce((sum, review) => sum + review.rating, 0) / approved.length, count: approved.length }];
+  });
+
+  product = products.insert({ title: 'Oud Wood', price: 120, discount: 0, rating: 0, reviewCount: 0 });
+  customerId = new mongoose.Types.ObjectId();
+  customer = await bearer('customer', customerId);
+  admin = await bearer('admin');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const post = (body, token = customer) => request(app).post(`/api/products/${product._id}/reviews`).set('Authorization', token).send(body);
+const moderate = (review, status) => request(app).patch(`/api/reviews/${review._id}/status`).set('Authorization', admin).send({ status });
+const ratingOf = () => {
+  const { rating, reviewCount } = products.get(product._id);
+  return { rating, reviewCount };
+};
+
+describe('customer reviews', () => {
+  it('wait for moderation, one per customer and product', async () => {
+    const first = await post({ rating: 4, text: 'Smoky and warm', title: null });
+    const second = await post({ rating: 5, text: 'Again' });
+
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ status: 'pending', title: '', rating: 4 });
+    expect(second.status).toBe(409);
+    expect(ratingOf()).toEqual({ rating: 0, reviewCount: 0 });
+  });
+
+  it('name each field that is wrong', async () => {
+    const res = await post({ rating: 6, longevity: 'long' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['rating', 'text', 'longevity']);
+  });
+});
+
+describe('product rating', () => {
+  it('counts approved reviews only', async () => {
+    await post({ rating: 4, text: 'Smoky' });
+    await post({ rating: 2, text: 'Too sweet' }, await bearer('customer'));
+    const [smoky, sweet] = reviews.records;
+
+    await moderate(smoky, 'approved');
+    expect(ratingOf()).toEqual({ rating: 4, reviewCount: 1 });
+
+    await moderate(sweet, 'approved');
+    expect(ratingOf()).toEqual({ rating: 3, reviewCount: 2 });
+
+    await moderate(smoky, 'rejected');
+    expect(ratingOf()).toEqual({ rating: 2, reviewCount: 1 });
+  });
+
+  it('drops an approved review that is edited until it is approved again', async () => {
+    await post({ rating: 4, text: 'Smoky' });
+    await moderate(reviews.records[0], 'approved');
+
+    const edit = await request(app).patch(`/api/products/${product._id}/reviews/mine`).set('Authorization', customer).send({ rating: 1 });
+
+    expect(edit.status).toBe(200);
+    expect(edit.body.status).toBe('pending');
+    expect(ratingOf()).toEqual({ rating: 0, reviewCount: 0 });
+  });
+});
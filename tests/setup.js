@@ -0,0 +1,12 @@
+// =======================
+// Runs before every test file. Tests need no database or network: models
+// are replaced with in-memory ones (tests/helpers/memoryModel), and a query
+// that reaches MongoDB anyway fails at once instead of waiting to connect.
+// =======================
+const mongoose = require('mongoose');
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'silent';
+process.env.JWT_SECRET = 'test-secret';
+
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { S3Client } = require('@aws-sdk/client-s3');
+const createLocalDriver = require('../utils/storage/localDriver');
+const createS3Driver = require('../utils/storage/s3Driver');
+const { registerDriver, getStorage } = require('../utils/storage');
+const { StorageError } = require('../utils/errors');
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const memoryModel = require('./helpers/memoryModel');
+const { bearer } = require('./helpers/auth');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+let root;
+let storage;
+
+beforeEach(async () => {
+  root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+  storage = createLocalDriver({ root });
+});
+
+afterEach(async () => {
+  await fs.promises.rm(root, { recursive: true, force: true });
+});
+
+describe('local storage driver', () => {
+  it('stores, reads and deletes objects under its root', async () => {
+    const data = Buffer.from('image bytes');
+
+    expect(await storage.put('products/oud/main.webp', data)).toEqual({ key: 'products/oud/main.webp', size: data.length });
+    expect(fs.existsSync(path.join(root, 'products', 'oud', 'main.webp'))).toBe(true);
+    expect(await storage.get('products/oud/main.webp')).toEqual(data);
+    expect(await storage.exists('products/oud/main.webp')).toBe(true);
+
+    expect(await storage.delete('products/oud/main.webp')).toBe(true);
+    expect(await storage.delete('products/oud/main.webp')).toBe(false);
+    expect(await storage.get('products/oud/main.webp')).toBeNull();
+    expect(await storage.exists('products/oud')).toBe(false);
+  });
+
+  it('lists objects by prefix, skipping hidden files', async () => {
+    await storage.put('products/a.webp', Buffer.from('a'));
+    await storage.put('products/b/c.webp', Buffer.from('cc'));
+    await storage.put('avatars/d.webp', Buffer.from('d'));
+    await storage.put('products/.DS_Store', Buffer.from('x'));
+
+    const listed = await storage.list('products/');
+
+    expect(listed.map(object => object.key).sort()).toEqual(['products/a.webp', 'products/b/c.webp']);
+    const nested = listed.find(object => object.key === 'products/b/c.webp');
+    expect(nested.size).toBe(2);
+    expect(nested.lastModified.getTime()).toBeGreaterThan(0);
+  });
+
+  it('never reads or writes outside its root', async () => {
+    await expect(storage.put('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key: ../escape.txt');
+    await expect(storage.get('products/../../escape.txt')).rejects.toThrow('Invalid storage key');
+    await expect(storage.put('', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+
+    // Leading slashes are taken as relative to the root
+    await storage.put('/products/a.webp', Buffer.from('a'));
+    expect(fs.existsSync(path.join(root, 'products', 'a.webp'))).toBe(true);
+  });
+
+  it('serves objects under /uploads', () => {
+    expect(storage.url('products/a.webp')).toBe('/uploads/products/a.webp');
+  });
+});
+
+describe('S3 storage driver', () => {
+  // Answers each command by its name; no request leaves the test
+  const bucket = (answers) => jest.spyOn(S3Client.prototype, 'send').mockImplementation(async (command) => {
+    const answer = answers[command.constructor.name];
+    return typeof answer === 'function' ? answer(command.input) : answer;
+  });
+  const notFound = (name) => () => {
+    throw Object.assign(new Error(name), { name, $metadata: { httpStatusCode: 404 } });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps objects under its prefix', async () => {
+    const send = bucket({ PutObjectCommand: {} });
+    const s3 = createS3Driver({ bucket: 'shop', prefix: 'staging/' });
+
+    const stored = await s3.put('products/a.webp', Buffer.from('webp'), { contentType: 'image/webp' });
+
+    expect(stored).toEqual({ key: 'products/a.webp', size: 4 });
+    expect(send.mock.calls[0][0].input).toMatchObject({ Bucket: 'shop', Key: 'staging/products/a.webp', ContentType: 'image/webp' });
+  });
+
+  it('lists every page, with keys relative to the prefix', async () => {
+    bucket({
+      ListObjectsV2Command: ({ ContinuationToken }) => (ContinuationToken
+        ? { Contents: [{ Key: 'staging/products/b.webp', Size: 2 }] }
+        : { Contents: [{ Key: 'staging/products/a.webp', Size: 1 }], IsTruncated: true, NextContinuationToken: 'page-2' })
+    });
+    const s3 = createS3Driver({ bucket: 'shop', prefix: 'staging/' });
+
+    const objects = await s3.list('products/');
+
+    expect(objects.map(object => object.key)).toEqual(['products/a.webp', 'products/b.webp']);
+  });
+
+  it('treats missing objects as absent rather than failing', async () => {
+    bucket({ GetObjectCommand: notFound('NoSuchKey'), HeadObjectCommand: notFound('NotFound') });
+    const s3 = createS3Driver({ bucket: 'shop' });
+
+    expect(await s3.get('products/gone.webp')).toBeNull();
+    expect(await s3.exists('products/gone.webp')).toBe(false);
+  });
+
+  it('links to the public URL when there is one, and through /uploads otherwise', () => {
+    expect(createS3Driver({ bucket: 'shop', publicUrl: 'https://cdn.example.com/' }).url('products/a.webp')).toBe('https://cdn.example.com/products/a.webp');
+    expect(createS3Driver({ bucket: 'shop' }).url('products/a.webp')).toBe('/uploads/products/a.webp');
+  });
+
+  it('needs a bucket', () => {
+    expect(() => createS3Driver({ bucket: '' })).toThrow('The S3 storage driver needs S3_BUCKET');
+  });
+});
+
+describe('storage registry', () => {
+  it('reports driver failures as storage errors', async () => {
+    registerDriver({ ...createLocalDriver({ root }), name: 'flaky', get: async () => { throw new Error('disk on fire'); } });
+
+    const error = await getStorage('flaky').get('a.webp').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error).toMatchObject({ code: 'STORAGE_UNAVAILABLE', message: 'Image storage (flaky) could not get the file' });
+    expect(error.cause.message).toBe('disk on fire');
+  });
+
+  it('only registers complete drivers', () => {
+    expect(() => registerDriver({ name: 'half', put: async () => ({}) })).toThrow('Storage drivers need a name');
+    expect(() => getStorage('ftp')).toThrow('Unknown storage driver: ftp');
+  });
+});
+
+describe('storage status', () => {
+  const app = buildApp({ '/api/images': require('../routes/images'), '/api/products': require('../routes/products') });
+
+  beforeEach(async () => {
+    [Session, RefreshToken].forEach(memoryModel);
+    registerDriver({ ...storage, name: 'status-test' });
+    process.env.STORAGE_DRIVER = 'status-test';
+    await storage.put('products/a.webp', Buffer.from('a'));
+    await storage.put('quarantine/products/b.webp', Buffer.from('b'));
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_DRIVER;
+    jest.restoreAllMocks();
+  });
+
+  it('is only for image managers', async () => {
+    const editor = await bearer('editor');
+
+    for (const url of ['/api/images/status', '/api/products/uploads-status']) {
+      expect((await request(app).get(url)).status).toBe(401);
+      expect((await request(app).get(url).set('Authorization', editor)).status).toBe(403);
+    }
+  });
+
+  it('leaves quarantined files out', async () => {
+    const admin = await bearer('admin');
+
+    const status = await request(app).get('/api/images/status').set('Authorization', admin);
+    const uploads = await request(app).get('/api/products/uploads-status').set('Authorization', admin);
+
+    expect(status.status).toBe(200);
+    expect(status.body).toMatchObject({ driver: 'status-test', fileCount: 1, totalSize: 1 });
+    expect(status.body.files.map(file => file.name)).toEqual(['products/a.webp']);
+    expect(uploads.body.files).toEqual(['products/a.webp']);
+  });
+});
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const memoryModel = require('./helpers/memoryModel');
+const { bearer } = require('./helpers/auth');
+const { purgeExpired, TRASH_RETENTION_DAYS } = require('../utils/trash');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const Collection = require('../models/Collection');
+const ImageAsset = require('../models/ImageAsset');
+const Promotion = require('../models/Promotion');
+const ExchangeRate = require('../models/ExchangeRate');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+const app = buildApp({ '/api/products': require('../routes/products') });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let products;
+let reviews;
+let assets;
+let audit;
+let admin;
+
+beforeEach(async () => {
+  products = memoryModel(Product);
+  reviews = memoryModel(Review);
+  assets = memoryModel(ImageAsset);
+  audit = memoryModel(AuditLog);
+  [Promotion, ExchangeRate, Session, RefreshToken].forEach(memoryModel);
+  // $pull is beyond the in-memory model
+  jest.spyOn(Collection, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  admin = await bearer('admin');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const oudWood = (fields = {}) => products.insert({ title: 'Oud Wood', brand: 'Maison', slug: 'maison-oud-wood', price: 100, discount: 0, ...fields });
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+describe('deleting a product', () => {
+  it('moves it to the trash with the date it will be purged', async () => {
+    const editorId = new mongoose.Types.ObjectId();
+    const product = oudWood();
+
+    const res = await request(app).delete(`/api/products/${product._id}`).set('Authorization', await bearer('editor', editorId));
+
+    const { deletedAt, deletedBy } = products.get(product._id);
+    expect(res.status).toBe(200);
+    expect(String(deletedBy)).toBe(String(editorId));
+    expect(new Date(res.body.purgeAfter) - deletedAt).toBe(TRASH_RETENTION_DAYS * DAY_MS);
+    expect(audit.records).toEqual([expect.objectContaining({ action: 'product.delete', entityId: product._id })]);
+  });
+});
+
+describe('the trash', () => {
+  it('lists trashed products, most recently deleted first', async () => {
+    oudWood({ title: 'Vetiver', deletedAt: daysAgo(3) });
+    oudWood({ title: 'Iris', deletedAt: daysAgo(1) });
+    oudWood();
+
+    const res = await request(app).get('/api/products/trash').set('Authorization', admin);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 2, retentionDays: TRASH_RETENTION_DAYS });
+    expect(res.body.products.map(product => product.title)).toEqual(['Iris', 'Vetiver']);
+  });
+
+  it('is for admins', async () => {
+    const res = await request(app).get('/api/products/trash').set('Authorization', await bearer('editor'));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('gives a product back as it was', async () => {
+    const product = oudWood({ deletedAt: daysAgo(2), deletedBy: new mongoose.Types.ObjectId() });
+
+    const res = await request(app).post(`/api/products/trash/${product._id}/restore`).set('Authorization', admin);
+
+    expect(res.status).toBe(200);
+    expect(products.get(product._id)).toMatchObject({ deletedAt: null, slug: 'maison-oud-wood' });
+    expect(products.get(product._id).deletedBy).toBeUndefined();
+    expect(audit.records).toEqual([expect.objectContaining({ action: 'product.restore' })]);
+  });
+
+  it('only restores and purges products that are in it', async () => {
+    const product = oudWood();
+
+    const restore = await request(app).post(`/api/products/trash/${product._id}/restore`).set('Authorization', admin);
+    const purge = await request(app).delete(`/api/products/trash/${product._id}`).set('Authorization', admin);
+
+    expect(restore.status).toBe(404);
+    expect(purge.status).toBe(404);
+    expect(products.records).toHaveLength(1);
+  });
+});
+
+describe('purging a product', () => {
+  it('removes it with its reviews and collection places, keeping shared images', async () => {
+    const image = { url: '/uploads/products/ab12.webp', isPrimary: true };
+    const product = oudWood({ images: [image], deletedAt: daysAgo(1) });
+    const asset = assets.insert({ hash: 'ab12', imageUrl: image.url, refCount: 2 });
+    reviews.insert({ product: product._id, user: new mongoose.Types.ObjectId(), rating: 5, text: 'Lovely' });
+
+    const res = await request(app).delete(`/api/products/trash/${product._id}`).set('Authorization', admin);
+
+    expect(res.status).toBe(200);
+    expect(products.records).toEqual([]);
+    expect(reviews.records).toEqual([]);
+    expect(Collection.updateMany).toHaveBeenCalledWith({ products: product._id }, { $pull: { products: product._id } });
+    expect(assets.get(asset._id).refCount).toBe(1);
+    expect(audit.records).toEqual([expect.objectContaining({ action: 'product.purge' })]);
+  });
+
+  it('happens on schedule once the retention window has passed', async () => {
+    oudWood({ title: 'Vetiver', deletedAt: daysAgo(TRASH_RETENTION_DAYS + 1) });
+    oudWood({ title: 'Iris', deletedAt: daysAgo(TRASH_RETENTION_DAYS - 1) });
+    oudWood();
+
+    const purged = await purgeExpired();
+
+    expect(purged).toBe(1);
+    expect(products.records.map(product => product.title)).toEqual(['Iris', 'Oud Wood']);
+  });
+});
@@ -0,0 +1,206 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const validate = require('../middleware/validate');
+const { paging, idParams, validateSchema, optional } = require('../utils/validation');
+const { parsePromotionInput } = require('../utils/promotions');
+const { reviewFields } = require('../utils/reviews');
+const multer = require('multer');
+const httpError = require('../utils/httpError');
+const { ConflictError, NotFoundError, TooManyRequestsError, fromMulterError, toAppError } = require('../utils/errors');
+
+const router = express.Router();
+router.get('/items', validate({ query: { ...paging, sort: { type: 'enum', values: ['newest', 'oldest'] } } }), (req, res) => res.json(req.query));
+router.get('/items/:id', validate({ params: idParams('id') }), (req, res) => res.json(req.params));
+router.post('/items', validate({
+  body: {
+    name: { type: 'string', required: true, maxLength: 20 },
+    price: { type: 'number', min: 0 },
+    tags: { type: 'array', items: { type: 'string' } }
+  }
+}), (req, res) => res.status(201).json(req.body));
+router.post('/taken', () => {
+  throw new ConflictError('That name is taken', { field: 'name' }, 'NAME_TAKEN');
+});
+router.get('/busy', () => {
+  throw new TooManyRequestsError('Slow down', { retryAfter: 30 });
+});
+router.get('/broken', () => {
+  throw new Error('secret connection string');
+});
+router.get('/cast', () => {
+  throw new mongoose.Error.CastError('ObjectId', 'nope', '_id');
+});
+
+const app = buildApp({ '/api/test': router });
+
+describe('request validation', () => {
+  it('coerces query strings to the declared types', async () => {
+    const res = await request(app).get('/api/test/items?page=2&limit=10&sort=oldest&extra=kept');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ page: 2, limit: 10, sort: 'oldest', extra: 'kept' });
+  });
+
+  it('reports every problem at once, with where it was found', async () => {
+    const res = await request(app).post('/api/test/items').send({ price: -1, tags: 'a,b' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ message: 'Invalid request', code: 'VALIDATION_FAILED' });
+    expect(res.body.errors).toEqual([
+      { field: 'name', location: 'body', message: 'name is required' },
+      { field: 'price', location: 'body', message: 'price must be at least 0' }
+    ]);
+  });
+
+  it('hands the handler coerced values', async () => {
+    const res = await request(app).post('/api/test/items').send({ name: 'Oud', price: '12.5', tags: '["wood","smoke"]' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ name: 'Oud', price: 12.5, tags: ['wood', 'smoke'] });
+  });
+
+  it('rejects malformed ids in the path', async () => {
+    const res = await request(app).get('/api/test/items/not-an-id');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'id', location: 'params', message: 'id must be a valid ID' }]);
+  });
+});
+
+describe('schema rules', () => {
+  const check = (schema, input) => validateSchema(schema, input, { location: 'body' });
+
+  it('maps aliases onto enum values', () => {
+    const schema = { gender: { type: 'enum', values: ['men', 'women', 'unisex'], aliases: { male: 'men' } } };
+
+    expect(check(schema, { gender: 'Male' }).values).toEqual({ gender: 'men' });
+  });
+
+  it('keeps only the declared properties of strict objects, and refuses repeated keys', () => {
+    const schema = {
+      sizes: { type: 'array', items: { type: 'object', strict: true, properties: { ml: { type: 'number' } } }, unique: 'ml' }
+    };
+
+    expect(check(schema, { sizes: [{ ml: '50', note: 'x' }] }).values).toEqual({ sizes: [{ ml: 50 }] });
+    expect(check(schema, { sizes: [{ ml: 50 }, { ml: 50 }] }).errors)
+      .toEqual([{ field: 'sizes[1].ml', location: 'body', message: 'sizes[1].ml 50 is listed twice' }]);
+  });
+
+  it('lets a field parse what the types cannot', () => {
+    const schema = { code: { type: 'string', parse: (value) => (value === 'XXX' ? { problem: 'is not a currency' } : { value }) } };
+
+    expect(check(schema, { code: 'XXX' }).errors).toEqual([{ field: 'code', location: 'body', message: 'code is not a currency' }]);
+    expect(check(schema, { code: 'EUR' }).values).toEqual({ code: 'EUR' });
+  });
+
+  it('holds reviews to whole-star scores, with nothing required on edit', () => {
+    expect(check(reviewFields, { rating: 4.5, text: ' ', sillage: 6 }).errors.map(error => error.message))
+      .toEqual(['rating must be a whole number', 'text is required', 'sillage must be at most 5']);
+    expect(check(optional(reviewFields), { longevity: null })).toEqual({ values: { longevity: null }, errors: [] });
+  });
+
+  it('reports rules across promotion fields in the same shape', () => {
+    const { errors } = parsePromotionInput({ name: 'Autumn', type: 'sale', code: 'AUTUMN', value: 120, scope: 'brands', startsAt: new Date('2026-11-01'), endsAt: new Date('2026-10-01') });
+
+    expect(errors).toEqual([
+      { field: 'code', location: 'body', message: 'Only coupons have a code' },
+      { field: 'value', location: 'body', message: 'A percentage value must be at most 100' },
+      { field: 'brands', location: 'body', message: 'brands is required when scope is brands' },
+      { field: 'endsAt', location: 'body', message: 'endsAt must be after startsAt' }
+    ]);
+  });
+});
+
+describe('error envelope', () => {
+  it('tags every response with a request id', async () => {
+    const res = await request(app).post('/api/test/taken');
+
+    expect(res.headers['x-request-id']).toEqual(expect.any(String));
+    expect(res.body.requestId).toBe(res.headers['x-request-id']);
+  });
+
+  it('keeps a request id sent by the client', async () => {
+    const res = await request(app).post('/api/test/taken').set('X-Request-Id', 'client-42');
+
+    expect(res.headers['x-request-id']).toBe('client-42');
+    expect(res.body.requestId).toBe('client-42');
+  });
+
+  it('answers typed errors with their status, code and details', async () => {
+    const res = await request(app).post('/api/test/taken');
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ message: 'That name is taken', code: 'NAME_TAKEN', requestId: expect.any(String), field: 'name' });
+  });
+
+  it('says when to retry after a 429', async () => {
+    const res = await request(app).get('/api/test/busy');
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('30');
+    expect(res.body).toMatchObject({ code: 'TOO_MANY_REQUESTS', retryAfter: 30 });
+  });
+
+  it('hides what went wrong in a server error', async () => {
+    const res = await request(app).get('/api/test/broken');
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ message: 'Server error', code: 'INTERNAL_ERROR', requestId: expect.any(String) });
+  });
+
+  it('translates database cast errors into 400s', async () => {
+    const res = await request(app).get('/api/test/cast');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ message: '_id must be a valid ID', code: 'INVALID_ID' });
+  });
+
+  it('answers bad JSON and unknown routes in the same shape', async () => {
+    const badJson = await request(app).post('/api/test/items').set('Content-Type', 'application/json').send('{"name":');
+    const missing = await request(app).get('/api/nowhere');
+
+    expect(badJson.status).toBe(400);
+    expect(badJson.body).toMatchObject({ code: 'INVALID_JSON', requestId: expect.any(String) });
+    expect(missing.status).toBe(404);
+    expect(missing.body).toMatchObject({ message: 'No route for GET /api/nowhere', code: 'ROUTE_NOT_FOUND' });
+  });
+});
+
+describe('error codes', () => {
+  it('gives database errors a status and a stable code', () => {
+    const duplicate = toAppError(Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { email: 1 } }));
+    const offline = toAppError(Object.assign(new Error('connect ECONNREFUSED'), { name: 'MongoNetworkError' }));
+    const invalid = toAppError(new mongoose.Error.ValidationError());
+
+    expect(duplicate).toMatchObject({ status: 409, code: 'DUPLICATE_KEY', message: 'email is already in use', details: { fields: ['email'] } });
+    expect(offline).toMatchObject({ status: 503, code: 'DATABASE_UNAVAILABLE', message: 'The database is unavailable' });
+    expect(invalid).toMatchObject({ status: 400, code: 'VALIDATION_FAILED', details: { errors: [] } });
+  });
+
+  it('names the upload limit that was hit', () => {
+    const tooLarge = fromMulterError(new multer.MulterError('LIMIT_FILE_SIZE', 'image'), { maxBytes: 5 * 1024 * 1024 });
+    const extra = toAppError(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'images'));
+
+    expect(tooLarge).toMatchObject({ status: 413, code: 'FILE_TOO_LARGE', message: 'The file in "image" is too large; the limit is 5MB' });
+    expect(extra).toMatchObject({ status: 400, code: 'UNEXPECTED_FILE' });
+  });
+
+  it('picks the error class from a bare status', () => {
+    expect(httpError(404, 'Product not found')).toBeInstanceOf(NotFoundError);
+    expect(httpError(402, 'Card declined')).toMatchObject({ status: 402, code: 'PAYMENT_FAILED' });
+    expect(httpError(418, 'Teapot')).toMatchObject({ status: 418, code: 'BAD_REQUEST' });
+  });
+
+  it('adds the original error to server errors in development only', async () => {
+    process.env.NODE_ENV = 'development';
+    try {
+      const res = await request(app).get('/api/test/broken');
+
+      expect(res.body).toMatchObject({ message: 'Server error', debug: [expect.objectContaining({ message: 'secret connection string' })] });
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+  });
+});
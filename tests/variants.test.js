@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const buildApp = require('./helpers/app');
+const memoryModel = require('./helpers/memoryModel');
+const { bearer } = require('./helpers/auth');
+const { variantFields, variantListField, carryStock, heldSkus, cheapestVariant } = require('../utils/variants');
+const { validateSchema, optional } = require('../utils/validation');
+const { recordStockChanges } = require('../utils/inventory');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const ExchangeRate = require('../models/ExchangeRate');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const StockMovement = require('../models/StockMovement');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('variant rules', () => {
+  const check = (input, schema = variantFields) => validateSchema(schema, input, { location: 'body' });
+  const messages = ({ errors }) => errors.map(error => error.message);
+
+  it('normalizes a full variant', () => {
+    const { values, errors } = check({ volumeMl: '50', sku: ' oud-50 ', price: '120', type: 'Bottle', barcode: '12345678', stock: 3 });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ volumeMl: 50, sku: 'OUD-50', price: 120, type: 'bottle', barcode: '12345678', stock: 3 });
+  });
+
+  it('lists every problem with a variant', () => {
+    expect(messages(check({ volumeMl: 0, sku: 'no spaces', price: -1, discount: 120, barcode: '12', stock: 1.5 }))).toEqual([
+      'volumeMl must be greater than 0',
+      'sku may only contain letters, digits, ".", "_" and "-"',
+      'price must be at least 0',
+      'discount must be at most 100',
+      'barcode must be 8 to 14 digits (EAN/UPC)',
+      'stock must be a whole number'
+    ]);
+  });
+
+  it('only checks the fields a partial update sends', () => {
+    expect(check({ price: 99 }, optional(variantFields))).toEqual({ values: { price: 99 }, errors: [] });
+  });
+
+  it('reads lists sent as JSON strings and refuses duplicate SKUs', () => {
+    const list = { variants: variantListField };
+    const result = check({
+      variants: JSON.stringify([
+        { volumeMl: 50, sku: 'OUD-50', price: 100 },
+        { volumeMl: 100, sku: 'oud-50', price: 150, warehouse: 'east' }
+      ])
+    }, list);
+
+    expect(result.errors).toEqual([{ field: 'variants[1].sku', location: 'body', message: 'variants[1].sku OUD-50 is listed twice' }]);
+    expect(check({ variants: [{ volumeMl: 50, sku: 'OUD-50', price: 100, warehouse: 'east' }] }, list).values.variants)
+      .toEqual([{ volumeMl: 50, sku: 'OUD-50', price: 100 }]);
+    expect(messages(check({ variants: '[not json' }, list))).toEqual(['variants must be a list']);
+  });
+
+  it('prices the product from its cheapest variant after discount', () => {
+    const cheapest = cheapestVariant([{ sku: 'A', price: 100, discount: 30 }, { sku: 'B', price: 80 }]);
+
+    expect(cheapest.sku).toBe('A');
+  });
+});
+
+describe('replacing a variants list', () => {
+  const previous = [
+    { _id: id(), sku: 'OUD-50', price: 100, stock: 4, reserved: 1 },
+    { _id: id(), sku: 'OUD-100', price: 150, stock: 2, reserved: 0 }
+  ];
+
+  it('keeps id, stock and held units by SKU', () => {
+    const variants = carryStock(previous, [
+      { sku: 'OUD-50', price: 90 },
+      { sku: 'OUD-100', price: 150, stock: 7 },
+      { sku: 'OUD-10', price: 20, stock: 5 }
+    ]);
+
+    expect(variants).toEqual([
+      { _id: previous[0]._id, sku: 'OUD-50', price: 90, stock: 4, reserved: 1 },
+      { _id: previous[1]._id, sku: 'OUD-100', price: 150, stock: 7, reserved: 0 },
+      { sku: 'OUD-10', price: 20, stock: 5, reserved: 0 }
+    ]);
+  });
+
+  it('keeps an id the client sent back', () => {
+    const sent = id();
+
+    expect(carryStock(previous, [{ _id: sent, sku: 'OUD-50', price: 90 }])[0]._id).toBe(sent);
+  });
+
+  it('names the SKUs with held units that a new list drops', () => {
+    expect(heldSkus(previous, [{ sku: 'OUD-100' }])).toEqual(['OUD-50']);
+    expect(heldSkus(previous, [{ sku: 'OUD-50' }])).toEqual([]);
+  });
+});
+
+describe('stock ledger for variant edits', () => {
+  let movements;
+
+  beforeEach(() => {
+    movements = memoryModel(StockMovement);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const previous = [
+    { _id: id(), sku: 'OUD-50', stock: 4, reserved: 0 },
+    { _id: id(), sku: 'OUD-100', stock: 2, reserved: 0 }
+  ];
+  const product = (variants) => ({ _id: id(), variants });
+
+  it('logs nothing when a resent list leaves stock as it was', async () => {
+    const variants = carryStock(previous, [{ sku: 'OUD-50' }, { sku: 'OUD-100', stock: 2 }]);
+
+    await recordStockChanges(previous, product(variants));
+
+    expect(movements.records).toEqual([]);
+  });
+
+  it('logs edits, new variants and removed variants', async () => {
+    const variants = carryStock(previous, [{ sku: 'OUD-50', stock: 6 }, { sku: 'OUD-10', stock: 5 }]);
+    variants[1]._id = id();
+
+    await recordStockChanges(previous, product(variants), id());
+
+    expect(movements.records.map(({ sku, type, quantity, reason }) => ({ sku, type, quantity, reason }))).toEqual([
+      { sku: 'OUD-50', type: 'correction', quantity: 2, reason: 'Edited on product' },
+      { sku: 'OUD-10', type: 'restock', quantity: 5, reason: 'Initial stock' },
+      { sku: 'OUD-100', type: 'correction', quantity: -2, reason: 'Variant removed' }
+    ]);
+  });
+});
+
+describe('removing a variant', () => {
+  const app = buildApp({ '/api/products': require('../routes/products') });
+  let products;
+  let movements;
+  let product;
+  let editor;
+
+  beforeEach(async () => {
+    products = memoryModel(Product);
+    movements = memoryModel(StockMovement);
+    [Promotion, ExchangeRate, AuditLog, Session, RefreshToken].forEach(memoryModel);
+    editor = await bearer('editor');
+    product = products.insert({
+      title: 'Oud Wood',
+      brand: 'Maison',
+      price: 100,
+      currency: 'USD',
+      imageUrl: '/uploads/oud.webp',
+      variants: [
+        { volumeMl: 50, sku: 'OUD-50', price: 100, stock: 4, reserved: 1 },
+        { volumeMl: 100, sku: 'OUD-100', price: 150, stock: 2, reserved: 0 }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const remove = (variant) => request(app)
+    .delete(`/api/products/${product._id}/variants/${variant._id}`)
+    .set('Authorization', editor);
+
+  it('logs the stock that leaves with the variant', async () => {
+    const res = await remove(product.variants[1]);
+
+    expect(res.status).toBe(200);
+    expect(products.get(product._id).variants.map(variant => variant.sku)).toEqual(['OUD-50']);
+    expect(movements.records).toEqual([
+      expect.objectContaining({ sku: 'OUD-100', type: 'correction', quantity: -2, reason: 'Variant removed' })
+    ]);
+  });
+
+  it('refuses while checkouts hold units of it', async () => {
+    const res = await remove(product.variants[0]);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('STOCK_RESERVED');
+    expect(products.get(product._id).variants).toHaveLength(2);
+    expect(movements.records).toEqual([]);
+  });
+});
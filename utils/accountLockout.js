@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const httpError = require('./httpError');
+const { TooManyRequestsError } = require('./errors');
+
+// =======================
+// Account lockout. After LOCKOUT_THRESHOLD wrong passwords in a row an
+// account is locked; each lock in a row lasts twice as long as the one
+// before, up to a day. A successful sign-in, a password reset or an admin
+// unlock starts over.
+// =======================
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 5;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+const lockDuration = (lockCount) => Math.min(LOCKOUT_BASE_MINUTES * 2 ** lockCount, LOCKOUT_MAX_MINUTES) * 60 * 1000;
+
+const isLocked = (user, now = new Date()) => Boolean(user.lockedUntil && user.lockedUntil > now);
+
+const formatWait = (seconds) => {
+  if (seconds < 90) return `${seconds} seconds`;
+  if (seconds < 90 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+  return `${Math.ceil(seconds / 3600)} hours`;
+};
+
+// The error a locked account signs in with: 429 ACCOUNT_LOCKED and when to retry
+const lockedError = (user, now = new Date()) => {
+  const retryAfter = Math.max(Math.ceil((user.lockedUntil - now) / 1000), 1);
+  return new TooManyRequestsError(`Too many failed sign-ins; this account is locked for ${formatWait(retryAfter)}`,
+    { retryAfter, lockedUntil: user.lockedUntil }, 'ACCOUNT_LOCKED');
+};
+
+// =======================
+// Count a wrong password. Returns the user as updated; `lockedUntil` is set
+// when this failure locked the account.
+// =======================
+const recordFailedLogin = async (user, now = new Date()) => {
+  const updated = await User.findByIdAndUpdate(user._id, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+  if (!updated || updated.failedLoginAttempts < LOCKOUT_THRESHOLD) {
+    return { user: updated, locked: false };
+  }
+
+  // Only the request that reached the threshold locks, even when several race
+  const lockedUntil = new Date(now.getTime() + lockDuration(updated.lockCount || 0));
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: { $gte: LOCKOUT_THRESHOLD } },
+    { $set: { failedLoginAttempts: 0, lockedUntil }, $inc: { lockCount: 1 } },
+    { new: true }
+  );
+  return locked ? { user: locked, locked: true } : { user: updated, locked: false };
+};
+
+// Forget failures and locks; skipped when there is nothing to forget
+const clearFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockCount && !user.lockedUntil) return;
+  await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0, lockCount: 0 }, $unset: { lockedUntil: 1 } });
+};
+
+// =======================
+// Unlock an account (admin). Returns the user and the lock it had.
+// =======================
+const unlockAccount = async (id) => {
+  const user = mongoose.Types.ObjectId.isValid(id) ? await User.findById(id).select('-password') : null;
+  if (!user) throw httpError(404, 'User not found');
+
+  const previous = { lockedUntil: user.lockedUntil || null, lockCount: user.lockCount || 0, failedLoginAttempts: user.failedLoginAttempts || 0 };
+  await clearFailedLogins(user);
+  user.set({ failedLoginAttempts: 0, lockCount: 0, lockedUntil: undefined });
+  return { user, previous, wasLocked: isLocked(previous) };
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  lockDuration,
+  isLocked,
+  lockedError,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount
+};
@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const httpError = require('./httpError');
+const { roleOf } = require('./permissions');
+const { logger } = require('./logger');
+
+const { AUDIT_ENTITIES } = AuditLog;
+
+// Bookkeeping fields that change on every write, and copies derived from other fields
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt', 'priceInBase']);
+
+// Never copied into the log, at any depth
+const SECRET_FIELDS = new Set(['password', 'tokenHash']);
+
+// =======================
+// Helpers
+// =======================
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Documents become plain JSON (ids and dates as strings) with secrets dropped
+const toPlain = (doc) => {
+  if (!doc) return null;
+  const value = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(value, (key, field) => (SECRET_FIELDS.has(key) ? undefined : field)));
+};
+
+// Arrays of subdocuments (variants, images) are matched by _id, so one
+// changed variant price shows up as one change rather than the whole list
+const isDocumentList = (value) => Array.isArray(value) && value.length > 0 && value.every(item => isPlainObject(item) && item._id);
+
+// =======================
+// Field-level diff of two plain objects: [{ field, from, to }] with dotted paths
+// =======================
+const diffFields = (before, after, prefix = '') => {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const field = prefix ? `${prefix}.${key}` : key;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffFields(from, to, field));
+    } else if ((isDocumentList(from) || isDocumentList(to)) && Array.isArray(from || []) && Array.isArray(to || [])) {
+      const previous = new Map((from || []).map(item => [String(item._id), item]));
+      const next = new Map((to || []).map(item => [String(item._id), item]));
+      for (const [id, item] of next) {
+        changes.push(...(previous.has(id) ? diffFields(previous.get(id), item, `${field}.${id}`) : [{ field: `${field}.${id}`, from: null, to: item }]));
+      }
+      for (const [id, item] of previous) {
+        if (!next.has(id)) changes.push({ field: `${field}.${id}`, from: item, to: null });
+      }
+      const order = (list) => JSON.stringify((list || []).map(item => String(item._id)));
+      if (previous.size === next.size && [...next.keys()].every(id => previous.has(id)) && order(from) !== order(to)) {
+        changes.push({ field: `${field}.order`, from: (from || []).map(item => item._id), to: (to || []).map(item => item._id) });
+      }
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from: from === undefined ? null : from, to: to === undefined ? null : to });
+    }
+  }
+  return changes;
+};
+
+// =======================
+// Write one audit entry. `before`/`after` are documents or plain objects
+// and give the diff; pass `changes` instead when only a field or two moved.
+// The actor is the signed-in user unless `actor` (a user document) is given,
+// as on login. Updates that changed nothing are not recorded. Audit failures
+// are logged and never fail the request being audited.
+// =======================
+const recordAudit = async (req, { action, entity, entityId, label, before, after, changes, snapshot, metadata, actor, actorEmail }) => {
+  try {
+    const diff = changes || ((before || after) ? diffFields(toPlain(before) || {}, toPlain(after) || {}) : []);
+    if (before && after && diff.length === 0) return null;
+
+    const user = actor || (req && req.user);
+    return await AuditLog.create({
+      action,
+      entity,
+      entityId,
+      label: label || '',
+      actor: user ? (user._id || user.id) : undefined,
+      actorEmail: actorEmail || (actor && actor.email) || '',
+      actorRole: user ? roleOf(user) : '',
+      ip: (req && req.ip) || '',
+      userAgent: (req && req.get && req.get('user-agent')) || '',
+      changes: diff,
+      snapshot: snapshot ? toPlain(snapshot) : undefined,
+      metadata
+    });
+  } catch (error) {
+    logger.error('Writing audit entry failed', { action, error });
+    return null;
+  }
+};
+
+// Product entries also keep the product as it stood afterwards, so it can be reverted to
+const recordProductAudit = (req, action, { before, after, changes, metadata }) => {
+  const product = after || before;
+  return recordAudit(req, {
+    action,
+    entity: 'product',
+    entityId: product._id,
+    label: product.title,
+    before,
+    after,
+    changes,
+    snapshot: product,
+    metadata
+  });
+};
+
+// The stored state of a document before an update, for the diff
+const loadBefore = (Model, id) => (isObjectId(id) ? Model.findById(id).lean() : null);
+
+// =======================
+// Query the log (admin): ?action=product.update,auth.login_failed&entity=&entityId=
+// &actor=&ip=&from=&to=&page=&limit=. Newest first; snapshots are left out.
+// =======================
+const listAuditLog = async (query = {}) => {
+  const filter = {};
+
+  if (query.action) {
+    const actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+    filter.action = { $in: actions };
+  }
+  if (query.entity) {
+    if (!AUDIT_ENTITIES.includes(query.entity)) {
+      throw httpError(400, `entity must be one of: ${AUDIT_ENTITIES.join(', ')}`);
+    }
+    filter.entity = query.entity;
+  }
+  for (const field of ['entityId', 'actor']) {
+    if (query[field]) {
+      if (!isObjectId(query[field])) throw httpError(400, `${field} must be an ID`);
+      filter[field] = query[field];
+    }
+  }
+  if (query.ip) {
+    filter.ip = String(query.ip).trim();
+  }
+  for (const [field, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (!query[field]) continue;
+    const date = new Date(query[field]);
+    if (Number.isNaN(date.getTime())) throw httpError(400, `${field} must be a date`);
+    filter.createdAt = { ...filter.createdAt, [operator]: date };
+  }
+
+  const limit = Math.min(Number(query.limit) || 50, 200);
+  const page = Math.max(Number(query.page) || 1, 1);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter, '-snapshot')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'name email'),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return { entries, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+// =======================
+// A product's change history, newest first (?page=&limit=). Entries with a
+// snapshot can be reverted to.
+// =======================
+const productHistory = async (productId, query = {}) => {
+  if (!isObjectId(productId)) throw httpError(404, 'Product not found');
+
+  const limit = Math.min(Number(query.limit) || 20, 100);
+  const page = Math.max(Number(query.page) || 1, 1);
+  const filter = { entity: 'product', entityId: productId };
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'name email')
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return {
+    entries: entries.map(({ snapshot, ...entry }) => ({ ...entry, revertible: Boolean(snapshot) && entry.action !== 'product.purge' })),
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit)
+  };
+};
+
+const findProductEntry = async (productId, entryId) => {
+  const entry = isObjectId(productId) && isObjectId(entryId)
+    ? await AuditLog.findOne({ _id: entryId, entity: 'product', entityId: productId })
+    : null;
+  if (!entry) throw httpError(404, 'History entry not found');
+  if (!entry.snapshot || entry.action === 'product.purge') {
+    throw httpError(400, 'This history entry has no version to revert to');
+  }
+  return entry;
+};
+
+module.exports = {
+  diffFields,
+  toPlain,
+  recordAudit,
+  recordProductAudit,
+  loadBefore,
+  listAuditLog,
+  productHistory,
+  findProductEntry
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+// Lifetime per purpose
+const TOKEN_TTL_MS = {
+  'password-reset': 60 * 60 * 1000,
+  'email-verification': 24 * 60 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// =======================
+// Create a token, replacing any unused one for the same purpose
+// =======================
+const createAuthToken = async (userId, purpose) => {
+  await AuthToken.deleteMany({ user: userId, purpose, usedAt: { $exists: false } });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  });
+  return token;
+};
+
+// =======================
+// Mark a token used and return it, or null if unknown, used or expired
+// =======================
+const consumeAuthToken = async (token, purpose) => {
+  if (!token || typeof token !== 'string') return null;
+
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  createAuthToken,
+  consumeAuthToken
+};
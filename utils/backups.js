@@ -0,0 +1,421 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const ImageAsset = require('../models/ImageAsset');
+const Review = require('../models/Review');
+const Promotion = require('../models/Promotion');
+const ExchangeRate = require('../models/ExchangeRate');
+const Category = require('../models/Category');
+const Collection = require('../models/Collection');
+const Order = require('../models/Order');
+const CouponRedemption = require('../models/CouponRedemption');
+const StockMovement = require('../models/StockMovement');
+const StockReservation = require('../models/StockReservation');
+const Cart = require('../models/Cart');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const httpError = require('./httpError');
+const { getStorage, contentTypeFor } = require('./storage');
+const { isQuarantineKey } = require('./imageCleanup');
+const { logger } = require('./logger');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Snapshots are written to the local disk whichever storage driver holds the
+// images; with S3, put BACKUP_DIR on a durable volume or copy it off the host
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups');
+const SNAPSHOTS_DIR = path.join(BACKUP_DIR, 'snapshots');
+const BACKUP_INTERVAL_HOURS = Number(process.env.BACKUP_INTERVAL_HOURS) || 24;
+
+// How many daily, weekly and monthly snapshots to keep (newest in each period)
+const RETENTION = {
+  daily: Number(process.env.BACKUP_KEEP_DAILY) || 7,
+  weekly: Number(process.env.BACKUP_KEEP_WEEKLY) || 4,
+  monthly: Number(process.env.BACKUP_KEEP_MONTHLY) || 6
+};
+
+// Collections exported with every snapshot, so a restore brings back one
+// consistent moment: stock levels with the orders, reservations and ledger
+// behind them, coupon usage counts with their redemptions. Image assets carry
+// the reference counts that keep shared image files alive. Left out: sessions
+// and refresh tokens (a restore revokes them), one-time email tokens, and
+// quarantine records, which stay with the quarantined files.
+const COLLECTIONS = {
+  products: Product,
+  users: User,
+  imageassets: ImageAsset,
+  reviews: Review,
+  promotions: Promotion,
+  couponredemptions: CouponRedemption,
+  exchangerates: ExchangeRate,
+  categories: Category,
+  collections: Collection,
+  orders: Order,
+  carts: Cart,
+  stockreservations: StockReservation,
+  stockmovements: StockMovement,
+  auditlogs: AuditLog
+};
+
+const MANIFEST_VERSION = 1;
+const SNAPSHOT_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+const PARTIAL_SUFFIX = '.partial';
+
+// Only one snapshot or restore at a time
+let busy = false;
+
+// =======================
+// Helpers
+// =======================
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const snapshotPath = (id) => {
+  if (!SNAPSHOT_ID_PATTERN.test(String(id))) {
+    throw httpError(400, 'Invalid snapshot id');
+  }
+  return path.join(SNAPSHOTS_DIR, id);
+};
+
+// Files inside a snapshot never escape it, whatever the manifest says
+const fileIn = (dir, relativePath) => {
+  const filePath = path.join(dir, path.posix.normalize(relativePath).replace(/^(\.\.(\/|$))+/, ''));
+  if (!filePath.startsWith(dir + path.sep)) {
+    throw httpError(400, `Invalid path in manifest: ${relativePath}`);
+  }
+  return filePath;
+};
+
+const writeFile = async (filePath, data) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, data);
+};
+
+// Checksum of a file read in chunks; collection files can be large
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+};
+
+// Write a collection as one EJSON array, a document at a time from its
+// cursor, so it is never held in memory whole. Returns the file's
+// document count, size and checksum.
+const exportCollection = async (Model, filePath) => {
+  const hash = crypto.createHash('sha256');
+  let count = 0;
+  let size = 0;
+  const chunk = (text) => {
+    const data = Buffer.from(text);
+    hash.update(data);
+    size += data.length;
+    return data;
+  };
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await pipeline(async function* documents() {
+    yield chunk('[');
+    for await (const doc of Model.collection.find({})) {
+      yield chunk(`${count > 0 ? ',' : ''}${EJSON.stringify(doc, { relaxed: false })}`);
+      count++;
+    }
+    yield chunk(']');
+  }, fs.createWriteStream(filePath));
+
+  return { count, size, sha256: hash.digest('hex') };
+};
+
+const withLock = async (task) => {
+  if (busy) {
+    throw httpError(409, 'Another backup or restore is running');
+  }
+  busy = true;
+  try {
+    return await task();
+  } finally {
+    busy = false;
+  }
+};
+
+const readManifest = async (id) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(snapshotPath(id), 'manifest.json'), 'utf8'));
+  } catch (error) {
+    if (error.status) throw error;
+    throw httpError(404, `Snapshot ${id} not found`);
+  }
+};
+
+// Monday of the date's week (UTC), identifying the week
+const weekOf = (date) => {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+};
+
+const PERIODS = {
+  daily: (date) => date.toISOString().slice(0, 10),
+  weekly: weekOf,
+  monthly: (date) => date.toISOString().slice(0, 7)
+};
+
+// =======================
+// Snapshot images, product/user data and a checksummed manifest.
+// Written to "<id>.partial" and renamed once complete.
+// =======================
+const createSnapshot = ({ reason = 'manual', storage = getStorage() } = {}) => withLock(async () => {
+  const createdAt = new Date();
+  const id = createdAt.toISOString().replace(/[:.]/g, '-');
+  const finalDir = snapshotPath(id);
+  const dir = `${finalDir}${PARTIAL_SUFFIX}`;
+
+  try {
+    const images = [];
+    const objects = (await storage.list()).filter(object => !isQuarantineKey(object.key));
+    for (const { key } of objects) {
+      const data = await storage.get(key);
+      if (!data) continue; // removed while we were copying
+      await writeFile(fileIn(path.join(dir, 'images'), key), data);
+      images.push({ key, size: data.length, sha256: sha256(data) });
+    }
+
+    const collections = {};
+    for (const [name, Model] of Object.entries(COLLECTIONS)) {
+      const file = `data/${name}.json`;
+      collections[name] = { file, ...await exportCollection(Model, path.join(dir, file)) };
+    }
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      id,
+      createdAt: createdAt.toISOString(),
+      reason,
+      storageDriver: storage.name,
+      images,
+      collections,
+      totals: {
+        images: images.length,
+        imageBytes: images.reduce((sum, image) => sum + image.size, 0)
+      }
+    };
+    await writeFile(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    await fs.promises.rename(dir, finalDir);
+
+    logger.info('Backup completed', { snapshotId: id, images: images.length, collections: Object.keys(collections).length });
+    return manifest;
+  } catch (error) {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+});
+
+// =======================
+// Completed snapshots, newest first
+// =======================
+const listSnapshots = async () => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(SNAPSHOTS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const id of entries.filter(entry => SNAPSHOT_ID_PATTERN.test(entry))) {
+    try {
+      const manifest = await readManifest(id);
+      snapshots.push({
+        id,
+        createdAt: manifest.createdAt,
+        reason: manifest.reason,
+        storageDriver: manifest.storageDriver,
+        totals: manifest.totals,
+        collections: Object.fromEntries(Object.entries(manifest.collections).map(([name, info]) => [name, info.count]))
+      });
+    } catch (error) {
+      logger.warn('Skipping unreadable snapshot', { snapshotId: id, error });
+    }
+  }
+  return snapshots.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+// =======================
+// Re-hash every file in a snapshot against its manifest
+// =======================
+const verifySnapshot = async (id) => {
+  const manifest = await readManifest(id);
+  const dir = snapshotPath(id);
+  const files = [
+    ...manifest.images.map(image => ({ name: image.key, filePath: fileIn(path.join(dir, 'images'), image.key), sha256: image.sha256 })),
+    ...Object.values(manifest.collections).map(info => ({ name: info.file, filePath: fileIn(dir, info.file), sha256: info.sha256 }))
+  ];
+
+  const missing = [];
+  const corrupted = [];
+  for (const file of files) {
+    try {
+      if (await hashFile(file.filePath) !== file.sha256) {
+        corrupted.push(file.name);
+      }
+    } catch (error) {
+      missing.push(file.name);
+    }
+  }
+
+  return { id, ok: missing.length === 0 && corrupted.length === 0, checked: files.length, missing, corrupted };
+};
+
+// =======================
+// Which snapshots the daily/weekly/monthly policy keeps. The newest always stays.
+// =======================
+const selectRetained = (snapshots, policy = RETENTION) => {
+  const newestFirst = [...snapshots].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const keep = new Set(newestFirst.length > 0 ? [newestFirst[0].id] : []);
+
+  for (const [period, count] of Object.entries(policy)) {
+    const seen = new Set();
+    for (const snapshot of newestFirst) {
+      if (seen.size >= count) break;
+      const bucket = PERIODS[period](new Date(snapshot.createdAt));
+      if (!seen.has(bucket)) {
+        seen.add(bucket);
+        keep.add(snapshot.id);
+      }
+    }
+  }
+  return keep;
+};
+
+// =======================
+// Delete snapshots outside the retention policy, plus leftovers of failed runs
+// =======================
+const pruneSnapshots = async (policy = RETENTION) => {
+  const snapshots = await listSnapshots();
+  const keep = selectRetained(snapshots, policy);
+  const removed = [];
+
+  for (const snapshot of snapshots.filter(candidate => !keep.has(candidate.id))) {
+    await fs.promises.rm(snapshotPath(snapshot.id), { recursive: true, force: true });
+    removed.push(snapshot.id);
+  }
+
+  if (!busy) {
+    const entries = await fs.promises.readdir(SNAPSHOTS_DIR).catch(() => []);
+    for (const entry of entries.filter(name => name.endsWith(PARTIAL_SUFFIX))) {
+      await fs.promises.rm(path.join(SNAPSHOTS_DIR, entry), { recursive: true, force: true });
+    }
+  }
+
+  if (removed.length > 0) {
+    logger.info('Pruned old backups', { count: removed.length });
+  }
+  return { kept: [...keep], removed };
+};
+
+// =======================
+// Replace uploads and the backed-up collections with a snapshot.
+// A safety snapshot of the current state is taken first. Corrupt snapshots
+// are refused unless forced. All sessions are revoked: restored users and
+// roles may differ from the ones tokens were issued for.
+// =======================
+const restoreSnapshot = async (id, { force = false, safetySnapshot = true, storage = getStorage() } = {}) => {
+  const manifest = await readManifest(id);
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw httpError(400, `Unsupported manifest version ${manifest.version}`);
+  }
+
+  const verification = await verifySnapshot(id);
+  if (!verification.ok && !force) {
+    throw httpError(409, `Snapshot ${id} failed verification`, { verification });
+  }
+
+  const safety = safetySnapshot ? await createSnapshot({ reason: `pre-restore ${id}`, storage }) : null;
+
+  return withLock(async () => {
+    const dir = snapshotPath(id);
+
+    // Clean uploads: everything except quarantine, which keeps its own records
+    const current = (await storage.list()).filter(object => !isQuarantineKey(object.key));
+    for (const { key } of current) {
+      await storage.delete(key);
+    }
+
+    let images = 0;
+    for (const image of manifest.images) {
+      try {
+        const data = await fs.promises.readFile(fileIn(path.join(dir, 'images'), image.key));
+        await storage.put(image.key, data, { contentType: contentTypeFor(image.key) });
+        images++;
+      } catch (error) {
+        logger.error('Restoring image failed', { key: image.key, error });
+      }
+    }
+
+    const collections = {};
+    for (const [name, info] of Object.entries(manifest.collections)) {
+      const Model = COLLECTIONS[name];
+      if (!Model) continue;
+      const docs = EJSON.parse(await fs.promises.readFile(fileIn(dir, info.file), 'utf8'), { relaxed: false });
+      await Model.collection.deleteMany({});
+      if (docs.length > 0) {
+        await Model.collection.insertMany(docs);
+      }
+      collections[name] = docs.length;
+    }
+
+    await Promise.all([Session.deleteMany({}), RefreshToken.deleteMany({})]);
+
+    logger.info('Restored snapshot', { snapshotId: id, images });
+    return { id, images, collections, verification, safetySnapshot: safety ? safety.id : null };
+  });
+};
+
+// =======================
+// Scheduled job: snapshot when the newest one is older than the interval, then prune
+// =======================
+const runScheduledBackup = async ({ intervalHours = BACKUP_INTERVAL_HOURS } = {}) => {
+  if (mongoose.connection.readyState !== 1) {
+    logger.warn('Skipping backup: MongoDB is not connected');
+    return null;
+  }
+
+  const [latest] = await listSnapshots();
+  let manifest = null;
+  if (!latest || Date.now() - new Date(latest.createdAt).getTime() >= intervalHours * 60 * 60 * 1000) {
+    manifest = await createSnapshot({ reason: 'scheduled' });
+    const verification = await verifySnapshot(manifest.id);
+    if (!verification.ok) {
+      logger.error('Backup failed verification', { snapshotId: manifest.id, verification });
+    }
+  }
+  await pruneSnapshots();
+  return manifest;
+};
+
+const startBackupSchedule = (intervalMs = BACKUP_INTERVAL_HOURS * 60 * 60 * 1000) => {
+  const run = () => runScheduledBackup().catch(error => logger.error('Scheduled backup failed', { error }));
+  run();
+  // Check hourly so a restart never pushes the next snapshot back a whole interval
+  const timer = setInterval(run, Math.min(intervalMs, 60 * 60 * 1000));
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  BACKUP_DIR,
+  RETENTION,
+  SNAPSHOT_ID_PATTERN,
+  createSnapshot,
+  listSnapshots,
+  verifySnapshot,
+  selectRetained,
+  pruneSnapshots,
+  restoreSnapshot,
+  runScheduledBackup,
+  startBackupSchedule
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { priceLine, sumLines } = require('./pricing');
+const { getActiveSales, effectivePrice, applyCoupon } = require('./promotions');
+const { BASE_CURRENCY, getRates, roundCurrency } = require('./currency');
+
+const MAX_LINE_QUANTITY = 20;
+
+// =======================
+// Helpers
+// =======================
+const generateCartToken = () => crypto.randomBytes(24).toString('hex');
+
+const sameLine = (item, productId, sku) => String(item.product) === String(productId) && (item.sku || '') === (sku || '');
+
+// Price and details of one cart line, or null if it can no longer be bought
+const resolveLine = (product, sku) => {
+  if (!product) return null;
+
+  if (sku) {
+    const variant = product.variants.find(candidate => candidate.sku === sku);
+    if (!variant) return null;
+    return {
+      price: variant.price,
+      discount: variant.discount || 0,
+      prices: variant.prices,
+      volumeMl: variant.volumeMl,
+      stock: variant.stock,
+      tracksStock: true
+    };
+  }
+
+  // Products sold in variants must be added by SKU
+  if (product.variants && product.variants.length > 0) return null;
+
+  return {
+    price: product.price,
+    discount: product.discount || 0,
+    prices: product.prices,
+    volumeMl: undefined,
+    stock: undefined,
+    tracksStock: false
+  };
+};
+
+// =======================
+// Find the cart for a user or guest token
+// =======================
+const findCart = ({ userId, token }) => {
+  if (userId) return Cart.findOne({ user: userId });
+  if (token) return Cart.findOne({ token, user: { $exists: false } });
+  return Promise.resolve(null);
+};
+
+const getOrCreateCart = async ({ userId, token }) => {
+  const existing = await findCart({ userId, token });
+  if (existing) return existing;
+  return userId ? new Cart({ user: userId }) : new Cart({ token: generateCartToken() });
+};
+
+// =======================
+// Add or change a line; quantity 0 removes it
+// =======================
+const setLineQuantity = (cart, productId, sku, quantity, { increment = false } = {}) => {
+  const line = cart.items.find(item => sameLine(item, productId, sku));
+  const nextQuantity = Math.min((increment && line ? line.quantity : 0) + quantity, MAX_LINE_QUANTITY);
+
+  if (line && nextQuantity <= 0) {
+    line.deleteOne();
+  } else if (line) {
+    line.quantity = nextQuantity;
+  } else if (nextQuantity > 0) {
+    cart.items.push({ product: productId, sku: sku || '', quantity: nextQuantity });
+  }
+  return cart;
+};
+
+// =======================
+// Price every line in `currency` against current product data and live sales,
+// then the cart's coupon. `user`/`email` identify the customer for per-customer coupon limits.
+// =======================
+const priceCart = async (cart, { user, email, currency = BASE_CURRENCY } = {}) => {
+  const productIds = [...new Set(cart.items.map(item => String(item.product)))];
+  const [products, sales, rates] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }),
+    getActiveSales(),
+    getRates()
+  ]);
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+
+  const lines = [];
+  const unavailable = [];
+
+  for (const item of cart.items) {
+    const product = productsById.get(String(item.product));
+    const resolved = resolveLine(product, item.sku);
+
+    if (!resolved) {
+      unavailable.push({ id: item._id, product: item.product, sku: item.sku, reason: 'No longer available' });
+      continue;
+    }
+
+    const pricing = effectivePrice(resolved, product, sales, { currency, rates });
+    const line = {
+      id: item._id,
+      product: product._id,
+      sku: item.sku,
+      title: product.title,
+      brand: product.brand,
+      imageUrl: product.imageUrl,
+      volumeMl: resolved.volumeMl,
+      ...priceLine({ price: pricing.price, discount: pricing.discount, finalUnitPrice: pricing.finalPrice }, item.quantity),
+      promotion: pricing.promotion
+    };
+
+    if (resolved.tracksStock && resolved.stock < item.quantity) {
+      line.insufficientStock = true;
+      line.availableStock = resolved.stock;
+    }
+    lines.push(line);
+  }
+
+  const totals = sumLines(lines);
+  const coupon = cart.couponCode && lines.length > 0
+    ? await applyCoupon(cart.couponCode, lines, { user: user || cart.user, email, currency, rates })
+    : null;
+  const couponDiscount = coupon ? coupon.discount : 0;
+
+  return {
+    currency,
+    lines,
+    unavailable,
+    ...totals,
+    coupon,
+    couponDiscount,
+    total: roundCurrency(totals.total - couponDiscount, currency)
+  };
+};
+
+// =======================
+// Move a guest cart's lines into the user's cart
+// =======================
+const mergeGuestCart = async (userId, token) => {
+  if (!token) return null;
+
+  const guestCart = await findCart({ token });
+  if (!guestCart) return null;
+
+  const userCart = await getOrCreateCart({ userId });
+  for (const item of guestCart.items) {
+    setLineQuantity(userCart, item.product, item.sku, item.quantity, { increment: true });
+  }
+  if (guestCart.couponCode && !userCart.couponCode) {
+    userCart.couponCode = guestCart.couponCode;
+  }
+
+  await userCart.save();
+  await guestCart.deleteOne();
+  return userCart;
+};
+
+module.exports = {
+  MAX_LINE_QUANTITY,
+  findCart,
+  getOrCreateCart,
+  setLineQuantity,
+  priceCart,
+  resolveLine,
+  mergeGuestCart
+};
@@ -0,0 +1,225 @@
+const { once } = require('events');
+const { parse: parseCsv } = require('csv-parse/sync');
+const httpError = require('./httpError');
+const { NOTE_TIERS } = require('./fragranceAttributes');
+
+const CATALOG_FORMATS = ['csv', 'json'];
+
+// Spreadsheet layout: one row per variant, product columns repeated on each row.
+// A row without a SKU describes a product sold without variants.
+// Per-currency price overrides only travel in the JSON format.
+const PRODUCT_COLUMNS = ['title', 'brand', 'description', 'currency', 'concentration', 'gender', 'family', 'topNotes', 'heartNotes', 'baseNotes', 'images'];
+const VARIANT_COLUMNS = ['sku', 'volumeMl', 'type', 'price', 'discount', 'barcode', 'stock', 'lowStockThreshold'];
+const CSV_COLUMNS = [...PRODUCT_COLUMNS, ...VARIANT_COLUMNS];
+
+// Image cells hold several URLs or zip file names
+const IMAGE_SEPARATOR = '|';
+
+// =======================
+// Helpers
+// =======================
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const groupKey = (title) => String(title || '').trim().toLowerCase();
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join(',') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+const splitImages = (value) => (isBlank(value) ? [] : String(value).split(IMAGE_SEPARATOR).map(item => item.trim()).filter(Boolean));
+
+// =======================
+// Infer the format from an explicit value, file name or MIME type
+// =======================
+const detectFormat = ({ format, filename = '', mimetype = '' } = {}) => {
+  const explicit = String(format || '').toLowerCase();
+  if (explicit) {
+    if (!CATALOG_FORMATS.includes(explicit)) {
+      throw httpError(400, `format must be one of: ${CATALOG_FORMATS.join(', ')}`);
+    }
+    return explicit;
+  }
+  if (/\.csv$/i.test(filename) || /csv/.test(mimetype)) return 'csv';
+  if (/\.json$/i.test(filename) || /json/.test(mimetype)) return 'json';
+  throw httpError(400, 'Cannot tell the file format; send a .csv or .json file or set format');
+};
+
+// =======================
+// CSV rows -> one import item per product, grouped by title.
+// Every item remembers the file lines it came from for error reporting.
+// =======================
+const itemsFromCsv = (text) => {
+  let records;
+  try {
+    records = parseCsv(text, { columns: true, bom: true, skip_empty_lines: true, trim: true });
+  } catch (error) {
+    throw httpError(400, `Invalid CSV: ${error.message}`);
+  }
+
+  const groups = new Map();
+  records.forEach((record, index) => {
+    // Line 1 is the header
+    const line = index + 2;
+    const key = groupKey(record.title) || `__untitled_${line}`;
+    if (!groups.has(key)) {
+      groups.set(key, { lines: [], body: {}, images: [], variants: [], variantLines: [] });
+    }
+    const group = groups.get(key);
+    group.lines.push(line);
+
+    // The first non-empty value of a product column wins
+    for (const column of PRODUCT_COLUMNS) {
+      if (column !== 'images' && isBlank(group.body[column]) && !isBlank(record[column])) {
+        group.body[column] = record[column];
+      }
+    }
+    for (const image of splitImages(record.images)) {
+      if (!group.images.includes(image)) group.images.push(image);
+    }
+
+    if (!isBlank(record.sku)) {
+      const variant = {};
+      for (const column of VARIANT_COLUMNS) {
+        if (!isBlank(record[column])) variant[column] = record[column];
+      }
+      group.variants.push(variant);
+      group.variantLines.push(line);
+    } else {
+      for (const column of ['price', 'discount']) {
+        if (isBlank(group.body[column]) && !isBlank(record[column])) {
+          group.body[column] = record[column];
+        }
+      }
+    }
+  });
+
+  return [...groups.values()].map(group => ({
+    lines: group.lines,
+    body: { ...group.body, ...(group.variants.length ? { variants: group.variants } : {}) },
+    images: group.images,
+    variantLines: group.variantLines
+  }));
+};
+
+// =======================
+// JSON: an array of products (or { products: [...] }) shaped like the export
+// =======================
+const itemsFromJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw httpError(400, `Invalid JSON: ${error.message}`);
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.products;
+  if (!Array.isArray(list)) {
+    throw httpError(400, 'JSON catalog must be an array of products or { "products": [...] }');
+  }
+
+  return list.map((entry, index) => {
+    const { images, ...body } = entry && typeof entry === 'object' ? entry : {};
+    return {
+      lines: [index + 1],
+      body,
+      images: Array.isArray(images) ? images.map(String) : splitImages(images)
+    };
+  });
+};
+
+const parseCatalog = (buffer, format) => {
+  const text = Buffer.isBuffer(buffer) ? buffer.toString('utf8') : String(buffer);
+  return format === 'csv' ? itemsFromCsv(text) : itemsFromJson(text);
+};
+
+// =======================
+// Product -> export item (the same shape the JSON import accepts)
+// =======================
+const toCatalogItem = (product, toFullUrl = url => url) => {
+  const productObj = typeof product.toObject === 'function' ? product.toObject() : product;
+  const gallery = productObj.images && productObj.images.length
+    ? productObj.images.map(image => image.url)
+    : [productObj.imageUrl].filter(Boolean);
+
+  return {
+    title: productObj.title,
+    brand: productObj.brand,
+    description: productObj.description,
+    currency: productObj.currency,
+    price: productObj.price,
+    discount: productObj.discount,
+    prices: productObj.prices || [],
+    concentration: productObj.concentration,
+    gender: productObj.gender,
+    family: productObj.family,
+    notes: Object.fromEntries(NOTE_TIERS.map(tier => [tier, (productObj.notes && productObj.notes[tier]) || []])),
+    images: gallery.map(url => toFullUrl(url)),
+    variants: (productObj.variants || []).map(variant => ({
+      sku: variant.sku,
+      volumeMl: variant.volumeMl,
+      type: variant.type,
+      price: variant.price,
+      discount: variant.discount,
+      prices: variant.prices || [],
+      barcode: variant.barcode,
+      stock: variant.stock,
+      lowStockThreshold: variant.lowStockThreshold
+    }))
+  };
+};
+
+const toCsvRows = (item) => {
+  const productCells = {
+    ...item,
+    topNotes: item.notes.top,
+    heartNotes: item.notes.heart,
+    baseNotes: item.notes.base,
+    images: item.images.join(IMAGE_SEPARATOR)
+  };
+  const variants = item.variants.length ? item.variants : [{ price: item.price, discount: item.discount }];
+  return variants.map(variant => toCsvLine(CSV_COLUMNS.map(column =>
+    (VARIANT_COLUMNS.includes(column) ? variant[column] : productCells[column]))));
+};
+
+// =======================
+// Stream every product from a Mongoose cursor as CSV or a JSON array
+// =======================
+const writeCatalog = async (cursor, stream, { format, toFullUrl }) => {
+  const write = async (chunk) => {
+    if (!stream.write(chunk)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  let count = 0;
+  await write(format === 'csv' ? toCsvLine(CSV_COLUMNS) : '[\n');
+  for await (const product of cursor) {
+    const item = toCatalogItem(product, toFullUrl);
+    if (format === 'csv') {
+      for (const row of toCsvRows(item)) {
+        await write(row);
+      }
+    } else {
+      await write(`${count > 0 ? ',\n' : ''}${JSON.stringify(item)}`);
+    }
+    count++;
+  }
+  if (format === 'json') {
+    await write('\n]\n');
+  }
+  return count;
+};
+
+module.exports = {
+  CATALOG_FORMATS,
+  CSV_COLUMNS,
+  IMAGE_SEPARATOR,
+  detectFormat,
+  parseCatalog,
+  toCatalogItem,
+  writeCatalog
+};
@@ -0,0 +1,304 @@
+const AdmZip = require('adm-zip');
+const Product = require('../models/Product');
+const httpError = require('./httpError');
+const { escapeRegex } = require('./productQuery');
+const { validateProductInput, syncBasePrice } = require('./productInput');
+const { carryStock, heldSkus } = require('./variants');
+const { recordStockChanges } = require('./inventory');
+const { storeImage, releaseImages } = require('./imageAssets');
+const { toImageEntry, withPrimary, galleryOf, discardProcessed, MAX_IMAGES } = require('./productImages');
+const { getStorage, keyFromUrl } = require('./storage');
+const { parseCatalog } = require('./catalog');
+const { getRates } = require('./currency');
+const { productSlugSource, slugUpdate } = require('./slugs');
+const { recordProductAudit } = require('./audit');
+const { fetchPublic } = require('./remoteFetch');
+const { logger } = require('./logger');
+
+const MAX_IMPORT_ITEMS = Number(process.env.IMPORT_MAX_ITEMS) || 5000;
+const IMAGE_FETCH_TIMEOUT_MS = Number(process.env.IMPORT_IMAGE_TIMEOUT_MS) || 15000;
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+const MAX_ZIP_ENTRIES = Number(process.env.IMPORT_MAX_ZIP_ENTRIES) || 10000;
+const MAX_ZIP_UNCOMPRESSED_BYTES = Number(process.env.IMPORT_MAX_ZIP_BYTES) || 1024 * 1024 * 1024;
+
+// =======================
+// Helpers
+// =======================
+const isRemoteUrl = (source) => /^https?:\/\//i.test(source);
+
+// Zip entries can be referenced by their path inside the archive or just the file name
+const indexZip = (zipBuffer) => {
+  if (!zipBuffer) return null;
+  let zip;
+  try {
+    zip = new AdmZip(zipBuffer);
+  } catch (error) {
+    throw httpError(400, 'Invalid zip file');
+  }
+
+  // Sizes come from the zip's own headers, so a small archive can't expand into
+  // far more data than it admits to (the entry reader stops at the stated size)
+  const files = zip.getEntries().filter(entry => !entry.isDirectory);
+  if (files.length > MAX_ZIP_ENTRIES) {
+    throw httpError(400, `The zip file has ${files.length} files; at most ${MAX_ZIP_ENTRIES} are allowed`);
+  }
+  const totalBytes = files.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalBytes > MAX_ZIP_UNCOMPRESSED_BYTES) {
+    throw httpError(400, `The zip file unpacks to more than ${Math.floor(MAX_ZIP_UNCOMPRESSED_BYTES / 1024 / 1024)}MB`);
+  }
+
+  const entries = new Map();
+  for (const entry of files) {
+    entries.set(entry.entryName, entry);
+    const name = entry.entryName.split('/').pop();
+    if (!entries.has(name)) entries.set(name, entry);
+  }
+  return entries;
+};
+
+// Our own stored images (e.g. from an export) are read back from storage
+const storedKeyOf = (source) => {
+  if (source.startsWith('/uploads/')) return keyFromUrl(source);
+  if (isRemoteUrl(source)) {
+    try {
+      return keyFromUrl(new URL(source).pathname);
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+};
+
+// Only public hosts are fetched (see utils/remoteFetch). The row gets a
+// plain message; why the download failed goes to the log.
+const fetchImage = async (url) => {
+  try {
+    return await fetchPublic(url, { maxBytes: MAX_IMAGE_BYTES, timeoutMs: IMAGE_FETCH_TIMEOUT_MS });
+  } catch (error) {
+    if (error.status === 413) {
+      throw httpError(400, `Image at ${url} is larger than 20MB`);
+    }
+    logger.warn('Could not download import image', { url, error });
+    throw httpError(400, `Could not download the image at ${url}`);
+  }
+};
+
+// Problems that can be found without downloading anything
+const checkImageSource = (source, zipEntries) => {
+  if (zipEntries && zipEntries.has(source)) {
+    return zipEntries.get(source).header.size > MAX_IMAGE_BYTES ? `Image ${source} in the zip file is larger than 20MB` : null;
+  }
+  if (isRemoteUrl(source) || source.startsWith('/uploads/')) return null;
+  return zipEntries ? `Image ${source} is not in the zip file` : `Image ${source} is not a URL and no zip file was sent`;
+};
+
+const loadImage = async (source, { zipEntries, storage }) => {
+  if (zipEntries && zipEntries.has(source)) {
+    const entry = zipEntries.get(source);
+    if (entry.header.size > MAX_IMAGE_BYTES) {
+      throw httpError(400, `Image ${source} in the zip file is larger than 20MB`);
+    }
+    return entry.getData();
+  }
+
+  const key = storedKeyOf(source);
+  if (key) {
+    const data = await storage.get(key);
+    if (data) return data;
+  }
+  if (isRemoteUrl(source)) {
+    return fetchImage(source);
+  }
+  throw httpError(400, `Image not found: ${source}`);
+};
+
+// =======================
+// Find the product an item updates: by any of its SKUs, else by title
+// =======================
+const findExisting = async (fields) => {
+  const skus = fields.variants.map(variant => variant.sku);
+  if (skus.length > 0) {
+    // SKUs stay unique across the trash, so trashed products count too
+    const matches = await Product.find({ 'variants.sku': { $in: skus } }, '_id title deletedAt').setOptions({ withDeleted: true });
+    if (matches.length > 1) {
+      throw httpError(400, `SKUs ${skus.join(', ')} belong to ${matches.length} different products`);
+    }
+    if (matches.length === 1 && matches[0].deletedAt) {
+      throw httpError(400, `SKUs ${skus.join(', ')} belong to "${matches[0].title}", which is in the trash; restore or purge it first`);
+    }
+    if (matches.length === 1) {
+      return Product.findById(matches[0]._id);
+    }
+  }
+
+  const byTitle = await Product.find({ title: new RegExp(`^${escapeRegex(String(fields.title).trim())}$`, 'i') }).limit(2);
+  if (byTitle.length > 1) {
+    throw httpError(400, `Title "${fields.title}" matches more than one product`);
+  }
+  return byTitle[0] || null;
+};
+
+// =======================
+// Validate one item and work out what would happen to it
+// =======================
+const planItem = async (item, { zipEntries, seenSkus }) => {
+  const result = { lines: item.lines, title: item.body.title, action: null, productId: null, errors: [] };
+
+  const { fields, errors } = validateProductInput(item.body);
+  if (!fields) {
+    // CSV variants are rows of their own; point at the line instead of the index
+    result.errors.push(...errors.map(({ message }) => message.replace(/^variants\[(\d+)\]\.?/, (match, index) =>
+      (item.variantLines && item.variantLines[index] ? `line ${item.variantLines[index]}: ` : match))));
+    return { result };
+  }
+
+  if (fields.currency && !(await getRates()).has(fields.currency)) {
+    result.errors.push(`No exchange rate for ${fields.currency}`);
+  }
+
+  for (const variant of fields.variants) {
+    if (seenSkus.has(variant.sku)) {
+      result.errors.push(`SKU ${variant.sku} appears in more than one product in this file`);
+    }
+    seenSkus.add(variant.sku);
+  }
+
+  if (item.images.length > MAX_IMAGES) {
+    result.errors.push(`A product can have at most ${MAX_IMAGES} images`);
+  }
+  item.images.forEach(source => {
+    const problem = checkImageSource(source, zipEntries);
+    if (problem) result.errors.push(problem);
+  });
+
+  let existing = null;
+  try {
+    existing = await findExisting(fields);
+  } catch (error) {
+    if (!error.status) throw error;
+    result.errors.push(error.message);
+  }
+
+  result.action = existing ? 'update' : 'create';
+  result.productId = existing ? existing._id : null;
+  // Same rule as createProduct: new products need an image
+  if (!existing && item.images.length === 0) {
+    result.errors.push('Image is required');
+  }
+
+  return { result, fields, existing };
+};
+
+// =======================
+// Write one planned item; images are stored before the product is saved
+// =======================
+const applyItem = async ({ fields, existing }, item, { zipEntries, storage, user, req }) => {
+  const processed = [];
+  try {
+    for (const source of item.images) {
+      processed.push(await storeImage(await loadImage(source, { zipEntries, storage }), { storage }));
+    }
+    const gallery = processed.length
+      ? withPrimary(processed.map((image, index) => toImageEntry(image, index === 0 ? fields.title : '')))
+      : null;
+
+    if (!existing) {
+      const slugFields = await slugUpdate(Product, null, { source: productSlugSource(fields), fallback: 'product' });
+      const product = await new Product({ ...fields, ...slugFields, ...gallery }).save();
+      processed.length = 0; // saved; no longer ours to clean up
+      await recordStockChanges([], product, user);
+      await recordProductAudit(req, 'product.create', { after: product, metadata: { source: 'import' } });
+      return product;
+    }
+
+    // Only the columns the file filled in change; a sent image list replaces the gallery
+    const before = existing.toObject();
+    const previousVariants = existing.variants.map(variant => variant.toObject());
+    const replacedImages = gallery ? galleryOf(existing) : [];
+    const updates = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== ''));
+    const held = fields.variants.length ? heldSkus(previousVariants, fields.variants) : [];
+    if (held.length > 0) {
+      throw httpError(409, `Checkouts are holding units of ${held.join(', ')}, which this row does not include`);
+    }
+    updates.variants = fields.variants.length ? carryStock(previousVariants, fields.variants) : previousVariants;
+    syncBasePrice(updates, updates.variants);
+    if (gallery) Object.assign(updates, gallery);
+    Object.assign(updates, await slugUpdate(Product, existing, {
+      source: productSlugSource({ brand: existing.brand, title: existing.title, ...updates }),
+      fallback: 'product'
+    }));
+
+    existing.set(updates);
+    const product = await existing.save();
+    processed.length = 0;
+    await recordStockChanges(previousVariants, product, user);
+    await recordProductAudit(req, 'product.update', { before, after: product, metadata: { source: 'import' } });
+    await releaseImages(replacedImages);
+    return product;
+  } catch (error) {
+    await discardProcessed(processed);
+    throw error;
+  }
+};
+
+// =======================
+// Import a CSV/JSON catalog. Every item is validated first; with `dryRun`
+// nothing is written. Invalid items stop the whole import unless `skipInvalid`.
+// `req`, when given, attributes the changes in the audit log.
+// =======================
+const importCatalog = async ({ file, format, zip, dryRun = false, skipInvalid = false, user, req, storage = getStorage() }) => {
+  const items = parseCatalog(file, format);
+  if (items.length === 0) {
+    throw httpError(400, 'The catalog file has no products');
+  }
+  if (items.length > MAX_IMPORT_ITEMS) {
+    throw httpError(400, `A catalog import can hold at most ${MAX_IMPORT_ITEMS} products`);
+  }
+
+  const zipEntries = indexZip(zip);
+  const seenSkus = new Set();
+  const plans = [];
+  for (const item of items) {
+    plans.push(await planItem(item, { zipEntries, seenSkus }));
+  }
+
+  const invalid = plans.filter(plan => plan.result.errors.length > 0).length;
+  const report = {
+    dryRun,
+    format,
+    total: items.length,
+    valid: items.length - invalid,
+    invalid,
+    created: 0,
+    updated: 0,
+    failed: 0,
+    results: plans.map(plan => plan.result)
+  };
+
+  if (dryRun) return report;
+  if (invalid > 0 && !skipInvalid) {
+    throw httpError(400, `${invalid} of ${items.length} products are invalid; nothing was imported`, { report });
+  }
+
+  for (let index = 0; index < items.length; index++) {
+    const plan = plans[index];
+    if (plan.result.errors.length > 0) continue;
+
+    try {
+      const product = await applyItem(plan, items[index], { zipEntries, storage, user, req });
+      plan.result.productId = product._id;
+      report[plan.existing ? 'updated' : 'created']++;
+    } catch (error) {
+      if (!error.status && error.code !== 11000 && error.name !== 'ValidationError') throw error;
+      plan.result.errors.push(error.code === 11000 ? 'A variant with this SKU already exists' : error.message);
+      report.failed++;
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  MAX_IMPORT_ITEMS,
+  importCatalog
+};
@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const httpError = require('./httpError');
+const { slugUpdate, findBySlug, isDuplicateSlugError } = require('./slugs');
+
+// Keeps breadcrumbs and menus manageable
+const MAX_DEPTH = 5;
+
+// =======================
+// Helpers
+// =======================
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toList = (value) => {
+  if (isBlank(value)) return [];
+  if (Array.isArray(value)) return value;
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+};
+
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+const findCategory = async (id) => {
+  const category = isObjectId(id) ? await Category.findById(id) : null;
+  if (!category) throw httpError(404, 'Category not found');
+  return category;
+};
+
+// The next free position at the end of a parent's children
+const nextPosition = async (parent) => {
+  const last = await Category.findOne({ parent: parent || null }, 'position').sort({ position: -1 });
+  return last ? last.position + 1 : 0;
+};
+
+// =======================
+// Validate a create/update body. `parent` may be an id or null/"" for the top level.
+// Returns `{ fields, errors }`.
+// =======================
+const parseCategoryInput = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+  const errors = [];
+
+  if (body.name !== undefined || !partial) {
+    fields.name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!fields.name) errors.push('name is required');
+    else if (fields.name.length > 100) errors.push('name must be at most 100 characters');
+  }
+  if (body.description !== undefined) {
+    fields.description = isBlank(body.description) ? '' : String(body.description).trim();
+  }
+  if (body.slug !== undefined) {
+    fields.slug = body.slug;
+  }
+  if (body.parent !== undefined) {
+    fields.parent = isBlank(body.parent) ? null : String(body.parent);
+    if (fields.parent && !isObjectId(fields.parent)) errors.push('parent must be a category ID');
+  }
+
+  return { fields, errors };
+};
+
+// =======================
+// The whole tree, siblings in manual order, with direct product counts
+// =======================
+const getCategoryTree = async () => {
+  const [categories, counts] = await Promise.all([
+    Category.find({}, '-previousSlugs').sort({ position: 1, name: 1 }).lean(),
+    Product.aggregate([
+      { $unwind: '$categories' },
+      { $group: { _id: '$categories', count: { $sum: 1 } } }
+    ])
+  ]);
+  const countOf = new Map(counts.map(row => [String(row._id), row.count]));
+
+  const nodes = new Map(categories.map(category => [
+    String(category._id),
+    { ...category, productCount: countOf.get(String(category._id)) || 0, children: [] }
+  ]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent));
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+};
+
+// =======================
+// A category by slug with its breadcrumb and children.
+// Resolves to `{ redirectTo }` for an old slug.
+// =======================
+const getCategoryBySlug = async (slug) => {
+  const { doc: category, redirectTo } = await findBySlug(Category, slug);
+  if (redirectTo) return { redirectTo };
+  if (!category) throw httpError(404, 'Category not found');
+
+  const [ancestors, children] = await Promise.all([
+    Category.find({ _id: { $in: category.ancestors } }, 'name slug'),
+    Category.find({ parent: category._id }, 'name slug description position').sort({ position: 1, name: 1 })
+  ]);
+  const byId = new Map(ancestors.map(ancestor => [String(ancestor._id), ancestor]));
+  const breadcrumb = category.ancestors.map(id => byId.get(String(id))).filter(Boolean);
+
+  return { category, breadcrumb, children };
+};
+
+// =======================
+// Ids of a category and everything below it, for the product list's ?category=
+// filter (a slug or an id). Unknown categories match nothing.
+// =======================
+const subtreeIds = async (slugOrId) => {
+  const value = String(slugOrId).trim();
+  const category = isObjectId(value)
+    ? await Category.findById(value, '_id')
+    : await Category.findOne({ $or: [{ slug: value.toLowerCase() }, { previousSlugs: value.toLowerCase() }] }, '_id');
+  if (!category) return [];
+
+  const descendants = await Category.find({ ancestors: category._id }, '_id');
+  return [category._id, ...descendants.map(descendant => descendant._id)];
+};
+
+// =======================
+// Category ids sent with a product (array, comma list or JSON string from a
+// multipart form). Every id has to exist. Resolves to undefined when not sent.
+// =======================
+const parseProductCategories = async (value) => {
+  if (value === undefined) return undefined;
+
+  let list = value;
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      list = JSON.parse(value);
+    } catch (error) {
+      throw httpError(400, 'categories must be a list of category IDs');
+    }
+  }
+  const ids = [...new Set(toList(list).map(String))];
+  if (ids.some(id => !isObjectId(id))) {
+    throw httpError(400, 'categories must be a list of category IDs');
+  }
+  if (ids.length && await Category.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+    throw httpError(400, 'One or more categories do not exist');
+  }
+  return ids;
+};
+
+// =======================
+// Create, update and delete
+// =======================
+const resolveParent = async (parentId) => {
+  if (!parentId) return null;
+  const parent = isObjectId(parentId) ? await Category.findById(parentId) : null;
+  if (!parent) throw httpError(400, 'Parent category does not exist');
+  if (parent.ancestors.length + 1 >= MAX_DEPTH) {
+    throw httpError(400, `Categories can be nested at most ${MAX_DEPTH} levels deep`);
+  }
+  return parent;
+};
+
+const saveWithSlug = async (category) => {
+  try {
+    return await category.save();
+  } catch (error) {
+    if (isDuplicateSlugError(error)) throw httpError(409, `The slug "${category.slug}" is already in use`);
+    throw error;
+  }
+};
+
+const createCategory = async (input) => {
+  const { fields, errors } = parseCategoryInput(input);
+  if (errors.length > 0) {
+    throw httpError(400, 'Invalid category', { errors });
+  }
+
+  const parent = await resolveParent(fields.parent);
+  const slugFields = await slugUpdate(Category, null, { source: fields.name, slug: fields.slug, fallback: 'category' });
+
+  const category = new Category({
+    ...fields,
+    ...slugFields,
+    parent: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : [],
+    position: await nextPosition(parent && parent._id)
+  });
+  return saveWithSlug(category);
+};
+
+// Moving a category carries its subtree along; it goes to the end of its new siblings
+const moveCategory = async (category, parentId) => {
+  const parent = await resolveParent(parentId);
+  if (parent && (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id)))) {
+    throw httpError(400, 'A category cannot be moved under itself or one of its subcategories');
+  }
+
+  const descendants = await Category.find({ ancestors: category._id });
+  const depthBelow = Math.max(0, ...descendants.map(descendant => descendant.ancestors.length - category.ancestors.length));
+  const newDepth = parent ? parent.ancestors.length + 1 : 0;
+  if (newDepth + depthBelow >= MAX_DEPTH) {
+    throw httpError(400, `Categories can be nested at most ${MAX_DEPTH} levels deep`);
+  }
+
+  const oldPathLength = category.ancestors.length + 1;
+  category.parent = parent ? parent._id : null;
+  category.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  category.position = await nextPosition(category.parent);
+
+  return descendants.map(descendant => ({
+    updateOne: {
+      filter: { _id: descendant._id },
+      update: { $set: { ancestors: [...category.ancestors, category._id, ...descendant.ancestors.slice(oldPathLength)] } }
+    }
+  }));
+};
+
+const updateCategory = async (id, input) => {
+  const { fields, errors } = parseCategoryInput(input, { partial: true });
+  if (errors.length > 0) {
+    throw httpError(400, 'Invalid category', { errors });
+  }
+  if (Object.keys(fields).length === 0) {
+    throw httpError(400, 'Nothing to update');
+  }
+
+  const category = await findCategory(id);
+  const { slug, parent, ...rest } = fields;
+  category.set(rest);
+  category.set(await slugUpdate(Category, category, { source: category.name, slug, fallback: 'category' }));
+
+  const currentParent = category.parent ? String(category.parent) : null;
+  const descendantUpdates = parent !== undefined && parent !== currentParent
+    ? await moveCategory(category, parent)
+    : [];
+
+  category.updatedAt = new Date();
+  await saveWithSlug(category);
+  if (descendantUpdates.length) {
+    await Category.bulkWrite(descendantUpdates);
+  }
+  return category;
+};
+
+// Subcategories have to be moved or deleted first; products just lose the category
+const deleteCategory = async (id) => {
+  const category = await findCategory(id);
+  if (await Category.exists({ parent: category._id })) {
+    throw httpError(409, 'Move or delete the subcategories of this category first');
+  }
+
+  await category.deleteOne();
+  const { modifiedCount } = await Product.updateMany({ categories: category._id }, { $pull: { categories: category._id } });
+  return { category, productsUpdated: modifiedCount };
+};
+
+// =======================
+// Manual order of one parent's children: `order` lists every child id once
+// =======================
+const reorderCategories = async ({ parent, order }) => {
+  const parentId = isBlank(parent) ? null : String(parent);
+  if (parentId && !isObjectId(parentId)) {
+    throw httpError(400, 'parent must be a category ID');
+  }
+
+  const siblings = await Category.find({ parent: parentId }, '_id');
+  const known = new Set(siblings.map(sibling => String(sibling._id)));
+  if (!Array.isArray(order) || order.length !== siblings.length || new Set(order.map(String)).size !== order.length
+    || !order.every(id => known.has(String(id)))) {
+    throw httpError(400, 'order must list every category under this parent exactly once');
+  }
+
+  await Category.bulkWrite(order.map((id, position) => ({
+    updateOne: { filter: { _id: id }, update: { $set: { position } } }
+  })));
+  return Category.find({ parent: parentId }).sort({ position: 1 });
+};
+
+module.exports = {
+  MAX_DEPTH,
+  parseCategoryInput,
+  getCategoryTree,
+  getCategoryBySlug,
+  subtreeIds,
+  parseProductCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  reorderCategories
+};
@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const Product = require('../models/Product');
+const httpError = require('./httpError');
+const { invalidateSales } = require('./promotions');
+const { slugUpdate, findBySlug, isDuplicateSlugError } = require('./slugs');
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// =======================
+// Helpers
+// =======================
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toBoolean = (value, fallback) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return fallback;
+};
+
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+const findCollection = async (id) => {
+  const collection = isObjectId(id) ? await Collection.findById(id) : null;
+  if (!collection) throw httpError(404, 'Collection not found');
+  return collection;
+};
+
+// Every id has to be an existing product (trashed ones included, as they keep
+// their place); duplicates are rejected, not merged, since the list is an explicit order
+const checkProductIds = async (ids) => {
+  if (!Array.isArray(ids) || ids.some(id => !isObjectId(id))) {
+    throw httpError(400, 'products must be a list of product IDs');
+  }
+  const unique = new Set(ids.map(String));
+  if (unique.size !== ids.length) {
+    throw httpError(400, 'products lists the same product more than once');
+  }
+  if (ids.length && await Product.countDocuments({ _id: { $in: [...unique] } }).setOptions({ withDeleted: true }) !== ids.length) {
+    throw httpError(400, 'One or more products do not exist');
+  }
+  return ids.map(String);
+};
+
+const saveWithSlug = async (collection) => {
+  try {
+    return await collection.save();
+  } catch (error) {
+    if (isDuplicateSlugError(error)) throw httpError(409, `The slug "${collection.slug}" is already in use`);
+    throw error;
+  }
+};
+
+// What lists show of a collection: no product ids, just how many there are
+const collectionSummary = (collection) => ({
+  _id: collection._id,
+  name: collection.name,
+  slug: collection.slug,
+  description: collection.description,
+  position: collection.position,
+  published: collection.published,
+  productCount: (collection.products || []).length,
+  updatedAt: collection.updatedAt
+});
+
+// =======================
+// Validate a create/update body. Returns `{ fields, errors }`.
+// =======================
+const parseCollectionInput = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+  const errors = [];
+
+  if (body.name !== undefined || !partial) {
+    fields.name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!fields.name) errors.push('name is required');
+    else if (fields.name.length > 100) errors.push('name must be at most 100 characters');
+  }
+  if (body.description !== undefined) {
+    fields.description = isBlank(body.description) ? '' : String(body.description).trim();
+  }
+  if (body.slug !== undefined) {
+    fields.slug = body.slug;
+  }
+  if (body.published !== undefined) {
+    fields.published = toBoolean(body.published, null);
+    if (fields.published === null) errors.push('published must be true or false');
+  }
+
+  return { fields, errors };
+};
+
+// =======================
+// Collections in manual order; unpublished ones only for editors
+// =======================
+const listCollections = async ({ includeUnpublished = false } = {}) => {
+  const filter = includeUnpublished ? {} : { published: true };
+  const collections = await Collection.find(filter).sort({ position: 1, name: 1 });
+  return collections.map(collectionSummary);
+};
+
+// =======================
+// A collection by slug with one page of its products, in manual order.
+// Resolves to `{ redirectTo }` for an old slug. Products are returned as
+// documents for the caller to format.
+// =======================
+const getCollectionBySlug = async (slug, { includeUnpublished = false, query = {} } = {}) => {
+  const filter = includeUnpublished ? {} : { published: true };
+  const { doc: collection, redirectTo } = await findBySlug(Collection, slug, filter);
+  if (redirectTo) return { redirectTo };
+  if (!collection) throw httpError(404, 'Collection not found');
+
+  const limit = Math.min(Number(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const page = Math.max(Number(query.page) || 1, 1);
+
+  // Trashed products keep their place so a restore puts them back; they are not shown
+  const live = await Product.find({ _id: { $in: collection.products } }, '_id');
+  const liveIds = new Set(live.map(product => String(product._id)));
+  const visibleIds = collection.products.filter(id => liveIds.has(String(id)));
+  const pageIds = visibleIds.slice((page - 1) * limit, page * limit);
+
+  // Keep the manual order
+  const found = await Product.find({ _id: { $in: pageIds } });
+  const byId = new Map(found.map(product => [String(product._id), product]));
+  const products = pageIds.map(id => byId.get(String(id))).filter(Boolean);
+
+  const total = visibleIds.length;
+  return {
+    collection: collectionSummary(collection),
+    products,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit)
+  };
+};
+
+// =======================
+// Create, update and delete
+// =======================
+const createCollection = async (input) => {
+  const { fields, errors } = parseCollectionInput(input);
+  if (errors.length > 0) {
+    throw httpError(400, 'Invalid collection', { errors });
+  }
+
+  const products = input.products === undefined ? [] : await checkProductIds(input.products);
+  const slugFields = await slugUpdate(Collection, null, { source: fields.name, slug: fields.slug, fallback: 'collection' });
+  const last = await Collection.findOne({}, 'position').sort({ position: -1 });
+
+  const collection = new Collection({
+    ...fields,
+    ...slugFields,
+    products,
+    position: last ? last.position + 1 : 0
+  });
+  return saveWithSlug(collection);
+};
+
+const updateCollection = async (id, input) => {
+  const { fields, errors } = parseCollectionInput(input, { partial: true });
+  if (errors.length > 0) {
+    throw httpError(400, 'Invalid collection', { errors });
+  }
+  if (Object.keys(fields).length === 0) {
+    throw httpError(400, 'Nothing to update');
+  }
+
+  const collection = await findCollection(id);
+  const { slug, ...rest } = fields;
+  collection.set(rest);
+  collection.set(await slugUpdate(Collection, collection, { source: collection.name, slug, fallback: 'collection' }));
+  collection.updatedAt = new Date();
+  return saveWithSlug(collection);
+};
+
+const deleteCollection = async (id) => {
+  const collection = await findCollection(id);
+  await collection.deleteOne();
+  invalidateSales();
+  return collection;
+};
+
+// =======================
+// Membership and order of a collection's products. Membership changes
+// clear the live sales cache, as collection-scoped sales follow it.
+// =======================
+
+// Replace the whole list; its order is the display order
+const setCollectionProducts = async (id, products) => {
+  const collection = await findCollection(id);
+  collection.products = await checkProductIds(products);
+  collection.updatedAt = new Date();
+  await collection.save();
+  invalidateSales();
+  return collection;
+};
+
+// Insert one product at `position` (0-based; the end when left out).
+// A product already in the collection is moved there.
+const addCollectionProduct = async (id, { productId, position }) => {
+  const [product] = await checkProductIds([productId]);
+  const collection = await findCollection(id);
+
+  const ids = collection.products.map(String).filter(existing => existing !== product);
+  let index = ids.length;
+  if (!isBlank(position)) {
+    index = Number(position);
+    if (!Number.isInteger(index) || index < 0) {
+      throw httpError(400, 'position must be a whole number of at least 0');
+    }
+    index = Math.min(index, ids.length);
+  }
+  ids.splice(index, 0, product);
+
+  collection.products = ids;
+  collection.updatedAt = new Date();
+  await collection.save();
+  invalidateSales();
+  return collection;
+};
+
+const removeCollectionProduct = async (id, productId) => {
+  const collection = await findCollection(id);
+  if (!collection.products.some(existing => String(existing) === String(productId))) {
+    throw httpError(404, 'Product is not in this collection');
+  }
+  collection.products.pull(productId);
+  collection.updatedAt = new Date();
+  await collection.save();
+  invalidateSales();
+  return collection;
+};
+
+// =======================
+// Manual order of collections: `order` lists every collection id once
+// =======================
+const reorderCollections = async (order) => {
+  const collections = await Collection.find({}, '_id');
+  const known = new Set(collections.map(collection => String(collection._id)));
+  if (!Array.isArray(order) || order.length !== collections.length || new Set(order.map(String)).size !== order.length
+    || !order.every(id => known.has(String(id)))) {
+    throw httpError(400, 'order must list every collection id exactly once');
+  }
+
+  await Collection.bulkWrite(order.map((id, position) => ({
+    updateOne: { filter: { _id: id }, update: { $set: { position } } }
+  })));
+  return listCollections({ includeUnpublished: true });
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  collectionSummary,
+  parseCollectionInput,
+  findCollection,
+  listCollections,
+  getCollectionBySlug,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  setCollectionProducts,
+  addCollectionProduct,
+  removeCollectionProduct,
+  reorderCollections
+};
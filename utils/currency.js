@@ -0,0 +1,202 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const httpError = require('./httpError');
+
+// Prices without a currency of their own, promotion amounts and exchange rates are in this currency
+const BASE_CURRENCY = String(process.env.BASE_CURRENCY || 'USD').trim().toUpperCase();
+
+// Rates change rarely and are read on every priced response
+const RATES_CACHE_MS = 60 * 1000;
+
+const CURRENCY_HEADER = 'X-Currency';
+
+const SUPPORTED_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+// =======================
+// Helpers
+// =======================
+const normalizeCurrency = (code) => String(code || '').trim().toUpperCase();
+
+const isCurrencyCode = (code) => SUPPORTED_CODES.has(normalizeCurrency(code));
+
+// Symbol and minor units, e.g. { code: 'JPY', symbol: '¥', decimals: 0 }
+const currencyInfo = (code) => {
+  const formatter = new Intl.NumberFormat('en', { style: 'currency', currency: code });
+  const symbol = formatter.formatToParts(0).find(part => part.type === 'currency');
+  return {
+    code,
+    symbol: symbol ? symbol.value : code,
+    decimals: formatter.resolvedOptions().maximumFractionDigits
+  };
+};
+
+// Round to the currency's minor unit (cents, whole yen, fils, ...)
+const roundCurrency = (amount, code = BASE_CURRENCY) => {
+  const factor = 10 ** currencyInfo(code).decimals;
+  return Math.round((Number(amount) + Number.EPSILON) * factor) / factor;
+};
+
+// =======================
+// Exchange-rate table, cached for RATES_CACHE_MS; writes clear the cache.
+// Resolves to a Map of currency -> rate, always including the base currency at 1.
+// =======================
+let ratesCache = null;
+
+const getRates = async () => {
+  if (!ratesCache || Date.now() - ratesCache.loadedAt > RATES_CACHE_MS) {
+    const rows = await ExchangeRate.find({}).lean();
+    const rates = new Map(rows.map(row => [row.currency, row.rate]));
+    rates.set(BASE_CURRENCY, 1);
+    ratesCache = { loadedAt: Date.now(), rates };
+  }
+  return ratesCache.rates;
+};
+
+const invalidateRates = () => {
+  ratesCache = null;
+};
+
+// Only currencies with a rate (or the base currency) can be priced in
+const requireRate = async (code) => {
+  const rates = await getRates();
+  if (!rates.has(code)) {
+    throw httpError(400, `No exchange rate for ${code}; add one under /api/currencies first`);
+  }
+  return rates;
+};
+
+// =======================
+// Convert an amount between two priced currencies (unrounded)
+// =======================
+const convert = (amount, from, to, rates) => {
+  if (from === to) return Number(amount);
+  if (!rates || !rates.has(from) || !rates.has(to)) {
+    throw httpError(400, `No exchange rate between ${from} and ${to}`);
+  }
+  return Number(amount) / rates.get(from) * rates.get(to);
+};
+
+// =======================
+// List price of a product or variant ({ price, prices }) in `currency`:
+// a per-currency override when there is one, else the converted price, rounded
+// =======================
+const listPrice = ({ price, prices }, product, currency, rates) => {
+  const override = (prices || []).find(entry => entry.currency === currency);
+  if (override) return roundCurrency(override.price, currency);
+  return roundCurrency(convert(price || 0, product.currency || BASE_CURRENCY, currency, rates), currency);
+};
+
+// A product's list price in the base currency, which the list endpoint filters and sorts on
+const priceInBase = (product, rates) => listPrice(product, product, BASE_CURRENCY, rates);
+
+// =======================
+// Store `priceInBase` on products matching `filter` (all by default), e.g. those
+// priced in a currency whose rate just changed. Products in a currency without
+// a rate are left as they are. Resolves to the number of products updated.
+// =======================
+const REPRICE_BATCH = 500;
+
+const repriceProducts = async (Model, filter = {}) => {
+  const rates = await getRates();
+  const cursor = Model.find(filter, 'price prices currency').setOptions({ withDeleted: true }).lean().cursor();
+
+  let batch = [];
+  let count = 0;
+  const flush = async () => {
+    if (batch.length > 0) await Model.bulkWrite(batch, { ordered: false });
+    count += batch.length;
+    batch = [];
+  };
+
+  for await (const product of cursor) {
+    if (!rates.has(product.currency || BASE_CURRENCY)) continue;
+    batch.push({ updateOne: { filter: { _id: product._id }, update: { $set: { priceInBase: priceInBase(product, rates) } } } });
+    if (batch.length >= REPRICE_BATCH) await flush();
+  }
+  await flush();
+  return count;
+};
+
+// =======================
+// The currency a request wants prices in: ?currency= or the X-Currency header.
+// Unknown codes and currencies without a rate are rejected (400).
+// =======================
+const resolveCurrency = async (req) => {
+  const requested = normalizeCurrency((req.query && req.query.currency) || req.header(CURRENCY_HEADER));
+  if (!requested) return BASE_CURRENCY;
+  if (!isCurrencyCode(requested)) {
+    throw httpError(400, `Unknown currency: ${requested}`);
+  }
+  const rates = await getRates();
+  if (!rates.has(requested)) {
+    throw httpError(400, `Prices are not available in ${requested}; use one of: ${[...rates.keys()].join(', ')}`);
+  }
+  return requested;
+};
+
+// =======================
+// Validation rules (see utils/validation) for a product's or variant's own
+// currency and its per-currency price overrides. Overrides arrive as
+// { "EUR": 45, "GBP": 39 }, [{ currency, price }] or either as a JSON string
+// (multipart forms), and become a list of { currency, price }; "" or null clears them.
+// =======================
+const toCurrencyCode = (value) => (isCurrencyCode(value) ? { value } : { problem: `must be a currency code; ${value} is not one` });
+
+const toPriceOverrides = (value) => {
+  if (value === null || value === '') return { value: [] };
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      parsed = null;
+    }
+  }
+
+  const entries = Array.isArray(parsed)
+    ? parsed.map(entry => [entry && entry.currency, entry && entry.price])
+    : (parsed && typeof parsed === 'object' ? Object.entries(parsed) : null);
+  if (!entries) {
+    return { problem: 'must be an object of currency: price' };
+  }
+
+  const prices = [];
+  for (const [rawCode, rawPrice] of entries) {
+    const currency = normalizeCurrency(rawCode);
+    const price = Number(rawPrice);
+    if (!isCurrencyCode(currency)) {
+      return { problem: `has an unknown currency: ${rawCode}` };
+    }
+    if (rawPrice === '' || rawPrice === null || !Number.isFinite(price) || price < 0) {
+      return { problem: `must give ${currency} a price of at least 0` };
+    }
+    if (prices.some(entry => entry.currency === currency)) {
+      return { problem: `lists ${currency} twice` };
+    }
+    prices.push({ currency, price: roundCurrency(price, currency) });
+  }
+  return { value: prices };
+};
+
+const currencyField = { type: 'string', uppercase: true, parse: toCurrencyCode };
+
+const priceOverridesField = { type: 'any', nullable: true, parse: toPriceOverrides };
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCY_HEADER,
+  normalizeCurrency,
+  isCurrencyCode,
+  currencyInfo,
+  roundCurrency,
+  getRates,
+  invalidateRates,
+  requireRate,
+  convert,
+  listPrice,
+  priceInBase,
+  repriceProducts,
+  resolveCurrency,
+  currencyField,
+  priceOverridesField
+};
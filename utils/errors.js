@@ -0,0 +1,168 @@
+const multer = require('multer');
+const mongoose = require('mongoose');
+
+// =======================
+// Error hierarchy. Every error a client sees is an AppError with an HTTP
+// status and a stable machine-readable `code`; `details` are client-facing
+// extras (field errors, the coupon that failed) merged into the response.
+// Anything else is translated by `toAppError` or answered as a 500.
+// =======================
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, cause, expose } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    // 4xx messages are written for the client, as is "unavailable"; other 5xx ones may describe internals
+    this.expose = expose !== undefined ? expose : status < 500 || status === 503;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+const define = (name, status, defaultCode) => {
+  const ErrorClass = class extends AppError {
+    constructor(message, details, code = defaultCode, options = {}) {
+      super(message, { status: options.status || status, code, details, cause: options.cause });
+    }
+  };
+  Object.defineProperty(ErrorClass, 'name', { value: name });
+  return ErrorClass;
+};
+
+const ValidationError = define('ValidationError', 400, 'VALIDATION_FAILED');
+const AuthError = define('AuthError', 401, 'UNAUTHORIZED');
+const ForbiddenError = define('ForbiddenError', 403, 'FORBIDDEN');
+const NotFoundError = define('NotFoundError', 404, 'NOT_FOUND');
+const ConflictError = define('ConflictError', 409, 'CONFLICT');
+const PayloadError = define('PayloadError', 413, 'PAYLOAD_TOO_LARGE');
+const TooManyRequestsError = define('TooManyRequestsError', 429, 'TOO_MANY_REQUESTS');
+const StorageError = define('StorageError', 503, 'STORAGE_UNAVAILABLE');
+
+// Which class a bare status maps to (used by httpError)
+const CLASS_BY_STATUS = {
+  400: ValidationError,
+  401: AuthError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  413: PayloadError,
+  429: TooManyRequestsError
+};
+
+const CODE_BY_STATUS = {
+  400: 'VALIDATION_FAILED',
+  401: 'UNAUTHORIZED',
+  402: 'PAYMENT_FAILED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'TOO_MANY_REQUESTS',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+const errorForStatus = (status, message, details) => {
+  const ErrorClass = CLASS_BY_STATUS[status];
+  return ErrorClass
+    ? new ErrorClass(message, details)
+    : new AppError(message, { status, code: CODE_BY_STATUS[status] || (status < 500 ? 'BAD_REQUEST' : 'INTERNAL_ERROR'), details });
+};
+
+// =======================
+// Helpers
+// =======================
+const formatBytes = (bytes) => {
+  if (!Number.isFinite(bytes)) return 'the allowed size';
+  if (bytes >= 1024 * 1024) return `${Math.round((bytes / (1024 * 1024)) * 10) / 10}MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)}KB`;
+  return `${bytes} bytes`;
+};
+
+// Multer does not say what the limit was, so routes pass it in (see middleware/upload.js)
+const fromMulterError = (error, { maxBytes } = {}) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return new PayloadError(`${error.field ? `The file in "${error.field}"` : 'The file'} is too large; the limit is ${formatBytes(maxBytes)}`,
+        { field: error.field }, 'FILE_TOO_LARGE', { cause: error });
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return new ValidationError(error.field ? `Too many files or an unexpected file in "${error.field}"` : 'Too many files',
+        { field: error.field }, 'UNEXPECTED_FILE', { cause: error });
+    case 'LIMIT_FIELD_VALUE':
+    case 'LIMIT_FIELD_COUNT':
+    case 'LIMIT_FIELD_KEY':
+    case 'LIMIT_PART_COUNT':
+      return new PayloadError('The form has too many or too large fields', { field: error.field }, 'FORM_TOO_LARGE', { cause: error });
+    default:
+      return new ValidationError(error.message, { field: error.field }, 'UPLOAD_FAILED', { cause: error });
+  }
+};
+
+const fromMongooseError = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(error.errors).map(fieldError => ({ field: fieldError.path, message: fieldError.message }));
+    return new ValidationError('Invalid data', { errors }, 'VALIDATION_FAILED', { cause: error });
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    const isId = error.kind === 'ObjectId';
+    return new ValidationError(`${error.path} must be ${isId ? 'a valid ID' : `a valid ${String(error.kind).toLowerCase()}`}`,
+      { errors: [{ field: error.path, message: `${error.path} is not valid` }] }, isId ? 'INVALID_ID' : 'INVALID_VALUE', { cause: error });
+  }
+  if (error && error.code === 11000) {
+    const fields = Object.keys(error.keyPattern || error.keyValue || {});
+    return new ConflictError(fields.length ? `${fields.join(', ')} is already in use` : 'A record with this value already exists',
+      { fields }, 'DUPLICATE_KEY', { cause: error });
+  }
+  if (error instanceof mongoose.Error.MongooseServerSelectionError || (error && error.name === 'MongoNetworkError')) {
+    return new AppError('The database is unavailable', { status: 503, code: 'DATABASE_UNAVAILABLE', cause: error });
+  }
+  return null;
+};
+
+// body-parser and other http-errors style errors carry `type` and `status`
+const fromHttpError = (error) => {
+  if (error.type === 'entity.too.large') {
+    return new PayloadError(`Request body is too large; the limit is ${formatBytes(error.limit)}`, undefined, 'PAYLOAD_TOO_LARGE', { cause: error });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', undefined, 'INVALID_JSON', { cause: error });
+  }
+  const status = error.status || error.statusCode;
+  if (Number.isInteger(status) && status >= 400 && status < 600) {
+    const translated = errorForStatus(status, error.expose === false ? 'Server error' : error.message, error.details);
+    translated.cause = error;
+    return translated;
+  }
+  return null;
+};
+
+// =======================
+// Any thrown value as an AppError; unknown errors become a 500 that keeps
+// the original as `cause` for the logs
+// =======================
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+  if (error instanceof multer.MulterError) return fromMulterError(error);
+  return fromMongooseError(error)
+    || (error && typeof error === 'object' && fromHttpError(error))
+    || new AppError('Server error', { cause: error });
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadError,
+  TooManyRequestsError,
+  StorageError,
+  errorForStatus,
+  formatBytes,
+  fromMulterError,
+  toAppError
+};
@@ -0,0 +1,108 @@
+// =======================
+// Allowed values for perfume attributes
+// =======================
+const CONCENTRATIONS = ['parfum', 'edp', 'edt', 'edc'];
+const GENDERS = ['men', 'women', 'unisex'];
+const FAMILIES = [
+  'floral',
+  'oriental',
+  'woody',
+  'fresh',
+  'citrus',
+  'aromatic',
+  'chypre',
+  'fougere',
+  'gourmand',
+  'leather',
+  'aquatic',
+  'green',
+  'fruity',
+  'spicy'
+];
+const NOTE_TIERS = ['top', 'heart', 'base'];
+
+// Common spellings mapped to the stored concentration code
+const CONCENTRATION_ALIASES = {
+  'extrait': 'parfum',
+  'extrait de parfum': 'parfum',
+  'eau de parfum': 'edp',
+  'eau de toilette': 'edt',
+  'eau de cologne': 'edc',
+  'cologne': 'edc'
+};
+
+const GENDER_ALIASES = {
+  male: 'men',
+  man: 'men',
+  female: 'women',
+  woman: 'women'
+};
+
+// Optional attributes an update can clear by sending null or ""
+const CLEARABLE_FIELDS = ['concentration', 'family'];
+
+// =======================
+// Validation rules for the perfume fields of a product body (see
+// utils/validation). Notes may arrive as a nested object
+// ({ notes: { top: [...] } }), a JSON string, or flat form fields
+// (topNotes, heartNotes, baseNotes), each a list or comma-separated text.
+// =======================
+const noteList = { type: 'array', items: { type: 'string', lowercase: true } };
+
+const fragranceFields = {
+  brand: { type: 'string', maxLength: 100 },
+  concentration: { type: 'enum', values: CONCENTRATIONS, aliases: CONCENTRATION_ALIASES, nullable: true },
+  gender: { type: 'enum', values: GENDERS, aliases: GENDER_ALIASES },
+  family: { type: 'enum', values: FAMILIES, nullable: true },
+  notes: { type: 'object', properties: { top: noteList, heart: noteList, base: noteList }, strict: true },
+  topNotes: noteList,
+  heartNotes: noteList,
+  baseNotes: noteList
+};
+
+// =======================
+// The perfume fields a validated create/update body sets, as `{ fields, unset }`.
+// Only fields present in the body are returned, so updates leave the rest untouched.
+// With `partial` (PATCH), a clearable field sent as null is listed in `unset`;
+// otherwise an empty value just means it wasn't given.
+// =======================
+const fragranceUpdate = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+  const unset = partial ? CLEARABLE_FIELDS.filter(field => body[field] === null) : [];
+
+  for (const field of ['brand', 'concentration', 'gender', 'family']) {
+    if (body[field] !== undefined && body[field] !== null) fields[field] = body[field];
+  }
+  for (const tier of NOTE_TIERS) {
+    const notes = body.notes && body.notes[tier] !== undefined ? body.notes[tier] : body[`${tier}Notes`];
+    if (notes !== undefined) fields[`notes.${tier}`] = [...new Set(notes)];
+  }
+
+  return { fields, unset };
+};
+
+// Turn dotted note paths into a nested object for new documents
+const toDocumentFields = (fields) => {
+  const doc = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (key.startsWith('notes.')) {
+      doc.notes = doc.notes || {};
+      doc.notes[key.slice('notes.'.length)] = value;
+    } else {
+      doc[key] = value;
+    }
+  }
+  return doc;
+};
+
+module.exports = {
+  CONCENTRATIONS,
+  GENDERS,
+  FAMILIES,
+  NOTE_TIERS,
+  CONCENTRATION_ALIASES,
+  GENDER_ALIASES,
+  fragranceFields,
+  fragranceUpdate,
+  toDocumentFields
+};
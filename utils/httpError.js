@@ -0,0 +1,9 @@
+const { errorForStatus } = require('./errors');
+
+// =======================
+// Error carrying an HTTP status for controllers to pass through.
+// The status picks the class from utils/errors (404 -> NotFoundError, ...).
+// =======================
+const httpError = (status, message, details) => errorForStatus(status, message, details);
+
+module.exports = httpError;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const ImageAsset = require('../models/ImageAsset');
+const { processImage, deleteImageFiles } = require('./imageProcessing');
+const { getStorage } = require('./storage');
+const { logger } = require('./logger');
+
+// =======================
+// Helpers
+// =======================
+const hashContent = (input) => crypto.createHash('sha256').update(input).digest('hex');
+
+// Same shape as processImage() so callers don't care whether the image was new
+const toProcessed = (asset) => {
+  const assetObj = asset.toObject();
+  return {
+    imageUrl: assetObj.imageUrl,
+    width: assetObj.width,
+    height: assetObj.height,
+    variants: assetObj.variants,
+    hash: assetObj.hash
+  };
+};
+
+const retain = (hash) => ImageAsset.findOneAndUpdate({ hash }, { $inc: { refCount: 1 } }, { new: true });
+
+// =======================
+// Store an upload under a hash of its content and take a reference to it.
+// Identical uploads are processed once and share the same files and URLs.
+// =======================
+const storeImage = async (input, { storage = getStorage() } = {}) => {
+  const hash = hashContent(input);
+
+  const existing = await retain(hash);
+  if (existing) {
+    return toProcessed(existing);
+  }
+
+  const processed = await processImage(input, { baseName: `img-${hash.slice(0, 32)}`, storage });
+  try {
+    const asset = await ImageAsset.create({
+      hash,
+      imageUrl: processed.imageUrl,
+      variants: processed.variants,
+      width: processed.width,
+      height: processed.height,
+      size: input.length,
+      refCount: 1
+    });
+    return toProcessed(asset);
+  } catch (error) {
+    // The same bytes were stored concurrently; the files are identical, so share them
+    if (error.code === 11000) {
+      const asset = await retain(hash);
+      if (asset) return toProcessed(asset);
+    }
+    await deleteImageFiles(processed.imageUrl, processed.variants);
+    throw error;
+  }
+};
+
+// =======================
+// Drop one reference to an image; its files are deleted with the last one.
+// Images stored before content addressing have no asset and belong to a
+// single product, so their files are deleted straight away.
+// =======================
+const releaseImage = async ({ url, variants } = {}) => {
+  if (!url) return;
+
+  const asset = await ImageAsset.findOneAndUpdate(
+    { imageUrl: url, refCount: { $gt: 0 } },
+    { $inc: { refCount: -1 } },
+    { new: true }
+  );
+
+  if (!asset) {
+    const tracked = await ImageAsset.exists({ imageUrl: url });
+    if (!tracked) {
+      await deleteImageFiles(url, variants);
+    }
+    return;
+  }
+
+  if (asset.refCount === 0) {
+    const removed = await ImageAsset.findOneAndDelete({ _id: asset._id, refCount: 0 });
+    if (removed) {
+      await deleteImageFiles(removed.imageUrl, removed.toObject().variants);
+    }
+  }
+};
+
+const releaseImages = async (images) => {
+  for (const image of images) {
+    try {
+      await releaseImage(image);
+    } catch (error) {
+      logger.error('Releasing image failed', { url: image && image.url, error });
+    }
+  }
+};
+
+module.exports = {
+  hashContent,
+  storeImage,
+  releaseImage,
+  releaseImages
+};
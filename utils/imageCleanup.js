@@ -0,0 +1,267 @@
+const Product = require('../models/Product');
+const ImageAsset = require('../models/ImageAsset');
+const QuarantinedImage = require('../models/QuarantinedImage');
+const httpError = require('./httpError');
+const { imageUrls } = require('./imageProcessing');
+const { productImageUrls } = require('./productImages');
+const { getStorage, keyFromUrl, contentTypeFor } = require('./storage');
+const { logger } = require('./logger');
+const { recordAudit } = require('./audit');
+
+// A number of at least 0 from the environment; an explicit 0 counts, unlike with `|| fallback`
+const envNumber = (name, fallback) => {
+  const raw = process.env[name];
+  const value = raw === undefined || String(raw).trim() === '' ? NaN : Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Files younger than this are never touched; uploads may still be in flight
+const ORPHAN_GRACE_HOURS = envNumber('ORPHAN_GRACE_HOURS', 24);
+// Quarantined files are purged for good after this long
+const QUARANTINE_RETENTION_DAYS = Number(process.env.QUARANTINE_RETENTION_DAYS) || 30;
+// A run that would quarantine more than this share of the store is refused
+const ORPHAN_MAX_RATIO = Number(process.env.ORPHAN_MAX_RATIO) || 0.5;
+// ...once it involves at least this many files; a few orphans after deletes are normal
+const SUSPICIOUS_MIN_CANDIDATES = 50;
+
+// quarantine: move orphans aside; dry-run: only log the report; off: do nothing
+const CLEANUP_MODES = ['quarantine', 'dry-run', 'off'];
+const CLEANUP_MODE = CLEANUP_MODES.includes(process.env.ORPHAN_CLEANUP_MODE) ? process.env.ORPHAN_CLEANUP_MODE : 'quarantine';
+const CLEANUP_INTERVAL_HOURS = Number(process.env.ORPHAN_CLEANUP_INTERVAL_HOURS) || 24;
+
+const QUARANTINE_PREFIX = 'quarantine/';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// =======================
+// Helpers
+// =======================
+const isQuarantineKey = (key) => key.startsWith(QUARANTINE_PREFIX);
+
+// Every storage key the database still points at, plus how complete that answer is
+const loadReferences = async () => {
+  const [products, productCount, assets] = await Promise.all([
+    // Trashed products keep their images until they are purged
+    Product.find({}, 'imageUrl imageVariants images').setOptions({ withDeleted: true }),
+    Product.countDocuments({}).setOptions({ withDeleted: true }),
+    // Still-referenced assets cover uploads that are not saved on a product yet
+    ImageAsset.find({ refCount: { $gt: 0 } }, 'imageUrl variants')
+  ]);
+
+  const keys = new Set([
+    ...products.flatMap(product => productImageUrls(product)),
+    ...assets.flatMap(asset => imageUrls(asset.imageUrl, asset.toObject().variants))
+  ].map(url => keyFromUrl(url)));
+
+  return { keys, productsLoaded: products.length, productCount };
+};
+
+// Reasons to distrust a run; any of them stops a real cleanup unless forced
+const findWarnings = ({ productsLoaded, productCount, stored, candidates }) => {
+  const warnings = [];
+  if (productsLoaded !== productCount) {
+    warnings.push(`Product query returned ${productsLoaded} of ${productCount} products`);
+  }
+  if (productCount === 0 && stored > 0) {
+    warnings.push(`No products found but ${stored} stored files`);
+  }
+  if (candidates >= SUSPICIOUS_MIN_CANDIDATES && candidates / stored > ORPHAN_MAX_RATIO) {
+    warnings.push(`${candidates} of ${stored} stored files look orphaned (limit ${Math.round(ORPHAN_MAX_RATIO * 100)}%)`);
+  }
+  return warnings;
+};
+
+// =======================
+// Move one file under quarantine/ and record where it came from
+// =======================
+const quarantineFile = async (object, { storage, retentionDays }) => {
+  const data = await storage.get(object.key);
+  if (!data) return null;
+
+  const now = new Date();
+  const quarantineKey = `${QUARANTINE_PREFIX}${now.getTime()}/${object.key}`;
+  await storage.put(quarantineKey, data, { contentType: contentTypeFor(object.key) });
+
+  const record = await QuarantinedImage.create({
+    key: object.key,
+    quarantineKey,
+    size: object.size,
+    lastModified: object.lastModified,
+    quarantinedAt: now,
+    purgeAfter: new Date(now.getTime() + retentionDays * 24 * HOUR_MS)
+  });
+
+  await storage.delete(object.key);
+  return record;
+};
+
+// =======================
+// Find stored files no product or pending upload uses, older than the grace period.
+// With `dryRun` nothing moves; otherwise candidates are quarantined, not deleted.
+// A suspicious run is refused (409) unless `force` is set; partial results never are.
+// =======================
+const runOrphanCleanup = async ({
+  dryRun = true,
+  force = false,
+  graceHours = ORPHAN_GRACE_HOURS,
+  retentionDays = QUARANTINE_RETENTION_DAYS,
+  storage = getStorage()
+} = {}) => {
+  const grace = Number(graceHours);
+  if (!Number.isFinite(grace) || grace < 0) {
+    throw httpError(400, 'graceHours must be a number of at least 0');
+  }
+
+  const objects = (await storage.list()).filter(object => !isQuarantineKey(object.key));
+  const { keys, productsLoaded, productCount } = await loadReferences();
+
+  const cutoff = Date.now() - grace * HOUR_MS;
+  const orphans = objects.filter(object => !keys.has(object.key));
+  // Without a modification time a file's age is unknown, so it counts as recent
+  const candidates = orphans.filter(object => object.lastModified && new Date(object.lastModified).getTime() <= cutoff);
+
+  const warnings = findWarnings({ productsLoaded, productCount, stored: objects.length, candidates: candidates.length });
+
+  const report = {
+    dryRun,
+    driver: storage.name,
+    graceHours: grace,
+    scanned: objects.length,
+    referenced: objects.length - orphans.length,
+    skippedRecent: orphans.length - candidates.length,
+    candidates: candidates.map(({ key, size, lastModified }) => ({ key, size, lastModified })),
+    warnings,
+    quarantined: 0
+  };
+
+  if (dryRun) {
+    return report;
+  }
+
+  const partial = productsLoaded !== productCount;
+  if (warnings.length > 0 && (!force || partial)) {
+    throw httpError(409, `Refusing to clean up images: ${warnings.join('; ')}`, { report });
+  }
+
+  for (const object of candidates) {
+    try {
+      if (await quarantineFile(object, { storage, retentionDays })) {
+        report.quarantined++;
+      }
+    } catch (error) {
+      logger.error('Quarantining image failed', { key: object.key, error });
+    }
+  }
+
+  if (report.quarantined > 0) {
+    logger.info('Quarantined orphaned images', { count: report.quarantined });
+  }
+  return report;
+};
+
+// =======================
+// Delete quarantined files past their retention (or one file right away)
+// =======================
+const purgeQuarantined = async (record, storage = getStorage()) => {
+  await storage.delete(record.quarantineKey);
+  record.status = 'purged';
+  record.purgedAt = new Date();
+  return record.save();
+};
+
+const purgeExpiredQuarantine = async ({ now = new Date(), storage = getStorage() } = {}) => {
+  const expired = await QuarantinedImage.find({ status: 'quarantined', purgeAfter: { $lte: now } });
+  let count = 0;
+  for (const record of expired) {
+    try {
+      await purgeQuarantined(record, storage);
+      count++;
+    } catch (error) {
+      logger.error('Purging quarantined image failed', { key: record.quarantineKey, error });
+    }
+  }
+  if (count > 0) {
+    logger.info('Purged quarantined images', { count });
+  }
+  return count;
+};
+
+// =======================
+// Put a quarantined file back where it was
+// =======================
+const restoreQuarantined = async (record, { user, storage = getStorage() } = {}) => {
+  if (record.status !== 'quarantined') {
+    throw httpError(409, `Image is already ${record.status}`);
+  }
+  if (await storage.exists(record.key)) {
+    throw httpError(409, `A file already exists at ${record.key}`);
+  }
+
+  const data = await storage.get(record.quarantineKey);
+  if (!data) {
+    throw httpError(404, 'Quarantined file is missing from storage');
+  }
+
+  await storage.put(record.key, data, { contentType: contentTypeFor(record.key) });
+  await storage.delete(record.quarantineKey);
+
+  record.status = 'restored';
+  record.restoredAt = new Date();
+  record.restoredBy = user;
+  return record.save();
+};
+
+// =======================
+// Scheduled job: cleanup in the configured mode, then purge expired quarantine
+// =======================
+const runImageMaintenance = async (mode = CLEANUP_MODE) => {
+  if (mode === 'off') return null;
+
+  let report = null;
+  try {
+    report = await runOrphanCleanup({ dryRun: mode === 'dry-run' });
+    if (report.dryRun && report.candidates.length > 0) {
+      logger.info('Orphaned images would be quarantined (dry run)', { count: report.candidates.length });
+    }
+    report.warnings.forEach(warning => logger.warn('Image cleanup warning', { warning }));
+    if (report.quarantined > 0) {
+      await recordAudit(null, {
+        action: 'image.quarantine',
+        entity: 'image',
+        label: `${report.quarantined} orphaned images`,
+        changes: [],
+        metadata: { quarantined: report.quarantined, candidates: report.candidates.map(object => object.key), scheduled: true }
+      });
+    }
+  } catch (error) {
+    logger.warn('Image cleanup skipped', { reason: error.message });
+  }
+
+  const purged = await purgeExpiredQuarantine();
+  if (purged > 0) {
+    await recordAudit(null, { action: 'image.purge', entity: 'image', label: `${purged} expired images`, changes: [], metadata: { purged, scheduled: true } });
+  }
+  return report;
+};
+
+const startImageMaintenance = (intervalMs = CLEANUP_INTERVAL_HOURS * HOUR_MS) => {
+  const run = () => runImageMaintenance().catch(error => logger.error('Image maintenance failed', { error }));
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ORPHAN_GRACE_HOURS,
+  QUARANTINE_RETENTION_DAYS,
+  CLEANUP_MODES,
+  QUARANTINE_PREFIX,
+  isQuarantineKey,
+  runOrphanCleanup,
+  purgeQuarantined,
+  purgeExpiredQuarantine,
+  restoreQuarantined,
+  runImageMaintenance,
+  startImageMaintenance
+};
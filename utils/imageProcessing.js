@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const httpError = require('./httpError');
+const { getStorage, toStoredUrl, keyFromUrl } = require('./storage');
+const { logger } = require('./logger');
+
+// Responsive widths, in pixels; images are never enlarged past their source size
+const IMAGE_SIZES = {
+  thumbnail: 150,
+  card: 400,
+  detail: 800,
+  zoom: 1600
+};
+
+// Smallest first so browsers pick the best one they support from <picture>
+const IMAGE_FORMATS = ['avif', 'webp', 'jpeg'];
+
+const FORMAT_OPTIONS = {
+  avif: { quality: 50, effort: 2 },
+  webp: { quality: 78 },
+  jpeg: { quality: 82, mozjpeg: true }
+};
+
+const FORMAT_EXTENSIONS = {
+  avif: 'avif',
+  webp: 'webp',
+  jpeg: 'jpg',
+  png: 'png'
+};
+
+const CONTENT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+// The stored original is capped to this size on its longest edge
+const MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION) || 2400;
+// Refuse to decode anything bigger (pixel-bomb guard)
+const MAX_INPUT_PIXELS = Number(process.env.IMAGE_MAX_INPUT_PIXELS) || 50 * 1000 * 1000;
+
+// =======================
+// Helpers
+// =======================
+const generateBaseName = () => `image-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+// Auto-orient from EXIF, then drop all metadata (EXIF, GPS, XMP); sharp strips it unless asked to keep it
+const pipeline = (input) => sharp(input, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' }).rotate();
+
+// =======================
+// Validate, clean and resize an uploaded image.
+// Stores a cleaned original plus every size/format variant through the storage driver.
+// =======================
+const processImage = async (input, { baseName = generateBaseName(), storage = getStorage() } = {}) => {
+  let metadata;
+  try {
+    metadata = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw httpError(400, /pixel limit/i.test(error.message) ? 'Image dimensions are too large' : 'Invalid image format');
+  }
+
+  if (!metadata.width || !metadata.height) {
+    throw httpError(400, 'Invalid image format');
+  }
+
+  const written = [];
+
+  const writeFile = async (image, filename, format) => {
+    const { data, info } = await image.toBuffer({ resolveWithObject: true });
+    await storage.put(filename, data, { contentType: CONTENT_TYPES[format] });
+    written.push(filename);
+    return info;
+  };
+
+  try {
+    // Cleaned original: transparent images stay PNG, everything else becomes JPEG
+    const masterFormat = metadata.hasAlpha ? 'png' : 'jpeg';
+    const masterName = `${baseName}.${FORMAT_EXTENSIONS[masterFormat]}`;
+    const master = pipeline(input)
+      .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+      .toFormat(masterFormat, masterFormat === 'jpeg' ? FORMAT_OPTIONS.jpeg : {});
+    const masterInfo = await writeFile(master, masterName, masterFormat);
+
+    const variants = {};
+    for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+      variants[size] = { width: null, height: null };
+      for (const format of IMAGE_FORMATS) {
+        const filename = `${baseName}-${size}.${FORMAT_EXTENSIONS[format]}`;
+        let image = pipeline(input).resize({ width, withoutEnlargement: true });
+        // JPEG has no alpha channel; flatten transparent bottles onto white
+        if (format === 'jpeg') {
+          image = image.flatten({ background: '#ffffff' });
+        }
+        const info = await writeFile(image.toFormat(format, FORMAT_OPTIONS[format]), filename, format);
+        variants[size][format] = toStoredUrl(filename);
+        variants[size].width = info.width;
+        variants[size].height = info.height;
+      }
+    }
+
+    return {
+      imageUrl: toStoredUrl(masterName),
+      width: masterInfo.width,
+      height: masterInfo.height,
+      variants,
+      files: written
+    };
+  } catch (error) {
+    // Don't leave half a set of variants behind
+    await Promise.all(written.map(filename => storage.delete(filename).catch(() => {})));
+    if (error.status) throw error;
+    throw httpError(400, 'Invalid image format');
+  }
+};
+
+// =======================
+// Every upload URL belonging to one image (original and variants)
+// =======================
+const imageUrls = (imageUrl, variants) => {
+  const urls = [];
+  if (imageUrl) urls.push(imageUrl);
+  for (const size of Object.values(variants || {})) {
+    for (const format of IMAGE_FORMATS) {
+      if (size && size[format]) urls.push(size[format]);
+    }
+  }
+  return urls
+    .map(url => keyFromUrl(url))
+    .filter(Boolean)
+    .map(toStoredUrl);
+};
+
+const deleteUploadFiles = async (urls, storage = getStorage()) => {
+  for (const url of urls) {
+    const key = keyFromUrl(url);
+    if (!key) continue;
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      logger.error('Deleting image file failed', { url, error });
+    }
+  }
+};
+
+const deleteImageFiles = (imageUrl, variants) => deleteUploadFiles(imageUrls(imageUrl, variants));
+
+// =======================
+// Where clients fetch a stored image from; the driver decides (API path or bucket URL)
+// =======================
+const publicImageUrl = (url, storage = getStorage()) => {
+  const key = keyFromUrl(url);
+  return key ? storage.url(key) : url;
+};
+
+// Whether the bytes behind a stored image reference are still there
+const imageExists = async (url, storage = getStorage()) => {
+  const key = keyFromUrl(url);
+  return key ? storage.exists(key) : false;
+};
+
+// =======================
+// srcset strings per format, e.g. { webp: "https://.../a-thumbnail.webp 150w, ..." }
+// =======================
+const buildSrcset = (variants, toFullUrl) => {
+  if (!variants) return null;
+  const srcset = {};
+  for (const format of IMAGE_FORMATS) {
+    const entries = Object.keys(IMAGE_SIZES)
+      .filter(size => variants[size] && variants[size][format])
+      .map(size => `${toFullUrl(variants[size][format])} ${variants[size].width}w`);
+    if (entries.length > 0) {
+      srcset[format] = entries.join(', ');
+    }
+  }
+  return Object.keys(srcset).length > 0 ? srcset : null;
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  IMAGE_FORMATS,
+  MAX_DIMENSION,
+  processImage,
+  imageUrls,
+  deleteUploadFiles,
+  deleteImageFiles,
+  publicImageUrl,
+  imageExists,
+  buildSrcset
+};
@@ -0,0 +1,320 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const StockReservation = require('../models/StockReservation');
+const httpError = require('./httpError');
+const { logger } = require('./logger');
+
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 5;
+const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 15;
+
+// Direction of each movement type; corrections carry their own sign
+const MOVEMENT_SIGNS = {
+  restock: 1,
+  return: 1,
+  sale: -1,
+  damage: -1,
+  correction: 0
+};
+
+// =======================
+// Helpers
+// =======================
+const normalizeSku = (sku) => String(sku || '').trim().toUpperCase();
+
+const findVariant = (product, sku) => product.variants.find(variant => variant.sku === sku);
+
+// On-hand units: sellable stock plus units held by active reservations
+const onHand = (variant) => (variant.stock || 0) + (variant.reserved || 0);
+
+// Atomically apply stock/reserved deltas to one variant, refusing to take stock below zero
+const incrementVariant = async (sku, { stock = 0, reserved = 0 }) => {
+  const match = { sku };
+  if (stock < 0) match.stock = { $gte: -stock };
+  if (reserved < 0) match.reserved = { $gte: -reserved };
+
+  const product = await Product.findOneAndUpdate(
+    { variants: { $elemMatch: match } },
+    { $inc: { 'variants.$.stock': stock, 'variants.$.reserved': reserved } },
+    { new: true }
+  );
+
+  if (product) {
+    return { product, variant: findVariant(product, sku) };
+  }
+
+  const exists = await Product.exists({ 'variants.sku': sku });
+  if (!exists) {
+    throw httpError(404, `No variant with SKU ${sku}`);
+  }
+  throw httpError(409, `Insufficient stock for SKU ${sku}`);
+};
+
+// =======================
+// Record a stock adjustment in the ledger
+// =======================
+const adjustStock = async ({ sku, type, quantity, reason = '', reference = '', user }) => {
+  const cleanSku = normalizeSku(sku);
+  if (!cleanSku) {
+    throw httpError(400, 'SKU is required');
+  }
+  if (!Object.prototype.hasOwnProperty.call(MOVEMENT_SIGNS, type)) {
+    throw httpError(400, `Type must be one of: ${Object.keys(MOVEMENT_SIGNS).join(', ')}`);
+  }
+
+  const amount = Number(quantity);
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw httpError(400, 'Quantity must be a non-zero whole number');
+  }
+  if (type !== 'correction' && amount < 0) {
+    throw httpError(400, 'Quantity must be positive; the movement type sets the direction');
+  }
+  if ((type === 'damage' || type === 'correction') && !String(reason).trim()) {
+    throw httpError(400, `A reason is required for ${type} adjustments`);
+  }
+
+  const delta = type === 'correction' ? amount : amount * MOVEMENT_SIGNS[type];
+  const { product, variant } = await incrementVariant(cleanSku, { stock: delta });
+
+  return StockMovement.create({
+    product: product._id,
+    variant: variant._id,
+    sku: cleanSku,
+    type,
+    quantity: delta,
+    balanceAfter: onHand(variant),
+    reason,
+    reference,
+    user
+  });
+};
+
+// =======================
+// Log ledger entries for stock edited through the product endpoints,
+// including the stock of variants that were removed
+// =======================
+const recordStockChanges = async (previousVariants, product, user) => {
+  const previousById = new Map((previousVariants || []).map(variant => [String(variant._id), variant]));
+  const movements = [];
+
+  for (const variant of product.variants) {
+    const previous = previousById.get(String(variant._id));
+    previousById.delete(String(variant._id));
+    const delta = (variant.stock || 0) - (previous ? previous.stock || 0 : 0);
+    if (delta === 0) continue;
+
+    movements.push({
+      product: product._id,
+      variant: variant._id,
+      sku: variant.sku,
+      type: !previous && delta > 0 ? 'restock' : 'correction',
+      quantity: delta,
+      balanceAfter: onHand(variant),
+      reason: previous ? 'Edited on product' : 'Initial stock',
+      user
+    });
+  }
+
+  for (const removed of previousById.values()) {
+    if (!removed.stock) continue;
+    movements.push({
+      product: product._id,
+      variant: removed._id,
+      sku: removed.sku,
+      type: 'correction',
+      quantity: -removed.stock,
+      balanceAfter: removed.reserved || 0,
+      reason: 'Variant removed',
+      user
+    });
+  }
+
+  if (movements.length > 0) {
+    await StockMovement.insertMany(movements);
+  }
+  return movements;
+};
+
+// =======================
+// Hold stock for a checkout. All items are reserved or none are.
+// =======================
+const reserveStock = async ({ items, reference, ttlMinutes = RESERVATION_TTL_MINUTES }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'At least one item is required');
+  }
+  if (!reference) {
+    throw httpError(400, 'A reservation reference is required');
+  }
+
+  const ttl = Number(ttlMinutes);
+  if (!Number.isFinite(ttl) || ttl <= 0 || ttl > 24 * 60) {
+    throw httpError(400, 'ttlMinutes must be between 0 and 1440');
+  }
+
+  const requested = items.map(item => ({ sku: normalizeSku(item.sku), quantity: Number(item.quantity) }));
+  for (const item of requested) {
+    if (!item.sku || !Number.isInteger(item.quantity) || item.quantity < 1) {
+      throw httpError(400, 'Each item needs a SKU and a positive whole quantity');
+    }
+  }
+
+  const held = [];
+  try {
+    for (const item of requested) {
+      const { product, variant } = await incrementVariant(item.sku, { stock: -item.quantity, reserved: item.quantity });
+      held.push({ product: product._id, variant: variant._id, sku: item.sku, quantity: item.quantity });
+    }
+  } catch (error) {
+    // Give back whatever was already held before the failing item
+    for (const item of held) {
+      await incrementVariant(item.sku, { stock: item.quantity, reserved: -item.quantity });
+    }
+    throw error;
+  }
+
+  return StockReservation.create({
+    reference,
+    items: held,
+    expiresAt: new Date(Date.now() + ttl * 60 * 1000)
+  });
+};
+
+// =======================
+// Turn a reservation into sales
+// =======================
+const commitReservation = async (id, { user } = {}) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { _id: id, status: 'active', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'committed' } },
+    { new: true }
+  );
+  if (!reservation) {
+    throw httpError(409, 'Reservation is not active or has expired');
+  }
+
+  // Claiming the reservation above keeps it from being released meanwhile. If
+  // an item can't be taken, put back the ones that were and make it active again.
+  const sold = [];
+  try {
+    for (const item of reservation.items) {
+      const { variant } = await incrementVariant(item.sku, { reserved: -item.quantity });
+      sold.push({ item, variant });
+    }
+  } catch (error) {
+    for (const { item } of sold) {
+      await incrementVariant(item.sku, { reserved: item.quantity });
+    }
+    await StockReservation.updateOne({ _id: reservation._id }, { $set: { status: 'active' } });
+    throw error;
+  }
+
+  await StockMovement.insertMany(sold.map(({ item, variant }) => ({
+    product: item.product,
+    variant: item.variant,
+    sku: item.sku,
+    type: 'sale',
+    quantity: -item.quantity,
+    balanceAfter: onHand(variant),
+    reason: 'Checkout',
+    reference: reservation.reference,
+    user
+  })));
+
+  return reservation;
+};
+
+// =======================
+// Return held stock to the shelf
+// =======================
+const releaseReservation = async (id, status = 'released') => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { _id: id, status: 'active' },
+    { $set: { status } },
+    { new: true }
+  );
+  if (!reservation) {
+    throw httpError(409, 'Reservation is not active');
+  }
+
+  for (const item of reservation.items) {
+    try {
+      await incrementVariant(item.sku, { stock: item.quantity, reserved: -item.quantity });
+    } catch (error) {
+      // The variant may have been removed since; nothing left to give back
+      logger.warn('Could not release reserved stock', { sku: item.sku, quantity: item.quantity, error });
+    }
+  }
+
+  return reservation;
+};
+
+// =======================
+// Release every reservation past its expiry
+// =======================
+const expireReservations = async () => {
+  const expired = await StockReservation.find({ status: 'active', expiresAt: { $lte: new Date() } }, '_id');
+  let count = 0;
+  for (const { _id } of expired) {
+    try {
+      await releaseReservation(_id, 'expired');
+      count++;
+    } catch (error) {
+      // Committed or released concurrently
+    }
+  }
+  if (count > 0) {
+    logger.info('Expired stock reservations', { count });
+  }
+  return count;
+};
+
+const startReservationSweeper = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    expireReservations().catch(error => logger.error('Expiring reservations failed', { error }));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+// =======================
+// Variants at or below their low-stock threshold
+// =======================
+const findLowStock = async (threshold = LOW_STOCK_THRESHOLD) => {
+  return Product.aggregate([
+    { $unwind: '$variants' },
+    {
+      $addFields: {
+        threshold: { $ifNull: ['$variants.lowStockThreshold', threshold] }
+      }
+    },
+    { $match: { $expr: { $lte: ['$variants.stock', '$threshold'] } } },
+    { $sort: { 'variants.stock': 1, title: 1 } },
+    {
+      $project: {
+        _id: 0,
+        productId: '$_id',
+        title: 1,
+        brand: 1,
+        variantId: '$variants._id',
+        sku: '$variants.sku',
+        volumeMl: '$variants.volumeMl',
+        type: '$variants.type',
+        stock: '$variants.stock',
+        reserved: { $ifNull: ['$variants.reserved', 0] },
+        threshold: 1
+      }
+    }
+  ]);
+};
+
+module.exports = {
+  LOW_STOCK_THRESHOLD,
+  RESERVATION_TTL_MINUTES,
+  adjustStock,
+  recordStockChanges,
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+  expireReservations,
+  startReservationSweeper,
+  findLowStock
+};
@@ -0,0 +1,125 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// =======================
+// Structured logger. Each entry is one JSON line:
+//   { time, level, message, requestId, ...fields }
+// LOG_LEVEL picks the lowest level written (error, warn, info, debug or
+// silent; debug in development, info otherwise). LOG_FORMAT=pretty prints
+// readable lines instead, for local use. Fields are redacted before they are
+// written: secrets are masked, data URLs and long strings are cut short.
+// =======================
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Fields of the request being handled (its id), added to every entry logged while it runs
+const context = new AsyncLocalStorage();
+
+// =======================
+// Redaction
+// =======================
+const REDACTED = '[REDACTED]';
+const SECRET_KEY_PATTERN = /pass(word)?$|token|secret|authorization|cookie|api-?key|^card|cvc|cvv/i;
+const DATA_URL_PATTERN = /^data:([^;,]*)[;,]/;
+const MAX_STRING_LENGTH = 1000;
+const MAX_ARRAY_LENGTH = 20;
+const MAX_DEPTH = 5;
+
+const redactString = (value) => {
+  const dataUrl = DATA_URL_PATTERN.exec(value);
+  if (dataUrl) return `[data URL ${dataUrl[1] || 'unknown type'}, ${value.length} chars]`;
+  if (value.length > MAX_STRING_LENGTH) return `${value.slice(0, MAX_STRING_LENGTH)}... [${value.length - MAX_STRING_LENGTH} more chars]`;
+  return value;
+};
+
+const serializeError = (error, depth) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.status !== undefined && { status: error.status }),
+  stack: error.stack,
+  ...(error.cause && depth < MAX_DEPTH && { cause: redact(error.cause, depth + 1) })
+});
+
+// A copy of `value` that is safe to log
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value, depth);
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  if (typeof value.toJSON === 'function') return redact(value.toJSON(), depth);
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_LENGTH).map(item => redact(item, depth + 1));
+    if (value.length > MAX_ARRAY_LENGTH) items.push(`[${value.length - MAX_ARRAY_LENGTH} more items]`);
+    return items;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) && field !== undefined && field !== null && field !== '' ? REDACTED : redact(field, depth + 1)
+  ]));
+};
+
+// A URL with secret query parameters (?token=) masked
+const redactUrl = (url) => {
+  const [path, query] = String(url).split(/\?(.*)/s);
+  if (!query) return path;
+  const params = new URLSearchParams(query);
+  for (const key of params.keys()) {
+    if (SECRET_KEY_PATTERN.test(key)) params.set(key, REDACTED);
+  }
+  return `${path}?${params.toString().replace(/%5BREDACTED%5D/g, REDACTED)}`;
+};
+
+// =======================
+// Writing entries
+// =======================
+const currentLevel = () => {
+  const configured = String(process.env.LOG_LEVEL || '').toLowerCase();
+  if (configured === 'silent') return -1;
+  if (configured in LEVELS) return LEVELS[configured];
+  return process.env.NODE_ENV === 'development' ? LEVELS.debug : LEVELS.info;
+};
+
+const format = (entry) => {
+  if (process.env.LOG_FORMAT !== 'pretty') return JSON.stringify(entry);
+  const { time, level, message, ...fields } = entry;
+  const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${message}${extra}`;
+};
+
+const write = (level, message, bindings, fields) => {
+  if (LEVELS[level] > currentLevel()) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...context.getStore(),
+    ...redact({ ...bindings, ...fields })
+  };
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${format(entry)}\n`);
+};
+
+// `child` gives a logger that adds the same fields to every entry
+const createLogger = (bindings = {}) => ({
+  error: (message, fields) => write('error', message, bindings, fields),
+  warn: (message, fields) => write('warn', message, bindings, fields),
+  info: (message, fields) => write('info', message, bindings, fields),
+  debug: (message, fields) => write('debug', message, bindings, fields),
+  child: (fields) => createLogger({ ...bindings, ...fields })
+});
+
+const logger = createLogger();
+
+// Run `fn` with `fields` added to every entry logged inside it, including async work it starts
+const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+module.exports = {
+  LEVELS,
+  logger,
+  redact,
+  redactUrl,
+  withLogContext
+};
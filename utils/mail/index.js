@@ -0,0 +1,38 @@
+const createOutboxTransport = require('./outboxTransport');
+
+// =======================
+// Mail transport registry.
+// A transport is an object with `name` and `send({ from, to, subject, text, html })`.
+// =======================
+const transports = new Map();
+
+const registerTransport = (transport) => {
+  if (!transport || !transport.name || typeof transport.send !== 'function') {
+    throw new Error('Mail transports need a name and send()');
+  }
+  transports.set(transport.name, transport);
+};
+
+const getTransport = (name = process.env.MAIL_TRANSPORT || 'outbox') => {
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+const sendMail = async (message) => {
+  const transport = getTransport();
+  return transport.send({
+    from: process.env.MAIL_FROM || 'no-reply@perfume.local',
+    ...message
+  });
+};
+
+registerTransport(createOutboxTransport());
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  sendMail
+};
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// =======================
+// Writes each message as a JSON file instead of sending it.
+// Used by default so the email flows work without an SMTP server.
+// =======================
+const createOutboxTransport = (outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox')) => ({
+  name: 'outbox',
+  outboxDir,
+
+  send: async (message) => {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(outboxDir, `${id}.json`);
+    const record = { id, date: new Date().toISOString(), ...message };
+
+    await fs.promises.writeFile(filePath, JSON.stringify(record, null, 2));
+    return { id, path: filePath };
+  }
+});
+
+module.exports = createOutboxTransport;
@@ -0,0 +1,29 @@
+// =======================
+// Email bodies for account flows
+// =======================
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const verificationEmail = (user, token) => {
+  const link = `${frontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Welcome! Confirm your email address by opening this link:\n\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Welcome!</p><p><a href="${link}">Confirm your email address</a></p><p>The link expires in 24 hours.</p>`
+  };
+};
+
+const passwordResetEmail = (user, token) => {
+  const link = `${frontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Someone asked to reset the password for this account. If it was you, open this link:\n\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, ignore this email.`,
+    html: `<p>Someone asked to reset the password for this account.</p><p><a href="${link}">Reset your password</a></p><p>The link expires in 1 hour. If you didn't ask for this, ignore this email.</p>`
+  };
+};
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail
+};
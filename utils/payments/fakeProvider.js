@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+// =======================
+// Offline payment provider for development and tests.
+// Pass `simulate: 'decline' | 'pending'` in the payment details to exercise other outcomes.
+// =======================
+const fakeProvider = {
+  name: 'fake',
+
+  charge: async ({ amount, currency, details = {} }) => {
+    const reference = `fake_${crypto.randomBytes(8).toString('hex')}`;
+
+    if (details.simulate === 'decline') {
+      return { status: 'failed', reference, message: 'Card declined (simulated)' };
+    }
+    if (details.simulate === 'pending') {
+      return { status: 'pending', reference };
+    }
+    return { status: 'succeeded', reference, amount, currency };
+  },
+
+  refund: async ({ reference, amount }) => {
+    return { status: 'refunded', reference: `fake_refund_${crypto.randomBytes(8).toString('hex')}`, original: reference, amount };
+  }
+};
+
+module.exports = fakeProvider;
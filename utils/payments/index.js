@@ -0,0 +1,34 @@
+const fakeProvider = require('./fakeProvider');
+
+// =======================
+// Payment provider registry.
+// A provider is an object with `name`, `charge({ amount, currency, orderNumber, details })`
+// and `refund({ reference, amount, currency })`, both resolving to `{ status, reference }`.
+// Checkout always charges through PAYMENT_PROVIDER; customers don't get to pick.
+// =======================
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.charge !== 'function' || typeof provider.refund !== 'function') {
+    throw new Error('Payment providers need a name, charge() and refund()');
+  }
+  providers.set(provider.name, provider);
+};
+
+const getProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// The fake provider approves every charge, so production only has it when asked for explicitly
+if (process.env.NODE_ENV !== 'production' || process.env.ENABLE_FAKE_PAYMENTS === 'true') {
+  registerProvider(fakeProvider);
+}
+
+module.exports = {
+  registerProvider,
+  getProvider
+};
@@ -0,0 +1,65 @@
+// =======================
+// Roles, from least to most privileged. Each role has every permission of the roles below it.
+// =======================
+const ROLES = ['customer', 'editor', 'admin', 'owner'];
+
+const ROLE_PERMISSIONS = {
+  customer: [
+    'profile:manage',
+    'cart:manage',
+    'orders:create',
+    'orders:read:own',
+    'reviews:write'
+  ],
+  editor: [
+    'products:write',
+    'inventory:read'
+  ],
+  admin: [
+    'inventory:write',
+    'orders:manage',
+    'images:manage',
+    'reviews:moderate',
+    'promotions:manage',
+    'pricing:manage',
+    'trash:manage',
+    'audit:read',
+    'audit:revert',
+    'users:read'
+  ],
+  owner: [
+    'users:manage',
+    'backups:manage'
+  ]
+};
+
+// Tokens issued before roles existed only carry `isAdmin`
+const roleOf = (user) => {
+  if (!user) return null;
+  if (user.role && ROLES.includes(user.role)) return user.role;
+  return user.isAdmin ? 'owner' : 'customer';
+};
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+const hasRole = (user, minimumRole) => {
+  const role = roleOf(user);
+  return role !== null && roleRank(role) >= roleRank(minimumRole);
+};
+
+const permissionsFor = (role) => {
+  const rank = roleRank(role);
+  if (rank < 0) return [];
+  return ROLES.slice(0, rank + 1).flatMap(name => ROLE_PERMISSIONS[name]);
+};
+
+const hasPermission = (user, permission) => permissionsFor(roleOf(user)).includes(permission);
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  roleOf,
+  hasRole,
+  permissionsFor,
+  hasPermission
+};
@@ -0,0 +1,43 @@
+// =======================
+// Money helpers shared by carts and orders
+// =======================
+
+// Round to whole cents to keep totals stable across additions
+const roundMoney = (amount) => Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+
+// Unit price after a percentage discount
+const applyDiscount = (price, discount = 0) => roundMoney(price * (1 - (discount || 0) / 100));
+
+// Price of one line: list price, discount and the quantity ordered.
+// `finalUnitPrice` overrides the discounted price when a promotion set it.
+const priceLine = ({ price, discount = 0, finalUnitPrice: promotedPrice }, quantity) => {
+  const unitPrice = roundMoney(price);
+  const finalUnitPrice = promotedPrice === undefined ? applyDiscount(unitPrice, discount) : roundMoney(promotedPrice);
+  return {
+    unitPrice,
+    discount: discount || 0,
+    finalUnitPrice,
+    quantity,
+    lineSubtotal: roundMoney(unitPrice * quantity),
+    lineDiscount: roundMoney((unitPrice - finalUnitPrice) * quantity),
+    lineTotal: roundMoney(finalUnitPrice * quantity)
+  };
+};
+
+// Sum priced lines into subtotal, discount and total
+const sumLines = (lines) => {
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineSubtotal, 0));
+  const discountTotal = roundMoney(lines.reduce((sum, line) => sum + line.lineDiscount, 0));
+  return {
+    subtotal,
+    discountTotal,
+    total: roundMoney(subtotal - discountTotal)
+  };
+};
+
+module.exports = {
+  roundMoney,
+  applyDiscount,
+  priceLine,
+  sumLines
+};
@@ -0,0 +1,96 @@
+const { getActiveSales, effectivePrice } = require('./promotions');
+const { BASE_CURRENCY, getRates, currencyInfo } = require('./currency');
+const { publicImageUrl, imageExists, buildSrcset } = require('./imageProcessing');
+const { galleryOf } = require('./productImages');
+const { logger } = require('./logger');
+
+// =======================
+// Utility function to validate image file exists in storage
+// =======================
+const validateImageFile = async (imageUrl) => {
+  if (!imageUrl) return false;
+  
+  try {
+    return await imageExists(imageUrl);
+  } catch (error) {
+    logger.error('Checking image in storage failed', { imageUrl, error });
+    return false;
+  }
+};
+
+// =======================
+// Utility function to get full image URL
+// =======================
+const getFullImageUrl = (storedUrl, req) => {
+  if (!storedUrl) return null;
+  
+  // Stored references resolve to wherever the storage driver serves them from
+  const imageUrl = publicImageUrl(storedUrl);
+  
+  // If it's already a full URL, return as is
+  if (imageUrl.startsWith('http')) {
+    return imageUrl;
+  }
+  
+  // If it's a relative path, make it absolute
+  if (imageUrl.startsWith('/uploads/')) {
+    const protocol = req.protocol;
+    const host = req.get('host');
+    return `${protocol}://${host}${imageUrl}`;
+  }
+  
+  return imageUrl;
+};
+
+// =======================
+// Utility function to shape a product for API responses
+// =======================
+const formatProduct = async (product, req) => {
+  const productObj = product.toObject();
+
+  // Validate and enhance image URL
+  if (productObj.imageUrl) {
+    productObj.imageExists = await validateImageFile(productObj.imageUrl);
+    productObj.fullImageUrl = getFullImageUrl(productObj.imageUrl, req);
+    productObj.srcset = buildSrcset(productObj.imageVariants, url => getFullImageUrl(url, req));
+  }
+
+  productObj.images = galleryOf(productObj).map(image => ({
+    ...image,
+    fullUrl: getFullImageUrl(image.url, req),
+    srcset: buildSrcset(image.variants, url => getFullImageUrl(url, req))
+  }));
+
+  // Prices in force right now, in the requested currency: the product's own
+  // discount or a live sale, whichever is lower. `price` stays in the product's currency.
+  const currency = req.currency || BASE_CURRENCY;
+  const [sales, rates] = await Promise.all([getActiveSales(), getRates()]);
+  const pricing = effectivePrice(productObj, productObj, sales, { currency, rates });
+  productObj.displayCurrency = currencyInfo(currency);
+  productObj.listPrice = pricing.price;
+  productObj.effectivePrice = pricing.finalPrice;
+  productObj.effectiveDiscount = pricing.discount;
+  productObj.activePromotion = pricing.promotion;
+  productObj.variants = (productObj.variants || []).map(variant => {
+    const variantPricing = effectivePrice(variant, productObj, sales, { currency, rates });
+    return {
+      ...variant,
+      listPrice: variantPricing.price,
+      effectivePrice: variantPricing.finalPrice,
+      effectiveDiscount: variantPricing.discount,
+      activePromotion: variantPricing.promotion
+    };
+  });
+
+  const variants = productObj.variants;
+  productObj.totalStock = variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+  productObj.inStock = productObj.totalStock > 0;
+
+  return productObj;
+};
+
+module.exports = {
+  validateImageFile,
+  getFullImageUrl,
+  formatProduct
+};
@@ -0,0 +1,125 @@
+const { imageUrls } = require('./imageProcessing');
+const { storeImage, releaseImages } = require('./imageAssets');
+const httpError = require('./httpError');
+
+const MAX_IMAGES = Number(process.env.MAX_PRODUCT_IMAGES) || 12;
+
+// =======================
+// Decode a base64 data URL and store it like an upload
+// =======================
+const processDataUrl = async (dataUrl) => {
+  const matches = dataUrl.match(/^data:image\/([a-zA-Z0-9.+-]+);base64,(.+)$/);
+  if (!matches) {
+    throw httpError(400, 'Invalid image format');
+  }
+  return storeImage(Buffer.from(matches[2], 'base64'));
+};
+
+const isDataUrl = (value) => typeof value === 'string' && value.startsWith('data:image');
+
+// =======================
+// Store every image sent under `field`, as multipart files and/or base64 data URLs.
+// Each stored image holds a reference until it is saved on a product or discarded.
+// If any image fails, the references already taken are dropped.
+// =======================
+const processRequestImages = async (req, field) => {
+  // multer's fields() keys files by field; array() gives a plain list
+  const files = Array.isArray(req.files)
+    ? req.files.filter(file => file.fieldname === field)
+    : (req.files && req.files[field]) || (req.file && req.file.fieldname === field ? [req.file] : []);
+  const bodyValue = req.body[field];
+  const dataUrls = (Array.isArray(bodyValue) ? bodyValue : [bodyValue]).filter(isDataUrl);
+
+  const processed = [];
+  try {
+    for (const file of files) {
+      processed.push(await storeImage(file.buffer));
+    }
+    for (const dataUrl of dataUrls) {
+      processed.push(await processDataUrl(dataUrl));
+    }
+  } catch (error) {
+    await discardProcessed(processed);
+    throw error;
+  }
+  return processed;
+};
+
+// Give back the references of images that never made it onto a product
+const discardProcessed = (processed) =>
+  releaseImages(processed.map(image => ({ url: image.imageUrl, variants: image.variants })));
+
+// Alt texts arrive as a string, an array or a JSON array string (multipart)
+const parseAltTexts = (value) => {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return parsed.map(String);
+    } catch (error) {
+      // fall through and treat it as a single alt text
+    }
+  }
+  return [String(value)];
+};
+
+const toImageEntry = (processed, alt = '', isPrimary = false) => ({
+  url: processed.imageUrl,
+  variants: processed.variants,
+  alt: String(alt).trim().slice(0, 300),
+  isPrimary
+});
+
+// =======================
+// Gallery of a product as plain objects. Products saved before galleries
+// existed only have `imageUrl`; it becomes their first (primary) image.
+// =======================
+const galleryOf = (product) => {
+  const productObj = typeof product.toObject === 'function' ? product.toObject() : product;
+  if (productObj.images && productObj.images.length > 0) {
+    return productObj.images;
+  }
+  if (productObj.imageUrl) {
+    return [{ url: productObj.imageUrl, variants: productObj.imageVariants, alt: productObj.title || '', isPrimary: true }];
+  }
+  return [];
+};
+
+// =======================
+// Exactly one primary image, mirrored into imageUrl/imageVariants for older clients
+// =======================
+const withPrimary = (images, primaryId) => {
+  let primaryIndex = images.findIndex(image => (primaryId ? String(image._id) === String(primaryId) : image.isPrimary));
+  if (primaryIndex < 0) primaryIndex = 0;
+
+  const gallery = images.map((image, index) => ({ ...image, isPrimary: index === primaryIndex }));
+  const primary = gallery[primaryIndex];
+
+  return {
+    images: gallery,
+    imageUrl: primary ? primary.url : undefined,
+    imageVariants: primary ? primary.variants : undefined
+  };
+};
+
+// Every upload URL referenced by a product: legacy fields plus the whole gallery
+const productImageUrls = (product) => {
+  const productObj = typeof product.toObject === 'function' ? product.toObject() : product;
+  const urls = imageUrls(productObj.imageUrl, productObj.imageVariants);
+  for (const image of productObj.images || []) {
+    urls.push(...imageUrls(image.url, image.variants));
+  }
+  return [...new Set(urls)];
+};
+
+module.exports = {
+  MAX_IMAGES,
+  processRequestImages,
+  discardProcessed,
+  parseAltTexts,
+  toImageEntry,
+  galleryOf,
+  withPrimary,
+  productImageUrls
+};
@@ -0,0 +1,79 @@
+const { fragranceFields, fragranceUpdate, toDocumentFields } = require('./fragranceAttributes');
+const { variantListField, cheapestVariant } = require('./variants');
+const { currencyField, priceOverridesField } = require('./currency');
+const { validateSchema, fieldError } = require('./validation');
+
+// =======================
+// Validation rules for a product body (see utils/validation). The product
+// routes validate with them, and imported items are held to the same rules.
+// =======================
+const productFields = {
+  title: { type: 'string', minLength: 1 },
+  description: { type: 'string' },
+  price: { type: 'number', min: 0 },
+  discount: { type: 'number', min: 0, max: 100 },
+  currency: currencyField,
+  prices: priceOverridesField,
+  slug: { type: 'string', lowercase: true },
+  categories: { type: 'array', items: { type: 'objectId' } },
+  variants: variantListField,
+  ...fragranceFields
+};
+
+// =======================
+// Mirror the cheapest variant into the product's base price.
+// Products with variants are listed at their "from" price.
+// =======================
+const syncBasePrice = (fields, variants) => {
+  const cheapest = cheapestVariant(variants);
+  if (cheapest) {
+    fields.price = cheapest.price;
+    fields.discount = cheapest.discount || 0;
+    fields.prices = (cheapest.prices || []).map(({ currency, price }) => ({ currency, price }));
+  }
+  return fields;
+};
+
+// =======================
+// Validate the body of a new product (API create or one catalog import item).
+// Returns `{ fields, variants }`, or `{ errors }` ({ field, location, message })
+// when it is rejected. Images are handled by the caller.
+// =======================
+const validateProductInput = (input = {}) => {
+  // Coerced as the validate middleware does: "12.5" becomes 12.5, blanks are dropped
+  const { values: body, errors } = validateSchema(productFields, input, { location: 'body' });
+  if (errors.length > 0) {
+    return { errors };
+  }
+  const { variants } = body;
+  const hasVariants = Boolean(variants && variants.length);
+
+  // Price and discount come from the variants when the product has any
+  const missing = ['title'].filter(field => !body[field]);
+  if (!hasVariants) {
+    missing.push(...['price', 'discount'].filter(field => body[field] === undefined));
+  }
+  if (missing.length > 0) {
+    return { errors: missing.map(field => fieldError(field, `${field} is required`)) };
+  }
+
+  const { title, description, price, discount, currency, prices } = body;
+  const fields = syncBasePrice({
+    title,
+    description,
+    price,
+    discount,
+    currency,
+    prices,
+    variants: variants || [],
+    ...toDocumentFields(fragranceUpdate(body).fields)
+  }, variants);
+
+  return { fields, variants };
+};
+
+module.exports = {
+  productFields,
+  syncBasePrice,
+  validateProductInput
+};
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const {
+  CONCENTRATIONS,
+  GENDERS,
+  FAMILIES,
+  NOTE_TIERS,
+  CONCENTRATION_ALIASES,
+  GENDER_ALIASES
+} = require('./fragranceAttributes');
+const { BASE_CURRENCY, convert } = require('./currency');
+const { fieldError, invalidRequest } = require('./validation');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields the list endpoint may be sorted on, mapped to their value type
+const SORTABLE_FIELDS = {
+  price: 'number',
+  rating: 'number',
+  discount: 'number',
+  title: 'string',
+  createdAt: 'date'
+};
+
+// Sort options kept on another field: prices compare in the base currency
+const SORT_PATHS = {
+  price: 'priceInBase'
+};
+
+// =======================
+// Validation rules for the list query string (see utils/validation).
+// Lists take repeated parameters or comma-separated text, e.g. concentration=edp,edt;
+// sort is a field name, prefixed with "-" for descending.
+// =======================
+const noteList = { type: 'array', items: { type: 'string', lowercase: true } };
+
+const productListQuery = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1, max: MAX_LIMIT },
+  cursor: { type: 'string' },
+  sort: { type: 'enum', values: Object.keys(SORTABLE_FIELDS).flatMap(field => [field, `-${field}`]), lowercase: false },
+  q: { type: 'string' },
+  minPrice: { type: 'number' },
+  maxPrice: { type: 'number' },
+  minRating: { type: 'number', min: 0, max: 5 },
+  minDiscount: { type: 'number' },
+  maxDiscount: { type: 'number' },
+  createdAfter: { type: 'date' },
+  createdBefore: { type: 'date' },
+  concentration: { type: 'array', items: { type: 'enum', values: CONCENTRATIONS, aliases: CONCENTRATION_ALIASES } },
+  gender: { type: 'array', items: { type: 'enum', values: GENDERS, aliases: GENDER_ALIASES } },
+  family: { type: 'array', items: { type: 'enum', values: FAMILIES } },
+  brand: { type: 'array', items: { type: 'string' } },
+  note: noteList,
+  topNote: noteList,
+  heartNote: noteList,
+  baseNote: noteList,
+  category: { type: 'string' }
+};
+
+// =======================
+// Helpers
+// =======================
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const addRange = (filter, field, min, max) => {
+  if (min === undefined && max === undefined) return;
+  filter[field] = {};
+  if (min !== undefined) filter[field].$gte = min;
+  if (max !== undefined) filter[field].$lte = max;
+};
+
+// =======================
+// Cursor encoding
+// =======================
+const encodeCursor = (doc, sortField) => {
+  const payload = { v: doc[sortField], id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('bad id');
+    const value = SORTABLE_FIELDS[sortField] === 'date' ? new Date(v) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw invalidRequest([fieldError('cursor', 'cursor is not a valid cursor', 'query')]);
+  }
+};
+
+// Documents strictly after the cursor position in the current sort order
+const cursorCondition = ({ value, id }, sortField, direction) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sortField]: { [op]: value } },
+      { [sortField]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+// =======================
+// Turn a list query string, validated with productListQuery, into a Mongo
+// filter, sort and page window. minPrice/maxPrice are in `currency` (the one
+// prices are shown in) and are converted with `rates` to match the stored
+// base-currency price.
+// =======================
+const parseProductQuery = (query = {}, { currency = BASE_CURRENCY, rates } = {}) => {
+  const filter = {};
+
+  const toBase = (amount) => (amount === undefined ? undefined : convert(amount, currency, BASE_CURRENCY, rates));
+  addRange(filter, 'priceInBase', toBase(query.minPrice), toBase(query.maxPrice));
+  addRange(filter, 'discount', query.minDiscount, query.maxDiscount);
+  addRange(filter, 'createdAt', query.createdAfter, query.createdBefore);
+
+  if (query.minRating !== undefined) {
+    filter.rating = { $gte: query.minRating };
+  }
+
+  for (const field of ['concentration', 'gender', 'family']) {
+    if (query[field] && query[field].length) filter[field] = { $in: query[field] };
+  }
+
+  if (query.brand && query.brand.length) {
+    filter.brand = { $in: query.brand.map(brand => new RegExp(`^${escapeRegex(brand)}$`, 'i')) };
+  }
+
+  // note=vetiver,iris matches products containing every listed note in any tier;
+  // topNote/heartNote/baseNote restrict the match to one tier
+  const noteConditions = (query.note || []).map(note => ({
+    $or: NOTE_TIERS.map(tier => ({ [`notes.${tier}`]: note }))
+  }));
+  for (const tier of NOTE_TIERS) {
+    const tierNotes = query[`${tier}Note`];
+    if (tierNotes && tierNotes.length) {
+      filter[`notes.${tier}`] = { $all: tierNotes };
+    }
+  }
+  if (noteConditions.length) {
+    filter.$and = noteConditions;
+  }
+
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(query.q), 'i');
+    filter.$or = [{ title: pattern }, { description: pattern }, { brand: pattern }];
+  }
+
+  const { sort = '-createdAt', limit = DEFAULT_LIMIT, page = 1 } = query;
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const sortName = sort.replace(/^-/, '');
+  const sortField = SORT_PATHS[sortName] || sortName;
+
+  const cursor = query.cursor ? decodeCursor(query.cursor, sortName) : null;
+
+  return {
+    filter,
+    sort: { [sortField]: direction, _id: direction },
+    sortField,
+    direction,
+    limit,
+    page,
+    cursor
+  };
+};
+
+// =======================
+// Run a parsed query and build the list envelope
+// =======================
+const findProducts = async (Model, parsed) => {
+  const { filter, sort, sortField, direction, limit, page, cursor } = parsed;
+
+  const pageFilter = cursor
+    ? { $and: [filter, cursorCondition(cursor, sortField, direction)] }
+    : filter;
+
+  let finder = Model.find(pageFilter).sort(sort).limit(limit + 1);
+  if (!cursor) {
+    finder = finder.skip((page - 1) * limit);
+  }
+
+  // Title sorting should not depend on letter case
+  if (sortField === 'title') {
+    finder = finder.collation({ locale: 'en', strength: 2 });
+  }
+
+  const [docs, total] = await Promise.all([finder, Model.countDocuments(filter)]);
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    total,
+    limit,
+    page: cursor ? null : page,
+    totalPages: Math.ceil(total / limit),
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null
+  };
+};
+
+module.exports = {
+  productListQuery,
+  parseProductQuery,
+  findProducts,
+  escapeRegex,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+};
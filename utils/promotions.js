@@ -0,0 +1,419 @@
+const Promotion = require('../models/Promotion');
+const Collection = require('../models/Collection');
+const CouponRedemption = require('../models/CouponRedemption');
+const httpError = require('./httpError');
+const { fieldError } = require('./validation');
+const { BASE_CURRENCY, roundCurrency, convert, listPrice } = require('./currency');
+
+const { PROMOTION_TYPES, DISCOUNT_TYPES, PROMOTION_SCOPES } = Promotion;
+
+// =======================
+// Stacking rules
+// - Sales never stack: each item gets the single lowest price among its own
+//   discount and every live sale covering it.
+// - One coupon per cart. It applies on top of sale prices, to the items in its
+//   scope; a coupon with `combinesWithSales: false` skips items on sale.
+// - A coupon's minimum order is checked against the total after sales.
+// Fixed amounts and minimum orders are in the base currency and converted
+// to the currency being priced.
+// =======================
+
+// Live sales are read on every product response; keep them for a short while
+const SALES_CACHE_MS = 30 * 1000;
+
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+const PROMOTION_STATES = ['live', 'scheduled', 'expired', 'inactive'];
+
+// =======================
+// Helpers
+// =======================
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const isLive = (promotion, now = new Date()) =>
+  Boolean(promotion.active)
+  && (!promotion.startsAt || new Date(promotion.startsAt) <= now)
+  && (!promotion.endsAt || new Date(promotion.endsAt) > now);
+
+const stateOf = (promotion, now = new Date()) => {
+  if (!promotion.active) return 'inactive';
+  if (promotion.startsAt && new Date(promotion.startsAt) > now) return 'scheduled';
+  if (promotion.endsAt && new Date(promotion.endsAt) <= now) return 'expired';
+  return 'live';
+};
+
+// Mongo filter for one of PROMOTION_STATES
+const stateFilter = (state, now = new Date()) => {
+  switch (state) {
+    case 'inactive':
+      return { active: false };
+    case 'scheduled':
+      return { active: true, startsAt: { $gt: now } };
+    case 'expired':
+      return { active: true, endsAt: { $lte: now } };
+    default:
+      return {
+        active: true,
+        $and: [
+          { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+          { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+        ]
+      };
+  }
+};
+
+// What customers see of a promotion
+const promotionSummary = (promotion) => ({
+  _id: promotion._id,
+  name: promotion.name,
+  type: promotion.type,
+  discountType: promotion.discountType,
+  value: promotion.value,
+  endsAt: promotion.endsAt || null
+});
+
+// =======================
+// Validation rules for a promotion body (see utils/validation). Blank dates
+// and limits clear them. The rules across fields are in parsePromotionInput.
+// =======================
+const promotionFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string' },
+  type: { type: 'enum', values: PROMOTION_TYPES },
+  code: { type: 'string', uppercase: true, pattern: COUPON_CODE_PATTERN, patternMessage: 'must be 3-32 letters, digits, "-" or "_"' },
+  discountType: { type: 'enum', values: DISCOUNT_TYPES },
+  value: { type: 'number', exclusiveMin: 0 },
+  scope: { type: 'enum', values: PROMOTION_SCOPES },
+  products: { type: 'array', items: { type: 'objectId' } },
+  brands: { type: 'array', items: { type: 'string', minLength: 1 } },
+  collections: { type: 'array', items: { type: 'objectId' } },
+  startsAt: { type: 'date', nullable: true },
+  endsAt: { type: 'date', nullable: true },
+  active: { type: 'boolean' },
+  minOrderTotal: { type: 'number', min: 0 },
+  usageLimit: { type: 'integer', min: 1, nullable: true },
+  perCustomerLimit: { type: 'integer', min: 1, nullable: true },
+  combinesWithSales: { type: 'boolean' }
+};
+
+// =======================
+// Check a promotion body validated with promotionFields as a whole and fill
+// in the defaults. On update, pass the stored promotion; the body is merged
+// into it first. Returns `{ fields, errors }`.
+// =======================
+const parsePromotionInput = (body = {}, existing = null) => {
+  const input = existing ? { ...existing.toObject(), ...body } : body;
+  const errors = [];
+  const fail = (field, message) => errors.push(fieldError(field, message));
+
+  const fields = {
+    name: input.name,
+    description: input.description || '',
+    type: input.type,
+    discountType: input.discountType || 'percent',
+    value: input.value,
+    scope: input.scope || 'all',
+    startsAt: input.startsAt || null,
+    endsAt: input.endsAt || null,
+    active: input.active !== false
+  };
+
+  if (existing && input.type !== existing.type) {
+    fail('type', 'type cannot be changed');
+    fields.type = existing.type;
+  }
+
+  if (fields.type === 'coupon') {
+    if (input.code) fields.code = input.code;
+    else fail('code', 'code is required for coupons');
+  } else if (input.code) {
+    fail('code', 'Only coupons have a code');
+  }
+
+  if (fields.discountType === 'percent' && fields.value > 100) {
+    fail('value', 'A percentage value must be at most 100');
+  }
+
+  for (const scope of ['products', 'brands', 'collections']) {
+    fields[scope] = fields.scope === scope ? (input[scope] || []).map(String) : [];
+    if (fields.scope === scope && fields[scope].length === 0) {
+      fail(scope, `${scope} is required when scope is ${scope}`);
+    }
+  }
+
+  if (fields.startsAt && fields.endsAt && fields.endsAt <= fields.startsAt) {
+    fail('endsAt', 'endsAt must be after startsAt');
+  }
+
+  if (fields.type === 'coupon') {
+    fields.minOrderTotal = input.minOrderTotal || 0;
+    // Missing or null means unlimited
+    fields.usageLimit = input.usageLimit || null;
+    fields.perCustomerLimit = input.perCustomerLimit || null;
+    fields.combinesWithSales = input.combinesWithSales !== false;
+  }
+
+  return { fields, errors };
+};
+
+// =======================
+// Collection-scoped promotions are matched against the products their
+// collections hold; load those onto each one as `collectionProducts`
+// (a Set of product ids) before matching.
+// =======================
+const loadCollectionProducts = async (promotions) => {
+  const scoped = promotions.filter(promotion => promotion.scope === 'collections');
+  if (scoped.length === 0) return promotions;
+
+  const ids = [...new Set(scoped.flatMap(promotion => (promotion.collections || []).map(String)))];
+  const collections = await Collection.find({ _id: { $in: ids } }, 'products').lean();
+  const productsById = new Map(collections.map(collection => [String(collection._id), collection.products.map(String)]));
+  for (const promotion of scoped) {
+    promotion.collectionProducts = new Set((promotion.collections || []).flatMap(id => productsById.get(String(id)) || []));
+  }
+  return promotions;
+};
+
+// =======================
+// Whether a promotion covers a product ({ _id, brand })
+// =======================
+const matchesProduct = (promotion, product) => {
+  switch (promotion.scope) {
+    case 'products':
+      return (promotion.products || []).some(id => String(id) === String(product._id));
+    case 'collections':
+      return Boolean(promotion.collectionProducts) && promotion.collectionProducts.has(String(product._id));
+    case 'brands': {
+      const brand = String(product.brand || '').trim().toLowerCase();
+      return Boolean(brand) && (promotion.brands || []).some(name => name.toLowerCase() === brand);
+    }
+    default:
+      return true;
+  }
+};
+
+// =======================
+// Live sales, cached for SALES_CACHE_MS; writes to promotions and
+// collection membership clear the cache
+// =======================
+let salesCache = null;
+
+const getActiveSales = async (now = new Date()) => {
+  if (!salesCache || Date.now() - salesCache.loadedAt > SALES_CACHE_MS) {
+    // Sales that start soon are kept too so they switch on without waiting for a reload
+    const sales = await Promotion.find({
+      type: 'sale',
+      active: true,
+      $or: [{ endsAt: null }, { endsAt: { $gt: new Date() } }]
+    }).lean();
+    salesCache = { loadedAt: Date.now(), sales: await loadCollectionProducts(sales) };
+  }
+  return salesCache.sales.filter(sale => isLive(sale, now));
+};
+
+const invalidateSales = () => {
+  salesCache = null;
+};
+
+// =======================
+// Price after a promotion's discount (never below 0), in `currency`
+// =======================
+const discountedPrice = (amount, promotion, currency, rates) => (promotion.discountType === 'fixed'
+  ? roundCurrency(Math.max(amount - convert(promotion.value, BASE_CURRENCY, currency, rates), 0), currency)
+  : roundCurrency(amount * (1 - promotion.value / 100), currency));
+
+const percentOff = (price, finalPrice) => (price > 0 ? Math.round((1 - finalPrice / price) * 10000) / 100 : 0);
+
+// =======================
+// The price in force for a product or variant ({ price, discount, prices }) in `currency`:
+// the best of its own discount and every live sale covering the product.
+// `rates` comes from getRates() and is only needed when converting.
+// =======================
+const effectivePrice = ({ price, discount, prices }, product, sales, { currency = BASE_CURRENCY, rates } = {}) => {
+  const unitPrice = listPrice({ price, prices }, product, currency, rates);
+  let finalPrice = roundCurrency(unitPrice * (1 - (discount || 0) / 100), currency);
+  let winner = null;
+
+  for (const sale of sales) {
+    if (!matchesProduct(sale, product)) continue;
+    const candidate = discountedPrice(unitPrice, sale, currency, rates);
+    if (candidate < finalPrice) {
+      finalPrice = candidate;
+      winner = sale;
+    }
+  }
+
+  return {
+    currency,
+    price: unitPrice,
+    finalPrice,
+    discount: winner ? percentOff(unitPrice, finalPrice) : (discount || 0),
+    promotion: winner ? promotionSummary(winner) : null
+  };
+};
+
+// =======================
+// Coupons
+// =======================
+const findCoupon = (code) => Promotion.findOne({ type: 'coupon', code: normalizeCode(code) });
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Redemptions by this customer (account or checkout email), or null for nobody
+const ownerFilter = ({ user, email }) => {
+  const owners = [];
+  if (user) owners.push({ user });
+  if (email) owners.push({ email: normalizeEmail(email) });
+  return owners.length ? { $or: owners } : null;
+};
+
+// Earlier orders by this customer that used the coupon
+const timesUsedBy = async (coupon, customer) => {
+  const owners = ownerFilter(customer);
+  return owners ? CouponRedemption.countDocuments({ promotion: coupon._id, ...owners }) : 0;
+};
+
+// The lowest of a customer's `limit` uses of a coupon still free, or null.
+// Redemptions recorded before uses were numbered take the lowest free ones.
+const freeUse = async (coupon, limit, customer) => {
+  const owners = ownerFilter(customer);
+  const redemptions = owners ? await CouponRedemption.find({ promotion: coupon._id, ...owners }, 'use') : [];
+  const taken = new Set(redemptions.map(redemption => redemption.use).filter(Boolean));
+  let unnumbered = redemptions.filter(redemption => !redemption.use).length;
+  for (let use = 1; use <= limit; use++) {
+    if (taken.has(use)) continue;
+    if (unnumbered === 0) return use;
+    unnumbered--;
+  }
+  return null;
+};
+
+// Why a coupon can't be used right now, or null
+const couponProblem = async (coupon, { merchandiseTotal, eligibleTotal, user, email, now, currency, rates }) => {
+  if (!coupon.active) return 'This coupon is not active';
+  if (coupon.startsAt && coupon.startsAt > now) return 'This coupon is not valid yet';
+  if (coupon.endsAt && coupon.endsAt <= now) return 'This coupon has expired';
+  if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) return 'This coupon has reached its usage limit';
+  const minOrderTotal = roundCurrency(convert(coupon.minOrderTotal || 0, BASE_CURRENCY, currency, rates), currency);
+  if (merchandiseTotal < minOrderTotal) {
+    return `This coupon needs an order of at least ${minOrderTotal} ${currency}`;
+  }
+  if (eligibleTotal <= 0) {
+    return coupon.combinesWithSales ? 'This coupon does not apply to any item in the cart' : 'This coupon does not apply to items on sale';
+  }
+  if (coupon.perCustomerLimit && await timesUsedBy(coupon, { user, email }) >= coupon.perCustomerLimit) {
+    return 'You have already used this coupon';
+  }
+  return null;
+};
+
+// =======================
+// Price a coupon against priced cart lines (in `currency`). Returns
+// `{ code, name, promotion, valid, reason, discount }`; an unusable coupon discounts nothing.
+// =======================
+const applyCoupon = async (code, lines, { user, email, now = new Date(), currency = BASE_CURRENCY, rates } = {}) => {
+  const coupon = await findCoupon(code);
+  if (!coupon) {
+    return { code: normalizeCode(code), name: null, promotion: null, valid: false, reason: 'Coupon not found', discount: 0 };
+  }
+  await loadCollectionProducts([coupon]);
+
+  const eligible = lines.filter(line =>
+    matchesProduct(coupon, { _id: line.product, brand: line.brand }) && (coupon.combinesWithSales || !line.promotion));
+  const merchandiseTotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0), currency);
+  const eligibleTotal = roundCurrency(eligible.reduce((sum, line) => sum + line.lineTotal, 0), currency);
+
+  const reason = await couponProblem(coupon, { merchandiseTotal, eligibleTotal, user, email, now, currency, rates });
+  let discount = 0;
+  if (!reason) {
+    discount = coupon.discountType === 'fixed'
+      ? roundCurrency(Math.min(convert(coupon.value, BASE_CURRENCY, currency, rates), eligibleTotal), currency)
+      : roundCurrency(eligibleTotal * coupon.value / 100, currency);
+  }
+
+  return {
+    code: coupon.code,
+    name: coupon.name,
+    promotion: coupon._id,
+    valid: !reason,
+    reason,
+    discount
+  };
+};
+
+// =======================
+// Count a coupon use against its limits when an order is placed.
+// The total usage limit is claimed atomically, and each per-customer
+// use is a unique record; 409 when either is used up.
+// =======================
+const redeemCoupon = async ({ promotion, code, order, user, email, discount }) => {
+  const claimed = await Promotion.findOneAndUpdate(
+    { _id: promotion, $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }] },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw httpError(409, 'This coupon has reached its usage limit');
+  }
+  const giveBack = () => Promotion.updateOne({ _id: promotion }, { $inc: { usageCount: -1 } });
+
+  // The customer's next numbered use; a checkout racing this one for the
+  // same number fails on the unique index instead of going over the limit
+  const customer = user ? String(user) : email && normalizeEmail(email);
+  let use;
+  if (claimed.perCustomerLimit && customer) {
+    use = await freeUse(claimed, claimed.perCustomerLimit, { user, email });
+    if (!use) {
+      await giveBack();
+      throw httpError(409, 'You have already used this coupon');
+    }
+  }
+
+  try {
+    return await CouponRedemption.create({
+      promotion,
+      code,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      user,
+      email,
+      customer,
+      use,
+      discount
+    });
+  } catch (error) {
+    await giveBack();
+    if (error.code === 11000 && use) throw httpError(409, 'You have already used this coupon');
+    throw error;
+  }
+};
+
+// Give the use back when the order never went through or was cancelled
+const releaseCoupon = async (order) => {
+  if (!order.coupon || !order.coupon.promotion) return false;
+  const redemption = await CouponRedemption.findOneAndDelete({ order: order._id });
+  if (!redemption) return false;
+  await Promotion.updateOne({ _id: redemption.promotion, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+  return true;
+};
+
+module.exports = {
+  PROMOTION_STATES,
+  COUPON_CODE_PATTERN,
+  promotionFields,
+  normalizeCode,
+  isLive,
+  stateOf,
+  stateFilter,
+  promotionSummary,
+  parsePromotionInput,
+  loadCollectionProducts,
+  matchesProduct,
+  getActiveSales,
+  invalidateSales,
+  effectivePrice,
+  findCoupon,
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,35 @@
+const { MemoryStore } = require('express-rate-limit');
+
+// =======================
+// Rate limit store registry.
+// A store keeps the hit counts behind a limiter and is anything
+// express-rate-limit accepts as `store` (increment, decrement, resetKey).
+// Every limiter needs its own store, so stores are registered as factories:
+//   factory(limiterName) -> store
+// RATE_LIMIT_STORE picks one. `memory` (the default) counts in this process
+// only; when several instances run, register a shared store (e.g. Redis)
+// before the routes are loaded.
+// =======================
+const factories = new Map();
+
+const registerLimiterStore = (name, factory) => {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('Rate limit stores need a name and a factory function');
+  }
+  factories.set(name, factory);
+};
+
+const createLimiterStore = (limiterName, name = process.env.RATE_LIMIT_STORE || 'memory') => {
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+  return factory(limiterName);
+};
+
+registerLimiterStore('memory', () => new MemoryStore());
+
+module.exports = {
+  registerLimiterStore,
+  createLimiterStore
+};
@@ -0,0 +1,138 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { PayloadError, ValidationError } = require('./errors');
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// =======================
+// Downloads from URLs that someone else chose (e.g. image columns in a
+// catalog import). Only public addresses are reached: every hostname,
+// including each redirect target, is resolved and checked when the
+// connection is made, so loopback, private, link-local (cloud metadata)
+// and similar ranges are refused. Bodies are streamed and cut off at a
+// byte limit.
+// =======================
+
+// Addresses that aren't on the public internet
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+const IPV4_MAPPED_PATTERN = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+const isPublicAddress = (address) => {
+  const mapped = IPV4_MAPPED_PATTERN.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !privateRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const blockedAddress = (host) => new ValidationError(`${host} is not a public address`, undefined, 'ADDRESS_NOT_ALLOWED');
+
+// dns.lookup that refuses hostnames resolving to any non-public address
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(blockedAddress(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const request = (url, signal) => new Promise((resolve, reject) => {
+  // Connecting to an IP skips the lookup, so literal addresses are checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    reject(blockedAddress(host));
+    return;
+  }
+  const client = url.protocol === 'https:' ? https : http;
+  client.get(url, { lookup: publicLookup, signal }, resolve).on('error', reject);
+});
+
+const readLimited = async (response, maxBytes) => {
+  const tooLarge = () => new PayloadError(`Response is larger than ${maxBytes} bytes`);
+  if (Number(response.headers['content-length']) > maxBytes) {
+    response.destroy();
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.destroy();
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, size);
+};
+
+// =======================
+// GET `source` and resolve to its body. Redirects are followed by hand (up
+// to MAX_REDIRECTS) so each hop is checked; `timeoutMs` covers the whole
+// download. Rejects with a PayloadError past `maxBytes`, a ValidationError
+// for URLs it won't fetch or bad responses, or the network error.
+// =======================
+const fetchPublic = async (source, { maxBytes, timeoutMs }) => {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let url = new URL(source);
+
+  for (let redirects = 0; ; redirects++) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new ValidationError('Only http and https URLs can be fetched', undefined, 'ADDRESS_NOT_ALLOWED');
+    }
+
+    const response = await request(url, signal);
+    if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+      response.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        throw new ValidationError('Too many redirects');
+      }
+      url = new URL(response.headers.location, url);
+      continue;
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.resume();
+      throw new ValidationError(`HTTP ${response.statusCode}`);
+    }
+    return readLimited(response, maxBytes);
+  }
+};
+
+module.exports = {
+  isPublicAddress,
+  fetchPublic
+};
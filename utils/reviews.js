@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const httpError = require('./httpError');
+
+const { REVIEW_STATUSES } = Review;
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  highest: { rating: -1, createdAt: -1, _id: -1 },
+  lowest: { rating: 1, createdAt: -1, _id: -1 }
+};
+
+const TITLE_MAX_LENGTH = 120;
+const TEXT_MAX_LENGTH = 5000;
+
+// =======================
+// Helpers
+// =======================
+const toObjectId = (id) => (mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(String(id)) : null);
+
+const roundScore = (value) => (typeof value === 'number' ? Math.round(value * 10) / 10 : null);
+
+// Pagination from the query string; the product detail endpoint uses prefixed keys
+const parseReviewPaging = (query = {}, prefix = '') => {
+  const key = (name) => (prefix ? `${prefix}${name[0].toUpperCase()}${name.slice(1)}` : name);
+  const sort = query[key('sort')] || 'newest';
+  if (!REVIEW_SORTS[sort]) {
+    throw httpError(400, `${key('sort')} must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`);
+  }
+  return {
+    page: Math.max(Math.floor(Number(query[key('page')])) || 1, 1),
+    limit: Math.min(Math.max(Math.floor(Number(query[key('limit')])) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+    sort
+  };
+};
+
+// =======================
+// Review body rules for the routes; scores are whole stars from 1 to 5,
+// and `null` clears an optional one on update
+// =======================
+const score = { type: 'integer', min: 1, max: 5 };
+
+const reviewFields = {
+  rating: { ...score, required: true },
+  text: { type: 'string', required: true, minLength: 1, maxLength: TEXT_MAX_LENGTH },
+  title: { type: 'string', nullable: true, maxLength: TITLE_MAX_LENGTH },
+  longevity: { ...score, nullable: true },
+  sillage: { ...score, nullable: true }
+};
+
+// The review fields of a validated body; anything else it carries is dropped
+const reviewInput = (body = {}) => Object.fromEntries(
+  Object.keys(reviewFields).filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// What anyone may see of a review; emails and moderation details stay private
+const toPublicReview = (review) => {
+  const reviewObj = typeof review.toObject === 'function' ? review.toObject() : review;
+  return {
+    _id: reviewObj._id,
+    rating: reviewObj.rating,
+    title: reviewObj.title,
+    text: reviewObj.text,
+    longevity: reviewObj.longevity,
+    sillage: reviewObj.sillage,
+    author: (reviewObj.user && reviewObj.user.name) || 'Anonymous',
+    createdAt: reviewObj.createdAt,
+    updatedAt: reviewObj.updatedAt
+  };
+};
+
+// =======================
+// Recompute a product's rating and review count from its approved reviews
+// =======================
+const recomputeRating = async (productId) => {
+  const product = toObjectId(productId);
+  const [stats] = await Review.aggregate([
+    { $match: { product, status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = stats ? roundScore(stats.average) : 0;
+  const reviewCount = stats ? stats.count : 0;
+  await Product.updateOne({ _id: product }, { $set: { rating, reviewCount } });
+  return { rating, reviewCount };
+};
+
+// Products from before reviews existed carry a hand-typed rating; reset them once
+const backfillRatings = async () => {
+  const products = await Product.find({ reviewCount: { $exists: false } }, '_id');
+  for (const product of products) {
+    await recomputeRating(product._id);
+  }
+  return products.length;
+};
+
+// =======================
+// Star distribution and average longevity/sillage of approved reviews
+// =======================
+const summarizeReviews = async (productId) => {
+  const match = { $match: { product: toObjectId(productId), status: 'approved' } };
+  const [byRating, [averages]] = await Promise.all([
+    Review.aggregate([match, { $group: { _id: '$rating', count: { $sum: 1 } } }]),
+    Review.aggregate([match, {
+      $group: {
+        _id: null,
+        rating: { $avg: '$rating' },
+        longevity: { $avg: '$longevity' },
+        sillage: { $avg: '$sillage' },
+        count: { $sum: 1 }
+      }
+    }])
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  byRating.forEach(group => { distribution[group._id] = group.count; });
+
+  return {
+    rating: averages ? roundScore(averages.rating) : 0,
+    reviewCount: averages ? averages.count : 0,
+    distribution,
+    longevity: averages ? roundScore(averages.longevity) : null,
+    sillage: averages ? roundScore(averages.sillage) : null
+  };
+};
+
+// =======================
+// One page of a product's approved reviews, with the summary
+// =======================
+const listProductReviews = async (productId, { page = 1, limit = DEFAULT_PAGE_SIZE, sort = 'newest' } = {}) => {
+  if (!toObjectId(productId)) throw httpError(404, 'Product not found');
+  const filter = { product: productId, status: 'approved' };
+  const [reviews, total, summary] = await Promise.all([
+    Review.find(filter)
+      .sort(REVIEW_SORTS[sort])
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('user', 'name'),
+    Review.countDocuments(filter),
+    summarizeReviews(productId)
+  ]);
+
+  return {
+    summary,
+    items: reviews.map(toPublicReview),
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit)
+  };
+};
+
+// =======================
+// Moderation queue: every review, filterable by status and product
+// =======================
+const listReviewsForModeration = async ({ status, product, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const filter = {};
+  if (status) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw httpError(400, `status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+    filter.status = status;
+  }
+  if (product) {
+    if (!toObjectId(product)) throw httpError(400, 'Invalid product ID');
+    filter.product = product;
+  }
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('user', 'name email')
+      .populate('product', 'title'),
+    Review.countDocuments(filter)
+  ]);
+
+  return { reviews, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+// =======================
+// Customer actions: post, edit and delete their own review of a product
+// =======================
+const findProduct = async (productId) => {
+  const product = toObjectId(productId) ? await Product.findById(productId, '_id') : null;
+  if (!product) throw httpError(404, 'Product not found');
+  return product;
+};
+
+const findOwnReview = async (productId, userId) => {
+  const review = toObjectId(productId) ? await Review.findOne({ product: productId, user: userId }) : null;
+  if (!review) throw httpError(404, 'Review not found');
+  return review;
+};
+
+const createReview = async ({ productId, user, input }) => {
+  // A new review has nothing to clear; null leaves the default
+  const fields = Object.fromEntries(Object.entries(reviewInput(input)).filter(([, value]) => value !== null));
+  const product = await findProduct(productId);
+  if (await Review.exists({ product: product._id, user })) {
+    throw httpError(409, 'You have already reviewed this product');
+  }
+
+  try {
+    return await Review.create({ ...fields, product: product._id, user });
+  } catch (error) {
+    if (error.code === 11000) throw httpError(409, 'You have already reviewed this product');
+    throw error;
+  }
+};
+
+// An edited review goes back to the moderation queue
+const updateOwnReview = async ({ productId, user, input }) => {
+  const fields = reviewInput(input);
+  if (Object.keys(fields).length === 0) {
+    throw httpError(400, 'Nothing to update');
+  }
+
+  const review = await findOwnReview(productId, user);
+  const wasApproved = review.status === 'approved';
+  for (const [field, value] of Object.entries(fields)) {
+    review.set(field, value === null ? undefined : value);
+  }
+  review.status = 'pending';
+  review.moderatedBy = undefined;
+  review.moderatedAt = undefined;
+  review.moderationNote = '';
+  review.updatedAt = new Date();
+  await review.save();
+
+  if (wasApproved) await recomputeRating(review.product);
+  return review;
+};
+
+const deleteOwnReview = async ({ productId, user }) => {
+  const review = await findOwnReview(productId, user);
+  await review.deleteOne();
+  if (review.status === 'approved') await recomputeRating(review.product);
+  return review;
+};
+
+// =======================
+// Moderator actions
+// =======================
+const findReview = async (id) => {
+  const review = toObjectId(id) ? await Review.findById(id) : null;
+  if (!review) throw httpError(404, 'Review not found');
+  return review;
+};
+
+const moderateReview = async ({ id, status, note, user }) => {
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw httpError(400, `status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+  }
+
+  const review = await findReview(id);
+  const previousStatus = review.status;
+  review.status = status;
+  review.moderatedBy = user;
+  review.moderatedAt = new Date();
+  if (note !== undefined) review.moderationNote = String(note).trim();
+  await review.save();
+
+  if (previousStatus !== status && (previousStatus === 'approved' || status === 'approved')) {
+    await recomputeRating(review.product);
+  }
+  return review;
+};
+
+const deleteReview = async (id) => {
+  const review = await findReview(id);
+  await review.deleteOne();
+  if (review.status === 'approved') await recomputeRating(review.product);
+  return review;
+};
+
+module.exports = {
+  REVIEW_SORTS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseReviewPaging,
+  reviewFields,
+  toPublicReview,
+  recomputeRating,
+  backfillRatings,
+  summarizeReviews,
+  listProductReviews,
+  listReviewsForModeration,
+  findProduct,
+  findOwnReview,
+  createReview,
+  updateOwnReview,
+  deleteOwnReview,
+  moderateReview,
+  deleteReview
+};
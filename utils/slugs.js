@@ -0,0 +1,131 @@
+const httpError = require('./httpError');
+
+// Long enough for "brand + title", short enough for a readable URL
+const SLUG_MAX_LENGTH = 80;
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// =======================
+// Helpers
+// =======================
+
+// "Maison Margiela – Jazz Club" -> "maison-margiela-jazz-club"
+const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, SLUG_MAX_LENGTH)
+  .replace(/-+$/, '');
+
+const isValidSlug = (slug) => typeof slug === 'string' && slug.length <= SLUG_MAX_LENGTH && SLUG_PATTERN.test(slug);
+
+// "dior-sauvage-2" still belongs to "dior-sauvage"
+const matchesBase = (slug, base) => slug === base || new RegExp(`^${base}-\\d+$`).test(slug);
+
+// A slug is taken while another document uses it, now or as a redirect.
+// Trashed products keep theirs so a restore gets its URL back.
+const slugTaken = (Model, slug, excludeId) => Model.exists({
+  ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  $or: [{ slug }, { previousSlugs: slug }]
+}).setOptions({ withDeleted: true });
+
+// First free slug for `source`: "dior-sauvage", then "dior-sauvage-2", ...
+const uniqueSlug = async (Model, source, { excludeId, fallback = 'item' } = {}) => {
+  const base = slugify(source) || fallback;
+  for (let n = 1; ; n++) {
+    const suffix = n === 1 ? '' : `-${n}`;
+    const candidate = `${base.slice(0, SLUG_MAX_LENGTH - suffix.length).replace(/-+$/, '')}${suffix}`;
+    if (!await slugTaken(Model, candidate, excludeId)) return candidate;
+  }
+};
+
+// =======================
+// Slug changes for a document being created (`current` null) or edited.
+// An explicit `slug` wins; otherwise the slug follows `source` (a name or title)
+// and only changes when the name does. The old slug is kept for redirects.
+// Returns `{ slug, previousSlugs }`, or {} when nothing changes.
+// =======================
+const slugUpdate = async (Model, current, { source, slug, fallback } = {}) => {
+  const excludeId = current ? current._id : undefined;
+  let next;
+
+  if (slug !== undefined && slug !== null && slug !== '') {
+    next = String(slug).trim().toLowerCase();
+    if (!isValidSlug(next)) {
+      throw httpError(400, `slug may only contain lowercase letters, digits and single hyphens (at most ${SLUG_MAX_LENGTH} characters)`);
+    }
+    if (current && current.slug === next) return {};
+    if (await slugTaken(Model, next, excludeId)) {
+      throw httpError(409, `The slug "${next}" is already in use`);
+    }
+  } else {
+    const base = slugify(source) || fallback || 'item';
+    if (current && current.slug && matchesBase(current.slug, base)) return {};
+    next = await uniqueSlug(Model, source, { excludeId, fallback });
+  }
+
+  // A document may take back one of its own earlier slugs
+  const previousSlugs = new Set((current && current.previousSlugs) || []);
+  if (current && current.slug) previousSlugs.add(current.slug);
+  previousSlugs.delete(next);
+  return { slug: next, previousSlugs: [...previousSlugs] };
+};
+
+// =======================
+// Look a document up by slug. Resolves to `{ doc }` for the current slug,
+// `{ redirectTo }` for an old one, or {} when nothing matches.
+// =======================
+const findBySlug = async (Model, slug, filter = {}) => {
+  const value = String(slug || '').toLowerCase();
+  if (!isValidSlug(value)) return {};
+
+  const doc = await Model.findOne({ ...filter, slug: value });
+  if (doc) return { doc };
+
+  const moved = await Model.findOne({ ...filter, previousSlugs: value }, 'slug');
+  return moved ? { redirectTo: moved.slug } : {};
+};
+
+// Product slugs read "brand-title"
+const productSlugSource = (product) => [product.brand, product.title].filter(Boolean).join(' ');
+
+// Give documents from before slugs existed one, derived from `sourceOf(doc)`
+const backfillSlugs = async (Model, fields, sourceOf, fallback) => {
+  const docs = await Model.find({ slug: { $exists: false } }, fields);
+  for (const doc of docs) {
+    const { slug } = await slugUpdate(Model, null, { source: sourceOf(doc), fallback });
+    await Model.updateOne({ _id: doc._id }, { $set: { slug, previousSlugs: [] } });
+  }
+  return docs.length;
+};
+
+// =======================
+// Answer a request for an old slug with a permanent redirect to `${base}/slug/<slug>`,
+// keeping the query string. JSON clients get the new slug in the body too.
+// =======================
+const sendSlugRedirect = (req, res, slug) => {
+  const queryIndex = req.originalUrl.indexOf('?');
+  const query = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+  const location = `${req.baseUrl}/slug/${slug}${query}`;
+  return res.status(301).location(location).json({ message: 'Moved permanently', slug, location });
+};
+
+// Unique-index clash on `slug` (two writers picked the same free slug)
+const isDuplicateSlugError = (error) =>
+  error && error.code === 11000 && JSON.stringify(error.keyPattern || {}).includes('slug');
+
+module.exports = {
+  SLUG_MAX_LENGTH,
+  slugify,
+  isValidSlug,
+  uniqueSlug,
+  productSlugSource,
+  slugUpdate,
+  findBySlug,
+  backfillSlugs,
+  sendSlugRedirect,
+  isDuplicateSlugError
+};
@@ -0,0 +1,86 @@
+const path = require('path');
+const createLocalDriver = require('./localDriver');
+const { AppError, StorageError } = require('../errors');
+
+// =======================
+// Storage driver registry.
+// A driver is an object with `name` and:
+//   put(key, buffer, { contentType })  -> { key, size }
+//   get(key)                           -> Buffer, or null when missing
+//   delete(key)                        -> whether something was removed
+//   exists(key)                        -> boolean
+//   list(prefix)                       -> [{ key, size, lastModified }]
+//   url(key)                           -> public URL (absolute or relative to the API)
+// Failures of the async methods reach callers as a StorageError.
+// =======================
+const DRIVER_METHODS = ['put', 'get', 'delete', 'exists', 'list', 'url'];
+
+const ASYNC_METHODS = ['put', 'get', 'delete', 'exists', 'list'];
+
+const withStorageErrors = (driver, method) => async (...args) => {
+  try {
+    return await driver[method](...args);
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new StorageError(`Image storage (${driver.name}) could not ${method} the file`, undefined, 'STORAGE_UNAVAILABLE', { cause: error });
+  }
+};
+
+const drivers = new Map();
+
+const registerDriver = (driver) => {
+  if (!driver || !driver.name || DRIVER_METHODS.some(method => typeof driver[method] !== 'function')) {
+    throw new Error(`Storage drivers need a name and ${DRIVER_METHODS.join('/')}()`);
+  }
+  const wrapped = { ...driver };
+  for (const method of ASYNC_METHODS) {
+    wrapped[method] = withStorageErrors(driver, method);
+  }
+  drivers.set(driver.name, wrapped);
+};
+
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const driver = drivers.get(name);
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+// Stored image references look like "/uploads/<key>" whichever driver holds the bytes
+const UPLOADS_PREFIX = '/uploads/';
+
+const toStoredUrl = (key) => `${UPLOADS_PREFIX}${key}`;
+
+const keyFromUrl = (url) => {
+  if (typeof url !== 'string') return null;
+  const normalized = url.startsWith('uploads/') ? `/${url}` : url;
+  return normalized.startsWith(UPLOADS_PREFIX) ? normalized.slice(UPLOADS_PREFIX.length) : null;
+};
+
+const CONTENT_TYPES = {
+  '.avif': 'image/avif',
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+// Content type to store an object with, from its key's extension
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(String(key)).toLowerCase()];
+
+registerDriver(createLocalDriver());
+
+// The S3 driver needs a bucket, so it is only available once configured
+if (process.env.S3_BUCKET) {
+  registerDriver(require('./s3Driver')());
+}
+
+module.exports = {
+  registerDriver,
+  getStorage,
+  toStoredUrl,
+  keyFromUrl,
+  contentTypeFor
+};
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+// =======================
+// Stores objects as files under `root`; keys may contain "/" for subfolders.
+// Served by the app itself under /uploads.
+// =======================
+const createLocalDriver = ({
+  root = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'uploads'),
+  baseUrl = '/uploads'
+} = {}) => {
+  // Keys never escape the storage root
+  const resolveKey = (key) => {
+    const normalized = path.posix.normalize(String(key || '')).replace(/^\/+/, '');
+    if (!normalized || normalized === '.' || normalized.startsWith('..')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(root, normalized);
+  };
+
+  const walk = async (dir, prefix) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const objects = [];
+    for (const entry of entries) {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        objects.push(...await walk(path.join(dir, entry.name), key));
+      } else if (entry.isFile() && !entry.name.startsWith('.')) {
+        const stats = await fs.promises.stat(path.join(dir, entry.name));
+        objects.push({ key, size: stats.size, lastModified: stats.mtime });
+      }
+    }
+    return objects;
+  };
+
+  return {
+    name: 'local',
+    root,
+
+    put: async (key, data) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, data);
+      return { key, size: data.length };
+    },
+
+    get: async (key) => {
+      try {
+        return await fs.promises.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    delete: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    exists: async (key) => {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return stats.isFile();
+      } catch (error) {
+        return false;
+      }
+    },
+
+    list: async (prefix = '') => {
+      const objects = await walk(root, '');
+      return objects.filter(object => object.key.startsWith(prefix));
+    },
+
+    url: (key) => `${baseUrl}/${key}`
+  };
+};
+
+module.exports = createLocalDriver;
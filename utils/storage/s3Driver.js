@@ -0,0 +1,104 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+const isNotFound = (error) =>
+  error && (error.name === 'NoSuchKey' || error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404));
+
+// =======================
+// Stores objects in an S3-compatible bucket (AWS S3, MinIO, R2, ...).
+// Without S3_PUBLIC_URL the bucket can stay private: objects are proxied
+// through the app under /uploads.
+// =======================
+const createS3Driver = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  // MinIO and most self-hosted stand-ins only understand path-style URLs
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : Boolean(endpoint),
+  publicUrl = process.env.S3_PUBLIC_URL,
+  prefix = process.env.S3_PREFIX || ''
+} = {}) => {
+  if (!bucket) {
+    throw new Error('The S3 storage driver needs S3_BUCKET');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Fall back to the SDK's default credential chain (env, profile, instance role)
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+    bucket,
+
+    put: async (key, data, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: data,
+        ContentType: contentType
+      }));
+      return { key, size: data.length };
+    },
+
+    get: async (key) => {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return Buffer.from(await response.Body.transformToByteArray());
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    // S3 deletes are idempotent and do not say whether the object existed
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return true;
+    },
+
+    exists: async (key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+
+    list: async (keyPrefix = '') => {
+      const objects = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: objectKey(keyPrefix),
+          ContinuationToken
+        }));
+        for (const object of page.Contents || []) {
+          objects.push({ key: object.Key.slice(prefix.length), size: object.Size, lastModified: object.LastModified });
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return objects;
+    },
+
+    url: (key) => (publicUrl ? `${publicUrl.replace(/\/+$/, '')}/${objectKey(key)}` : `/uploads/${key}`)
+  };
+};
+
+module.exports = createS3Driver;
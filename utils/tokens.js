@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const httpError = require('./httpError');
+const { logger } = require('./logger');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// =======================
+// Helpers
+// =======================
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, session) => jwt.sign(
+  { id: user._id, role: user.role, isAdmin: user.isAdmin, sid: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const createRefreshToken = async (session) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    session: session._id,
+    user: session.user,
+    tokenHash: hashToken(token),
+    expiresAt: session.expiresAt
+  });
+  return token;
+};
+
+const tokenPair = async (user, session) => ({
+  token: signAccessToken(user, session),
+  refreshToken: await createRefreshToken(session),
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// =======================
+// Start a session at login/registration
+// =======================
+const issueSession = async (user, req) => {
+  const session = await Session.create({
+    user: user._id,
+    userAgent: (req && req.get('user-agent')) || '',
+    ip: (req && req.ip) || '',
+    expiresAt: refreshExpiry()
+  });
+  return tokenPair(user, session);
+};
+
+// =======================
+// Revocation
+// =======================
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await Session.updateOne({ _id: sessionId, revokedAt: { $exists: false } }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  await RefreshToken.deleteMany({ session: sessionId, usedAt: { $exists: false } });
+};
+
+const revokeAllSessions = async (userId, reason = 'logout-all') => {
+  const sessions = await Session.find({ user: userId, revokedAt: { $exists: false } }, '_id');
+  for (const session of sessions) {
+    await revokeSession(session._id, reason);
+  }
+  return sessions.length;
+};
+
+// =======================
+// Exchange a refresh token for a new pair. Each refresh token works once;
+// replaying a used one revokes the whole session.
+// =======================
+const rotateRefreshToken = async (rawToken, loadUser) => {
+  if (!rawToken || typeof rawToken !== 'string') {
+    throw httpError(400, 'Refresh token is required');
+  }
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!stored) {
+    throw httpError(401, 'Refresh token is not valid');
+  }
+
+  // Mark as used atomically so two concurrent refreshes can't both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, usedAt: { $exists: false } },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!claimed) {
+    await revokeSession(stored.session, 'refresh-token-reuse');
+    logger.warn('Refresh token reuse detected; session revoked', { sessionId: stored.session });
+    throw httpError(401, 'Refresh token has already been used');
+  }
+
+  const session = await Session.findById(stored.session);
+  if (!session || !session.isActive()) {
+    throw httpError(401, 'Session has ended');
+  }
+
+  const user = await loadUser(stored.user);
+  if (!user) {
+    await revokeSession(session._id, 'user-removed');
+    throw httpError(401, 'User not found');
+  }
+
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return tokenPair(user, session);
+};
+
+// =======================
+// Verify an access token and check its session is still live
+// =======================
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) {
+    throw httpError(401, 'Token is not valid');
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive()) {
+    throw httpError(401, 'Token has been revoked');
+  }
+  return decoded;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken
+};
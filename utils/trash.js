@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const Collection = require('../models/Collection');
+const httpError = require('./httpError');
+const { releaseImages } = require('./imageAssets');
+const { galleryOf } = require('./productImages');
+const { logger } = require('./logger');
+
+// Deleted products stay in the trash this long before the scheduled purge removes them
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_HOURS = Number(process.env.TRASH_PURGE_INTERVAL_HOURS) || 6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// =======================
+// Helpers
+// =======================
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+const purgeDateOf = (product) => new Date(new Date(product.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+const findTrashed = async (id) => {
+  const product = isObjectId(id) ? await Product.findOne({ _id: id, deletedAt: { $ne: null } }) : null;
+  if (!product) throw httpError(404, 'Product not found in the trash');
+  return product;
+};
+
+// What the trash list shows of a product
+const trashSummary = (product) => ({
+  _id: product._id,
+  title: product.title,
+  brand: product.brand,
+  slug: product.slug,
+  imageUrl: product.imageUrl,
+  deletedAt: product.deletedAt,
+  deletedBy: product.deletedBy,
+  purgeAfter: purgeDateOf(product)
+});
+
+// =======================
+// Move a product to the trash. It disappears from every public endpoint but
+// keeps its images, reviews, collection places and slug until it is purged.
+// =======================
+const trashProduct = async (id, user) => {
+  const product = isObjectId(id) ? await Product.findById(id) : null;
+  if (!product) throw httpError(404, 'Product not found');
+
+  const deletedAt = new Date();
+  await Product.updateOne({ _id: product._id }, { $set: { deletedAt, deletedBy: user } });
+  product.set({ deletedAt, deletedBy: user });
+  return product;
+};
+
+// =======================
+// Trashed products, most recently deleted first (?page=&limit=)
+// =======================
+const listTrash = async (query = {}) => {
+  const limit = Math.min(Number(query.limit) || 50, 200);
+  const page = Math.max(Number(query.page) || 1, 1);
+  const filter = { deletedAt: { $ne: null } };
+
+  const [products, total] = await Promise.all([
+    Product.find(filter, 'title brand slug imageUrl deletedAt deletedBy')
+      .sort({ deletedAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('deletedBy', 'name email'),
+    Product.countDocuments(filter)
+  ]);
+
+  return {
+    products: products.map(trashSummary),
+    retentionDays: TRASH_RETENTION_DAYS,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit)
+  };
+};
+
+// =======================
+// Put a trashed product back where it was. Resolves to the product and
+// when it had been deleted.
+// =======================
+const restoreProduct = async (id) => {
+  const product = await findTrashed(id);
+  const { deletedAt } = product;
+  await Product.updateOne({ _id: product._id }, { $set: { deletedAt: null }, $unset: { deletedBy: 1 } });
+  product.set({ deletedAt: null, deletedBy: undefined });
+  return { product, deletedAt };
+};
+
+// =======================
+// Remove a trashed product for good: the document, its reviews, its places
+// in collections and its images (files shared with other products stay)
+// =======================
+const purgeProduct = async (id) => {
+  const product = await findTrashed(id);
+
+  await Product.deleteOne({ _id: product._id });
+  await Review.deleteMany({ product: product._id });
+  await Collection.updateMany({ products: product._id }, { $pull: { products: product._id } });
+  await releaseImages(galleryOf(product));
+  return product;
+};
+
+// =======================
+// Scheduled job: purge everything that has been in the trash longer than the retention window
+// =======================
+const purgeExpired = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+  const expired = await Product.find({ deletedAt: { $ne: null, $lte: cutoff } }, '_id');
+
+  let count = 0;
+  for (const { _id } of expired) {
+    try {
+      await purgeProduct(_id);
+      count++;
+    } catch (error) {
+      // Restored or purged concurrently
+      if (error.status !== 404) logger.error('Purging product failed', { productId: String(_id), error });
+    }
+  }
+  if (count > 0) {
+    logger.info('Purged products from the trash', { count });
+  }
+  return count;
+};
+
+const startTrashPurge = (intervalMs = PURGE_INTERVAL_HOURS * 60 * 60 * 1000) => {
+  const run = () => purgeExpired().catch(error => logger.error('Trash purge failed', { error }));
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  trashSummary,
+  trashProduct,
+  listTrash,
+  restoreProduct,
+  purgeProduct,
+  purgeExpired,
+  startTrashPurge
+};
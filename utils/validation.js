@@ -0,0 +1,267 @@
+// =======================
+// Declarative validation for request bodies, params and query strings.
+//
+// A schema maps field names to rules:
+//   { type, required, nullable, default, min, max, exclusiveMin, minLength,
+//     maxLength, pattern, values, aliases, lowercase, uppercase, trim, items,
+//     unique, properties, strict, parse }
+//
+// `aliases` maps other spellings onto enum values; `unique` names the key that
+// must differ between the objects of a list; `strict` objects keep only their
+// declared properties; `parse(value)` checks what the types cannot (a currency
+// code, a map of prices) and returns `{ value }` or `{ problem }`, e.g.
+// { problem: 'is not a currency' }. It also sees the null of nullable fields.
+//
+// Types: string, number, integer, boolean, objectId, date, enum, array, object, any.
+// Values are coerced from the strings that query strings and multipart forms
+// carry ("12.5", "true", a JSON or comma list). A field is missing only when
+// it is undefined, or an empty string for anything but a string, so 0, false
+// and "" are real values. `nullable` fields accept null, and "" from a form
+// means null for them. Unknown fields are left alone for the handler.
+// =======================
+
+const { ValidationError } = require('./errors');
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'objectId', 'date', 'enum', 'array', 'object', 'any'];
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const INVALID = Symbol('invalid');
+
+// =======================
+// Helpers
+// =======================
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isMissing = (value, rule) => value === undefined || (value === '' && rule.type !== 'string' && rule.type !== 'any');
+
+const describe = (rule) => {
+  switch (rule.type) {
+    case 'integer': return 'a whole number';
+    case 'objectId': return 'a valid ID';
+    case 'date': return 'a valid date';
+    case 'array': return 'a list';
+    case 'object': return 'an object';
+    case 'enum': return `one of: ${rule.values.join(', ')}`;
+    default: return `a ${rule.type}`;
+  }
+};
+
+// Arrays and objects arrive as JSON strings from multipart forms; lists also as "a,b,c"
+const parseJson = (value, check) => {
+  try {
+    const parsed = JSON.parse(value);
+    return check(parsed) ? parsed : INVALID;
+  } catch (error) {
+    return INVALID;
+  }
+};
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : INVALID;
+  if (typeof value !== 'string' || !value.trim()) return INVALID;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : INVALID;
+};
+
+const BOOLEANS = new Map([[true, true], [false, false], ['true', true], ['false', false], ['1', true], ['0', false]]);
+
+// =======================
+// Coerce one present value; returns INVALID when it cannot be
+// =======================
+const coerce = (value, rule) => {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+      if (typeof value !== 'string') return INVALID;
+      if (rule.trim !== false) value = value.trim();
+      if (rule.lowercase) value = value.toLowerCase();
+      if (rule.uppercase) value = value.toUpperCase();
+      return value;
+    case 'number':
+      return toNumber(value);
+    case 'integer': {
+      const number = toNumber(value);
+      return number !== INVALID && Number.isInteger(number) ? number : INVALID;
+    }
+    case 'boolean':
+      return BOOLEANS.has(value) ? BOOLEANS.get(value) : INVALID;
+    case 'objectId':
+      return typeof value === 'string' && OBJECT_ID_PATTERN.test(value.trim()) ? value.trim() : INVALID;
+    case 'date': {
+      if (typeof value !== 'string' && typeof value !== 'number' && !(value instanceof Date)) return INVALID;
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? INVALID : date;
+    }
+    case 'enum': {
+      if (typeof value !== 'string') return INVALID;
+      const normalized = rule.lowercase === false ? value.trim() : value.trim().toLowerCase();
+      const resolved = rule.aliases && rule.aliases[normalized] ? rule.aliases[normalized] : normalized;
+      return rule.values.includes(resolved) ? resolved : INVALID;
+    }
+    case 'array':
+      if (Array.isArray(value)) return value;
+      if (typeof value !== 'string') return INVALID;
+      if (value.trim().startsWith('[')) return parseJson(value, Array.isArray);
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    case 'object':
+      if (isPlainObject(value)) return value;
+      return typeof value === 'string' ? parseJson(value, isPlainObject) : INVALID;
+    default:
+      return value;
+  }
+};
+
+// Limits on an already coerced value; returns an error message or null
+const checkLimits = (value, rule, field) => {
+  if (rule.type === 'number' || rule.type === 'integer') {
+    if (rule.min !== undefined && value < rule.min) return `${field} must be at least ${rule.min}`;
+    if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) return `${field} must be greater than ${rule.exclusiveMin}`;
+    if (rule.max !== undefined && value > rule.max) return `${field} must be at most ${rule.max}`;
+  }
+  if (rule.type === 'string') {
+    if (rule.minLength && value.length < rule.minLength) {
+      return rule.minLength === 1 ? `${field} must not be empty` : `${field} must be at least ${rule.minLength} characters`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) return `${field} must be at most ${rule.maxLength} characters`;
+    if (rule.pattern && value && !rule.pattern.test(value)) return rule.patternMessage ? `${field} ${rule.patternMessage}` : `${field} is not in a valid format`;
+  }
+  if (rule.type === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) return `${field} must have at least ${rule.minItems} item(s)`;
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) return `${field} must have at most ${rule.maxItems} items`;
+  }
+  return null;
+};
+
+// Items of a list that repeat an earlier item's `key`
+const duplicateErrors = (items, key, field, location) => {
+  const seen = new Set();
+  const errors = [];
+  items.forEach((item, index) => {
+    const value = item && item[key];
+    if (value === undefined || value === null || value === '') return;
+    if (seen.has(value)) {
+      errors.push({ field: `${field}[${index}].${key}`, location, message: `${field}[${index}].${key} ${value} is listed twice` });
+    }
+    seen.add(value);
+  });
+  return errors;
+};
+
+// =======================
+// Validate one field. Returns `{ value, errors }`; `value` is undefined when
+// the field is missing and has no default.
+// =======================
+const validateField = (input, rule, field, location) => {
+  const fail = (message) => ({ value: undefined, errors: [{ field, location, message }] });
+  const parse = (value) => {
+    const parsed = rule.parse(value);
+    return parsed.problem ? fail(`${field} ${parsed.problem}`) : { value: parsed.value, errors: [] };
+  };
+
+  if (input === '' && rule.nullable && rule.type !== 'string') input = null;
+  if (isMissing(input, rule) || (rule.required && rule.type === 'string' && typeof input === 'string' && !input.trim())) {
+    if (rule.required) return fail(`${field} is required`);
+    return { value: typeof rule.default === 'function' ? rule.default() : rule.default, errors: [] };
+  }
+  if (input === null) {
+    if (!rule.nullable) return fail(`${field} must be ${describe(rule)}`);
+    return rule.parse ? parse(null) : { value: null, errors: [] };
+  }
+
+  const value = coerce(input, rule);
+  if (value === INVALID) return fail(`${field} must be ${describe(rule)}`);
+
+  const limitError = checkLimits(value, rule, field);
+  if (limitError) return fail(limitError);
+
+  if (rule.parse) return parse(value);
+
+  if (rule.type === 'array' && rule.items) {
+    const errors = [];
+    const items = value.map((item, index) => {
+      const result = validateField(item, { required: true, ...rule.items }, `${field}[${index}]`, location);
+      errors.push(...result.errors);
+      return result.value;
+    });
+    if (rule.unique) errors.push(...duplicateErrors(items, rule.unique, field, location));
+    return { value: errors.length ? undefined : items, errors };
+  }
+  if (rule.type === 'object' && rule.properties) {
+    const { values, errors } = validateSchema(rule.properties, value, { location, prefix: `${field}.` });
+    return { value: errors.length ? undefined : (rule.strict ? values : { ...value, ...values }), errors };
+  }
+  return { value, errors: [] };
+};
+
+// =======================
+// Validate `input` against a schema. Returns `{ values, errors }`: the coerced
+// value of every field that was sent (or defaulted), and one
+// `{ field, location, message }` per problem.
+// =======================
+const validateSchema = (schema, input, { location, prefix = '' } = {}) => {
+  const source = isPlainObject(input) ? input : {};
+  const values = {};
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const result = validateField(source[name], rule, `${prefix}${name}`, location);
+    errors.push(...result.errors);
+    if (result.value !== undefined) values[name] = result.value;
+  }
+  return { values, errors };
+};
+
+// Catch typos in route schemas when the routes are defined, not on the first request
+const checkSchema = (schema, path = '') => {
+  for (const [name, rule] of Object.entries(schema)) {
+    if (!TYPES.includes(rule.type)) {
+      throw new Error(`Unknown validation type for ${path}${name}: ${rule.type}`);
+    }
+    if (rule.type === 'enum' && !Array.isArray(rule.values)) {
+      throw new Error(`Enum field ${path}${name} needs a list of values`);
+    }
+    if (rule.items) checkSchema({ '[]': rule.items }, `${path}${name}`);
+    if (rule.properties) checkSchema(rule.properties, `${path}${name}.`);
+  }
+  return schema;
+};
+
+// =======================
+// Problems found by handlers (rules across fields, or needing the database)
+// take the same shape as the middleware's, and fail the same way
+// =======================
+const fieldError = (field, message, location = 'body') => ({ field, location, message });
+
+const invalidRequest = (errors, message = 'Invalid request') => new ValidationError(message, { errors });
+
+// The same schema with nothing required, for partial updates (PATCH)
+const optional = (schema) => Object.fromEntries(Object.entries(schema).map(([name, { required, ...rule }]) => [name, rule]));
+
+// =======================
+// Shared rules
+// =======================
+const objectId = { type: 'objectId', required: true };
+
+// ?page=&limit=; handlers keep clamping limit to their own maximum
+const paging = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1 }
+};
+
+// Params schema for routes whose path segments are all ObjectIds
+const idParams = (...names) => Object.fromEntries(names.map(name => [name, objectId]));
+
+module.exports = {
+  TYPES,
+  OBJECT_ID_PATTERN,
+  validateField,
+  validateSchema,
+  checkSchema,
+  fieldError,
+  invalidRequest,
+  optional,
+  objectId,
+  paging,
+  idParams
+};
@@ -0,0 +1,73 @@
+const { priceOverridesField } = require('./currency');
+
+const VARIANT_TYPES = ['bottle', 'tester', 'decant'];
+
+const SKU_PATTERN = /^[A-Z0-9._-]{1,64}$/;
+
+// =======================
+// Validation rules for one variant (see utils/validation). The variant
+// routes use them as they are, or with nothing required for a PATCH.
+// A client round-tripping a variant may send its `_id` back.
+// =======================
+const variantFields = {
+  _id: { type: 'objectId' },
+  volumeMl: { type: 'number', required: true, exclusiveMin: 0 },
+  type: { type: 'enum', values: VARIANT_TYPES },
+  sku: { type: 'string', required: true, uppercase: true, pattern: SKU_PATTERN, patternMessage: 'may only contain letters, digits, ".", "_" and "-"' },
+  price: { type: 'number', required: true, min: 0 },
+  discount: { type: 'number', min: 0, max: 100 },
+  prices: priceOverridesField,
+  barcode: { type: 'string', pattern: /^\d{8,14}$/, patternMessage: 'must be 8 to 14 digits (EAN/UPC)' },
+  stock: { type: 'integer', min: 0 },
+  lowStockThreshold: { type: 'integer', min: 0 }
+};
+
+// A full variants list from a create/update body; SKUs may not repeat
+const variantListField = {
+  type: 'array',
+  items: { type: 'object', properties: variantFields, strict: true },
+  unique: 'sku'
+};
+
+// A replacement variants list keeps, per SKU, the variant's id (the stock
+// ledger follows it), the units held by checkouts and, when a variant leaves
+// `stock` out, the stock it already had
+const carryStock = (previousVariants = [], variants) => {
+  const previousBySku = new Map(previousVariants.map(variant => [variant.sku, variant]));
+  return variants.map(variant => {
+    const previous = previousBySku.get(variant.sku);
+    if (!previous) return { ...variant, reserved: 0 };
+    return {
+      _id: previous._id,
+      ...variant,
+      stock: variant.stock !== undefined ? variant.stock : previous.stock || 0,
+      reserved: previous.reserved || 0
+    };
+  });
+};
+
+// SKUs with units held by checkouts that a replacement variants list leaves out
+const heldSkus = (previousVariants = [], variants) => previousVariants
+  .filter(variant => (variant.reserved || 0) > 0 && !variants.some(kept => kept.sku === variant.sku))
+  .map(variant => variant.sku);
+
+// Cheapest variant after discount; used as the product's "from" price
+const cheapestVariant = (variants = []) => {
+  let cheapest = null;
+  for (const variant of variants) {
+    const finalPrice = variant.price * (1 - (variant.discount || 0) / 100);
+    if (!cheapest || finalPrice < cheapest.finalPrice) {
+      cheapest = { variant, finalPrice };
+    }
+  }
+  return cheapest ? cheapest.variant : null;
+};
+
+module.exports = {
+  VARIANT_TYPES,
+  variantFields,
+  variantListField,
+  carryStock,
+  heldSkus,
+  cheapestVariant
+};